@@ -1,13 +1,48 @@
 const CATALOG_URL = "./catalog.json";
+const PLATFORMS_URL = "./platforms.json";
 const CATALOG_CACHE_KEY = "music-board:catalog:v1";
+const QUEUE_CACHE_KEY = "music-board:queue:v1";
+const REPEAT_MODES = ["off", "all", "one"];
+const LYRICS_VIEW_KEY = "music-board:lyrics-view:v1";
+const LYRICS_VIEWS = ["original", "bilingual", "romaji"];
+const EMBED_CONSENT_KEY = "music-board:embed-consent:v1";
+const PLAYER_ORDER_KEY = "music-board:player-order:v1";
+const AUDIO_SETTINGS_KEY = "music-board:audio:v1";
+const AUDIO_RATES = [0.75, 1, 1.25, 1.5, 2];
 let ICONS_CLICKABLE = false;
 let ACTIVE_PLATFORM = "";
 let EMBED_FALLBACK = true;
 let SHOW_EMPTY_LINKS = false;
 let PLAYER_UI = "modal";
 let YOUTUBE_AUTOPLAY = true;
+// `profile.settings.embedConsent`: third-party players load only after a click (remembered per platform).
+let EMBED_CONSENT = false;
+let LYRICS_VIEW = "original";
+let ROUTING = "hash";
+let OFFLINE = true;
 let collectionLimit = 48;
 let trackLimit = 200;
+// Used when platforms.json cannot be loaded: YouTube must stay on youtube-nocookie with the IFrame API (error
+// fallback, auto-advance), and self-hosted audio must not ask for consent.
+const BUILTIN_PLATFORMS = {
+  self: { label: { zh: "本站音频", en: "Audio" }, aliases: ["selfhosted", "本站"], firstParty: true },
+  youtube: {
+    label: { zh: "YouTube", en: "YouTube" },
+    aliases: ["youtubemusic", "yt", "ytmusic"],
+    player: {
+      rehost: { "youtube.com": "www.youtube-nocookie.com" },
+      params: { origin: "{origin}", enablejsapi: "1" },
+      autoplay: { autoplay: "1", playsinline: "1" }
+    }
+  }
+};
+// From platforms.json (labels, aliases, icons, player parameters), else BUILTIN_PLATFORMS; set by loadPlatforms().
+let PLATFORMS = {};
+let PLATFORM_ALIASES = new Map();
+let PLAYER_ORDER = [];
+let PLAYER_ORDER_BY_LANG = {};
+// Set on pages emitted by build-static-pages.mjs: their hero/content is already there, so skip the loading skeleton.
+const PRERENDERED = document.documentElement.hasAttribute("data-prerendered");
 
 function escapeHtml(s) {
   return (s ?? "").toString()
@@ -27,32 +62,9 @@ function uniq(array) {
 }
 
 function platformLabel(platform) {
-  const map = {
-    netease: "网易云",
-    qq: "QQ 音乐",
-    kugou: "酷狗",
-    kuwo: "酷我",
-    spotify: "Spotify",
-    apple: "Apple Music",
-    youtube: "YouTube",
-    soundcloud: "SoundCloud",
-    bandcamp: "Bandcamp",
-    bilibili: "B 站",
-    tiktok: "TikTok",
-    douyin: "抖音",
-    amazon: "Amazon Music",
-    deezer: "Deezer",
-    tidal: "TIDAL",
-    pandora: "Pandora",
-    qobuz: "Qobuz",
-    kkbox: "KKBOX",
-    jiosaavn: "JioSaavn",
-    anghami: "Anghami",
-    boomplay: "Boomplay",
-    joox: "JOOX",
-    instagram: "Instagram / Facebook"
-  };
-  return map[platform] || platform || "Link";
+  const label = PLATFORMS[platformKey(platform)]?.label || {};
+  const lang = (document.documentElement.lang || "zh").toLowerCase().startsWith("zh") ? "zh" : "en";
+  return label[lang] || label.zh || platform || "Link";
 }
 
 function tagLabel(tag) {
@@ -60,16 +72,48 @@ function tagLabel(tag) {
   const key = normalizeText(raw);
   const map = {
     distrokid: "DistroKid",
-    netease: "网易云",
-    youtube: "YouTube",
-    youtubemusic: "YouTube Music",
-    apple: "Apple Music"
+    youtubemusic: "YouTube Music"
   };
-  return map[key] || raw;
+  if (map[key]) return map[key];
+  return PLATFORMS[key] ? platformLabel(key) : raw;
+}
+
+// Same folding as aliasKey() in scripts/music-board/lib/platforms.mjs ("Apple Music" → "applemusic").
+function platformAliasKey(name) {
+  return (name ?? "").toString().normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
 }
 
 function platformKey(platform) {
-  return normalizeText(platform).replace(/\s+/g, "");
+  const key = normalizeText(platform).replace(/\s+/g, "");
+  return PLATFORM_ALIASES.get(platformAliasKey(key)) || key;
+}
+
+function setPlatforms(registry) {
+  PLATFORMS = registry?.platforms || {};
+  PLATFORM_ALIASES = new Map();
+  for (const [key, p] of Object.entries(PLATFORMS)) {
+    for (const alias of [key, ...(p.aliases || [])]) {
+      const k = platformAliasKey(alias);
+      if (k && !PLATFORM_ALIASES.has(k)) PLATFORM_ALIASES.set(k, key);
+    }
+  }
+  PLAYER_ORDER = Array.isArray(registry?.playerOrder) ? registry.playerOrder : [];
+  PLAYER_ORDER_BY_LANG = registry?.playerOrderByLang || {};
+}
+
+// The page still works without the registry: labels fall back to the raw platform, icons to a letter, and
+// players to BUILTIN_PLATFORMS.
+async function loadPlatforms() {
+  try {
+    const res = await fetch(PLATFORMS_URL, { cache: "no-cache" });
+    if (res.ok) {
+      setPlatforms(await res.json());
+      return;
+    }
+  } catch {
+    // ignore (offline without a cached copy)
+  }
+  setPlatforms({ platforms: BUILTIN_PLATFORMS });
 }
 
 function uniqByPlatform(links) {
@@ -102,10 +146,36 @@ function renderPlatformIcons(links, limit = 8) {
   `;
 }
 
-function parseHash() {
-  const raw = location.hash || "#/";
-  const path = raw.replace(/^#/, "");
-  const parts = path.split("/").filter(Boolean);
+const ROUTE_PATH_RE = /^\/(?:(collections|tracks|notes)|(c|t|p)\/([^/]+))\/?$/;
+
+// Route path ("/c/<id>", "/tracks", "/") for the current URL. A "#/..." hash wins (hash routing, legacy
+// shared links); otherwise the pathname is used (history routing, pre-rendered /c/<id> and /t/<id> pages).
+function currentRoutePath() {
+  const hash = location.hash || "";
+  if (hash.startsWith("#/")) return hash.slice(1);
+  const m = location.pathname.match(ROUTE_PATH_RE);
+  if (!m) return "/";
+  return m[1] ? `/${m[1]}` : `/${m[2]}/${m[3]}`;
+}
+
+function routeHref(path) {
+  return ROUTING === "history" ? path : `#${path}`;
+}
+
+let onRouteChange = () => {};
+
+// `profile.settings.routing = "history"`: pushState to /c/<id> etc.; otherwise set the hash as before.
+function navigate(path) {
+  if (ROUTING !== "history") {
+    location.hash = path;
+    return;
+  }
+  if (location.pathname !== path || location.hash) history.pushState(null, "", `${path}${location.search}`);
+  onRouteChange();
+}
+
+function parseRoute() {
+  const parts = currentRoutePath().split("/").filter(Boolean);
   if (parts.length === 0) return { route: "home" };
   if (parts[0] === "collections") return { route: "collections" };
   if (parts[0] === "tracks") return { route: "tracks" };
@@ -142,31 +212,8 @@ function coverHtml(item) {
 }
 
 function iconSvg(platform) {
-  const p = platformKey(platform);
-  if (p === "netease") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 3a9 9 0 1 0 9 9 9 9 0 0 0-9-9Zm0 2a7 7 0 0 1 6.32 4H14.7a3.2 3.2 0 0 0-5.4 2.32v.9a2.2 2.2 0 1 0 1.4 0v-.9a1.8 1.8 0 0 1 3.6 0V15h-1.2v-2.1a.7.7 0 0 0-.7-.7H7.68A7 7 0 0 1 12 5Zm-3 14.2a.8.8 0 1 1 .8-.8.8.8 0 0 1-.8.8Zm3 0a7 7 0 0 1-6.32-4H9.3a3.2 3.2 0 0 0 5.4-2.32V12h1.6v.88A4.8 4.8 0 0 1 12 19.2Z"/></svg>';
-  }
-  if (p === "spotify") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 3a9 9 0 1 0 9 9 9 9 0 0 0-9-9Zm4.3 13.1a.75.75 0 0 1-1 .25 8.8 8.8 0 0 0-6.2-.9.75.75 0 0 1-.3-1.47 10.3 10.3 0 0 1 7.2 1.05.75.75 0 0 1 .3 1.07Zm.9-2.4a.9.9 0 0 1-1.2.3 10.6 10.6 0 0 0-7.7-1.1.9.9 0 0 1-.4-1.76 12.3 12.3 0 0 1 9 1.3.9.9 0 0 1 .3 1.26Zm.1-2.6a1.05 1.05 0 0 1-1.4.35 12.7 12.7 0 0 0-9.2-1.2 1.05 1.05 0 1 1-.5-2.04 14.8 14.8 0 0 1 10.7 1.4 1.05 1.05 0 0 1 .4 1.49Z"/></svg>';
-  }
-  if (p === "apple") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M16.6 13.3c0-2 1.7-3 1.8-3.1-1-1.4-2.5-1.6-3.1-1.6-1.3-.1-2.6.8-3.3.8-.7 0-1.7-.8-2.9-.8-1.5 0-2.9.9-3.7 2.2-1.6 2.8-.4 7 1.1 9.2.7 1.1 1.6 2.3 2.8 2.2 1.1 0 1.6-.7 3-.7s1.8.7 3.1.7c1.3 0 2.1-1.1 2.8-2.2.8-1.2 1.1-2.4 1.1-2.4-.1 0-2.1-.8-2.1-3.3Zm-2.3-6.1c.6-.8 1.1-2 .9-3.2-1 .1-2.2.7-2.9 1.5-.6.7-1.2 1.9-1 3 1.1.1 2.3-.6 3-1.3Z"/></svg>';
-  }
-  if (p === "youtube") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M21.6 7.2a2.6 2.6 0 0 0-1.8-1.9C18.2 5 12 5 12 5s-6.2 0-7.8.3A2.6 2.6 0 0 0 2.4 7.2 26.5 26.5 0 0 0 2.1 12a26.5 26.5 0 0 0 .3 4.8 2.6 2.6 0 0 0 1.8 1.9c1.6.3 7.8.3 7.8.3s6.2 0 7.8-.3a2.6 2.6 0 0 0 1.8-1.9 26.5 26.5 0 0 0 .3-4.8 26.5 26.5 0 0 0-.3-4.8ZM10.2 15.1V8.9l5.4 3.1Z"/></svg>';
-  }
-  if (p === "soundcloud") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M11.5 10.2v7.6h6.2a3.3 3.3 0 0 0 .2-6.6 4.6 4.6 0 0 0-9.1-.7 3 3 0 0 0-1.6.8v6.5h1.5v-6.1a.8.8 0 0 1 .8-.8.8.8 0 0 1 .8.8v6.9h1.2v-8.4a.8.8 0 0 1 1.6 0Z"/></svg>';
-  }
-  if (p === "bandcamp") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4.3 18.7 10.7 5.3h9L13.3 18.7Z"/></svg>';
-  }
-  if (p === "bilibili") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M9 6.2 7.3 4.5l1.1-1.1L10.1 5h3.8l1.7-1.6 1.1 1.1L15 6.2h2.6A3.4 3.4 0 0 1 21 9.6v6.8a3.4 3.4 0 0 1-3.4 3.4H6.4A3.4 3.4 0 0 1 3 16.4V9.6a3.4 3.4 0 0 1 3.4-3.4ZM6.4 8A1.6 1.6 0 0 0 4.8 9.6v6.8A1.6 1.6 0 0 0 6.4 18h11.2a1.6 1.6 0 0 0 1.6-1.6V9.6A1.6 1.6 0 0 0 17.6 8Zm1.9 6.3a1 1 0 1 1 1-1 1 1 0 0 1-1 1Zm7.4 0a1 1 0 1 1 1-1 1 1 0 0 1-1 1Z"/></svg>';
-  }
-  if (p === "douyin" || p === "tiktok") {
-    return '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M14.6 3h2.2a6.5 6.5 0 0 0 3.7 3.5V9a8.6 8.6 0 0 1-3.7-1.3v6.5a6.7 6.7 0 1 1-6.7-6.7c.5 0 1 .1 1.5.2v2.4a4.1 4.1 0 1 0 3 3.9Z"/></svg>';
-  }
+  const icon = PLATFORMS[platformKey(platform)]?.icon;
+  if (icon) return `<svg viewBox="0 0 24 24" aria-hidden="true">${icon}</svg>`;
 
   const letter = (platformLabel(platform) || "L").slice(0, 1).toUpperCase();
   return `<span aria-hidden="true">${escapeHtml(letter)}</span>`;
@@ -198,7 +245,7 @@ function platformDockIcon(link) {
   const key = platformKey(platform);
   const active = ACTIVE_PLATFORM && platformKey(ACTIVE_PLATFORM) === key;
   return `
-    <a class="icon" href="#/p/${encodeURIComponent(platform)}" aria-label="${escapeHtml(label)}" title="${escapeHtml(label)}" ${active ? 'aria-current="true"' : ""}>
+    <a class="icon" href="${routeHref(`/p/${encodeURIComponent(platform)}`)}" aria-label="${escapeHtml(label)}" title="${escapeHtml(label)}" ${active ? 'aria-current="true"' : ""}>
       ${iconSvg(platform)}
     </a>
   `;
@@ -216,10 +263,25 @@ function collectionFromItem(item) {
     links: Array.isArray(item.links) ? item.links : [],
     embeds: Array.isArray(item.embeds) ? item.embeds : [],
     tags: Array.isArray(item.tags) ? item.tags : [],
-    styleTags: Array.isArray(item.styleTags) ? item.styleTags : []
+    styleTags: Array.isArray(item.styleTags) ? item.styleTags : [],
+    pinyin: item.pinyin || ""
   };
 }
 
+// `lyricsTimed`: [{ ms, text, translation?, romaji? }] parsed from LRC by the sync/import scripts.
+function normalizeTimedLyrics(lines) {
+  if (!Array.isArray(lines)) return [];
+  return lines
+    .map((l) => ({
+      ms: Number(l?.ms),
+      text: (l?.text ?? "").toString(),
+      translation: (l?.translation ?? "").toString(),
+      romaji: (l?.romaji ?? "").toString()
+    }))
+    .filter((l) => Number.isFinite(l.ms) && l.ms >= 0)
+    .sort((a, b) => a.ms - b.ms);
+}
+
 function trackFromItem(item) {
   return {
     id: item.id || "",
@@ -234,12 +296,17 @@ function trackFromItem(item) {
     embeds: Array.isArray(item.embeds) ? item.embeds : [],
     tags: Array.isArray(item.tags) ? item.tags : [],
     lyrics: item.lyrics || "",
+    lyricsTimed: normalizeTimedLyrics(item.lyricsTimed),
+    lyricsTranslation: item.lyricsTranslation || "",
+    lyricsRomaji: item.lyricsRomaji || "",
     mood: item.mood || "",
     styleTags: Array.isArray(item.styleTags) ? item.styleTags : [],
     inspiration: item.inspiration && typeof item.inspiration === "object" ? item.inspiration : null,
     duration: item.duration || "",
+    waveform: item.waveform || "",
     version: item.version || "",
-    createdAt: item.createdAt || ""
+    createdAt: item.createdAt || "",
+    pinyin: item.pinyin || ""
   };
 }
 
@@ -330,9 +397,215 @@ const player = {
   trackId: "",
   open: false,
   embedUrl: "",
-  embedPlatform: ""
+  embedPlatform: "",
+  // Docked player: the embed waiting for consent (EMBED_CONSENT).
+  pendingEmbed: null,
+  youtubeToken: 0,
+  youtube: null
+};
+
+// Play queue: `ids` keeps the original (album/list) order, `order` is the
+// playback order (same as `ids`, or shuffled with the current track first).
+const queue = {
+  ids: [],
+  order: [],
+  index: -1,
+  shuffle: false,
+  repeat: "off"
 };
 
+let resolvePlayable = () => null;
+
+function shuffledCopy(array) {
+  const out = array.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function readQueueCache() {
+  try {
+    const raw = localStorage.getItem(QUEUE_CACHE_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    if (!data || !Array.isArray(data.ids)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+function writeQueueCache() {
+  try {
+    localStorage.setItem(QUEUE_CACHE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      ids: queue.ids,
+      order: queue.order,
+      index: queue.index,
+      shuffle: queue.shuffle,
+      repeat: queue.repeat
+    }));
+  } catch {
+    // ignore quota / private mode
+  }
+}
+
+function restoreQueue(isKnownId) {
+  const data = readQueueCache();
+  if (!data) return;
+  const ids = uniq(data.ids.map(String)).filter(isKnownId);
+  const savedOrder = Array.isArray(data.order) ? data.order.map(String) : [];
+  const order = savedOrder.filter(id => ids.includes(id));
+  const currentId = savedOrder[data.index] || "";
+  queue.ids = ids;
+  queue.order = order.length === ids.length ? order : ids.slice();
+  queue.index = queue.order.length ? Math.max(0, queue.order.indexOf(currentId)) : -1;
+  queue.shuffle = data.shuffle === true;
+  queue.repeat = REPEAT_MODES.includes(data.repeat) ? data.repeat : "off";
+}
+
+function queueCurrentId() {
+  return queue.order[queue.index] || "";
+}
+
+function setQueue(ids, startId = "") {
+  queue.ids = uniq((Array.isArray(ids) ? ids : []).filter(Boolean));
+  const start = queue.ids.includes(startId) ? startId : (queue.ids[0] || "");
+  queue.order = queue.shuffle
+    ? [start].concat(shuffledCopy(queue.ids.filter(id => id !== start))).filter(Boolean)
+    : queue.ids.slice();
+  queue.index = queue.order.indexOf(start);
+  writeQueueCache();
+}
+
+function clearQueue() {
+  queue.ids = [];
+  queue.order = [];
+  queue.index = -1;
+  writeQueueCache();
+}
+
+function setQueueShuffle(on) {
+  const current = queueCurrentId();
+  queue.shuffle = !!on;
+  if (queue.shuffle) {
+    queue.order = [current].concat(shuffledCopy(queue.ids.filter(id => id !== current))).filter(Boolean);
+  } else {
+    queue.order = queue.ids.slice();
+  }
+  queue.index = queue.order.length ? Math.max(0, queue.order.indexOf(current)) : -1;
+  writeQueueCache();
+}
+
+function cycleQueueRepeat() {
+  const i = REPEAT_MODES.indexOf(queue.repeat);
+  queue.repeat = REPEAT_MODES[(i + 1) % REPEAT_MODES.length];
+  writeQueueCache();
+}
+
+function queueHasStep(step) {
+  if (queue.order.length === 0) return false;
+  if (queue.repeat === "all") return true;
+  const next = queue.index + step;
+  return next >= 0 && next < queue.order.length;
+}
+
+// Moves the queue cursor and returns the new current id ("" when the queue is exhausted).
+// `auto` is set when a player reported the end of a track: repeat-one replays it.
+function queueStep(step, { auto = false } = {}) {
+  if (queue.order.length === 0) return "";
+  if (auto && queue.repeat === "one") return queueCurrentId();
+  if (!queueHasStep(step)) return "";
+  queue.index = (queue.index + step + queue.order.length) % queue.order.length;
+  writeQueueCache();
+  return queueCurrentId();
+}
+
+// The id `queueStep(step)` would move to, without moving ("" when there is none).
+function queuePeekId(step) {
+  if (!queueHasStep(step)) return "";
+  return queue.order[(queue.index + step + queue.order.length) % queue.order.length] || "";
+}
+
+function renderQueueControls() {
+  const hasPrev = queueHasStep(-1);
+  const hasNext = queueHasStep(1);
+  document.querySelectorAll('[data-queue-step="-1"]').forEach(b => { b.disabled = !hasPrev; });
+  document.querySelectorAll('[data-queue-step="1"]').forEach(b => { b.disabled = !hasNext; });
+
+  const shuffleBtn = document.getElementById("btn-shuffle");
+  if (shuffleBtn) shuffleBtn.setAttribute("aria-pressed", queue.shuffle ? "true" : "false");
+  const repeatBtn = document.getElementById("btn-repeat");
+  if (repeatBtn) {
+    repeatBtn.setAttribute("aria-pressed", queue.repeat === "off" ? "false" : "true");
+    repeatBtn.textContent = queue.repeat === "one" ? "Repeat 1" : "Repeat";
+    repeatBtn.title = `Repeat: ${queue.repeat}`;
+  }
+
+  const status = queue.order.length > 1 ? `${queue.index + 1} / ${queue.order.length}` : "";
+  document.querySelectorAll("[data-queue-status]").forEach(el => { el.textContent = status; });
+}
+
+function playQueueStep(step, opts) {
+  const id = queueStep(step, opts);
+  renderQueueControls();
+  if (!id) return;
+  const t = resolvePlayable(id);
+  if (t) playTrack(t);
+}
+
+let youtubeApiPromise = null;
+
+function loadYoutubeIframeApi() {
+  if (window.YT?.Player) return Promise.resolve(window.YT);
+  if (youtubeApiPromise) return youtubeApiPromise;
+  youtubeApiPromise = new Promise((resolve, reject) => {
+    const prevReady = window.onYouTubeIframeAPIReady;
+    window.onYouTubeIframeAPIReady = () => {
+      if (typeof prevReady === "function") prevReady();
+      resolve(window.YT);
+    };
+    const script = document.createElement("script");
+    script.src = "https://www.youtube.com/iframe_api";
+    script.async = true;
+    script.onerror = () => {
+      youtubeApiPromise = null;
+      reject(new Error("YouTube IFrame API failed to load"));
+    };
+    document.head.appendChild(script);
+  });
+  return youtubeApiPromise;
+}
+
+// Attach the IFrame API to the current YouTube embed: auto-advance the queue when it reports ENDED,
+// and keep the instance in `player.youtube` so timed lyrics can read the current time.
+// Only the most recently mounted iframe is honoured (older players are ignored via the token).
+function attachYoutubePlayer(iframe, { onError } = {}) {
+  const token = ++player.youtubeToken;
+  player.youtube = null;
+  if (!iframe) return;
+  loadYoutubeIframeApi()
+    .then((YT) => {
+      if (token !== player.youtubeToken || !iframe.isConnected) return;
+      player.youtube = new YT.Player(iframe, {
+        events: {
+          onStateChange: (e) => {
+            if (token !== player.youtubeToken) return;
+            if (e.data === YT.PlayerState.ENDED) playQueueStep(1, { auto: true });
+          },
+          onError: () => {
+            if (token === player.youtubeToken && onError) onError();
+          }
+        }
+      });
+    })
+    .catch(() => {
+      // Without the API the listener can still use the manual Next button.
+    });
+}
+
 function setModalOpen(open) {
   const modal = document.getElementById("player-modal");
   if (!modal) return;
@@ -366,6 +639,12 @@ function clearPlayer() {
   player.trackId = "";
   player.embedUrl = "";
   player.embedPlatform = "";
+  player.pendingEmbed = null;
+  player.youtubeToken += 1;
+  player.youtube = null;
+  stopAudio();
+  clearQueue();
+  renderQueueControls();
   document.getElementById("player-title").textContent = "选择一首歌";
   document.getElementById("player-sub").textContent = "点开合集 → 选曲 → 在此处播放（不跳转）";
   document.getElementById("player-icons").innerHTML = "";
@@ -392,7 +671,7 @@ function collectionHasPlatform(collection, tracksByCollectionId, platform) {
 }
 
 function pickEmbed(track, preferredPlatform = "") {
-  const embeds = Array.isArray(track.embeds) ? track.embeds : [];
+  const embeds = sortByPlayerOrder(Array.isArray(track.embeds) ? track.embeds : []);
   const preferredKeyRaw = preferredPlatform || ACTIVE_PLATFORM;
   if (!preferredKeyRaw) return embeds.find(x => x?.url) || null;
   const key = platformKey(preferredKeyRaw);
@@ -408,32 +687,83 @@ function embedOpenUrl(track, platform) {
   return link?.url || "";
 }
 
-function toYoutubeNocookie(embedUrl, autoplay) {
-  if (!embedUrl) return "";
+// `player` in platforms.json: `rehost` swaps the embed host (YouTube → youtube-nocookie), `autoplay` /
+// `noAutoplay` are set depending on `autoplay`, then `params` (`{origin}` is this page's origin).
+// e.g. YouTube gets `enablejsapi=1` so the IFrame Player API can report state changes (queue auto-advance).
+function playerSrc(embedUrl, player, autoplay) {
   try {
     const u = new URL(embedUrl);
-    if (/youtube\.com$/i.test(u.hostname.replace(/^www\./i, ""))) {
-      u.hostname = "www.youtube-nocookie.com";
-    }
-    if (autoplay) {
-      u.searchParams.set("autoplay", "1");
-      u.searchParams.set("playsinline", "1");
+    const host = u.hostname.replace(/^www\./i, "").toLowerCase();
+    if (player.rehost?.[host]) u.hostname = player.rehost[host];
+    const params = { ...(autoplay ? player.autoplay : player.noAutoplay), ...player.params };
+    for (const [k, v] of Object.entries(params)) {
+      u.searchParams.set(k, String(v).replaceAll("{origin}", location.origin));
     }
-    // Improves compatibility with some embed contexts.
-    u.searchParams.set("origin", location.origin);
     return u.toString();
   } catch {
-    if (!autoplay) return embedUrl;
-    return embedUrl.includes("?") ? `${embedUrl}&autoplay=1` : `${embedUrl}?autoplay=1`;
+    return embedUrl;
   }
 }
 
 function embedSrcForModal(embed, autoplay) {
-  const platform = embed?.platform || "";
   const url = (embed?.url || "").toString().trim();
   if (!url) return "";
-  if (platformKey(platform) === "youtube") return toYoutubeNocookie(url, autoplay);
-  return url;
+  const player = PLATFORMS[platformKey(embed?.platform)]?.player;
+  return player ? playerSrc(url, player, autoplay) : url;
+}
+
+function readEmbedConsent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(EMBED_CONSENT_KEY) || "[]");
+    return new Set(Array.isArray(list) ? list : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function writeEmbedConsent(set) {
+  try {
+    if (set.size) localStorage.setItem(EMBED_CONSENT_KEY, JSON.stringify(Array.from(set)));
+    else localStorage.removeItem(EMBED_CONSENT_KEY);
+  } catch {
+    // ignore quota / private mode
+  }
+}
+
+// Same key as `.embed-card[data-platform]`, so a consent matches the cards it should mount.
+function consentKey(platform) {
+  return platformKey(platform) || "link";
+}
+
+// First-party players (`firstParty` in platforms.json, i.e. self-hosted audio) never need consent.
+function hasEmbedConsent(platform) {
+  if (!EMBED_CONSENT || PLATFORMS[platformKey(platform)]?.firstParty) return true;
+  return readEmbedConsent().has(consentKey(platform));
+}
+
+function rememberEmbedConsent(platform) {
+  const set = readEmbedConsent();
+  set.add(consentKey(platform));
+  writeEmbedConsent(set);
+}
+
+const EMBED_PRIVACY_NOTE = "第三方播放器会从对应平台加载脚本，并可能设置 Cookie、记录你的访问；点“加载”之前不会连接这些平台。";
+
+// Placeholder shown instead of the iframe until the visitor opts in; `[data-embed-load]` mounts the player.
+function embedConsentHtml(platform, track) {
+  const name = platformLabel(platform);
+  return `
+    <div class="embed-consent">
+      <div class="cover">${coverHtml(track || {})}</div>
+      <div class="text">
+        <div class="muted small">${escapeHtml(EMBED_PRIVACY_NOTE)}</div>
+        <div class="actions">
+          <button class="btn primary" type="button" data-embed-load="${escapeHtml(consentKey(platform))}">加载 ${escapeHtml(name)} 播放器</button>
+          <label class="muted small"><input type="checkbox" data-embed-remember /> 记住对 ${escapeHtml(name)} 的选择</label>
+        </div>
+      </div>
+    </div>
+  `;
 }
 
 function embedCardHtml(embed, track, autoplay) {
@@ -447,6 +777,20 @@ function embedCardHtml(embed, track, autoplay) {
   const openBtn = openUrl
     ? `<a class="btn" href="${escapeHtml(openUrl)}" target="_blank" rel="noreferrer">Open</a>`
     : "";
+  const iframe = `
+      <iframe
+        title="${escapeHtml(`${platformLabel(platform)} · ${track?.title || ""}`)}"
+        loading="lazy"
+        allow="${allow}"
+        allowfullscreen
+        referrerpolicy="strict-origin-when-cross-origin"
+        src="${escapeHtml(src)}"></iframe>`;
+  // Without consent the iframe waits in a <template>, so nothing is requested from the platform yet.
+  const player = isAudioEmbed(embed)
+    ? audioControlsHtml(track)
+    : hasEmbedConsent(platform)
+      ? iframe
+      : `${embedConsentHtml(platform, track)}<template data-embed-frame>${iframe}</template>`;
 
   return `
     <article class="embed-card" data-platform="${escapeHtml(key)}">
@@ -459,17 +803,30 @@ function embedCardHtml(embed, track, autoplay) {
           ${openBtn}
         </div>
       </div>
-      <iframe
-        title="${escapeHtml(`${platformLabel(platform)} · ${track?.title || ""}`)}"
-        loading="lazy"
-        allow="${allow}"
-        allowfullscreen
-        referrerpolicy="strict-origin-when-cross-origin"
-        src="${escapeHtml(src)}"></iframe>
+      ${player}
     </article>
   `;
 }
 
+// Swap the placeholder of every waiting card of `key` in `root` for its iframe.
+function mountConsentedEmbeds(root, key) {
+  for (const card of root.querySelectorAll(`.embed-card[data-platform="${CSS.escape(key)}"]`)) {
+    const tpl = card.querySelector("template[data-embed-frame]");
+    if (!tpl) continue;
+    card.querySelector(".embed-consent")?.remove();
+    tpl.replaceWith(tpl.content.cloneNode(true));
+    watchModalEmbed(card);
+  }
+}
+
+function embedPrivacyHtml() {
+  const remembered = readEmbedConsent().size > 0;
+  const reset = remembered
+    ? ` <button class="btn" type="button" data-embed-consent-reset>撤销已记住的选择</button>`
+    : "";
+  return `<div class="muted small embed-privacy">隐私：播放器需点击后加载。${reset}</div>`;
+}
+
 function renderModal(track, { autoplay } = {}) {
   const title = track?.title || "(未命名)";
   const sub = [track?.artist || "", track?.releaseDate || ""].filter(Boolean).join(" · ");
@@ -484,34 +841,134 @@ function renderModal(track, { autoplay } = {}) {
   const embeds = uniqByPlatform(embedsAll).filter((e) => ((e?.url ?? "").toString().trim() !== ""));
   if (embeds.length === 0) {
     bodyEl.innerHTML = `<div class="empty">此曲目没有可用的外链播放器（embeds）。</div>`;
+    attachYoutubePlayer(null);
+    stopAudio();
     return;
   }
 
-  const preferredOrder = ["youtube", "netease"];
-  const sorted = embeds.slice().sort((a, b) => {
-    const ak = platformKey(a?.platform);
-    const bk = platformKey(b?.platform);
-    const ai = preferredOrder.includes(ak) ? preferredOrder.indexOf(ak) : 99;
-    const bi = preferredOrder.includes(bk) ? preferredOrder.indexOf(bk) : 99;
-    if (ai !== bi) return ai - bi;
-    return (ak || "").localeCompare(bk || "");
+  const sorted = sortByPlayerOrder(embeds);
+
+  modalEmbeds.track = track;
+  modalEmbeds.embeds = sorted;
+  modalEmbeds.autoplay = !!autoplay;
+  const privacy = EMBED_CONSENT ? embedPrivacyHtml() : "";
+  bodyEl.innerHTML = `${privacy}${embedTabsHtml(sorted)}<div class="muted small" data-embed-note></div><div class="embed-slot" data-embed-slot></div>`;
+  showModalEmbed(0);
+}
+
+// The modal shows one embed at a time; `embeds` is already in the listener's platform order.
+const modalEmbeds = { track: null, embeds: [], index: 0, autoplay: false };
+
+function readPlayerOrder() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PLAYER_ORDER_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((k) => typeof k === "string" && k) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Listener's order first (tabs they picked), then the default for the browser language, then platforms.json.
+function playerOrder() {
+  const lang = (navigator.language || "").toLowerCase();
+  const byLang = PLAYER_ORDER_BY_LANG[lang] || PLAYER_ORDER_BY_LANG[lang.split("-")[0]] || [];
+  return uniq([...readPlayerOrder(), ...byLang, ...PLAYER_ORDER]);
+}
+
+function sortByPlayerOrder(embeds) {
+  const order = playerOrder();
+  const rank = (e) => {
+    const i = order.indexOf(platformKey(e?.platform));
+    return i >= 0 ? i : order.length;
+  };
+  return embeds.slice().sort((a, b) => {
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    return (platformKey(a?.platform) || "").localeCompare(platformKey(b?.platform) || "");
   });
+}
+
+function preferPlatform(platform) {
+  const key = platformKey(platform);
+  if (!key) return;
+  try {
+    localStorage.setItem(PLAYER_ORDER_KEY, JSON.stringify(uniq([key, ...readPlayerOrder()])));
+  } catch {
+    // ignore quota / private mode
+  }
+}
 
-  bodyEl.innerHTML = sorted.map(e => embedCardHtml(e, track, autoplay)).join("");
+function embedTabsHtml(embeds) {
+  if (embeds.length < 2) return "";
+  const tabs = embeds.map((e, i) => `
+    <button class="btn" type="button" role="tab" data-embed-tab="${i}" aria-selected="false">
+      ${iconSvg(e?.platform)}<span>${escapeHtml(platformLabel(e?.platform))}</span>
+    </button>
+  `).join("");
+  return `<div class="embed-tabs" role="tablist" aria-label="播放平台">${tabs}</div>`;
 }
 
-function playTrack(track) {
-  const icons = document.getElementById("player-icons");
+// Mount only the selected embed (the previous iframe is dropped, so it stops playing; so does the <audio>).
+function showModalEmbed(index, { note = "" } = {}) {
+  const body = document.getElementById("modal-body");
+  const slot = body?.querySelector("[data-embed-slot]");
+  const embed = modalEmbeds.embeds[index];
+  if (!slot || !embed) return;
+  modalEmbeds.index = index;
+  for (const tab of body.querySelectorAll("[data-embed-tab]")) {
+    tab.setAttribute("aria-selected", Number(tab.getAttribute("data-embed-tab")) === index ? "true" : "false");
+  }
+  const reportsEnd = platformKey(embed.platform) === "youtube" || isAudioEmbed(embed);
+  const manualHint = !reportsEnd && queue.order.length > 1 ? "此平台无法回报播放结束：播完后请点 Next 切到下一首。" : "";
+  body.querySelector("[data-embed-note]").textContent = [note, manualHint].filter(Boolean).join(" ");
+  slot.innerHTML = embedCardHtml(embed, modalEmbeds.track, modalEmbeds.autoplay);
+  watchModalEmbed(slot.querySelector(".embed-card"));
+  mountWaveforms(slot);
+  if (isAudioEmbed(embed)) playAudioEmbed(embed, modalEmbeds.track, { autoplay: modalEmbeds.autoplay });
+  else stopAudio();
+}
+
+// Only YouTube (IFrame API `onError`) and the self-hosted <audio> (its "error" event) report failures: a
+// cross-origin iframe never fires "error" when the player inside it breaks, so other platforms stay on their tab.
+function watchModalEmbed(card) {
+  const iframe = card?.dataset.platform === "youtube" ? card.querySelector(":scope > iframe") : null;
+  attachYoutubePlayer(iframe, { onError: modalEmbedFallback(modalEmbeds.index) });
+}
+
+// Switches to the next tab if tab `index` is still the one shown (the <audio> element reuses this too).
+function modalEmbedFallback(index) {
+  return () => {
+    if (modalEmbeds.index !== index || index + 1 >= modalEmbeds.embeds.length) return;
+    const failed = platformLabel(modalEmbeds.embeds[index]?.platform);
+    showModalEmbed(index + 1, { note: `${failed} 播放器出错，已切换到下一个平台。` });
+  };
+}
+
+function setPlayerInfo(track) {
   const title = track.title || "(未命名)";
   const sub = [track.artist || "", track.releaseDate || ""].filter(Boolean).join(" · ");
-
   player.trackId = track.id || "";
+  document.getElementById("player-title").textContent = title;
+  document.getElementById("player-sub").textContent = sub || " ";
+  document.getElementById("player-icons").innerHTML = renderPlatformIcons(track.links || [], 10);
+}
+
+function playTrack(track) {
+  if (queueCurrentId() !== (track.id || "")) {
+    const idx = queue.order.indexOf(track.id || "");
+    if (idx >= 0) {
+      queue.index = idx;
+      writeQueueCache();
+    } else {
+      setQueue([track.id || ""], track.id || "");
+    }
+  }
+
+  setPlayerInfo(track);
   player.embedUrl = "";
   player.embedPlatform = "";
+  player.pendingEmbed = null;
+  renderQueueControls();
 
-  document.getElementById("player-title").textContent = title;
-  document.getElementById("player-sub").textContent = sub || " ";
-  icons.innerHTML = renderPlatformIcons(track.links || [], 10);
   document.getElementById("player-iframe").src = "about:blank";
   document.getElementById("player-note").textContent = PLAYER_UI === "modal"
     ? "弹窗展示所有可用播放源（YouTube 将尝试自动播放）。"
@@ -521,16 +978,21 @@ function playTrack(track) {
     const embed = pickEmbed(track, "");
     const iframe = document.getElementById("player-iframe");
     if (embed?.url) {
-      const isYoutube = platformKey(embed?.platform) === "youtube";
-      const src = isYoutube ? toYoutubeNocookie(embed.url, YOUTUBE_AUTOPLAY) : embed.url;
-      player.embedUrl = src;
       player.embedPlatform = embed.platform || "";
-      iframe.src = src;
-      iframe.style.height = embed.height ? `${embed.height}px` : "96px";
-      setPlayerOpen(true);
+      if (hasEmbedConsent(embed.platform)) {
+        loadDockedEmbed(embed);
+      } else {
+        player.pendingEmbed = embed;
+        attachYoutubePlayer(null);
+        stopAudio();
+        document.getElementById("player-note").innerHTML = embedConsentHtml(embed.platform, track);
+      }
+      setPlayerOpen(!isAudioEmbed(embed));
       return;
     }
     iframe.src = "about:blank";
+    attachYoutubePlayer(null);
+    stopAudio();
     setPlayerOpen(true);
     return;
   }
@@ -539,40 +1001,768 @@ function playTrack(track) {
   setPlayerOpen(true);
 }
 
+function loadDockedEmbed(embed) {
+  const iframe = document.getElementById("player-iframe");
+  const isYoutube = platformKey(embed?.platform) === "youtube";
+  player.pendingEmbed = null;
+  if (isAudioEmbed(embed)) {
+    // Self-hosted audio plays through the controls in the bar; the frame has no iframe to show.
+    player.embedUrl = "";
+    iframe.src = "about:blank";
+    iframe.hidden = true;
+    attachYoutubePlayer(null);
+    document.getElementById("player-note").textContent = "本站音频在上方播放条中播放。";
+    playAudioEmbed(embed, resolvePlayable(player.trackId), { autoplay: YOUTUBE_AUTOPLAY });
+    return;
+  }
+  stopAudio();
+  const src = embedSrcForModal(embed, YOUTUBE_AUTOPLAY);
+  player.embedUrl = src;
+  iframe.hidden = false;
+  iframe.src = src;
+  iframe.style.height = embed.height ? `${embed.height}px` : "96px";
+  attachYoutubePlayer(isYoutube ? iframe : null);
+  document.getElementById("player-note").textContent = !isYoutube && queue.order.length > 1
+    ? "此平台无法回报播放结束：播完后请点 Next 切到下一首。"
+    : "";
+}
+
+// Self-hosted audio (`kind: "audio"` embeds, see register-audio-files.mjs) plays in the page's own <audio>
+// instead of an iframe. A second element preloads the next queue track; on `ended` the two swap, so the next
+// track starts from buffered data (as gapless as the browser allows).
+const audio = { el: null, next: null, url: "", nextUrl: "", trackId: "", seeking: false, sessionReady: false };
+
+function isAudioEmbed(embed) {
+  return embed?.kind === "audio" || platformKey(embed?.platform) === "self";
+}
+
+function audioSrc(embed) {
+  try {
+    return new URL((embed?.url || "").toString().trim(), document.baseURI).href;
+  } catch {
+    return "";
+  }
+}
+
+function readAudioSettings() {
+  try {
+    const data = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY) || "{}");
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAudioSettings() {
+  try {
+    localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({ volume: audio.el.volume, rate: audio.el.playbackRate }));
+  } catch {
+    // ignore quota / private mode
+  }
+}
+
+function createAudioElement() {
+  const el = new Audio();
+  el.preload = "metadata";
+  const settings = readAudioSettings();
+  if (Number.isFinite(settings.volume)) el.volume = Math.min(1, Math.max(0, settings.volume));
+  if (AUDIO_RATES.includes(settings.rate)) el.defaultPlaybackRate = el.playbackRate = settings.rate;
+  // Both elements take turns being current; events of the idle (preloading) one are ignored.
+  for (const type of ["play", "pause", "timeupdate", "durationchange", "ratechange", "volumechange"]) {
+    el.addEventListener(type, () => {
+      if (el === audio.el) renderAudioUi();
+    });
+  }
+  el.addEventListener("ended", () => {
+    if (el !== audio.el) return;
+    if (queue.repeat === "one") {
+      el.currentTime = 0;
+      el.play().catch(() => {});
+      return;
+    }
+    playQueueStep(1, { auto: true });
+  });
+  el.addEventListener("error", () => {
+    if (el !== audio.el || !audio.url) return;
+    if (PLAYER_UI === "modal" && isAudioEmbed(modalEmbeds.embeds[modalEmbeds.index])) modalEmbedFallback(modalEmbeds.index)();
+    else document.getElementById("player-note").textContent = "本站音频加载失败。";
+  });
+  return el;
+}
+
+function playAudioEmbed(embed, track, { autoplay = true } = {}) {
+  const url = audioSrc(embed);
+  if (!url) return;
+  if (!audio.el) {
+    audio.el = createAudioElement();
+    audio.next = createAudioElement();
+  }
+  const changed = audio.url !== url;
+  if (changed && audio.nextUrl === url) {
+    const prev = audio.el;
+    [audio.el, audio.next] = [audio.next, prev];
+    prev.pause();
+    audio.el.volume = prev.volume;
+    audio.el.defaultPlaybackRate = audio.el.playbackRate = prev.playbackRate;
+    audio.nextUrl = "";
+  } else if (changed) {
+    audio.el.src = url;
+  }
+  audio.url = url;
+  audio.trackId = track?.id || "";
+  const bar = document.getElementById("player-audio");
+  if (bar && bar.dataset.track !== audio.trackId) {
+    bar.dataset.track = audio.trackId;
+    bar.innerHTML = audioControlsHtml(track);
+    mountWaveforms(bar);
+  }
+  // Re-rendering the modal for the same track keeps the position; a paused track is only resumed when it ended.
+  if (autoplay && (changed || audio.el.ended)) audio.el.play().catch(() => {});
+  updateMediaSession(track);
+  preloadNextAudio();
+  renderAudioUi();
+}
+
+// Preload the next queue track's audio (nothing under repeat-one or at the end of the queue).
+function preloadNextAudio() {
+  const id = queue.repeat === "one" ? "" : queuePeekId(1);
+  const t = id ? resolvePlayable(id) : null;
+  const embed = (Array.isArray(t?.embeds) ? t.embeds : []).find((e) => isAudioEmbed(e) && e?.url);
+  const url = embed ? audioSrc(embed) : "";
+  if (url === audio.nextUrl || url === audio.url) return;
+  audio.nextUrl = url;
+  if (url) {
+    audio.next.preload = "auto";
+    audio.next.src = url;
+  } else {
+    audio.next.removeAttribute("src");
+    audio.next.load();
+  }
+}
+
+function stopAudio() {
+  if (!audio.el || !audio.url) return;
+  for (const el of [audio.el, audio.next]) {
+    el.pause();
+    el.removeAttribute("src");
+    el.load();
+  }
+  audio.url = "";
+  audio.nextUrl = "";
+  audio.trackId = "";
+  if ("mediaSession" in navigator) {
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = "none";
+  }
+  renderAudioUi();
+}
+
+function seekAudioBy(seconds) {
+  const el = audio.el;
+  if (!el || !audio.url) return;
+  el.currentTime = Math.min(Math.max(0, el.currentTime + seconds), Number.isFinite(el.duration) ? el.duration : Infinity);
+}
+
+function formatClock(seconds) {
+  const s = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Same markup in the bottom bar (#player-audio) and the modal card; renderAudioUi() keeps every copy in sync.
+function audioControlsHtml(track) {
+  const rates = AUDIO_RATES.map((r) => `<option value="${r}">${r}×</option>`).join("");
+  return `
+    <div class="audio-player" data-audio-ui>
+      <div class="audio-waveform">${waveformHtml(track)}</div>
+      <button class="btn" type="button" data-audio-toggle aria-label="播放 / 暂停">Play</button>
+      <input type="range" min="0" max="0" step="any" value="0" data-audio-seek aria-label="进度" />
+      <span class="audio-time" data-audio-time>0:00 / 0:00</span>
+      <input type="range" min="0" max="1" step="0.05" value="1" data-audio-volume aria-label="音量" />
+      <select data-audio-rate aria-label="播放速度">${rates}</select>
+    </div>
+  `;
+}
+
+function renderAudioUi() {
+  const el = audio.el;
+  const active = !!(el && audio.url);
+  const bar = document.getElementById("player-audio");
+  if (bar) bar.hidden = !active;
+  drawWaveforms();
+  if (!active) return;
+
+  const duration = Number.isFinite(el.duration) ? el.duration : 0;
+  for (const ui of document.querySelectorAll("[data-audio-ui]")) {
+    ui.querySelector("[data-audio-toggle]").textContent = el.paused ? "Play" : "Pause";
+    const seek = ui.querySelector("[data-audio-seek]");
+    if (!audio.seeking) {
+      seek.max = String(duration);
+      seek.value = String(el.currentTime || 0);
+    }
+    ui.querySelector("[data-audio-time]").textContent = `${formatClock(audio.seeking ? Number(seek.value) : el.currentTime)} / ${formatClock(duration)}`;
+    ui.querySelector("[data-audio-volume]").value = String(el.volume);
+    ui.querySelector("[data-audio-rate]").value = String(el.playbackRate);
+  }
+  updateMediaPosition();
+}
+
+// Lock screen / notification / headset controls (Media Session API), for self-hosted audio only:
+// iframes of other platforms set up their own session, if any.
+function updateMediaSession(track) {
+  if (!("mediaSession" in navigator)) return;
+  const session = navigator.mediaSession;
+  if (!audio.sessionReady) {
+    audio.sessionReady = true;
+    const handlers = {
+      play: () => audio.el?.play().catch(() => {}),
+      pause: () => audio.el?.pause(),
+      previoustrack: () => playQueueStep(-1),
+      nexttrack: () => playQueueStep(1),
+      seekbackward: (d) => seekAudioBy(-(d.seekOffset || 10)),
+      seekforward: (d) => seekAudioBy(d.seekOffset || 10),
+      seekto: (d) => {
+        if (audio.el && Number.isFinite(d.seekTime)) audio.el.currentTime = d.seekTime;
+      }
+    };
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        session.setActionHandler(action, handler);
+      } catch {
+        // action not supported by this browser
+      }
+    }
+  }
+  if (typeof MediaMetadata !== "function") return;
+  const collection = track?.collectionId ? resolvePlayable(track.collectionId) : null;
+  const cover = track?.cover || collection?.cover || "";
+  let artwork = [];
+  try {
+    if (cover) artwork = [{ src: new URL(cover, document.baseURI).href }];
+  } catch {
+    // unparsable cover URL: no artwork
+  }
+  session.metadata = new MediaMetadata({
+    title: track?.title || "(未命名)",
+    artist: track?.artist || "",
+    album: collection?.title || "",
+    artwork
+  });
+}
+
+function updateMediaPosition() {
+  if (!("mediaSession" in navigator)) return;
+  const el = audio.el;
+  navigator.mediaSession.playbackState = el.paused ? "paused" : "playing";
+  if (typeof navigator.mediaSession.setPositionState !== "function" || !(el.duration > 0) || !Number.isFinite(el.duration)) return;
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: el.duration,
+      playbackRate: el.playbackRate,
+      position: Math.min(el.currentTime, el.duration)
+    });
+  } catch {
+    // position / rate out of range while the browser is still loading
+  }
+}
+
+// Waveform of a self-hosted track (`waveform`: sidecar JSON from generate-waveforms.mjs): bars on a <canvas>,
+// the played part in full ink, click to seek. Tracks without self-hosted audio, or without a sidecar, get nothing.
+const waveforms = { files: new Map(), data: new WeakMap(), resize: null };
+
+function waveformHtml(track) {
+  const hasAudio = (Array.isArray(track?.embeds) ? track.embeds : []).some((e) => isAudioEmbed(e) && e?.url);
+  if (!track?.waveform || !hasAudio) return "";
+  return `<canvas class="waveform" data-waveform="${escapeHtml(track.id || "")}" data-waveform-src="${escapeHtml(track.waveform)}" aria-label="波形（点击跳转）"></canvas>`;
+}
+
+function loadWaveform(url) {
+  if (!waveforms.files.has(url)) {
+    waveforms.files.set(url, fetch(url)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => (Array.isArray(data?.peaks) && data.peaks.length ? data : null))
+      .catch(() => null));
+  }
+  return waveforms.files.get(url);
+}
+
+// Fetch the sidecar of every new waveform canvas in `root`; a canvas whose file is missing is removed.
+function mountWaveforms(root) {
+  if (!waveforms.resize && typeof ResizeObserver === "function") {
+    waveforms.resize = new ResizeObserver((entries) => entries.forEach((entry) => drawWaveform(entry.target)));
+  }
+  for (const canvas of root.querySelectorAll("canvas[data-waveform-src]")) {
+    if (waveforms.data.has(canvas)) continue;
+    loadWaveform(canvas.dataset.waveformSrc).then((data) => {
+      if (!data) {
+        canvas.remove();
+        return;
+      }
+      waveforms.data.set(canvas, data);
+      waveforms.resize?.observe(canvas);
+      drawWaveform(canvas);
+    });
+  }
+}
+
+function drawWaveforms() {
+  for (const canvas of document.querySelectorAll("canvas[data-waveform]")) drawWaveform(canvas);
+}
+
+function drawWaveform(canvas) {
+  if (!canvas.isConnected) {
+    waveforms.resize?.unobserve(canvas);
+    return;
+  }
+  const data = waveforms.data.get(canvas);
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (!data || !width || !height) return;
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = getComputedStyle(canvas).color;
+
+  const isCurrent = audio.url && audio.trackId === canvas.dataset.waveform;
+  const duration = isCurrent && audio.el.duration > 0 ? audio.el.duration : data.duration;
+  const progress = isCurrent && duration > 0 ? Math.min(1, audio.el.currentTime / duration) : 0;
+  const peaks = data.peaks;
+  // 2px bars with a 1px gap; each bar shows the loudest peak it covers.
+  const bars = Math.max(1, Math.floor(width / 3));
+  for (let b = 0; b < bars; b++) {
+    const from = Math.floor((b * peaks.length) / bars);
+    const to = Math.max(from + 1, Math.floor(((b + 1) * peaks.length) / bars));
+    let peak = 0;
+    for (let i = from; i < to && i < peaks.length; i++) peak = Math.max(peak, Number(peaks[i]) || 0);
+    const h = Math.max(1, (peak / 255) * height);
+    ctx.globalAlpha = (b + 0.5) / bars <= progress ? 1 : 0.3;
+    ctx.fillRect(b * 3, (height - h) / 2, 2, h);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Click-to-seek: starts the track first when another one (or nothing) is playing.
+function seekWaveform(canvas, fraction) {
+  const id = canvas.dataset.waveform || "";
+  if (!audio.url || audio.trackId !== id) {
+    const t = resolvePlayable(id);
+    if (t) playTrack(t);
+    // The listener's preferred platform may not be the self-hosted one; then there is nothing to seek.
+    if (!audio.url || audio.trackId !== id) return;
+  }
+  const duration = audio.el.duration > 0 ? audio.el.duration : waveforms.data.get(canvas)?.duration;
+  if (duration > 0) audio.el.currentTime = fraction * duration;
+  drawWaveforms();
+}
+
+// Search index: one doc per collection / track with pre-normalized fields, built once in bootApp().
+// Queries are free-text terms (AND, ranked) plus optional `mood:` `tag:` `year:` `platform:` filters.
+const SEARCH_FILTERS = ["mood", "tag", "year", "platform"];
+const search = { docs: new Map(), query: "", results: null };
+
+// Pinyin initials without a dictionary: in pinyin collation order, a CJK char sorts after the
+// boundary char of its initial (阿 → a, 八 → b, …). Polyphones get their most common reading.
+const PINYIN_BOUNDARIES = "阿八嚓哒妸发旮哈讥咔垃妈拏噢妑七呥扨它穵夕丫帀";
+const PINYIN_LETTERS = "abcdefghjklmnopqrstwxyz";
+let pinyinCollator;
+
+function pinyinInitial(ch) {
+  if (pinyinCollator === undefined) {
+    try {
+      pinyinCollator = new Intl.Collator("zh-Hans-CN-u-co-pinyin");
+    } catch {
+      pinyinCollator = null;
+    }
+  }
+  if (!pinyinCollator) return "";
+  let letter = "";
+  for (let i = 0; i < PINYIN_BOUNDARIES.length; i++) {
+    if (pinyinCollator.compare(ch, PINYIN_BOUNDARIES[i]) < 0) break;
+    letter = PINYIN_LETTERS[i];
+  }
+  return letter;
+}
+
+function pinyinInitials(text) {
+  const t = normalizeText(text);
+  if (!/[\u4e00-\u9fff]/.test(t)) return "";
+  let out = "";
+  for (const ch of t) {
+    if (/[\u4e00-\u9fff]/.test(ch)) out += pinyinInitial(ch);
+    else if (/[a-z0-9]/.test(ch)) out += ch;
+  }
+  return out;
+}
+
+function searchWords(text) {
+  return normalizeText(text).split(/[\s\-_/·・,.，。:：;；!！?？()（）[\]【】"'“”‘’]+/g).filter(Boolean);
+}
+
+function buildSearchIndex(collections, tracks, tracksByCollectionId, collectionsById) {
+  const platformsOf = (item) => [
+    ...(Array.isArray(item?.links) ? item.links : []),
+    ...(Array.isArray(item?.embeds) ? item.embeds : [])
+  ].map((l) => platformKey(l?.platform)).filter(Boolean);
+
+  const makeDoc = (item, extra) => {
+    const tags = uniq([...(item.tags || []), ...(item.styleTags || [])].map(normalizeText).filter(Boolean));
+    const title = normalizeText(item.title);
+    return {
+      title,
+      titleWords: searchWords(item.title),
+      initials: pinyinInitials(item.title),
+      pinyin: normalizeText(item.pinyin).replace(/\s+/g, ""),
+      artist: normalizeText(item.artist),
+      year: (item.releaseDate || "").toString().slice(0, 4),
+      releaseDate: (item.releaseDate || "").toString(),
+      tags,
+      hay: normalizeText([
+        item.artist, item.releaseDate, tags.join(" "),
+        item.inspiration && typeof item.inspiration === "object" ? Object.entries(item.inspiration).map(([k, v]) => `${k} ${v}`).join(" ") : "",
+        (item.links || []).map((l) => `${platformLabel(l.platform)} ${l.url}`).join(" ")
+      ].join(" ")),
+      ...extra
+    };
+  };
+
+  search.docs = new Map();
+  search.query = "";
+  search.results = null;
+
+  for (const c of collections) {
+    const list = tracksByCollectionId.get(c.id) || [];
+    search.docs.set(c.id, makeDoc(c, {
+      kind: "collection",
+      collectionTitle: "",
+      mood: uniq(list.map((t) => normalizeText(t.mood)).filter(Boolean)).join(" "),
+      platforms: new Set([...platformsOf(c), ...list.flatMap(platformsOf)]),
+      lyrics: []
+    }));
+  }
+
+  for (const t of tracks) {
+    const col = collectionsById.get(t.collectionId || "");
+    const lines = normalizeLyricsForDisplay(t.lyrics || "", t.title || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    search.docs.set(t.id, makeDoc(t, {
+      kind: "track",
+      collectionTitle: normalizeText(col?.title),
+      mood: normalizeText(t.mood),
+      platforms: new Set(platformsOf(t)),
+      lyrics: lines.map((line) => ({ raw: line, norm: normalizeText(line) }))
+    }));
+  }
+}
+
+function parseSearchQuery(q) {
+  const out = { terms: [], filters: [] };
+  for (const m of (q || "").matchAll(/([a-z]+):"([^"]*)"|([a-z]+):(\S+)|"([^"]+)"|(\S+)/g)) {
+    const key = m[1] || m[3] || "";
+    const value = normalizeText(m[2] ?? m[4] ?? "");
+    if (key && SEARCH_FILTERS.includes(key)) {
+      if (value) out.filters.push({ key, value });
+      continue;
+    }
+    const term = normalizeText(m[5] ?? m[0]);
+    if (term) out.terms.push(term);
+  }
+  return out;
+}
+
+// Small bounded Levenshtein: returns `max + 1` as soon as the distance is known to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function fuzzyHit(words, term) {
+  const max = term.length >= 7 ? 2 : (term.length >= 4 ? 1 : 0);
+  if (max === 0) return false;
+  return words.some((w) => editDistance(w, term, max) <= max);
+}
+
+function snippetAround(line, term) {
+  const at = normalizeText(line).indexOf(term);
+  if (line.length <= 60 || at < 0) return line.length <= 60 ? line : `${line.slice(0, 59)}…`;
+  const start = Math.max(0, at - 20);
+  return `${start > 0 ? "…" : ""}${line.slice(start, start + 60)}${start + 60 < line.length ? "…" : ""}`;
+}
+
+function scoreTerm(doc, term) {
+  const ascii = /^[a-z0-9]+$/.test(term);
+  if (doc.title === term) return { score: 100 };
+  if (doc.title.startsWith(term)) return { score: 80 };
+  if (doc.title.includes(term)) return { score: 60 };
+  if (ascii && term.length >= 2 && doc.initials.startsWith(term)) return { score: 50 };
+  if (ascii && doc.pinyin && doc.pinyin.startsWith(term)) return { score: 48 };
+  if (ascii && doc.pinyin && doc.pinyin.includes(term)) return { score: 40 };
+  if (ascii && term.length >= 2 && doc.initials.includes(term)) return { score: 35 };
+  if (doc.artist.includes(term) || doc.collectionTitle.includes(term)) return { score: 30 };
+  if (doc.mood.includes(term) || doc.hay.includes(term)) return { score: 20 };
+  if (fuzzyHit(doc.titleWords, term)) return { score: 18 };
+  const line = doc.lyrics.find((l) => l.norm.includes(term));
+  if (line) return { score: 12, snippet: snippetAround(line.raw, term) };
+  return { score: 0 };
+}
+
+function matchFilter(doc, { key, value }) {
+  if (key === "mood") return doc.mood.includes(value);
+  if (key === "tag") return doc.tags.some((t) => t.includes(value));
+  if (key === "year") return doc.releaseDate.startsWith(value);
+  if (key === "platform") {
+    const want = platformKey(value);
+    return Array.from(doc.platforms).some((p) => p === want || normalizeText(platformLabel(p)).includes(value));
+  }
+  return true;
+}
+
+// Map of id → { score, snippet } for every doc matching `q` (memoized for the current query).
+function searchResults(q) {
+  if (search.results && search.query === q) return search.results;
+  const { terms, filters } = parseSearchQuery(q);
+  const results = new Map();
+  for (const [id, doc] of search.docs) {
+    if (!filters.every((f) => matchFilter(doc, f))) continue;
+    let score = 0;
+    let snippet = "";
+    let ok = true;
+    for (const term of terms) {
+      const hit = scoreTerm(doc, term);
+      if (hit.score === 0) {
+        ok = false;
+        break;
+      }
+      score += hit.score;
+      if (hit.snippet && !snippet) snippet = hit.snippet;
+    }
+    if (ok) results.set(id, { score, snippet });
+  }
+  search.query = q;
+  search.results = results;
+  return results;
+}
+
 function matchQueryCollection(c, q) {
   if (!q) return true;
-  const hay = [
-    c.title, c.artist, c.releaseDate,
-    Array.isArray(c.styleTags) ? c.styleTags.join(" ") : "",
-    (c.tags || []).join(" "),
-    (c.links || []).map(l => `${platformLabel(l.platform)} ${l.url}`).join(" ")
-  ].join(" ");
-  return normalizeText(hay).includes(q);
+  return searchResults(q).has(c.id);
 }
 
 function matchQueryTrack(t, q) {
   if (!q) return true;
-  const hay = [
-    t.title, t.artist, t.releaseDate,
-    t.mood || "",
-    Array.isArray(t.styleTags) ? t.styleTags.join(" ") : "",
-    t.inspiration && typeof t.inspiration === "object" ? Object.entries(t.inspiration).map(([k, v]) => `${k} ${v}`).join(" ") : "",
-    (t.tags || []).join(" "),
-    (t.links || []).map(l => `${platformLabel(l.platform)} ${l.url}`).join(" ")
-  ].join(" ");
-  return normalizeText(hay).includes(q);
+  return searchResults(q).has(t.id);
+}
+
+function searchScore(item, q) {
+  return q ? (searchResults(q).get(item.id)?.score || 0) : 0;
+}
+
+function searchSnippetHtml(item, q) {
+  const snippet = q ? searchResults(q).get(item.id)?.snippet : "";
+  return snippet ? `<div class="snippet">♪ ${escapeHtml(snippet)}</div>` : "";
+}
+
+// Facet filters (panel under the search box). Selected values of one facet combine with `facets.mode`
+// ("or": any of them, "and": all of them); different facets always combine with AND.
+// State lives in the query string (`?year=2026&style=lofi&style=jazz&mode=and`) so filtered views can be shared.
+const FACETS = [
+  { key: "year", label: "Year" },
+  { key: "month", label: "Month" },
+  { key: "mood", label: "Mood" },
+  { key: "style", label: "Style" },
+  { key: "key", label: "调性" },
+  { key: "bpm", label: "BPM" },
+  { key: "duration", label: "Duration" },
+  { key: "lyrics", label: "Lyrics" },
+  { key: "playable", label: "Playable on" },
+  { key: "listed", label: "Listed on" }
+];
+const FACET_MODES = ["or", "and"];
+const BPM_BUCKETS = ["< 80", "80–99", "100–119", "120–139", "140+"];
+const DURATION_BUCKETS = ["< 2:00", "2–3 min", "3–4 min", "4–5 min", "5+ min"];
+const LYRICS_FACET_LABELS = { lyrics: "有歌词", instrumental: "纯音乐", none: "无歌词" };
+const facets = { values: new Map(), selected: new Map(), mode: "or", open: false };
+
+function inspirationValue(item, keys) {
+  const insp = item?.inspiration;
+  if (!insp || typeof insp !== "object") return "";
+  for (const k of keys) {
+    if (insp[k]) return insp[k].toString().trim();
+  }
+  return "";
+}
+
+// "3:25" / "1:02:03" / 205 (seconds) → seconds.
+function durationSeconds(duration) {
+  if (Number.isFinite(duration)) return duration;
+  const parts = (duration ?? "").toString().trim().split(":").map(Number);
+  if (parts.length < 2 || parts.some(n => !Number.isFinite(n))) return NaN;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function facetValuesOf(item) {
+  const date = (item.releaseDate || "").toString();
+  const musicalKey = inspirationValue(item, ["调性", "key", "Key"]).split(/[（(，,;；]/)[0].replace(/^主要/, "").trim();
+  const bpms = (inspirationValue(item, ["速度", "bpm", "BPM"]).match(/\d{2,3}/g) || []).map(Number);
+  const bpm = bpms.length ? bpms.reduce((a, b) => a + b, 0) / bpms.length : NaN;
+  const seconds = durationSeconds(item.duration);
+  const lyrics = (item.lyrics || "").trim();
+  return {
+    year: /^\d{4}/.test(date) ? [date.slice(0, 4)] : [],
+    month: /^\d{4}-\d{2}/.test(date) ? [date.slice(0, 7)] : [],
+    mood: item.mood ? [item.mood.trim()] : [],
+    style: uniq((item.styleTags || []).map(t => (t ?? "").toString().trim()).filter(Boolean)),
+    key: musicalKey ? [musicalKey] : [],
+    bpm: Number.isFinite(bpm) ? [BPM_BUCKETS[bpm < 80 ? 0 : Math.min(4, Math.floor((bpm - 60) / 20))]] : [],
+    duration: Number.isFinite(seconds) && seconds > 0 ? [DURATION_BUCKETS[Math.max(0, Math.min(4, Math.floor(seconds / 60) - 1))]] : [],
+    lyrics: item.type === "song" ? [!lyrics ? "none" : (/^(纯音乐|instrumental)/i.test(lyrics) ? "instrumental" : "lyrics")] : [],
+    playable: uniq((item.embeds || []).filter(e => e?.url).map(e => platformKey(e.platform)).filter(Boolean)),
+    listed: uniq((item.links || []).filter(l => l?.url).map(l => platformKey(l.platform)).filter(Boolean))
+  };
+}
+
+function buildFacetIndex(collections, tracks) {
+  facets.values = new Map();
+  for (const item of [...collections, ...tracks]) facets.values.set(item.id, facetValuesOf(item));
+}
+
+function facetValueLabel(facetKey, value) {
+  if (facetKey === "lyrics") return LYRICS_FACET_LABELS[value] || value;
+  if (facetKey === "playable" || facetKey === "listed") return platformLabel(value);
+  return value;
+}
+
+function facetsActive() {
+  return facets.selected.size > 0;
+}
+
+function matchFacets(id, skipKey = "") {
+  const values = facets.values.get(id);
+  for (const [key, wanted] of facets.selected) {
+    if (key === skipKey) continue;
+    const have = values?.[key] || [];
+    const ok = facets.mode === "and"
+      ? Array.from(wanted).every(v => have.includes(v))
+      : have.some(v => wanted.has(v));
+    if (!ok) return false;
+  }
+  return true;
+}
+
+function matchFacetsCollection(collection, tracksByCollectionId) {
+  if (!facetsActive()) return true;
+  if (matchFacets(collection.id)) return true;
+  return (tracksByCollectionId.get(collection.id) || []).some(t => matchFacets(t.id));
+}
+
+function readFacetsFromUrl() {
+  const params = new URLSearchParams(location.search);
+  facets.selected = new Map();
+  for (const { key } of FACETS) {
+    const values = params.getAll(key).map(v => v.trim()).filter(Boolean);
+    if (values.length) facets.selected.set(key, new Set(values));
+  }
+  const mode = params.get("mode");
+  facets.mode = FACET_MODES.includes(mode) ? mode : "or";
+  if (facetsActive()) facets.open = true;
+}
+
+function writeFacetsToUrl() {
+  const params = new URLSearchParams(location.search);
+  for (const { key } of FACETS) params.delete(key);
+  params.delete("mode");
+  for (const [key, values] of facets.selected) {
+    for (const v of values) params.append(key, v);
+  }
+  if (facetsActive() && facets.mode !== "or") params.set("mode", facets.mode);
+  const qs = params.toString();
+  history.replaceState(history.state, "", `${location.pathname}${qs ? `?${qs}` : ""}${location.hash}`);
+}
+
+function toggleFacetValue(key, value) {
+  const set = facets.selected.get(key) || new Set();
+  if (set.has(value)) set.delete(value);
+  else set.add(value);
+  if (set.size) facets.selected.set(key, set);
+  else facets.selected.delete(key);
+}
+
+// Counts are per track: how many tracks would match with this value added, given the other facets.
+function renderFacets(tracks) {
+  const panel = document.getElementById("facets");
+  if (!panel) return;
+  panel.hidden = !facets.open;
+  if (!facets.open) {
+    panel.innerHTML = "";
+    return;
+  }
+
+  const groups = FACETS.map(({ key, label }) => {
+    const counts = new Map();
+    for (const t of tracks) {
+      if (!itemHasPlatform(t, ACTIVE_PLATFORM) || !matchFacets(t.id, key)) continue;
+      for (const v of facets.values.get(t.id)?.[key] || []) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    for (const v of facets.selected.get(key) || []) {
+      if (!counts.has(v)) counts.set(v, 0);
+    }
+    if (counts.size === 0) return "";
+
+    const buckets = key === "bpm" ? BPM_BUCKETS : (key === "duration" ? DURATION_BUCKETS : null);
+    const values = Array.from(counts.keys()).sort((a, b) => {
+      if (buckets) return buckets.indexOf(a) - buckets.indexOf(b);
+      if (key === "year" || key === "month") return b.localeCompare(a);
+      return (counts.get(b) - counts.get(a)) || a.localeCompare(b, "zh-CN");
+    });
+    const selected = facets.selected.get(key) || new Set();
+    const chips = values.map(v => `
+      <button class="chip" type="button" data-kind="tag" data-facet="${escapeHtml(key)}" data-value="${escapeHtml(v)}" aria-pressed="${selected.has(v) ? "true" : "false"}">${escapeHtml(facetValueLabel(key, v))} <span class="count">${counts.get(v)}</span></button>
+    `).join("");
+    return `
+      <div class="facet-group">
+        <div class="facet-label">${escapeHtml(label)}</div>
+        <div class="chips">${chips}</div>
+      </div>
+    `;
+  }).filter(Boolean).join("");
+
+  panel.innerHTML = `
+    <div class="facet-head">
+      <div class="facet-label">同一项内多选</div>
+      ${FACET_MODES.map(m => `<button class="btn" type="button" data-facet-mode="${m}" aria-pressed="${facets.mode === m ? "true" : "false"}">${m === "or" ? "任一 (OR)" : "全部 (AND)"}</button>`).join("")}
+      ${facetsActive() ? `<button class="btn" type="button" data-facet-clear="true">Clear filters</button>` : ""}
+    </div>
+    ${groups || `<div class="empty">没有可筛选的字段。</div>`}
+  `;
 }
 
 function renderCollections(collections, tracksByCollectionId, q, tagKey) {
   const filtered = collections
     .filter(c => matchQueryCollection(c, q))
     .filter(c => collectionHasPlatform(c, tracksByCollectionId, ACTIVE_PLATFORM))
+    .filter(c => matchFacetsCollection(c, tracksByCollectionId))
     .filter(c => {
       if (!tagKey || tagKey === "all" || !tagKey.startsWith("tag:")) return true;
       const t = tagKey.slice(4);
       return (c.tags || []).includes(t);
     })
-    .sort((a, b) => (b.releaseDate || "").localeCompare(a.releaseDate || ""));
+    .sort((a, b) => (searchScore(b, q) - searchScore(a, q)) || (b.releaseDate || "").localeCompare(a.releaseDate || ""));
 
   const limited = filtered.slice(0, collectionLimit);
   const tiles = limited.map((c, idx) => {
@@ -622,7 +1812,8 @@ function renderSection(title, sub, bodyHtml) {
 function renderCollectionDetail(collection, tracks, q) {
   const filteredAll = tracks
     .filter(t => matchQueryTrack(t, q))
-    .filter(t => itemHasPlatform(t, ACTIVE_PLATFORM));
+    .filter(t => itemHasPlatform(t, ACTIVE_PLATFORM))
+    .filter(t => matchFacets(t.id));
   const filtered = filteredAll.slice(0, trackLimit);
   const list = filtered.map((t, idx) => {
     const meta = [t.artist || "", t.releaseDate || ""].filter(Boolean).join(" · ");
@@ -635,6 +1826,7 @@ function renderCollectionDetail(collection, tracks, q) {
         <div class="tmeta">
           <div class="title">${escapeHtml(t.title)}</div>
           <div class="sub">${escapeHtml(meta)}</div>
+          ${searchSnippetHtml(t, q)}
           ${badgesHtml}
         </div>
         <div class="dock">${icons}</div>
@@ -660,7 +1852,8 @@ function renderTracksFlat(tracks, collectionsById, q, tagKey = "") {
       return Array.isArray(t.tags) && t.tags.includes(tag);
     })
     .filter(t => itemHasPlatform(t, ACTIVE_PLATFORM))
-    .sort((a, b) => (a.title || "").localeCompare(b.title || "", "zh-CN"));
+    .filter(t => matchFacets(t.id))
+    .sort((a, b) => (searchScore(b, q) - searchScore(a, q)) || (a.title || "").localeCompare(b.title || "", "zh-CN"));
 
   const filtered = filteredAll.slice(0, trackLimit);
   const list = filtered.map((t, idx) => {
@@ -675,6 +1868,7 @@ function renderTracksFlat(tracks, collectionsById, q, tagKey = "") {
         <div class="tmeta">
           <div class="title">${escapeHtml(t.title)}</div>
           <div class="sub">${escapeHtml(meta)}</div>
+          ${searchSnippetHtml(t, q)}
           ${badgesHtml}
         </div>
         <div class="dock">${icons}</div>
@@ -851,8 +2045,129 @@ function normalizeLyricsForDisplay(raw, titleHint = "") {
   return t.replace(/\n{3,}/g, "\n\n").trim();
 }
 
+function readLyricsView() {
+  try {
+    const v = localStorage.getItem(LYRICS_VIEW_KEY) || "";
+    return LYRICS_VIEWS.includes(v) ? v : "original";
+  } catch {
+    return "original";
+  }
+}
+
+function setLyricsView(view) {
+  LYRICS_VIEW = LYRICS_VIEWS.includes(view) ? view : "original";
+  try {
+    localStorage.setItem(LYRICS_VIEW_KEY, LYRICS_VIEW);
+  } catch {
+    // ignore quota / private mode
+  }
+}
+
+// Which lyric views a track can offer (original is always there when it has any lyrics).
+function lyricsViewsFor(track) {
+  const timed = Array.isArray(track?.lyricsTimed) ? track.lyricsTimed : [];
+  const views = ["original"];
+  if (track?.lyricsTranslation || timed.some((l) => l.translation)) views.push("bilingual");
+  if (track?.lyricsRomaji || timed.some((l) => l.romaji)) views.push("romaji");
+  return views;
+}
+
+function renderLyricsViewToggle(views, active) {
+  if (views.length < 2) return "";
+  const labels = { original: "原文", bilingual: "双语", romaji: "Romaji" };
+  return `
+    <div class="lyrics-views" role="group" aria-label="Lyrics view">
+      ${views.map((v) => `<button class="btn" type="button" data-lyrics-view="${v}" aria-pressed="${v === active ? "true" : "false"}">${labels[v]}</button>`).join("")}
+    </div>
+  `;
+}
+
+function timedLineHtml(l, view) {
+  if (view === "bilingual") {
+    return `<span class="lyric-orig">${escapeHtml(l.text) || "&nbsp;"}</span><span class="lyric-tr">${escapeHtml(l.translation)}</span>`;
+  }
+  if (view === "romaji") return escapeHtml(l.romaji || l.text) || "&nbsp;";
+  return escapeHtml(l.text) || "&nbsp;";
+}
+
+function renderTimedLyrics(track, lines, view = "original") {
+  const rows = lines
+    .map((l) => `<p class="lyric-line" data-ms="${l.ms}">${timedLineHtml(l, view)}</p>`)
+    .join("");
+  const cls = view === "bilingual" ? "lyrics lyrics-timed lyrics-bilingual" : "lyrics lyrics-timed";
+  return `
+    <div class="${cls}" data-lyrics-timed="${escapeHtml(track?.id || "")}">${rows}</div>
+    <div class="muted small" style="margin-top:8px;">用 YouTube 播放这首歌时，歌词会逐行高亮。</div>
+  `;
+}
+
+// Timed lines win when they carry the requested view; otherwise fall back to the plain-text fields.
+function renderLyricsBody(track, lyrics, view) {
+  const timed = Array.isArray(track?.lyricsTimed) ? track.lyricsTimed : [];
+  if (view === "bilingual") {
+    if (timed.some((l) => l.translation)) return renderTimedLyrics(track, timed, view);
+    if (track?.lyricsTranslation) {
+      return `<div class="lyrics lyrics-bilingual lyrics-columns"><div>${escapeHtml(lyrics)}</div><div class="lyric-tr">${escapeHtml(track.lyricsTranslation)}</div></div>`;
+    }
+  }
+  if (view === "romaji") {
+    if (timed.some((l) => l.romaji)) return renderTimedLyrics(track, timed, view);
+    if (track?.lyricsRomaji) return `<div class="lyrics">${escapeHtml(track.lyricsRomaji)}</div>`;
+  }
+  if (timed.length) return renderTimedLyrics(track, timed);
+  if (lyrics) return `<div class="lyrics">${escapeHtml(lyrics)}</div>`;
+  return `<div class="empty" style="border-top:0;margin-top:12px;">暂无歌词。</div>`;
+}
+
+// Karaoke-style highlight: poll the YouTube player (or the self-hosted <audio>) while a timed-lyrics
+// block for the currently playing track is on screen (stops by itself once the block is gone).
+const lyricsSync = { timer: 0 };
+
+function stopLyricsSync() {
+  if (lyricsSync.timer) window.clearInterval(lyricsSync.timer);
+  lyricsSync.timer = 0;
+}
+
+function startLyricsSync() {
+  stopLyricsSync();
+  if (!document.querySelector("[data-lyrics-timed]")) return;
+  lyricsSync.timer = window.setInterval(tickLyricsSync, 250);
+  tickLyricsSync();
+}
+
+function tickLyricsSync() {
+  const box = document.querySelector("[data-lyrics-timed]");
+  if (!box) {
+    stopLyricsSync();
+    return;
+  }
+  const yt = player.youtube;
+  let ms = -1;
+  if (box.dataset.lyricsTimed === player.trackId) {
+    if (audio.url && audio.trackId === player.trackId) ms = audio.el.currentTime * 1000;
+    else if (typeof yt?.getCurrentTime === "function") ms = Number(yt.getCurrentTime()) * 1000;
+  }
+
+  const lines = box.querySelectorAll(".lyric-line");
+  let index = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (Number(lines[i].dataset.ms) > ms) break;
+    index = i;
+  }
+
+  const prev = box.querySelector(".lyric-line.is-active");
+  const next = index >= 0 ? lines[index] : null;
+  if (prev === next) return;
+  if (prev) prev.classList.remove("is-active");
+  if (!next) return;
+  next.classList.add("is-active");
+  box.scrollTo({ top: next.offsetTop - box.clientHeight / 2 + next.offsetHeight / 2, behavior: "smooth" });
+}
+
 function renderTrackDetail(track, collection) {
   const lyrics = normalizeLyricsForDisplay(track?.lyrics ?? "", track?.title || "");
+  const lyricsViews = lyricsViewsFor(track);
+  const lyricsView = lyricsViews.includes(LYRICS_VIEW) ? LYRICS_VIEW : "original";
   const mood = (track?.mood ?? "").toString().trim();
   const styleTags = Array.isArray(track?.styleTags) ? track.styleTags.filter(Boolean) : [];
   const tags = Array.isArray(track?.tags) ? track.tags.filter(Boolean) : [];
@@ -884,7 +2199,8 @@ function renderTrackDetail(track, collection) {
       <div class="detail-card">
         ${badgeBlocks || ""}
         ${renderKv(kv) || ""}
-        ${lyrics ? `<div class="lyrics">${escapeHtml(lyrics)}</div>` : `<div class="empty" style="border-top:0;margin-top:12px;">暂无歌词。</div>`}
+        ${renderLyricsViewToggle(lyricsViews, lyricsView)}
+        ${renderLyricsBody(track, lyrics, lyricsView)}
       </div>
     </div>
   `;
@@ -893,18 +2209,19 @@ function renderTrackDetail(track, collection) {
 function renderFilters() {
   const filters = document.getElementById("filters");
   if (!filters) return;
-  if (!ACTIVE_PLATFORM) {
-    filters.innerHTML = "";
-    return;
-  }
+  const selectedCount = Array.from(facets.selected.values()).reduce((n, set) => n + set.size, 0);
   filters.innerHTML = `
+    <button class="chip" type="button" data-toggle-facets="true" aria-expanded="${facets.open ? "true" : "false"}" aria-pressed="${selectedCount ? "true" : "false"}">
+      Filters${selectedCount ? ` · ${selectedCount}` : ""}
+    </button>
+    ${ACTIVE_PLATFORM ? `
     <button class="chip" type="button" data-clear-platform="true" aria-pressed="true">
       Platform: ${escapeHtml(platformLabel(ACTIVE_PLATFORM))} ×
-    </button>
+    </button>` : ""}
   `;
 }
 
-function setHero({ coverItem, title, sub, actionsHtml }) {
+function setHero({ coverItem, title, sub, actionsHtml, waveformTrack }) {
   const media = document.getElementById("hero-media");
   media.innerHTML = coverItem
     ? `<div class="hero-cover">${coverHtml(coverItem)}</div>`
@@ -912,6 +2229,11 @@ function setHero({ coverItem, title, sub, actionsHtml }) {
   document.getElementById("hero-title").textContent = title || "";
   document.getElementById("hero-sub").textContent = sub || "";
   document.getElementById("hero-actions").innerHTML = actionsHtml || "";
+  const waveform = document.getElementById("hero-waveform");
+  if (waveform) {
+    waveform.innerHTML = waveformHtml(waveformTrack);
+    mountWaveforms(waveform);
+  }
 }
 
 function nextFrame() {
@@ -953,6 +2275,8 @@ function setLoadingUI(stageText = "加载中…") {
   document.getElementById("hero-title").textContent = "Loading";
   document.getElementById("hero-sub").textContent = stageText || "加载中…";
   document.getElementById("hero-actions").innerHTML = "";
+  const heroWaveform = document.getElementById("hero-waveform");
+  if (heroWaveform) heroWaveform.innerHTML = "";
   const content = document.getElementById("content");
   if (content) content.innerHTML = renderLoadingTiles(8);
 }
@@ -1051,13 +2375,22 @@ function bootApp({ catalog, headers }) {
   SHOW_EMPTY_LINKS = profile?.settings?.showEmptyLinks === true;
   PLAYER_UI = profile?.settings?.playerUi || "modal";
   YOUTUBE_AUTOPLAY = profile?.settings?.youtubeAutoplay !== false;
+  EMBED_CONSENT = profile?.settings?.embedConsent === true;
+  LYRICS_VIEW = readLyricsView();
+  ROUTING = profile?.settings?.routing === "history" ? "history" : "hash";
+  OFFLINE = profile?.settings?.offline !== false;
+  if (ROUTING === "history") {
+    // Old shared links (#/c/<id> …) keep working: swap them for the path form.
+    if (location.hash.startsWith("#/")) history.replaceState(null, "", `${currentRoutePath()}${location.search}`);
+    document.querySelectorAll('a[href^="#/"]').forEach((a) => a.setAttribute("href", a.getAttribute("href").slice(1)));
+  }
   const notes = Array.isArray(catalog?.notes) ? catalog.notes : [];
 
   const profileNameEl = document.getElementById("profile-name");
   if (profileNameEl) profileNameEl.textContent = profile?.name || "Music";
   const profileTaglineEl = document.getElementById("profile-tagline");
   if (profileTaglineEl) profileTaglineEl.textContent = profile?.tagline || "";
-  document.title = profile?.name ? `${profile.name} · Music` : "Music";
+  if (!PRERENDERED) document.title = profile?.name ? `${profile.name} · Music` : "Music";
 
   const brandHome = document.getElementById("brand-home");
   const brandHomeSr = document.getElementById("brand-home-sr");
@@ -1083,6 +2416,36 @@ function bootApp({ catalog, headers }) {
   const collectionsById = new Map(collections.map(c => [c.id, c]));
   const tracksByCollectionId = groupTracksByCollectionId(tracks);
   const tracksById = new Map(tracks.map(t => [t.id, t]));
+  buildSearchIndex(collections, tracks, tracksByCollectionId, collectionsById);
+  buildFacetIndex(collections, tracks);
+  readFacetsFromUrl();
+
+  resolvePlayable = (id) => tracksById.get(id) || collectionsById.get(id) || null;
+  restoreQueue((id) => tracksById.has(id) || collectionsById.has(id));
+  const restored = resolvePlayable(queueCurrentId());
+  if (restored) setPlayerInfo(restored);
+  renderQueueControls();
+
+  // Plays a track row and queues the list it was clicked in (album tracklist, search results, …).
+  function playFromRow(row, id) {
+    const t = tracksById.get(id);
+    if (!t) return false;
+    const list = row?.closest(".list");
+    const ids = list
+      ? Array.from(list.querySelectorAll("[data-play-row]")).map(el => el.getAttribute("data-play-row"))
+      : [id];
+    setQueue(ids, id);
+    playTrack(t);
+    return true;
+  }
+
+  function playCollectionTracks(collectionId) {
+    const list = (tracksByCollectionId.get(collectionId) || []).filter(t => itemHasPlatform(t, ACTIVE_PLATFORM));
+    if (list.length === 0) return false;
+    setQueue(list.map(t => t.id), list[0].id);
+    playTrack(list[0]);
+    return true;
+  }
 
   const chips = chipDefs(collections);
   let chipKey = "all";
@@ -1094,7 +2457,7 @@ function bootApp({ catalog, headers }) {
   const heroSub = document.getElementById("hero-sub");
 
 function rerender() {
-    const { route, id } = parseHash();
+    const { route, id } = parseRoute();
     setNav(route);
 
     if (route === "platform") {
@@ -1105,6 +2468,7 @@ function rerender() {
 
     profileIcons.innerHTML = pLinks.map(platformDockIcon).join("");
     renderFilters();
+    renderFacets(tracks);
 
     const q = normalizeText(qEl.value);
 
@@ -1112,7 +2476,7 @@ function rerender() {
       const c = collectionsById.get(id);
       if (!c) {
         setHero({ coverItem: null, title: "Not found", sub: "这个合集不存在。", actionsHtml: "" });
-        content.innerHTML = `<div class="empty"><a href="#/">返回首页</a></div>`;
+        content.innerHTML = `<div class="empty"><a href="${routeHref("/")}">返回首页</a></div>`;
         return;
       }
       const list = tracksByCollectionId.get(c.id) || [];
@@ -1121,7 +2485,8 @@ function rerender() {
       const collectionEmbed = pickEmbed(c);
       const actions = [
         `<div class="dock">${renderPlatformIcons(c.links || [], 12)}</div>`,
-        collectionEmbed?.url ? `<button class="btn primary" type="button" data-play="${escapeHtml(c.id)}">Play</button>` : "",
+        list.length ? `<button class="btn primary" type="button" data-play-album="${escapeHtml(c.id)}">Play album</button>` : "",
+        collectionEmbed?.url ? `<button class="btn${list.length ? "" : " primary"}" type="button" data-play="${escapeHtml(c.id)}">${list.length ? "Playlist" : "Play"}</button>` : "",
         styleTags.length ? `<div class="badges" style="margin-top:10px;">${renderBadges(styleTags, 18)}</div>` : "",
         tags.length ? `<div class="badges" style="margin-top:10px;">${renderBadges(tags, 18)}</div>` : ""
       ].filter(Boolean).join("");
@@ -1139,7 +2504,7 @@ function rerender() {
       const t = tracksById.get(id);
       if (!t) {
         setHero({ coverItem: null, title: "Not found", sub: "这个曲目不存在。", actionsHtml: "" });
-        content.innerHTML = `<div class="empty"><a href="#/tracks">返回 Tracks</a></div>`;
+        content.innerHTML = `<div class="empty"><a href="${routeHref("/tracks")}">返回 Tracks</a></div>`;
         return;
       }
       const col = collectionsById.get(t.collectionId || "");
@@ -1149,8 +2514,9 @@ function rerender() {
         `<button class="btn primary" type="button" data-play="${escapeHtml(t.id)}">Play</button>`,
         col?.id ? `<button class="btn" type="button" data-open="${escapeHtml(col.id)}">Album</button>` : ""
       ].filter(Boolean).join("");
-      setHero({ coverItem: t, title: t.title || "(未命名)", sub, actionsHtml: actions });
+      setHero({ coverItem: t, title: t.title || "(未命名)", sub, actionsHtml: actions, waveformTrack: t });
       content.innerHTML = renderTrackDetail(t, col);
+      startLyricsSync();
       return;
     }
 
@@ -1185,37 +2551,59 @@ function rerender() {
 
     const wantsTracksOnly = chipKey === "tracks";
     const wantsCollectionsOnly = chipKey === "collections";
+    const filtering = Boolean(q) || facetsActive();
 
     setHero({
       coverItem: null,
-      title: q
-        ? "Search"
+      title: filtering
+        ? (q ? "Search" : "Filtered")
         : (wantsTracksOnly ? "Tracks" : (profile?.headline || "Latest collections")),
-      sub: q
+      sub: filtering
         ? "匹配歌曲 + 合集（点击歌曲整行播放）"
         : (wantsTracksOnly ? "按歌名搜索（点击整行播放）" : (ACTIVE_PLATFORM ? `当前筛选：${platformLabel(ACTIVE_PLATFORM)} · 点击平台图标可切换/清除` : "点击一个合集 → 选曲 → 底部播放器播放（不跳转）")),
       actionsHtml: ""
     });
 
     const sections = [];
-    if (wantsTracksOnly || (!wantsCollectionsOnly && q)) {
+    if (wantsTracksOnly || (!wantsCollectionsOnly && filtering)) {
       sections.push(renderSection(
         "Tracks",
-        q ? "匹配歌曲（支持 YouTube 自动播放）" : "全部歌曲（点击整行播放）",
+        filtering ? "匹配歌曲（支持 YouTube 自动播放）" : "全部歌曲（点击整行播放）",
         renderTracksFlat(tracks, collectionsById, q, chipKey)
       ));
     }
     if (!wantsTracksOnly) {
       sections.push(renderSection(
         "Collections",
-        q ? "匹配合集" : "最新合集",
+        filtering ? "匹配合集" : "最新合集",
         renderCollections(collections, tracksByCollectionId, q, chipKey)
       ));
     }
     content.innerHTML = sections.join("");
   }
 
-  window.addEventListener("hashchange", rerender);
+  onRouteChange = rerender;
+  window.addEventListener("hashchange", () => {
+    // History routing: a legacy "#/..." link clicked inside the page becomes a path.
+    if (ROUTING === "history" && location.hash.startsWith("#/")) history.replaceState(null, "", `${currentRoutePath()}${location.search}`);
+    rerender();
+  });
+  if (ROUTING === "history") {
+    window.addEventListener("popstate", rerender);
+
+    // Keep in-app links (nav, platform dock, "back" links) on pushState instead of full page loads.
+    document.addEventListener("click", (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      const a = e.target.closest("a[href]");
+      if (!a || a.target) return;
+      const url = new URL(a.href, location.href);
+      if (url.origin !== location.origin) return;
+      const path = url.hash.startsWith("#/") ? url.hash.slice(1) : url.pathname;
+      if (path !== "/" && !ROUTE_PATH_RE.test(path)) return;
+      e.preventDefault();
+      navigate(path);
+    });
+  }
   qEl.addEventListener("input", rerender);
 
   document.getElementById("chips").addEventListener("click", (e) => {
@@ -1231,6 +2619,13 @@ function rerender() {
     // Static icons are just indicators; clicking them should still open the tile.
     if (e.target.closest("a.icon")) return;
 
+    const lyricsViewBtn = e.target.closest("[data-lyrics-view]");
+    if (lyricsViewBtn) {
+      setLyricsView(lyricsViewBtn.getAttribute("data-lyrics-view"));
+      rerender();
+      return;
+    }
+
     const more = e.target.closest("[data-more]");
     if (more) {
       const kind = more.getAttribute("data-more");
@@ -1243,32 +2638,27 @@ function rerender() {
     const open = e.target.closest("[data-open]");
     if (open) {
       const id = open.getAttribute("data-open");
-      if (id) location.hash = `#/c/${encodeURIComponent(id)}`;
+      if (id) navigate(`/c/${encodeURIComponent(id)}`);
       return;
     }
 
     const openTrack = e.target.closest("[data-open-track]");
     if (openTrack) {
       const id = openTrack.getAttribute("data-open-track");
-      if (id) location.hash = `#/t/${encodeURIComponent(id)}`;
+      if (id) navigate(`/t/${encodeURIComponent(id)}`);
       return;
     }
 
     const playBtn = e.target.closest("[data-play]");
     if (playBtn) {
       const id = playBtn.getAttribute("data-play");
-      const t = tracksById.get(id);
-      if (t) {
-        playTrack(t);
-        return;
-      }
+      if (playFromRow(playBtn.closest("[data-play-row]"), id)) return;
     }
 
     const playRow = e.target.closest("[data-play-row]");
     if (playRow) {
       const id = playRow.getAttribute("data-play-row");
-      const t = tracksById.get(id);
-      if (t) playTrack(t);
+      playFromRow(playRow, id);
     }
   });
 
@@ -1279,15 +2669,14 @@ function rerender() {
     const playRow = e.target.closest("[data-play-row]");
     if (playRow) {
       const id = playRow.getAttribute("data-play-row");
-      const t = tracksById.get(id);
-      if (t) playTrack(t);
+      playFromRow(playRow, id);
       return;
     }
 
     const open = e.target.closest("[data-open]");
     if (!open) return;
     const id = open.getAttribute("data-open");
-    if (id) location.hash = `#/c/${encodeURIComponent(id)}`;
+    if (id) navigate(`/c/${encodeURIComponent(id)}`);
   });
 
   document.getElementById("btn-toggle").addEventListener("click", () => {
@@ -1300,15 +2689,99 @@ function rerender() {
   });
   document.getElementById("btn-close").addEventListener("click", () => clearPlayer());
 
+  document.getElementById("btn-shuffle").addEventListener("click", () => {
+    setQueueShuffle(!queue.shuffle);
+    renderQueueControls();
+  });
+  document.getElementById("btn-repeat").addEventListener("click", () => {
+    cycleQueueRepeat();
+    renderQueueControls();
+  });
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-queue-step]");
+    if (!btn || btn.disabled) return;
+    playQueueStep(Number(btn.getAttribute("data-queue-step")) || 0);
+  });
+
+  // Self-hosted audio controls: the bar and the modal share the markup and the current <audio> element.
+  document.addEventListener("click", (e) => {
+    if (!e.target.closest("[data-audio-toggle]") || !audio.url) return;
+    if (audio.el.paused) audio.el.play().catch(() => {});
+    else audio.el.pause();
+  });
+  document.addEventListener("click", (e) => {
+    const canvas = e.target.closest("canvas[data-waveform]");
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    seekWaveform(canvas, Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+  });
+  document.addEventListener("input", (e) => {
+    const input = e.target;
+    if (!audio.url || !(input instanceof HTMLInputElement)) return;
+    if (input.matches("[data-audio-seek]")) {
+      // Scrubbing only previews the time; the jump happens on `change` (release).
+      audio.seeking = true;
+      renderAudioUi();
+    } else if (input.matches("[data-audio-volume]")) {
+      audio.el.volume = audio.next.volume = Number(input.value);
+      writeAudioSettings();
+    }
+  });
+  document.addEventListener("change", (e) => {
+    const input = e.target;
+    if (!audio.url || !(input instanceof Element)) return;
+    if (input.matches("[data-audio-seek]")) {
+      audio.seeking = false;
+      audio.el.currentTime = Number(input.value) || 0;
+    } else if (input.matches("[data-audio-rate]")) {
+      const rate = Number(input.value) || 1;
+      for (const el of [audio.el, audio.next]) el.defaultPlaybackRate = el.playbackRate = rate;
+      writeAudioSettings();
+    }
+  });
+
   const modal = document.getElementById("player-modal");
   if (modal) {
     modal.addEventListener("click", (e) => {
+      const tab = e.target.closest("[data-embed-tab]");
+      if (tab) {
+        const index = Number(tab.getAttribute("data-embed-tab")) || 0;
+        preferPlatform(modalEmbeds.embeds[index]?.platform);
+        showModalEmbed(index);
+        return;
+      }
       const close = e.target.closest("[data-modal-close]");
       if (!close) return;
       setPlayerOpen(false);
     });
   }
 
+  // Embed consent: load one platform's player(s), optionally remembering the choice.
+  document.addEventListener("click", (e) => {
+    const reset = e.target.closest("[data-embed-consent-reset]");
+    if (reset) {
+      writeEmbedConsent(new Set());
+      reset.replaceWith(document.createTextNode("已撤销，下次播放时会重新询问。"));
+      return;
+    }
+    const btn = e.target.closest("[data-embed-load]");
+    if (!btn) return;
+    const key = btn.getAttribute("data-embed-load") || "";
+    const remember = btn.closest(".embed-consent")?.querySelector("[data-embed-remember]")?.checked;
+    if (remember) rememberEmbedConsent(key);
+    if (btn.closest("#player-note")) {
+      if (player.pendingEmbed) loadDockedEmbed(player.pendingEmbed);
+      return;
+    }
+    const body = document.getElementById("modal-body");
+    if (body) mountConsentedEmbeds(body, key);
+  });
+
+  document.getElementById("catalog-toast").addEventListener("click", (e) => {
+    if (e.target.closest("[data-toast-reload]")) location.reload();
+    if (e.target.closest("[data-toast-close]")) e.currentTarget.hidden = true;
+  });
+
   window.addEventListener("keydown", (e) => {
     if (e.key !== "Escape") return;
     if (!player.open) return;
@@ -1316,10 +2789,10 @@ function rerender() {
   });
 
   document.getElementById("profile-icons").addEventListener("click", (e) => {
-    const a = e.target.closest('a[href^="#/p/"]');
+    const a = e.target.closest("a.icon[href]");
     if (!a) return;
     const href = a.getAttribute("href") || "";
-    const m = href.match(/^#\/p\/(.+)$/);
+    const m = href.match(/^#?\/p\/(.+)$/);
     if (!m) return;
     const platform = decodeURIComponent(m[1] || "");
     if (!platform) return;
@@ -1330,11 +2803,18 @@ function rerender() {
       trackLimit = 200;
       profileIcons.innerHTML = pLinks.map(platformDockIcon).join("");
       renderFilters();
-      location.hash = "#/";
+      navigate("/");
     }
   });
 
   document.getElementById("filters").addEventListener("click", (e) => {
+    if (e.target.closest("[data-toggle-facets]")) {
+      facets.open = !facets.open;
+      renderFilters();
+      renderFacets(tracks);
+      return;
+    }
+
     const btn = e.target.closest("[data-clear-platform]");
     if (!btn) return;
     ACTIVE_PLATFORM = "";
@@ -1345,13 +2825,33 @@ function rerender() {
     rerender();
   });
 
+  document.getElementById("facets").addEventListener("click", (e) => {
+    const value = e.target.closest("[data-facet]");
+    const mode = e.target.closest("[data-facet-mode]");
+    const clear = e.target.closest("[data-facet-clear]");
+    if (value) toggleFacetValue(value.getAttribute("data-facet"), value.getAttribute("data-value") || "");
+    else if (mode) facets.mode = mode.getAttribute("data-facet-mode") === "and" ? "and" : "or";
+    else if (clear) facets.selected = new Map();
+    else return;
+    collectionLimit = 48;
+    trackLimit = 200;
+    writeFacetsToUrl();
+    rerender();
+  });
+
   document.getElementById("hero-actions").addEventListener("click", (e) => {
     if (e.target.closest("a.icon")) return;
 
     const open = e.target.closest("[data-open]");
     if (open) {
       const id = open.getAttribute("data-open");
-      if (id) location.hash = `#/c/${encodeURIComponent(id)}`;
+      if (id) navigate(`/c/${encodeURIComponent(id)}`);
+      return;
+    }
+
+    const playAlbum = e.target.closest("[data-play-album]");
+    if (playAlbum) {
+      playCollectionTracks(playAlbum.getAttribute("data-play-album"));
       return;
     }
 
@@ -1360,6 +2860,8 @@ function rerender() {
       const id = playBtn.getAttribute("data-play");
       const t = tracksById.get(id);
       if (t) {
+        const albumIds = (tracksByCollectionId.get(t.collectionId || "") || []).map(x => x.id);
+        setQueue(t.collectionId && albumIds.includes(t.id) ? albumIds : [t.id], t.id);
         playTrack(t);
         return;
       }
@@ -1375,59 +2877,96 @@ function rerender() {
     trackLimit = 200;
     profileIcons.innerHTML = pLinks.map(platformDockIcon).join("");
     renderFilters();
-    location.hash = "#/";
+    navigate("/");
   });
 
   rerender();
   clearLoadingUI();
 }
 
+function setLoadingStage(text) {
+  if (PRERENDERED) return;
+  document.getElementById("hero-sub").textContent = text;
+}
+
+function showCatalogUpdatedToast() {
+  const toast = document.getElementById("catalog-toast");
+  if (!toast) return;
+  toast.hidden = false;
+}
+
+// Fetch catalog.json again (through the service worker when there is one); if it differs from the
+// catalog on screen, keep it for the next load and offer a refresh instead of reloading under the user.
+let catalogText = "";
+async function refreshCatalog() {
+  try {
+    const res = await fetch(CATALOG_URL, { cache: "no-cache" });
+    if (!res.ok) return;
+    const freshText = await res.text();
+    if (!freshText || freshText === catalogText) return;
+    writeCatalogCache(freshText, res.headers);
+    catalogText = freshText;
+    showCatalogUpdatedToast();
+  } catch {
+    // ignore (offline)
+  }
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  if (!OFFLINE) {
+    navigator.serviceWorker.getRegistrations()
+      .then((regs) => regs.forEach((r) => r.unregister()))
+      .catch(() => {});
+    return;
+  }
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "catalog-updated") void refreshCatalog();
+  });
+  navigator.serviceWorker.register("sw.js").catch((err) => console.warn("service worker:", err));
+}
+
 async function main() {
-  setLoadingUI("读取缓存…");
+  if (!PRERENDERED) setLoadingUI("读取缓存…");
+  const platformsLoaded = loadPlatforms();
   await nextFrame();
 
   const cached = readCatalogCache();
   if (cached?.text) {
-    document.getElementById("hero-sub").textContent = "使用缓存目录…";
+    setLoadingStage("使用缓存目录…");
     await nextFrame();
     const catalog = JSON.parse(cached.text);
-    document.getElementById("hero-sub").textContent = "准备渲染…";
+    setLoadingStage("准备渲染…");
     await nextFrame();
+    catalogText = cached.text;
+    await platformsLoaded;
     bootApp({ catalog, headers: cached.headers });
+    registerServiceWorker();
 
-    // Refresh in the background. If updated, save and reload once.
-    void (async () => {
-      try {
-        const res = await fetch(CATALOG_URL, { cache: "no-cache" });
-        if (!res.ok) return;
-        const freshText = await res.text();
-        if (!freshText || freshText === cached.text) return;
-        writeCatalogCache(freshText, res.headers);
-        location.reload();
-      } catch {
-        // ignore
-      }
-    })();
-
+    // Refresh in the background; a changed catalog shows the "updated" toast.
+    void refreshCatalog();
     return;
   }
 
-  setLoadingUI("下载目录…");
+  if (!PRERENDERED) setLoadingUI("下载目录…");
   await nextFrame();
 
   const { text, headers } = await fetchTextWithProgress(CATALOG_URL, ({ received, total }) => {
     const progress = total > 0 ? `${formatBytes(received)} / ${formatBytes(total)}` : `${formatBytes(received)}`;
-    document.getElementById("hero-sub").textContent = `下载目录… ${progress}`;
+    setLoadingStage(`下载目录… ${progress}`);
   });
 
-  document.getElementById("hero-sub").textContent = "解析目录…";
+  setLoadingStage("解析目录…");
   await nextFrame();
 
   writeCatalogCache(text, headers);
   const catalog = JSON.parse(text);
-  document.getElementById("hero-sub").textContent = "准备渲染…";
+  setLoadingStage("准备渲染…");
   await nextFrame();
+  catalogText = text;
+  await platformsLoaded;
   bootApp({ catalog, headers });
+  registerServiceWorker();
 }
 
 main().catch((err) => {
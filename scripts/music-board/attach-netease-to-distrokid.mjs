@@ -17,8 +17,8 @@
  * Default is DRY RUN (no writes). Add --apply to save.
  */
 
-import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, ensureArray, normalizeKey } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -34,68 +34,6 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function normalizeKey(text) {
-  return (text ?? "")
-    .toString()
-    .normalize("NFKC")
-    .trim()
-    .toLowerCase()
-    .replace(/[\s·•—–\-_/\\:：,，.。!?！？'"“”‘’()（）\[\]{}<>《》]+/g, "");
-}
-
-function platformKey(platform) {
-  return (platform ?? "").toString().trim().toLowerCase().replace(/\s+/g, "");
-}
-
-function mergeLinksByPlatform(existing, incoming) {
-  const out = [];
-  const byPlatform = new Map();
-  for (const l of ensureArray(existing)) {
-    const p = platformKey(l?.platform);
-    if (!p) continue;
-    byPlatform.set(p, { ...l, platform: (l?.platform ?? "").toString().trim() });
-  }
-  for (const l of ensureArray(incoming)) {
-    const p = platformKey(l?.platform);
-    if (!p) continue;
-    const prev = byPlatform.get(p);
-    if (!prev) {
-      byPlatform.set(p, { ...l, platform: (l?.platform ?? "").toString().trim() });
-      continue;
-    }
-    const next = { ...prev };
-    if ((!next.url || next.url === "") && l?.url) next.url = l.url;
-    if ((!next.label || next.label === "" || next.label.toLowerCase() === p) && l?.label) next.label = l.label;
-    byPlatform.set(p, next);
-  }
-  for (const [, v] of byPlatform) out.push(v);
-  return out;
-}
-
-function mergeEmbeds(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const e of ensureArray(existing).concat(ensureArray(incoming))) {
-    const p = platformKey(e?.platform);
-    const url = (e?.url || "").toString();
-    if (!url) continue;
-    const key = `${p}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform: (e?.platform ?? "").toString().trim(),
-      label: e?.label || "",
-      url,
-      height: Number.isFinite(e?.height) ? e.height : undefined
-    });
-  }
-  return out;
-}
-
 function parseNeteaseNumericId(itemId, prefix) {
   const m = (itemId ?? "").toString().match(new RegExp(`^${prefix}-(\\\\d+)$`));
   return m ? m[1] : "";
@@ -115,10 +53,6 @@ function isNeteaseAlbum(item) {
   return ensureArray(item.tags).includes("netease");
 }
 
-function isSong(item) {
-  return item && (item.type || "") === "song";
-}
-
 function pickMatchedAlbum(distroAlbum, neteaseAlbums) {
   const dkTitle = normalizeKey(distroAlbum?.title || "");
   const dkDate = (distroAlbum?.releaseDate || "").toString().trim();
@@ -185,13 +119,10 @@ async function main() {
     }
   }
 
-  const raw = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(raw);
-  const items = ensureArray(catalog?.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
-  const distrokidAlbums = items.filter(isDistrokidAlbum).filter((a) => !albumOnly || (a.id || "") === albumOnly);
-  const neteaseAlbums = items.filter(isNeteaseAlbum);
+  const distrokidAlbums = catalog.filter(isDistrokidAlbum).filter((a) => !albumOnly || (a.id || "") === albumOnly);
+  const neteaseAlbums = catalog.filter(isNeteaseAlbum);
 
   let albumsMatched = 0;
   let albumsUpdated = 0;
@@ -203,19 +134,13 @@ async function main() {
     if (!neAlbum) continue;
     albumsMatched += 1;
 
-    const beforeLinksJson = JSON.stringify(ensureArray(dkAlbum.links));
-    const mergedAlbum = { ...dkAlbum };
-    mergedAlbum.links = mergeLinksByPlatform(ensureArray(dkAlbum.links), ensureArray(neAlbum.links));
-    if (JSON.stringify(mergedAlbum.links) !== beforeLinksJson) albumsUpdated += 1;
+    if (catalog.mergeLinks(dkAlbum, neAlbum.links)) albumsUpdated += 1;
 
     const neAlbumNumericId = parseNeteaseNumericId(neAlbum.id, "netease-album");
-    if (neAlbumNumericId) {
-      mergedAlbum.refs = { ...(mergedAlbum.refs || {}), netease: { ...(mergedAlbum.refs?.netease || {}), albumId: neAlbumNumericId } };
-    }
-    byId.set(mergedAlbum.id, mergedAlbum);
+    if (neAlbumNumericId) catalog.upsert({ id: dkAlbum.id, refs: { netease: { albumId: neAlbumNumericId } } }, { match: dkAlbum });
 
-    const dkTracks = items.filter((it) => isSong(it) && (it.collectionId || "") === (dkAlbum.id || ""));
-    const neTracks = items.filter((it) => isSong(it) && (it.collectionId || "") === (neAlbum.id || ""));
+    const dkTracks = catalog.tracksOf(dkAlbum.id);
+    const neTracks = catalog.tracksOf(neAlbum.id);
 
     const neSongIdByTitle = new Map(neTracks.map((t) => [normalizeKey(t?.title || ""), parseNeteaseNumericId(t?.id, "netease-song")]));
 
@@ -224,36 +149,20 @@ async function main() {
       if (!neTrack) continue;
       tracksMatched += 1;
 
-      const beforeLinks = JSON.stringify(ensureArray(dkTrack.links));
-      const beforeEmbeds = JSON.stringify(ensureArray(dkTrack.embeds));
-
-      const mergedTrack = { ...dkTrack };
-      mergedTrack.links = mergeLinksByPlatform(ensureArray(dkTrack.links), ensureArray(neTrack.links));
-      mergedTrack.embeds = mergeEmbeds(ensureArray(dkTrack.embeds), ensureArray(neTrack.embeds));
+      if (catalog.mergeLinks(dkTrack, neTrack.links, neTrack.embeds)) tracksUpdated += 1;
 
       const neSongId = neSongIdByTitle.get(normalizeKey(neTrack?.title || "")) || parseNeteaseNumericId(neTrack.id, "netease-song");
       if (neAlbumNumericId || neSongId) {
-        mergedTrack.refs = {
-          ...(mergedTrack.refs || {}),
-          netease: {
-            ...(mergedTrack.refs?.netease || {}),
-            ...(neAlbumNumericId ? { albumId: neAlbumNumericId } : {}),
-            ...(neSongId ? { songId: neSongId } : {})
-          }
+        const netease = {
+          ...(neAlbumNumericId ? { albumId: neAlbumNumericId } : {}),
+          ...(neSongId ? { songId: neSongId } : {})
         };
+        catalog.upsert({ id: dkTrack.id, refs: { netease } }, { match: dkTrack });
       }
-
-      if (JSON.stringify(mergedTrack.links) !== beforeLinks || JSON.stringify(mergedTrack.embeds) !== beforeEmbeds) {
-        tracksUpdated += 1;
-      }
-      byId.set(mergedTrack.id, mergedTrack);
     }
   }
 
-  if (apply) {
-    catalog.items = Array.from(byId.values());
-    await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(
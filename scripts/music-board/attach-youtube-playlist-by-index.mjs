@@ -17,8 +17,9 @@
  * - If a track has an existing non-empty YouTube embed, it will be kept as-is.
  */
 
-import fs from "node:fs/promises";
 import path from "node:path";
+import { addTag, Catalog, platformKey, upsertPlatformEmbed, upsertPlatformLink } from "./lib/catalog.mjs";
+import { embedUrl } from "./lib/platforms.mjs";
 
 function usage() {
   console.error(
@@ -61,39 +62,6 @@ function parseArgs(argv) {
   return out;
 }
 
-function platformKey(platform) {
-  return (platform ?? "").toString().trim().toLowerCase().replace(/\s+/g, "");
-}
-
-function ensureArray(obj, key) {
-  if (!Array.isArray(obj[key])) obj[key] = [];
-  return obj[key];
-}
-
-function upsertPlatformLink(item, link) {
-  const links = ensureArray(item, "links");
-  const key = platformKey(link?.platform);
-  if (!key) return;
-  const idx = links.findIndex((l) => platformKey(l?.platform) === key);
-  if (idx >= 0) {
-    links[idx] = { ...links[idx], ...link };
-    return;
-  }
-  links.push(link);
-}
-
-function upsertPlatformEmbed(item, embed) {
-  const embeds = ensureArray(item, "embeds");
-  const key = platformKey(embed?.platform);
-  if (!key) return;
-  const idx = embeds.findIndex((e) => platformKey(e?.platform) === key);
-  if (idx >= 0) {
-    embeds[idx] = { ...embeds[idx], ...embed };
-    return;
-  }
-  embeds.push(embed);
-}
-
 function getExistingYoutubeEmbedUrl(item) {
   const embeds = Array.isArray(item?.embeds) ? item.embeds : [];
   const e = embeds.find((x) => platformKey(x?.platform) === "youtube");
@@ -101,12 +69,6 @@ function getExistingYoutubeEmbedUrl(item) {
   return url || "";
 }
 
-function addTag(item, tag) {
-  if (!item || typeof item !== "object") return;
-  if (!Array.isArray(item.tags)) item.tags = [];
-  if (!item.tags.includes(tag)) item.tags.push(tag);
-}
-
 function isLikelyPlaylistId(id) {
   const raw = (id ?? "").toString().trim();
   return /^[a-zA-Z0-9_-]{6,}$/.test(raw);
@@ -119,7 +81,7 @@ function playlistUrl(playlistId, index) {
 }
 
 function playlistEmbedUrl(playlistId, index) {
-  const base = `https://www.youtube.com/embed/videoseries?list=${playlistId}`;
+  const base = embedUrl("youtube", "playlist", { id: playlistId });
   if (!index) return base;
   return `${base}&index=${index}`;
 }
@@ -135,22 +97,15 @@ async function main() {
     process.exit(1);
   }
 
-  const catalogRaw = await fs.readFile(args.catalogPath, "utf8");
-  const catalog = JSON.parse(catalogRaw);
-  if (!Array.isArray(catalog.items)) catalog.items = [];
+  const catalog = await Catalog.load(args.catalogPath);
 
-  const collection = catalog.items.find((x) => x?.id === args.collectionId) || null;
+  const collection = catalog.get(args.collectionId);
   if (!collection) {
     console.error(`Collection not found in catalog.json: ${args.collectionId}`);
     process.exit(1);
   }
 
-  const tracks = [];
-  for (const item of catalog.items) {
-    if (item?.type !== "song") continue;
-    if ((item?.collectionId ?? "") !== args.collectionId) continue;
-    tracks.push(item);
-  }
+  const tracks = catalog.tracksOf(args.collectionId);
   if (tracks.length === 0) {
     console.error(`No tracks found under collectionId=${args.collectionId} in catalog.json`);
     process.exit(1);
@@ -165,7 +120,7 @@ async function main() {
     url: playlistEmbedUrl(args.playlistId),
     height: 360
   });
-  addTag(collection, "youtube");
+  collection.tags = addTag(collection.tags, "youtube");
 
   // Attach to tracks by index.
   let tracksUpdated = 0;
@@ -176,7 +131,7 @@ async function main() {
     const existingYt = getExistingYoutubeEmbedUrl(t);
     if (existingYt) {
       tracksSkipped++;
-      addTag(t, "youtube");
+      t.tags = addTag(t.tags, "youtube");
       continue;
     }
 
@@ -193,7 +148,7 @@ async function main() {
       url: playlistEmbedUrl(args.playlistId, index),
       height: 220
     });
-    addTag(t, "youtube");
+    t.tags = addTag(t.tags, "youtube");
     tracksUpdated++;
   }
 
@@ -211,11 +166,12 @@ async function main() {
 
   if (!args.apply) {
     process.stdout.write(JSON.stringify({ ...summary, catalog: relCatalog }, null, 2) + "\n");
+    await catalog.save({ dryRun: true });
     process.stderr.write("DRY RUN: add --apply to write catalog.json\n");
     return;
   }
 
-  await fs.writeFile(args.catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
   process.stdout.write(JSON.stringify({ ...summary, catalog: relCatalog }, null, 2) + "\n");
 }
 
@@ -18,12 +18,15 @@
  * Notes:
  * - Default is DRY RUN; add --apply to write catalog.json.
  * - Mapping strategy:
- *   1) Exact title match (normalized) if possible
- *   2) Fallback: same track count → map by track order
+ *   1) Exact title match (normalized like the rest of the catalog, `normalizeKey`)
+ *   2) With --fuzzy (default): title containment, only when exactly one track fits (see `Catalog.findTrack`)
+ *   3) Fallback: same number of tracks / videos left → map the rest by track order
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, platformKey, upsertPlatformEmbed, upsertPlatformLink } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function usage() {
   console.error(
@@ -91,57 +94,6 @@ function isItemLike(x) {
   return x && typeof x === "object" && typeof x.id === "string" && x.id.trim() !== "";
 }
 
-function platformKey(platform) {
-  return (platform ?? "").toString().trim().toLowerCase().replace(/\s+/g, "");
-}
-
-function ensureArray(obj, key) {
-  if (!Array.isArray(obj[key])) obj[key] = [];
-  return obj[key];
-}
-
-function upsertPlatformLink(item, link) {
-  const links = ensureArray(item, "links");
-  const key = platformKey(link?.platform);
-  if (!key) return;
-  const idx = links.findIndex((l) => platformKey(l?.platform) === key);
-  if (idx >= 0) {
-    links[idx] = { ...links[idx], ...link };
-    return;
-  }
-  links.push(link);
-}
-
-function upsertPlatformEmbed(item, embed) {
-  const embeds = ensureArray(item, "embeds");
-  const key = platformKey(embed?.platform);
-  if (!key) return;
-  const idx = embeds.findIndex((e) => platformKey(e?.platform) === key);
-  if (idx >= 0) {
-    embeds[idx] = { ...embeds[idx], ...embed };
-    return;
-  }
-  embeds.push(embed);
-}
-
-function normTitle(t) {
-  return (t ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[\s·•\u00B7\u2022]+/g, " ")
-    .replace(/[()（）【】[\]「」『』{}]/g, "")
-    .replace(/[.,!?，。！？:：;；"'“”‘’`~\-_/\\|]+/g, "")
-    .replace(/\s+/g, "");
-}
-
-function safeContainsMatch(trackKey, candidateKey) {
-  if (!trackKey || !candidateKey) return false;
-  if (trackKey.length < 2) return false;
-  if (candidateKey.length < 2) return false;
-  return candidateKey.includes(trackKey) || trackKey.includes(candidateKey);
-}
-
 function isYoutubePlaylistAlbum(item) {
   const id = (item?.id ?? "").toString();
   if (!id.startsWith("youtube-playlist-")) return false;
@@ -210,78 +162,36 @@ async function main() {
     process.exit(1);
   }
 
-  const catalogRaw = await fs.readFile(args.catalogPath, "utf8");
-  const catalog = JSON.parse(catalogRaw);
-  if (!Array.isArray(catalog.items)) catalog.items = [];
+  const catalog = await Catalog.load(args.catalogPath);
 
-  const collection = catalog.items.find((x) => x?.id === args.collectionId) || null;
+  const collection = catalog.get(args.collectionId);
   if (!collection) {
     console.error(`Collection not found in catalog.json: ${args.collectionId}`);
     process.exit(1);
   }
 
-  const targetTracksAll = catalog.items.filter((x) => x?.type === "song" && x?.collectionId === args.collectionId);
+  const targetTracksAll = catalog.tracksOf(args.collectionId);
   if (targetTracksAll.length === 0) {
     console.error(`No tracks found under collectionId=${args.collectionId} in catalog.json`);
     process.exit(1);
   }
 
-  // Preserve catalog order as default sequence (if trackNo missing).
-  const targetTracks = targetTracksAll.map((t, i) => ({ t, idx: i }));
-
-  const ytByTitle = new Map();
-  for (const y of ytSongs) {
-    const key = normTitle(y.title || "");
-    if (!key) continue;
-    if (!ytByTitle.has(key)) ytByTitle.set(key, []);
-    ytByTitle.get(key).push(y);
-  }
-
+  // Titles match with the catalog's own rules (Catalog.findTrack): exact normalized title first, then (with
+  // --fuzzy) title containment when exactly one track of the collection fits and no other video took it.
   const trackMatches = [];
-  const unmatchedTracks = [];
+  const matchedTrackIds = new Set();
   const usedYoutubeIds = new Set();
-
-  // First pass: exact normalized title match.
-  for (const { t } of targetTracks) {
-    const key = normTitle(t.title || "");
-    const candidates = key ? (ytByTitle.get(key) || []) : [];
-    const picked = candidates.find((c) => !usedYoutubeIds.has(c.id)) || null;
-    if (picked) {
-      usedYoutubeIds.add(picked.id);
-      trackMatches.push({ trackId: t.id, trackTitle: t.title || "", youtubeId: picked.id, youtubeTitle: picked.title || "" });
-    } else {
-      unmatchedTracks.push(t);
-    }
-  }
-
-  // Second pass: safe fuzzy (contains) match if enabled, only when unique.
-  if (args.fuzzy && unmatchedTracks.length > 0) {
-    const remaining = ytSongs.filter((y) => !usedYoutubeIds.has(y.id));
-    const remainingWithKeys = remaining.map((y) => ({ y, key: normTitle(y.title || "") })).filter((x) => x.key);
-
-    const stillUnmatched = [];
-    for (const t of unmatchedTracks) {
-      const tKey = normTitle(t.title || "");
-      if (!tKey) {
-        stillUnmatched.push(t);
-        continue;
-      }
-      const hits = remainingWithKeys.filter((c) => safeContainsMatch(tKey, c.key));
-      if (hits.length !== 1) {
-        stillUnmatched.push(t);
-        continue;
-      }
-      const picked = hits[0].y;
-      if (usedYoutubeIds.has(picked.id)) {
-        stillUnmatched.push(t);
-        continue;
-      }
-      usedYoutubeIds.add(picked.id);
-      trackMatches.push({ trackId: t.id, trackTitle: t.title || "", youtubeId: picked.id, youtubeTitle: picked.title || "" });
+  for (const containment of args.fuzzy ? [false, true] : [false]) {
+    for (const y of ytSongs) {
+      if (usedYoutubeIds.has(y.id)) continue;
+      const t = catalog.findTrack({ title: y.title }, { collectionId: args.collectionId, exclude: matchedTrackIds, containment });
+      if (!t || matchedTrackIds.has(t.id)) continue;
+      matchedTrackIds.add(t.id);
+      usedYoutubeIds.add(y.id);
+      trackMatches.push({ trackId: t.id, trackTitle: t.title || "", youtubeId: y.id, youtubeTitle: y.title || "" });
     }
-    unmatchedTracks.length = 0;
-    unmatchedTracks.push(...stillUnmatched);
   }
+  const unmatchedTracks = targetTracksAll.filter((t) => !matchedTrackIds.has(t.id));
 
   // Final pass: if counts match, map remaining by order.
   const remainingYt = ytSongs.filter((y) => !usedYoutubeIds.has(y.id));
@@ -299,12 +209,7 @@ async function main() {
   const playlistUrl = playlistId ? `https://www.youtube.com/playlist?list=${playlistId}` : "";
   if (playlistUrl) {
     upsertPlatformLink(collection, { platform: "youtube", label: "YouTube · Playlist", url: playlistUrl });
-    upsertPlatformEmbed(collection, {
-      platform: "youtube",
-      label: "YouTube playlist embed",
-      url: `https://www.youtube.com/embed/videoseries?list=${playlistId}`,
-      height: 360
-    });
+    upsertPlatformEmbed(collection, toEmbed("youtube", "playlist", { id: playlistId }, "YouTube playlist embed"));
   }
   if (Array.isArray(collection.tags) && !collection.tags.includes("youtube")) collection.tags.push("youtube");
 
@@ -312,28 +217,24 @@ async function main() {
   const ytById = new Map(ytSongs.map((y) => [y.id, y]));
   let tracksUpdated = 0;
   for (const m of trackMatches) {
-    const track = catalog.items.find((x) => x?.id === m.trackId);
+    const track = catalog.get(m.trackId);
     const y = ytById.get(m.youtubeId);
     if (!track || !y) continue;
     const videoId = (y.id || "").replace(/^youtube-video-/, "");
     const watchUrl = deriveYoutubeWatchUrl(videoId, playlistId);
     upsertPlatformLink(track, { platform: "youtube", label: "YouTube · Video", url: watchUrl || "" });
-    upsertPlatformEmbed(track, {
-      platform: "youtube",
-      label: "YouTube embed",
-      url: `https://www.youtube.com/embed/${videoId}`,
-      height: 220
-    });
+    upsertPlatformEmbed(track, toEmbed("youtube", "video", { id: videoId }, "YouTube embed"));
     if (Array.isArray(track.tags) && !track.tags.includes("youtube")) track.tags.push("youtube");
     tracksUpdated++;
   }
 
   // Optionally add YouTube to profile platform filter.
-  if (catalog.profile && typeof catalog.profile === "object") {
-    if (!Array.isArray(catalog.profile.platforms)) catalog.profile.platforms = [];
-    const hasYoutube = catalog.profile.platforms.some((p) => platformKey(p?.platform) === "youtube");
+  const profile = catalog.data.profile;
+  if (profile && typeof profile === "object") {
+    if (!Array.isArray(profile.platforms)) profile.platforms = [];
+    const hasYoutube = profile.platforms.some((p) => platformKey(p?.platform) === "youtube");
     if (!hasYoutube) {
-      catalog.profile.platforms.push({ platform: "youtube", label: "YouTube", url: playlistUrl || "" });
+      profile.platforms.push({ platform: "youtube", label: "YouTube", url: playlistUrl || "" });
     }
   }
 
@@ -353,11 +254,12 @@ async function main() {
 
   if (!args.apply) {
     process.stdout.write(JSON.stringify({ ...summary, catalog: relCatalog }, null, 2) + "\n");
+    await catalog.save({ dryRun: true });
     process.stderr.write("DRY RUN: add --apply to write catalog.json\n");
     return;
   }
 
-  await fs.writeFile(args.catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
   process.stdout.write(JSON.stringify({ ...summary, catalog: relCatalog }, null, 2) + "\n");
 }
 
@@ -14,20 +14,7 @@
  * - This tool is meant for personal/non-commercial use in your own board.
  */
 
-function escapeXml(text) {
-  return (text ?? "")
-    .toString()
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&apos;", "'")
-    .replaceAll("&#39;", "'")
-    .replaceAll("&amp;", "&");
-}
-
-function stripTags(html) {
-  return escapeXml((html ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
+import { stripTags } from "./lib/catalog.mjs";
 
 function parseCnPubDateToISO(pubDate) {
   const s = (pubDate ?? "").toString();
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Pre-render one HTML page per collection and per track (for search engines and link previews).
+ *
+ * Emits (into --out, default `dist/`):
+ *   index.html, app.js, catalog.json,            (copied as-is; hash routes keep working)
+ *   platforms.json, sw.js, manifest.webmanifest, favicons
+ *   audio/…, waveforms/…, covers                   (files the catalog points to with relative URLs: self-hosted audio, waveforms, covers)
+ *   c/<id>/index.html                              (collection: cover, tracklist, OG/Twitter meta)
+ *   t/<id>/index.html                              (track: cover, album, lyrics, OG/Twitter meta)
+ *
+ * Usage:
+ *   node scripts/music-board/build-static-pages.mjs <catalog.json> [--out dist] [--template index.html] [--base-url https://example.com]
+ *
+ * Notes:
+ * - Pages are served as `/c/<id>` and `/t/<id>` (vercel.json has `trailingSlash: false`), so every page gets
+ *   `<base href="/">` and asset URLs keep resolving from the site root.
+ * - The pages load the same app.js, which reads the route from the path when there is no `#/...` hash
+ *   and then takes over (same UI as `#/c/<id>` / `#/t/<id>`).
+ * - --base-url (else `profile.siteUrl`, else Vercel's VERCEL_PROJECT_PRODUCTION_URL) makes canonical / og:url absolute
+ *   and resolves relative covers for og:image / twitter:image; without it those tags are left out (an image tag is
+ *   kept only when the cover URL is already absolute).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog, localAssets, trim } from "./lib/catalog.mjs";
+
+// Files the static site needs next to the generated pages.
+const SITE_FILES = ["index.html", "app.js", "catalog.json", "platforms.json", "sw.js", "manifest.webmanifest", "favicon-light.svg", "favicon-dark.svg"];
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/build-static-pages.mjs <catalog.json> [--out dist] [--template index.html] [--base-url https://example.com]",
+      "",
+      "Options:",
+      "  --out <dir>         Output directory (default: dist)",
+      "  --template <file>   Page template (default: index.html next to catalog.json)",
+      "  --base-url <url>    Public site origin for canonical / og:url / og:image (default: profile.siteUrl, else VERCEL_PROJECT_PRODUCTION_URL)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+function escapeHtml(s) {
+  return (s ?? "").toString()
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function pagePath(kind, id) {
+  return `/${kind}/${encodeURIComponent(id)}`;
+}
+
+function absoluteUrl(baseUrl, urlPath) {
+  if (!baseUrl) return "";
+  return `${baseUrl.replace(/\/+$/, "")}${urlPath}`;
+}
+
+/** `og:image` / `twitter:image` must be absolute: a site-relative cover is resolved against `baseUrl`, else dropped. */
+function absoluteImageUrl(baseUrl, src) {
+  const raw = trim(src);
+  if (!raw) return "";
+  try {
+    const u = new URL(raw, baseUrl ? `${baseUrl.replace(/\/+$/, "")}/` : undefined);
+    return u.protocol === "https:" || u.protocol === "http:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+function truncate(text, maxLen) {
+  const t = trim(text).replace(/\s+/g, " ");
+  return t.length > maxLen ? `${t.slice(0, maxLen - 1)}…` : t;
+}
+
+function sortTracks(list) {
+  return list
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => {
+      const aNo = Number.isFinite(a.t.trackNo) ? a.t.trackNo : null;
+      const bNo = Number.isFinite(b.t.trackNo) ? b.t.trackNo : null;
+      if (aNo != null && bNo != null && aNo !== bNo) return aNo - bNo;
+      if (aNo != null && bNo == null) return -1;
+      if (aNo == null && bNo != null) return 1;
+      return a.i - b.i;
+    })
+    .map(({ t }) => t);
+}
+
+function headHtml({ title, description, image, url, type }) {
+  const tags = [
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    url ? `<link rel="canonical" href="${escapeHtml(url)}" />` : "",
+    `<meta property="og:type" content="${escapeHtml(type)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    url ? `<meta property="og:url" content="${escapeHtml(url)}" />` : "",
+    image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : "",
+    `<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    image ? `<meta name="twitter:image" content="${escapeHtml(image)}" />` : ""
+  ].filter(Boolean);
+  return tags.map((t) => `    ${t}`).join("\n");
+}
+
+function coverHtml(item) {
+  if (!item?.cover) return "";
+  return `<div class="hero-cover"><img alt="${escapeHtml(item.title || "")}" src="${escapeHtml(item.cover)}" /></div>`;
+}
+
+function fillTemplate(template, { kind, title, meta, hero, contentHtml }) {
+  const replacements = [
+    [/<html lang="([^"]*)">/, (_, lang) => `<html lang="${lang}" data-prerendered="${kind}">`],
+    [/<meta charset="utf-8" \/>/, (m) => `${m}\n    <base href="/" />`],
+    [/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(title)}</title>\n${meta}`],
+    [/(<div class="hero-media" id="hero-media">)(<\/div>)/, (_, open, close) => `${open}${hero.mediaHtml}${close}`],
+    [/(<h2 class="hero-title" id="hero-title">)[\s\S]*?(<\/h2>)/, (_, open, close) => `${open}${escapeHtml(hero.title)}${close}`],
+    [/(<div class="hero-sub" id="hero-sub">)(<\/div>)/, (_, open, close) => `${open}${escapeHtml(hero.sub)}${close}`],
+    [/(<div id="content">)(<\/div>)/, (_, open, close) => `${open}${contentHtml}${close}`]
+  ];
+  let html = template;
+  for (const [re, fn] of replacements) {
+    if (!re.test(html)) throw new Error(`Template is missing ${re}`);
+    html = html.replace(re, fn);
+  }
+  return html;
+}
+
+function renderCollectionContent(tracks) {
+  if (tracks.length === 0) return `<div class="empty">这个合集暂无曲目。</div>`;
+  const rows = tracks.map((t, idx) => {
+    const meta = [t.artist || "", t.releaseDate || ""].filter(Boolean).join(" · ");
+    return `
+      <li class="track">
+        <div class="idx">${String(idx + 1).padStart(2, "0")}</div>
+        <div class="tmeta">
+          <div class="title"><a href="${escapeHtml(pagePath("t", t.id))}">${escapeHtml(t.title || "(未命名)")}</a></div>
+          <div class="sub">${escapeHtml(meta)}</div>
+        </div>
+      </li>`;
+  }).join("");
+  return `<ul class="list">${rows}\n    </ul>`;
+}
+
+function renderTrackContent(track, collection) {
+  const kv = [];
+  if (collection?.title) kv.push(["Album", `<a href="${escapeHtml(pagePath("c", collection.id))}">${escapeHtml(collection.title)}</a>`]);
+  if (track.duration) kv.push(["Duration", escapeHtml(track.duration)]);
+  if (track.mood) kv.push(["Mood", escapeHtml(track.mood)]);
+  const kvHtml = kv.length ? `<div class="kv">${kv.map(([k, v]) => `<div>${k}</div><div>${v}</div>`).join("")}</div>` : "";
+  const lyrics = trim(track.lyrics);
+  return `
+    <div class="detail">
+      <div class="detail-card">
+        ${kvHtml}
+        ${lyrics ? `<div class="lyrics">${escapeHtml(lyrics)}</div>` : `<div class="empty" style="border-top:0;margin-top:12px;">暂无歌词。</div>`}
+      </div>
+    </div>`;
+}
+
+async function writePage(outDir, kind, id, html) {
+  const dir = path.join(outDir, kind, encodeURIComponent(id));
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, "index.html"), html, "utf8");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let catalogPath = "";
+  let outDir = "dist";
+  let templatePath = "";
+  let baseUrl = "";
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--out" && args[i + 1]) {
+      outDir = args[i + 1];
+      i += 1;
+    } else if (a === "--template" && args[i + 1]) {
+      templatePath = args[i + 1];
+      i += 1;
+    } else if (a === "--base-url" && args[i + 1]) {
+      baseUrl = args[i + 1];
+      i += 1;
+    } else if (!a.startsWith("--") && !catalogPath) catalogPath = a;
+  }
+  if (!catalogPath) usage(1);
+
+  const siteRoot = path.dirname(path.resolve(catalogPath));
+  if (!templatePath) templatePath = path.join(siteRoot, "index.html");
+
+  const catalog = await Catalog.load(catalogPath);
+  const template = await fs.readFile(templatePath, "utf8");
+  const profile = catalog.profile;
+  const siteName = trim(profile.name) || "Music";
+  if (!baseUrl) baseUrl = trim(profile.siteUrl);
+  // On Vercel, the production domain (custom domain if one is set) is known at build time.
+  if (!baseUrl && trim(process.env.VERCEL_PROJECT_PRODUCTION_URL)) baseUrl = `https://${trim(process.env.VERCEL_PROJECT_PRODUCTION_URL)}`;
+
+  const collections = catalog.collections.filter((it) => trim(it?.id));
+  const tracks = catalog.songs.filter((it) => trim(it?.id));
+  const collectionsById = new Map(collections.map((c) => [c.id, c]));
+  const tracksByCollectionId = new Map();
+  for (const t of tracks) {
+    const key = trim(t.collectionId);
+    if (!tracksByCollectionId.has(key)) tracksByCollectionId.set(key, []);
+    tracksByCollectionId.get(key).push(t);
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  const copied = [];
+  // Only what the catalog references is deployed (not whole folders), under the same relative path.
+  const assets = [...new Set(collections.concat(tracks).flatMap((it) => localAssets(it).map((a) => a.file)))].sort();
+  const missingAssets = [];
+  if (path.resolve(outDir) !== siteRoot) {
+    for (const name of SITE_FILES) {
+      const from = path.join(siteRoot, name);
+      try {
+        await fs.copyFile(from, path.join(outDir, name));
+        copied.push(name);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+    }
+    for (const file of assets) {
+      const to = path.join(outDir, ...file.split("/"));
+      try {
+        await fs.mkdir(path.dirname(to), { recursive: true });
+        await fs.copyFile(path.join(siteRoot, ...file.split("/")), to);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+        missingAssets.push(file);
+      }
+    }
+  }
+
+  for (const c of collections) {
+    const list = sortTracks(tracksByCollectionId.get(c.id) || []);
+    const title = `${c.title || "(未命名合集)"} · ${siteName}`;
+    const sub = [c.artist || "", c.releaseDate || "", `${list.length} tracks`].filter(Boolean).join(" · ");
+    const tracklist = list.slice(0, 12).map((t) => t.title).filter(Boolean).join(" / ");
+    const description = truncate([sub, tracklist].filter(Boolean).join(" — "), 200);
+    const url = absoluteUrl(baseUrl, pagePath("c", c.id));
+    const meta = headHtml({ title, description, image: absoluteImageUrl(baseUrl, c.cover), url, type: "music.album" });
+    const html = fillTemplate(template, {
+      kind: "collection",
+      title,
+      meta,
+      hero: { mediaHtml: coverHtml(c), title: c.title || "(未命名合集)", sub },
+      contentHtml: renderCollectionContent(list)
+    });
+    await writePage(outDir, "c", c.id, html);
+  }
+
+  for (const t of tracks) {
+    const col = collectionsById.get(trim(t.collectionId)) || null;
+    const title = `${t.title || "(未命名)"} · ${siteName}`;
+    const sub = [t.artist || "", col?.title ? `in ${col.title}` : "", t.releaseDate || ""].filter(Boolean).join(" · ");
+    // Section markers like [verse] / [chorus] are noise in a preview snippet.
+    const lyricsSnippet = trim(t.lyrics).replace(/\[[^\]\n]*\]/g, " ");
+    const description = truncate([sub, lyricsSnippet].filter(Boolean).join(" — "), 200);
+    const url = absoluteUrl(baseUrl, pagePath("t", t.id));
+    const cover = t.cover || col?.cover || "";
+    const meta = headHtml({ title, description, image: absoluteImageUrl(baseUrl, cover), url, type: "music.song" });
+    const html = fillTemplate(template, {
+      kind: "track",
+      title,
+      meta,
+      hero: { mediaHtml: coverHtml({ ...t, cover }), title: t.title || "(未命名)", sub },
+      contentHtml: renderTrackContent(t, col)
+    });
+    await writePage(outDir, "t", t.id, html);
+  }
+
+  const relOut = path.relative(process.cwd(), path.resolve(outDir)) || outDir;
+  console.log(
+    JSON.stringify(
+      {
+        out: relOut,
+        copied,
+        assets: assets.length - missingAssets.length,
+        missingAssets,
+        collections: collections.length,
+        tracks: tracks.length,
+        baseUrl: baseUrl || null
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -23,6 +23,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, normalizeTitle } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   const msg = [
@@ -45,35 +46,9 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(v) {
-  return Array.isArray(v) ? v : [];
-}
-
-function normalizeText(s) {
-  return (s ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replaceAll("（", "(")
-    .replaceAll("）", ")")
-    .replaceAll("【", "[")
-    .replaceAll("】", "]")
-    .replaceAll("：", ":")
-    .replaceAll("，", ",")
-    .replaceAll("。", ".");
-}
-
+// Catalog titles and file names share the lyrics-file key (track number, "歌词" / "lrc" suffix, brackets dropped).
 function normalizeTitleOrFilename(s) {
-  const raw = normalizeText(s);
-  const noExt = raw.replace(/\.[a-z0-9]{1,6}$/i, "");
-  const noTrackNo = noExt.replace(/^\s*\d+\s*[-._\s]+\s*/g, "");
-  const noLyricsSuffix = noTrackNo
-    .replace(/(?:[_\-\s]*歌词)\s*$/g, "")
-    .replace(/(?:[_\-\s]*lyric(?:s)?)\s*$/gi, "")
-    .replace(/(?:[_\-\s]*lrc)\s*$/gi, "");
-  const noBrackets = noLyricsSuffix.replace(/[\[\]【】()（）{}<>《》]/g, " ");
-  const noPunct = noBrackets.replace(/[·•!！?？,:：;；"'“”‘’`~@#$%^&*+=|\\/]/g, " ");
-  return noPunct.replace(/\s+/g, " ").trim();
+  return normalizeTitle((s ?? "").toString().replace(/\.[a-z0-9]{1,6}$/i, ""));
 }
 
 function parseAlbumArg(album) {
@@ -121,9 +96,7 @@ function isLyricCandidate(filePath) {
 }
 
 function buildTitleIndex(catalog, albumFilterId) {
-  const items = ensureArray(catalog?.items);
-  const songs = items.filter((it) => (it?.type || "") === "song");
-  const filtered = albumFilterId ? songs.filter((s) => (s?.collectionId || "") === albumFilterId) : songs;
+  const filtered = albumFilterId ? catalog.tracksOf(albumFilterId) : catalog.songs;
 
   const index = new Map();
   for (const s of filtered) {
@@ -209,7 +182,7 @@ async function main() {
   const albumFilterId = parseAlbumArg(albumArg);
   const extSet = extSetFromArg(extArg);
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
+  const catalog = await Catalog.load(catalogPath);
   const titleIndex = buildTitleIndex(catalog, albumFilterId);
 
   const files = await listFiles(folder, recursive);
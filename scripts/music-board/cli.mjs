@@ -0,0 +1,729 @@
+#!/usr/bin/env node
+/**
+ * `music-board`: one entry point for the scripts in scripts/music-board.
+ *
+ * Usage:
+ *   node scripts/music-board/cli.mjs <command> [subcommand] [args] [--catalog <file>] [--apply] [--json] [--verbose]
+ *   node scripts/music-board/cli.mjs --help
+ *   node scripts/music-board/cli.mjs import --help
+ *
+ * Shell alias:
+ *   alias music-board="node scripts/music-board/cli.mjs"
+ *
+ * Every command takes the same global flags:
+ * - --catalog <file>   catalog.json to read/write (default: `catalog` in music-board.config.json, else ./catalog.json)
+ * - --apply            write changes; without it every command is a dry run (including importers that used to write directly).
+ *                      Writes print a field-level diff, keep the previous file under .music-board/history/ (`undo` restores it)
+ * - --json             print the script's JSON summary as-is (default: `key: value` lines)
+ * - --verbose          print the underlying `node <script> ...` call and per-step details
+ *
+ * Defaults (catalog path, NetEase artist id, YouTube channel, ...) come from music-board.config.json, looked up
+ * from the current directory upwards. Each command still runs its original script, which stays usable on its own.
+ */
+
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_NAME = "music-board.config.json";
+
+const GLOBAL_OPTIONS = [
+  { name: "catalog", value: "file", desc: "catalog.json to read/write (default: config `catalog`, else ./catalog.json)" },
+  { name: "apply", desc: "Write changes (default: dry run)" },
+  { name: "json", desc: "Print the raw JSON summary" },
+  { name: "verbose", desc: "Print the underlying script call and extra details" },
+  { name: "config", value: "file", desc: `Config file (default: nearest ${CONFIG_NAME})` },
+  { name: "help", desc: "Show help" }
+];
+
+/**
+ * Command table. `writes` says how --apply is honoured:
+ * - "flag": the script has its own --apply
+ * - "always": the script saves through Catalog.save(); dry runs set MUSIC_BOARD_DRY_RUN
+ * - "merge": the script prints items JSON, which is merged via merge-items-to-catalog (or saved with --out)
+ * - "none": the script does not touch catalog.json (`catalog: false`: does not read it either)
+ */
+const COMMANDS = [
+  {
+    path: ["import", "netease-html"],
+    summary: "Merge NetEase album page HTML snapshots (songs + embeds)",
+    args: [{ name: "html", variadic: true }],
+    script: "import-netease-album-html-to-catalog.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "netease-album-list"],
+    summary: "Merge a NetEase musician-center album list HTML snapshot (albums only)",
+    args: [{ name: "html" }],
+    script: "import-netease-album-list-html.mjs",
+    writes: "always",
+    argv: (c) => [c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "qq-html"],
+    summary: "Merge QQ Music album page HTML snapshots (match by UPC / title + date, ISRC / title)",
+    args: [{ name: "html", variadic: true }],
+    script: "import-qq-album-html.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "spotify"],
+    summary: "Merge Spotify albums (saved page, embed __NEXT_DATA__ or Web API JSON; match by ISRC / title)",
+    args: [{ name: "file", variadic: true }],
+    script: "import-spotify-album.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.file, c.catalog]
+  },
+  {
+    path: ["import", "apple"],
+    summary: "Merge Apple Music albums (saved page or API JSON; match by UPC / ISRC, then title)",
+    args: [{ name: "file", variadic: true }],
+    script: "import-apple-music-album.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.file, c.catalog]
+  },
+  {
+    path: ["import", "bandcamp"],
+    summary: "Merge saved Bandcamp album / track pages (data-tralbum) with EmbeddedPlayer embeds",
+    args: [{ name: "html", variadic: true }],
+    script: "import-bandcamp-album.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "soundcloud"],
+    summary: "Merge saved SoundCloud set pages (hydration JSON) with w.soundcloud.com player embeds",
+    args: [{ name: "html", variadic: true }],
+    script: "import-soundcloud-set.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "distrokid-album"],
+    summary: "Merge DistroKid album page HTML snapshots",
+    args: [{ name: "html", variadic: true }],
+    script: "import-distrokid-album-html.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "distrokid-mymusic"],
+    summary: "Merge the DistroKid “My Music” HTML snapshot (album list)",
+    args: [{ name: "html" }],
+    script: "import-distrokid-mymusic-html.mjs",
+    writes: "always",
+    argv: (c) => [c.args.html, c.catalog]
+  },
+  {
+    path: ["import", "distrokid-csv"],
+    summary: "Merge DistroKid CSV / TSV exports (releases or bank details: UPC, ISRC, stores)",
+    args: [{ name: "csv", variadic: true }],
+    options: [{ name: "streams", desc: "Also store per-store stream counts on each track" }],
+    script: "import-distrokid-csv.mjs",
+    writes: "always",
+    argv: (c) => [...c.args.csv, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["import", "local"],
+    summary: "Fill lyrics / metadata from a local album folder",
+    args: [{ name: "albumRoot" }],
+    options: [
+      { name: "overwrite", desc: "Overwrite existing fields (default: only fill missing)" },
+      { name: "git-history", desc: "Also scan git history for lyric files" },
+      { name: "treat-lyrics-placeholder-as-missing", value: "text", repeat: true, desc: "Treat this lyrics string as missing (repeatable)" }
+    ],
+    script: "import-local-album-metadata.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.albumRoot, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["import", "audio-tags"],
+    summary: "Fill ISRC / track no. / duration / lyrics from audio file tags (mp3, flac, m4a, wav)",
+    args: [{ name: "albumDir" }],
+    options: [
+      { name: "overwrite", desc: "Overwrite existing fields (default: only fill missing)" },
+      { name: "covers", value: "dir", desc: "Save embedded cover art here and set `cover` where missing" }
+    ],
+    script: "import-audio-tags.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.albumDir, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["import", "audio-files"],
+    summary: "Register self-hosted audio files (audio/ folder) as playable `self` embeds of matching songs",
+    args: [{ name: "audioDir" }],
+    options: [{ name: "base", value: "url", desc: "URL prefix for the files (default: path relative to catalog.json)" }],
+    script: "register-audio-files.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.audioDir, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["import", "waveforms"],
+    summary: "Generate waveform peaks (sidecar JSON) from local wav / mp3 files for songs with self-hosted audio",
+    args: [{ name: "audioDir" }],
+    options: [
+      { name: "out", value: "dir", desc: "Folder for the sidecar JSON files (default: waveforms/ next to catalog.json)" },
+      { name: "points", value: "n", desc: "Peaks per track (default: 800)" },
+      { name: "overwrite", desc: "Regenerate songs that already have a waveform" }
+    ],
+    script: "generate-waveforms.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.audioDir, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["import", "youtube-playlist"],
+    summary: "Import a YouTube playlist (via r.jina.ai) and merge its items",
+    args: [{ name: "playlistUrlOrId" }],
+    options: [{ name: "out", value: "file", desc: "Write the items JSON here instead of merging" }],
+    script: "import-youtube-playlist-jina.mjs",
+    writes: "merge",
+    argv: (c) => [c.args.playlistUrlOrId]
+  },
+  {
+    path: ["import", "youtube-playlist-html"],
+    summary: "Import a saved YouTube playlist HTML page and merge its items",
+    args: [{ name: "html" }],
+    options: [{ name: "out", value: "file", desc: "Write the items JSON here instead of merging" }],
+    script: "import-youtube-playlist-html.mjs",
+    writes: "merge",
+    argv: (c) => [c.args.html]
+  },
+  {
+    path: ["import", "youtube-channel"],
+    summary: "Import recent uploads from a YouTube channel RSS feed and merge them",
+    args: [{ name: "channel", optional: true, config: "youtube.channel" }],
+    options: [
+      { name: "limit", value: "N", desc: "Only the latest N videos" },
+      { name: "out", value: "file", desc: "Write the items JSON here instead of merging" }
+    ],
+    script: "import-youtube-channel-rss.mjs",
+    writes: "merge",
+    argv: (c) => [c.args.channel, ...c.passOptions(["limit"])]
+  },
+  {
+    path: ["import", "bilibili"],
+    summary: "Import saved Bilibili space / 合集 pages (or their archives JSON) and merge the videos",
+    args: [{ name: "file", variadic: true }],
+    options: [{ name: "out", value: "file", desc: "Write the items JSON here instead of merging" }],
+    script: "import-bilibili-space-html.mjs",
+    writes: "merge",
+    argv: (c) => [...c.args.file]
+  },
+  {
+    path: ["import", "urls"],
+    summary: "Turn platform URLs (stdin, one per line) into items and merge them",
+    options: [{ name: "out", value: "file", desc: "Write the items JSON here instead of merging" }],
+    script: "urls-to-items.mjs",
+    writes: "merge",
+    stdin: true,
+    argv: () => []
+  },
+  {
+    path: ["import", "items"],
+    summary: "Merge an exported items JSON file (dedupe by id; incoming fields win)",
+    args: [{ name: "itemsJson" }],
+    script: "merge-items-to-catalog.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.itemsJson, c.catalog]
+  },
+  {
+    path: ["sync", "netease-artist"],
+    summary: "Sync every album + track of a NetEase artist",
+    args: [{ name: "artistId", optional: true, config: "netease.artistId" }],
+    options: [{ name: "limit", value: "N", desc: "Page size for the artist album list (default: 10)" }],
+    script: "sync-netease-artist-albums-api.mjs",
+    writes: "always",
+    argv: (c) => [c.args.artistId, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["sync", "netease-albums"],
+    summary: "Refresh NetEase albums already in the catalog (or only the given ones)",
+    options: [
+      { name: "album", value: "id", repeat: true, desc: "Only this NetEase album id (repeatable)" },
+      { name: "album-url", value: "url", repeat: true, desc: "Only this NetEase album URL (repeatable)" }
+    ],
+    script: "sync-netease-albums-api.mjs",
+    writes: "always",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["sync", "qq-albums"],
+    summary: "Refresh QQ Music albums already in the catalog (or add the given ones)",
+    options: [
+      { name: "album", value: "mid", repeat: true, desc: "Only this QQ album mid (repeatable)" },
+      { name: "album-url", value: "url", repeat: true, desc: "Only this QQ album URL (repeatable)" }
+    ],
+    script: "sync-qq-albums-api.mjs",
+    writes: "always",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["sync", "netease-lyrics"],
+    summary: "Fetch lyrics (LRC, translations) for songs with a NetEase id",
+    options: [
+      { name: "overwrite", desc: "Overwrite existing lyrics (default: only fill missing)" },
+      { name: "collection-id", value: "id", repeat: true, desc: "Only songs in this collection (repeatable)" },
+      { name: "limit", value: "N", desc: "Only the first N matched songs" },
+      { name: "concurrency", value: "N", desc: "Parallel fetches (default: 3, max: 8)" },
+      { name: "translations", desc: "Also fetch songs missing lyricsTranslation / lyricsRomaji" }
+    ],
+    script: "sync-netease-lyrics-api.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["sync", "baidu-lyrics"],
+    summary: "Fill lyrics from lyric files in a Baidu Pan share",
+    options: [
+      { name: "share", value: "url-or-key", required: true, desc: "Share URL or key" },
+      { name: "pwd", value: "code", required: true, desc: "Extraction code (提取码)" },
+      { name: "sekey", value: "sekey", desc: "Decoded BDCLND/randsk (skips /share/verify)" },
+      { name: "overwrite", desc: "Overwrite existing lyrics" },
+      { name: "strip-prefixes", value: "csv", desc: "Extra title prefixes to strip from lyric filenames" },
+      { name: "title-alias", value: "a=b", repeat: true, desc: "Map a lyric filename title to a catalog title (repeatable)" },
+      { name: "title-alias-file", value: "file", desc: "JSON title alias mapping" },
+      { name: "dump-files", value: "file", desc: "Write the discovered lyric file index here" },
+      { name: "concurrency", value: "N", desc: "Concurrent fetches (default: 4)" }
+    ],
+    script: "sync-baidu-pan-share-lyrics.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["attach", "youtube"],
+    summary: "Attach a YouTube playlist to a collection (per-video with --export, else by track index)",
+    options: [
+      { name: "collection-id", value: "id", required: true, desc: "Collection id in catalog.json" },
+      { name: "playlist-id", value: "id", desc: "YouTube playlist id (required without --export)" },
+      { name: "export", value: "file", desc: "YouTube export JSON (from import youtube-playlist --out) for per-video matching" }
+    ],
+    resolve: (c) => (c.options.export ? "attach-youtube-playlist-to-collection.mjs" : "attach-youtube-playlist-by-index.mjs"),
+    writes: "flag",
+    argv: (c) => (c.options.export ? [c.options.export, c.catalog] : [c.catalog]).concat(c.passOptions(["collection-id", "playlist-id"]))
+  },
+  {
+    path: ["attach", "netease-distrokid"],
+    summary: "Copy NetEase links / embeds onto matching DistroKid albums + tracks",
+    options: [{ name: "album", value: "id", desc: "Only this DistroKid album id" }],
+    script: "attach-netease-to-distrokid.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["fill", "lyrics-placeholder"],
+    summary: "Fill missing lyrics with a placeholder (optionally filtered)",
+    options: [
+      { name: "overwrite", desc: "Overwrite existing lyrics" },
+      { name: "placeholder", value: "text", desc: "Placeholder text (default: 纯音乐（无歌词）)" },
+      { name: "collection-id", value: "id", repeat: true, desc: "Only songs in this collection (repeatable)" },
+      { name: "collection-title", value: "title", repeat: true, desc: "Only songs in a collection with this title (repeatable)" },
+      { name: "tag", value: "tag", repeat: true, desc: "Only songs with this tag (repeatable)" }
+    ],
+    script: "fill-missing-lyrics-placeholder.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["fill", "instrumental"],
+    summary: "Fill lyrics of instrumental-tagged songs with a placeholder",
+    options: [
+      { name: "overwrite", desc: "Overwrite existing lyrics" },
+      { name: "placeholder", value: "text", desc: "Placeholder text (default: 纯音乐（无歌词）)" },
+      { name: "tags", value: "csv", desc: "Tags to match (default: EMPTY,HAPPY)" }
+    ],
+    script: "fill-instrumental-placeholder.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["report", "missing-lyrics"],
+    summary: "List songs without lyrics, grouped by album",
+    options: [{ name: "out", value: "file", desc: "Write the JSON report here" }],
+    script: "report-missing-lyrics.mjs",
+    writes: "none",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["report", "validate"],
+    summary: "Validate catalog.json (ids, references, dates, embed hosts)",
+    script: "validate-catalog.mjs",
+    writes: "none",
+    raw: true,
+    argv: (c) => [c.catalog, ...(c.json ? ["--json"] : [])]
+  },
+  {
+    path: ["build"],
+    summary: "Build the static site with pre-rendered pages into dist/",
+    options: [
+      { name: "out", value: "dir", desc: "Output directory (default: dist)" },
+      { name: "template", value: "file", desc: "Page template (default: index.html next to catalog.json)" },
+      { name: "base-url", value: "url", config: "siteUrl", desc: "Public site origin (default: config siteUrl, else profile.siteUrl, else VERCEL_PROJECT_PRODUCTION_URL)" }
+    ],
+    script: "build-static-pages.mjs",
+    writes: "none",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["migrate"],
+    summary: "Convert catalog.json between the items[] and v2 schemas",
+    options: [
+      { name: "to", value: "v2|items", required: true, desc: "Target schema" },
+      { name: "out", value: "file", desc: "Write to another file instead of the catalog" }
+    ],
+    script: "migrate-catalog-schema.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["undo"],
+    summary: "Restore catalog.json from .music-board/history/ (undo the last N writes)",
+    options: [{ name: "steps", value: "N", desc: "Number of writes to undo (default: 1)" }],
+    script: "undo-catalog.mjs",
+    writes: "flag",
+    argv: (c) => [c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["history"],
+    summary: "List catalog.json snapshots (newest first)",
+    script: "undo-catalog.mjs",
+    writes: "none",
+    argv: (c) => [c.catalog, "--list"]
+  },
+  {
+    path: ["classify"],
+    summary: "Sort a folder of audio / lyric files into 列表内/ and 列表外/ by catalog titles",
+    args: [{ name: "folder" }],
+    options: [
+      { name: "mode", value: "move|copy", desc: "Operation mode (default: move)" },
+      { name: "recursive", desc: "Scan subfolders" },
+      { name: "album", value: "albumId", desc: "Only match titles of this album" },
+      { name: "ext", value: "csv", desc: "Extension whitelist" }
+    ],
+    script: "classify-folder-by-catalog.mjs",
+    writes: "flag",
+    argv: (c) => [c.args.folder, c.catalog, ...c.passOptions()]
+  },
+  {
+    path: ["notes"],
+    summary: "Fetch news notes from Bing RSS (prints JSON)",
+    args: [{ name: "query" }],
+    options: [{ name: "limit", value: "N", desc: "Max results" }],
+    script: "bing-rss-to-notes.mjs",
+    writes: "none",
+    catalog: false,
+    raw: true,
+    argv: (c) => [c.args.query, ...c.passOptions()]
+  },
+  {
+    path: ["platforms"],
+    summary: "Turn a store list (file or stdin) into profile.platforms JSON",
+    args: [{ name: "storesTxt", optional: true }],
+    script: "stores-to-platforms.mjs",
+    writes: "none",
+    catalog: false,
+    raw: true,
+    stdin: true,
+    argv: (c) => (c.args.storesTxt ? [c.args.storesTxt] : [])
+  }
+];
+
+function getPath(obj, dotted) {
+  return dotted.split(".").reduce((acc, key) => (acc && typeof acc === "object" ? acc[key] : undefined), obj);
+}
+
+function findConfig(explicit) {
+  if (explicit) return path.resolve(explicit);
+  let dir = process.cwd();
+  for (;;) {
+    const candidate = path.join(dir, CONFIG_NAME);
+    if (existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return "";
+    dir = parent;
+  }
+}
+
+async function loadConfig(explicit) {
+  const file = findConfig(explicit);
+  if (!file) return { file: "", dir: process.cwd(), data: {} };
+  try {
+    return { file, dir: path.dirname(file), data: JSON.parse(await fs.readFile(file, "utf8")) };
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+function optionLine(o) {
+  const flag = `--${o.name}${o.value ? ` <${o.value}>` : ""}`;
+  const extra = [o.required ? "required" : "", o.config ? `config: ${o.config}` : ""].filter(Boolean).join("; ");
+  return `  ${flag.padEnd(34)} ${o.desc}${extra ? ` (${extra})` : ""}`;
+}
+
+function argSpec(a) {
+  if (a.variadic) return `<${a.name}...>`;
+  return a.optional ? `[${a.name}]` : `<${a.name}>`;
+}
+
+function commandHelp(cmd) {
+  const args = (cmd.args || []).map(argSpec).join(" ");
+  const lines = [`Usage: music-board ${cmd.path.join(" ")}${args ? ` ${args}` : ""} [options]`, "", cmd.summary];
+  for (const a of cmd.args || []) {
+    if (a.config) lines.push("", `[${a.name}] defaults to config \`${a.config}\`.`);
+  }
+  if (cmd.writes === "merge") lines.push("", "Items are merged into the catalog via `import items` (or written to --out).");
+  if (cmd.writes === "always" || cmd.writes === "flag") lines.push("", "Dry run unless --apply is given.");
+  if (cmd.options?.length) lines.push("", "Options:", ...cmd.options.map(optionLine));
+  lines.push("", "Global options:", ...GLOBAL_OPTIONS.map(optionLine));
+  return lines.join("\n");
+}
+
+function overviewHelp(prefix = []) {
+  const list = COMMANDS.filter((c) => prefix.every((p, i) => c.path[i] === p));
+  const width = Math.max(...list.map((c) => c.path.join(" ").length));
+  const lines = [
+    `Usage: music-board ${prefix.length ? prefix.join(" ") + " " : ""}<command> [args] [options]`,
+    "",
+    "Commands:",
+    ...list.map((c) => `  ${c.path.join(" ").padEnd(width)}  ${c.summary}`),
+    "",
+    "Global options:",
+    ...GLOBAL_OPTIONS.map(optionLine),
+    "",
+    "Run `music-board <command> --help` for command options."
+  ];
+  return lines.join("\n");
+}
+
+function findCommand(words) {
+  return COMMANDS.find((c) => c.path.length <= words.length && c.path.every((p, i) => words[i] === p)) || null;
+}
+
+/** Leading non-flag words (the command path) and whether help was asked for. */
+function scanArgv(argv) {
+  const words = [];
+  let help = false;
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") help = true;
+    else if (a === "--catalog" || a === "--config") i += 1;
+    else if (!a.startsWith("--")) words.push(a);
+  }
+  return { words, help };
+}
+
+/** Split raw argv into command words, positionals and option values, using the command's option spec. */
+function parseCommandArgs(cmd, argv) {
+  const specs = new Map([...GLOBAL_OPTIONS, ...(cmd.options || [])].map((o) => [o.name, o]));
+  const options = {};
+  const positional = [];
+  let words = 0;
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!a.startsWith("--")) {
+      if (words < cmd.path.length) words += 1;
+      else positional.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    const name = eq > 0 ? a.slice(2, eq) : a.slice(2);
+    const spec = specs.get(name);
+    if (!spec) throw new Error(`Unknown option --${name} for \`${cmd.path.join(" ")}\` (see --help)`);
+    let value = true;
+    if (spec.value) {
+      value = eq > 0 ? a.slice(eq + 1) : argv[i + 1];
+      if (value === undefined || (eq < 0 && value.startsWith("--"))) throw new Error(`--${name} needs a value <${spec.value}>`);
+      if (eq < 0) i += 1;
+    }
+    if (spec.repeat) (options[name] ||= []).push(value);
+    else options[name] = value;
+  }
+  return { options, positional };
+}
+
+function buildContext(cmd, parsed, config) {
+  const { options, positional } = parsed;
+  const args = {};
+  const specs = cmd.args || [];
+  specs.forEach((a, i) => {
+    if (a.variadic) args[a.name] = positional.slice(i);
+    else args[a.name] = positional[i] ?? (a.config ? getPath(config.data, a.config) : undefined);
+    const missing = a.variadic ? args[a.name].length === 0 : args[a.name] == null || args[a.name] === "";
+    if (missing && !a.optional) throw new Error(`Missing <${a.name}> (see \`music-board ${cmd.path.join(" ")} --help\`)`);
+    if (missing && a.config) throw new Error(`Missing [${a.name}]: pass it or set \`${a.config}\` in ${CONFIG_NAME}`);
+    if (args[a.name] != null && !Array.isArray(args[a.name])) args[a.name] = String(args[a.name]);
+  });
+  if (!specs.some((a) => a.variadic) && positional.length > specs.length) {
+    throw new Error(`Unexpected argument: ${positional[specs.length]}`);
+  }
+
+  for (const o of cmd.options || []) {
+    if (options[o.name] === undefined && o.config) {
+      const v = getPath(config.data, o.config);
+      if (v != null && v !== "") options[o.name] = String(v);
+    }
+    if (o.required && options[o.name] === undefined) throw new Error(`Missing --${o.name} <${o.value}>`);
+  }
+
+  const catalogOpt = options.catalog || (config.data.catalog ? path.resolve(config.dir, config.data.catalog) : "catalog.json");
+  const catalog = path.resolve(catalogOpt);
+
+  return {
+    args,
+    options,
+    catalog,
+    apply: !!options.apply,
+    json: !!options.json,
+    verbose: !!options.verbose,
+    /** Re-emit the command's own options (all, or only `names`) as script flags. */
+    passOptions(names) {
+      const out = [];
+      for (const o of cmd.options || []) {
+        if (names && !names.includes(o.name)) continue;
+        if (o.name === "out" && cmd.writes === "merge") continue;
+        const v = options[o.name];
+        if (v === undefined || v === false) continue;
+        for (const one of Array.isArray(v) ? v : [v]) out.push(...(o.value ? [`--${o.name}`, one] : [`--${o.name}`]));
+      }
+      return out;
+    }
+  };
+}
+
+function runScript(script, argv, { env = {}, capture = true, stdin = false, verbose = false } = {}) {
+  const file = path.join(SCRIPTS_DIR, script);
+  if (verbose) {
+    const shown = [path.relative(process.cwd(), file), ...argv.map((a) => (/[\s"']/.test(a) ? JSON.stringify(a) : a))];
+    console.error(`$ node ${shown.join(" ")}`);
+  }
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [file, ...argv], {
+      env: { ...process.env, ...env },
+      stdio: [stdin ? "inherit" : "ignore", capture ? "pipe" : "inherit", "inherit"]
+    });
+    let out = "";
+    if (capture) {
+      child.stdout.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => (out += chunk));
+    }
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code: code ?? 1, stdout: out }));
+  });
+}
+
+function formatValue(v) {
+  if (v == null) return "";
+  if (Array.isArray(v) && v.every((x) => x == null || typeof x !== "object")) return v.join(", ");
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function printSummary(text, { json }) {
+  if (json) {
+    process.stdout.write(text);
+    return;
+  }
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = null;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    process.stdout.write(text);
+    return;
+  }
+  const width = Math.max(0, ...Object.keys(data).map((k) => k.length));
+  for (const [key, value] of Object.entries(data)) {
+    const rows = Array.isArray(value) && value.length && value.every((x) => x && typeof x === "object" && !Array.isArray(x));
+    if (!rows) {
+      console.log(`${key.padEnd(width)}  ${formatValue(value)}`);
+      continue;
+    }
+    console.log(key);
+    for (const row of value) console.log(`  - ${Object.entries(row).map(([k, v]) => `${k}: ${formatValue(v)}`).join("  ")}`);
+  }
+}
+
+async function runMerge(cmd, ctx, script) {
+  const produced = await runScript(script, cmd.argv(ctx), { stdin: cmd.stdin, verbose: ctx.verbose });
+  if (produced.code !== 0) return produced.code;
+  if (ctx.options.out) {
+    await fs.writeFile(ctx.options.out, produced.stdout, "utf8");
+    printSummary(JSON.stringify({ out: path.relative(process.cwd(), path.resolve(ctx.options.out)) }) + "\n", ctx);
+    return 0;
+  }
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "music-board-"));
+  const itemsPath = path.join(tmp, "items.json");
+  try {
+    await fs.writeFile(itemsPath, produced.stdout, "utf8");
+    const merged = await runScript("merge-items-to-catalog.mjs", [itemsPath, ctx.catalog, ...(ctx.apply ? ["--apply"] : [])], {
+      verbose: ctx.verbose
+    });
+    if (merged.stdout) printSummary(merged.stdout, ctx);
+    return merged.code;
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const { words, help } = scanArgv(argv);
+  const cmd = findCommand(words);
+
+  if (!cmd) {
+    const prefix = words.length && COMMANDS.some((c) => c.path[0] === words[0]) ? [words[0]] : [];
+    if (help && words.length === prefix.length) {
+      console.log(overviewHelp(prefix));
+      return;
+    }
+    if (words.length > prefix.length) console.error(`Unknown command: ${words.join(" ")}\n`);
+    console.error(overviewHelp(prefix));
+    process.exit(1);
+  }
+
+  const parsed = parseCommandArgs(cmd, argv);
+  if (parsed.options.help) {
+    console.log(commandHelp(cmd));
+    return;
+  }
+
+  const config = await loadConfig(parsed.options.config);
+  const ctx = buildContext(cmd, parsed, config);
+  if (ctx.verbose && config.file) console.error(`config: ${path.relative(process.cwd(), config.file) || config.file}`);
+
+  const script = cmd.resolve ? cmd.resolve(ctx) : cmd.script;
+  const needsCatalog = cmd.catalog !== false && !(cmd.writes === "merge" && ctx.options.out);
+  if (needsCatalog && !existsSync(ctx.catalog)) {
+    throw new Error(`Catalog not found: ${ctx.catalog} (pass --catalog or set \`catalog\` in ${CONFIG_NAME})`);
+  }
+  if (cmd.writes === "merge") {
+    process.exitCode = await runMerge(cmd, ctx, script);
+    return;
+  }
+
+  const scriptArgv = cmd.argv(ctx);
+  if (cmd.writes === "flag" && ctx.apply) scriptArgv.push("--apply");
+  const env = {};
+  if (cmd.writes === "always" && !ctx.apply) env.MUSIC_BOARD_DRY_RUN = "1";
+  if (ctx.verbose) env.MUSIC_BOARD_VERBOSE = "1";
+
+  const res = await runScript(script, scriptArgv, { env, stdin: cmd.stdin, capture: !cmd.raw, verbose: ctx.verbose });
+  if (!cmd.raw && res.stdout) printSummary(res.stdout, ctx);
+  process.exitCode = res.code;
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
@@ -16,8 +16,8 @@
  *   --tags <csv>            Comma-separated tags to match (default: EMPTY,HAPPY)
  */
 
-import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, ensureArray, trim } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -35,14 +35,6 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function trim(value) {
-  return (value ?? "").toString().trim();
-}
-
 function parseCsvList(text) {
   const raw = (text ?? "").toString().trim();
   if (!raw) return [];
@@ -80,14 +72,12 @@ async function main() {
   const tagSet = new Set(tags.map((t) => trim(t)).filter(Boolean));
   if (tagSet.size === 0) throw new Error("Empty --tags is not allowed");
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
+  const catalog = await Catalog.load(catalogPath);
 
   let considered = 0;
   let updated = 0;
 
-  for (const it of items) {
-    if (trim(it?.type) !== "song") continue;
+  for (const it of catalog.songs) {
     const itemTags = ensureArray(it?.tags).map((t) => trim(t));
     const matchesTag = itemTags.some((t) => tagSet.has(t));
     if (!matchesTag) continue;
@@ -102,9 +92,7 @@ async function main() {
     }
   }
 
-  if (apply && updated > 0) {
-    await fs.writeFile(catalogPath, JSON.stringify({ ...catalog, items }, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   console.log(
     JSON.stringify(
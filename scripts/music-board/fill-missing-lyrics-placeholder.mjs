@@ -12,8 +12,8 @@
  * - If no filters are provided, all songs with missing lyrics are targeted.
  */
 
-import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, ensureArray, trim } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -33,15 +33,8 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function trim(value) {
-  return (value ?? "").toString().trim();
-}
-
-function normalizeText(text) {
+// Case / whitespace folding only (not the lib's normalizeText): --collection-title is compared as typed.
+function foldTitle(text) {
   return trim(text).toLowerCase().replace(/\s+/g, " ");
 }
 
@@ -71,7 +64,7 @@ async function main() {
       i += 1;
     } else if (a === "--collection-title" && args[i + 1]) {
       const v = trim(args[i + 1]);
-      if (v) collectionTitles.add(normalizeText(v));
+      if (v) collectionTitles.add(foldTitle(v));
       i += 1;
     } else if (a === "--tag" && args[i + 1]) {
       const v = trim(args[i + 1]);
@@ -83,12 +76,10 @@ async function main() {
   const placeholderTrimmed = trim(placeholder);
   if (!placeholderTrimmed) throw new Error("Empty --placeholder is not allowed");
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
+  const catalog = await Catalog.load(catalogPath);
 
   const collectionsById = new Map(
-    items
-      .filter((it) => ["album", "collection", "playlist"].includes(trim(it?.type)))
+    catalog.collections
       .map((it) => [trim(it?.id), trim(it?.title)])
       .filter(([id]) => id)
   );
@@ -98,15 +89,13 @@ async function main() {
   let considered = 0;
   let updated = 0;
 
-  for (const it of items) {
-    if (trim(it?.type) !== "song") continue;
-
+  for (const it of catalog.songs) {
     const existing = trim(it?.lyrics);
     const missingLyrics = existing === "";
     if (!overwrite && !missingLyrics) continue;
 
     const collectionId = trim(it?.collectionId);
-    const collectionTitle = normalizeText(collectionId ? collectionsById.get(collectionId) || "" : "");
+    const collectionTitle = foldTitle(collectionId ? collectionsById.get(collectionId) || "" : "");
     const itemTags = ensureArray(it?.tags)
       .map((t) => trim(t))
       .filter(Boolean);
@@ -126,9 +115,7 @@ async function main() {
     }
   }
 
-  if (apply && updated > 0) {
-    await fs.writeFile(catalogPath, JSON.stringify({ ...catalog, items }, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   console.log(
     JSON.stringify(
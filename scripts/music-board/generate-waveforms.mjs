@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Generate waveform peaks for self-hosted tracks: decode local .wav / .mp3 files (pure JS, see lib/waveform.mjs),
+ * write one sidecar JSON per song (`{ version: 1, duration, peaks: [0–255, …] }`) and point the song's `waveform`
+ * field at it. The page draws it as a seekable waveform in the track hero and the player.
+ *
+ * Files are matched to songs like `register-audio-files.mjs` (ISRC, else album + title, else a unique title), and
+ * only songs that already have a self-hosted (`self`) audio embed get a waveform: there is nothing to seek otherwise.
+ * Other formats (.flac, .m4a …) are listed under `unsupported`. When a song has both a .wav master and its .mp3 in the
+ * folder, the first file walked gives the peaks.
+ *
+ * Usage:
+ *   node scripts/music-board/generate-waveforms.mjs <audioDir> <catalog.json> [--apply] [--out <dir>] [--points <n>] [--overwrite]
+ *
+ * Default is DRY RUN (no writes). Add --apply to write catalog.json and the sidecar files.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog, ensureArray, platformKey, trim } from "./lib/catalog.mjs";
+import { matchSongByTags, readAudioTags, titleFromFilename, walkAudioFiles } from "./lib/audio-tags.mjs";
+import { computePeaks, WAVEFORM_EXTENSIONS } from "./lib/waveform.mjs";
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/generate-waveforms.mjs <audioDir> <catalog.json> [--apply] [--out <dir>] [--points <n>] [--overwrite]",
+      "",
+      "Options:",
+      "  --apply          Write changes (default: dry run)",
+      "  --out <dir>      Folder for the sidecar JSON files (default: waveforms/ next to catalog.json)",
+      "  --points <n>     Peaks per track (default: 800)",
+      "  --overwrite      Regenerate songs that already have a waveform"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let apply = false;
+  let overwrite = false;
+  let outDir = "";
+  let points = 800;
+  const positional = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const a = args[i];
+    if (a === "--apply") apply = true;
+    else if (a === "--overwrite") overwrite = true;
+    else if (a === "--out") outDir = args[++i] || usage();
+    else if (a === "--points") points = Number(args[++i]) || usage();
+    else if (a.startsWith("--")) usage();
+    else positional.push(a);
+  }
+  const [audioDir, catalogPath] = positional;
+  if (!audioDir || !catalogPath || !Number.isInteger(points) || points < 16) usage();
+
+  const root = path.resolve(audioDir);
+  const files = await walkAudioFiles(root);
+  const catalog = await Catalog.load(catalogPath);
+  const catalogDir = path.dirname(path.resolve(catalogPath));
+  outDir = path.resolve(outDir || path.join(catalogDir, "waveforms"));
+
+  const unsupported = [];
+  const unmatched = [];
+  const ambiguous = [];
+  const withoutAudio = [];
+  const skipped = [];
+  const failed = [];
+  const sidecars = new Map();
+  const seen = new Set();
+
+  for (const file of files) {
+    const rel = path.relative(root, file);
+    if (!WAVEFORM_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+      unsupported.push(rel);
+      continue;
+    }
+    let tags;
+    try {
+      tags = await readAudioTags(file);
+    } catch (err) {
+      failed.push(`${rel}: ${err.message}`);
+      continue;
+    }
+
+    const { song, by } = matchSongByTags(catalog, tags, tags.title || titleFromFilename(file));
+    if (!song) {
+      (by === "ambiguous" ? ambiguous : unmatched).push(rel);
+      continue;
+    }
+    // Two files for one song (e.g. .wav master + .mp3): the first one wins.
+    if (seen.has(song.id)) continue;
+    seen.add(song.id);
+    if (!ensureArray(song.embeds).some((e) => platformKey(e?.platform) === "self" && trim(e?.url))) {
+      withoutAudio.push(`${rel} (${song.id})`);
+      continue;
+    }
+    if (trim(song.waveform) && !overwrite) {
+      skipped.push(`${rel} (${song.id})`);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await computePeaks(file, { points });
+    } catch (err) {
+      failed.push(`${rel}: ${err.message}`);
+      continue;
+    }
+    const out = path.join(outDir, `${song.id}.json`);
+    sidecars.set(out, { version: 1, duration: Math.round(result.duration * 1000) / 1000, peaks: result.peaks });
+    song.waveform = path.relative(catalogDir, out).split(path.sep).join("/");
+  }
+
+  if (apply && sidecars.size) {
+    await fs.mkdir(outDir, { recursive: true });
+    for (const [out, data] of sidecars) await fs.writeFile(out, `${JSON.stringify(data)}\n`);
+  } else if (sidecars.size) {
+    console.error(`DRY RUN: would write ${sidecars.size} waveform file(s) to ${outDir}`);
+  }
+
+  await catalog.save({ dryRun: !apply });
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        apply,
+        files: files.length,
+        generated: sidecars.size,
+        skipped,
+        withoutAudio,
+        unsupported,
+        unmatched,
+        ambiguous,
+        failed,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Import Apple Music albums (saved music.apple.com album page, or an Apple Music API `albums` response)
+ * and MERGE them into a catalog.json.
+ *
+ * Usage:
+ *   node scripts/music-board/import-apple-music-album.mjs <album1.html|album1.json> [more ...] <catalog.json>
+ *
+ * Notes:
+ * - Albums merge into an existing entry by UPC (stored by the DistroKid importer), the Apple album URL, then
+ *   normalized title + release date; otherwise `apple-album-<id>` is created.
+ * - Tracks merge by ISRC, then title within the album. The page's server data / the API carry UPC and ISRC;
+ *   pages saved with only JSON-LD fall back to titles.
+ * - Matched songs get an `apple` link (`?i=<songId>`) and an `embed.music.apple.com` embed (30s preview
+ *   unless the listener is signed in).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog } from "./lib/catalog.mjs";
+import { parseAlbumHtml, parseAlbumJson, toReleaseItems } from "./lib/apple.mjs";
+
+async function parseFile(filePath) {
+  const text = await fs.readFile(filePath, "utf8");
+  if (/\.json$/i.test(filePath) || /^\s*[{[]/.test(text)) {
+    try {
+      return parseAlbumJson(JSON.parse(text));
+    } catch {
+      return null;
+    }
+  }
+  return parseAlbumHtml(text);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || args.includes("--help") || args.includes("-h")) {
+    console.error("Usage: node scripts/music-board/import-apple-music-album.mjs <album1.html|album1.json> [more ...] <catalog.json>");
+    process.exit(args.length < 2 ? 1 : 0);
+  }
+
+  const catalogPath = args[args.length - 1];
+  const inputPaths = args.slice(0, -1);
+
+  const catalog = await Catalog.load(catalogPath);
+
+  let albumsCreated = 0;
+  let albumsMatched = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  const unmatched = [];
+  const skipped = [];
+
+  for (const inputPath of inputPaths) {
+    const parsed = await parseFile(inputPath);
+    if (!parsed || parsed.songs.length === 0) {
+      skipped.push(path.resolve(inputPath));
+      continue;
+    }
+    const { album, tracks } = toReleaseItems(parsed);
+    const r = catalog.importRelease(album, tracks, { source: "apple" });
+    if (r.albumCreated) albumsCreated += 1;
+    else albumsMatched += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    for (const title of r.unmatched) unmatched.push({ album: r.album.id, title });
+  }
+
+  await catalog.save();
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        albumsCreated,
+        albumsMatched,
+        tracksMatched,
+        tracksCreated,
+        unmatched: unmatched.length ? unmatched : undefined,
+        skipped: skipped.length ? skipped : undefined,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Fill catalog songs from the tags of local audio files (mp3 / flac / m4a / wav) in an album folder:
+ * `isrc`, `trackNo`, `duration`, `lyrics` / `lyricsTimed` (USLT / SYLT / LYRICS / ©lyr) and, with --covers, `cover`.
+ *
+ * Matching (offline, conservative):
+ * - by ISRC when the file has one and the catalog knows it
+ * - else by title among the tracks of the album named in the tag (normalized album title)
+ * - else by title across all songs when exactly one song has that title
+ *
+ * Usage:
+ *   node scripts/music-board/import-audio-tags.mjs <albumDir> <catalog.json> [--apply] [--overwrite] [--covers <dir>]
+ *
+ * Default is DRY RUN (no writes). Add --apply to write catalog.json (and cover files). Keep --covers inside the
+ * site folder (e.g. `assets/covers`): build-static-pages.mjs copies the covers the catalog points to into `dist/`.
+ * Embedded lyrics that differ from a song's existing (curated) lyrics are not written, nor is their timing.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog, formatDuration, isLyricsNoise, trim } from "./lib/catalog.mjs";
+import { matchSongByTags, readAudioTags, titleFromFilename, walkAudioFiles } from "./lib/audio-tags.mjs";
+import { parseLrc, stripLrcToPlainText } from "./lib/lrc.mjs";
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/import-audio-tags.mjs <albumDir> <catalog.json> [--apply] [--overwrite] [--covers <dir>]",
+      "",
+      "Options:",
+      "  --apply           Write changes (default: dry run)",
+      "  --overwrite       Overwrite existing fields (default: only fill missing)",
+      "  --covers <dir>    Save embedded cover art here and set `cover` where missing (path relative to catalog.json)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+function maybeSet(obj, key, value, overwrite) {
+  if (value == null) return false;
+  const v = typeof value === "string" ? value.trim() : value;
+  if (typeof v === "string" && !v) return false;
+  if (Array.isArray(v) && v.length === 0) return false;
+  if (!overwrite && obj[key] != null && String(obj[key]).trim() !== "") return false;
+  if (JSON.stringify(obj[key]) === JSON.stringify(v)) return false;
+  obj[key] = v;
+  return true;
+}
+
+function setLyricsFromTags(song, tags, overwrite) {
+  let touched = false;
+  const text = isLyricsNoise(tags.lyrics) ? "" : tags.lyrics;
+  // USLT / LYRICS often carry a whole LRC; keep its timing unless a SYLT frame already gave one.
+  const timed = tags.lyricsTimed.length ? tags.lyricsTimed : parseLrc(text);
+  const plain = text ? stripLrcToPlainText(text) : timed.map((l) => l.text).join("\n").trim();
+  if (plain && !isLyricsNoise(plain)) touched = maybeSet(song, "lyrics", plain, overwrite) || touched;
+  // Timing belongs to this file's text: the page shows `lyricsTimed` first, so it must not sit on other (curated) lyrics.
+  if (timed.length && trim(song.lyrics) === plain) touched = maybeSet(song, "lyricsTimed", timed, overwrite) || touched;
+  return touched;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let apply = false;
+  let overwrite = false;
+  let coversDir = "";
+  const positional = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const a = args[i];
+    if (a === "--apply") apply = true;
+    else if (a === "--overwrite") overwrite = true;
+    else if (a === "--covers") coversDir = args[++i] || usage();
+    else if (a.startsWith("--")) usage();
+    else positional.push(a);
+  }
+  const [albumDir, catalogPath] = positional;
+  if (!albumDir || !catalogPath) usage();
+
+  const files = await walkAudioFiles(path.resolve(albumDir));
+  const catalog = await Catalog.load(catalogPath);
+  const catalogDir = path.dirname(path.resolve(catalogPath));
+  if (coversDir && path.relative(catalogDir, path.resolve(coversDir)).startsWith("..")) {
+    console.error(`WARN: ${coversDir} is outside ${catalogDir}; build-static-pages.mjs only deploys covers inside the site folder`);
+  }
+
+  const matched = { isrc: 0, "album+title": 0, title: 0 };
+  const unmatched = [];
+  const ambiguous = [];
+  const unreadable = [];
+  const coverFiles = new Map();
+  let songsUpdated = 0;
+
+  for (const file of files) {
+    const rel = path.relative(path.resolve(albumDir), file);
+    let tags;
+    try {
+      tags = await readAudioTags(file);
+    } catch (err) {
+      unreadable.push(`${rel}: ${err.message}`);
+      continue;
+    }
+
+    const title = tags.title || titleFromFilename(file);
+    const { song, by } = matchSongByTags(catalog, tags, title);
+    if (!song) {
+      (by === "ambiguous" ? ambiguous : unmatched).push(rel);
+      continue;
+    }
+    matched[by] += 1;
+
+    let touched = false;
+    // A tag ISRC that another song already owns is most likely a mis-tagged file; leave it alone.
+    const owner = tags.isrc ? catalog.findByIsrc(tags.isrc) : null;
+    if (!owner || owner === song) touched = maybeSet(song, "isrc", tags.isrc, overwrite) || touched;
+    if (tags.trackNo > 0) touched = maybeSet(song, "trackNo", tags.trackNo, overwrite) || touched;
+    if (tags.durationMs > 0) touched = maybeSet(song, "duration", formatDuration(tags.durationMs, { ms: true }), overwrite) || touched;
+    touched = setLyricsFromTags(song, tags, overwrite) || touched;
+
+    if (coversDir && tags.cover) {
+      const album = catalog.get(song.collectionId);
+      for (const target of [album, song]) {
+        if (!target || (!overwrite && trim(target.cover))) continue;
+        const ext = tags.cover.mime === "image/png" ? ".png" : tags.cover.mime === "image/webp" ? ".webp" : ".jpg";
+        const out = path.resolve(coversDir, `${target.id}${ext}`);
+        if (!coverFiles.has(out)) coverFiles.set(out, tags.cover.data);
+        const before = target.cover;
+        target.cover = path.relative(catalogDir, out).split(path.sep).join("/");
+        if (target === song) touched = touched || before !== target.cover;
+      }
+    }
+
+    catalog.index(song);
+    if (touched) songsUpdated += 1;
+  }
+
+  if (apply && coverFiles.size) {
+    for (const [out, data] of coverFiles) {
+      await fs.mkdir(path.dirname(out), { recursive: true });
+      await fs.writeFile(out, data);
+    }
+  } else if (coverFiles.size) {
+    console.error(`DRY RUN: would write ${coverFiles.size} cover file(s) to ${path.resolve(coversDir)}`);
+  }
+
+  await catalog.save({ dryRun: !apply });
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        apply,
+        overwrite,
+        files: files.length,
+        matched,
+        updated: { songs: songsUpdated, covers: coverFiles.size },
+        unmatched,
+        ambiguous,
+        unreadable,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Import saved Bandcamp album / track pages (`<artist>.bandcamp.com/album/<slug>`) and MERGE them into a catalog.json.
+ *
+ * Usage:
+ *   node scripts/music-board/import-bandcamp-album.mjs <album1.html> [album2.html ...] <catalog.json>
+ *
+ * Notes:
+ * - Reads the page's `data-tralbum` JSON: album id, title, release date, track ids / titles / durations.
+ * - Albums merge into an existing entry by UPC, the Bandcamp album URL, then normalized title + release date;
+ *   otherwise `bandcamp-album-<id>` is created. Tracks merge by ISRC (when Bandcamp has one), then title.
+ * - Albums and songs get `bandcamp` links and the official `bandcamp.com/EmbeddedPlayer` iframe as an embed.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog } from "./lib/catalog.mjs";
+import { parseAlbumHtml, toReleaseItems } from "./lib/bandcamp.mjs";
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || args.includes("--help") || args.includes("-h")) {
+    console.error("Usage: node scripts/music-board/import-bandcamp-album.mjs <album1.html> [album2.html ...] <catalog.json>");
+    process.exit(args.length < 2 ? 1 : 0);
+  }
+
+  const catalogPath = args[args.length - 1];
+  const inputPaths = args.slice(0, -1);
+
+  const catalog = await Catalog.load(catalogPath);
+
+  let albumsCreated = 0;
+  let albumsMatched = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  const unmatched = [];
+  const skipped = [];
+
+  for (const inputPath of inputPaths) {
+    const parsed = parseAlbumHtml(await fs.readFile(inputPath, "utf8"));
+    if (!parsed || parsed.songs.length === 0) {
+      skipped.push(path.resolve(inputPath));
+      continue;
+    }
+    const { album, tracks } = toReleaseItems(parsed);
+    const r = catalog.importRelease(album, tracks, { source: "bandcamp" });
+    if (r.albumCreated) albumsCreated += 1;
+    else albumsMatched += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    for (const title of r.unmatched) unmatched.push({ album: r.album.id, title });
+  }
+
+  await catalog.save();
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        albumsCreated,
+        albumsMatched,
+        tracksMatched,
+        tracksCreated,
+        unmatched: unmatched.length ? unmatched : undefined,
+        skipped: skipped.length ? skipped : undefined,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
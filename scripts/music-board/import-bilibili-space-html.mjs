@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Import a saved Bilibili space / 合集 / 系列 page (or the JSON the page loads) into catalog items.
+ *
+ * Usage:
+ *   node scripts/music-board/import-bilibili-space-html.mjs <page1.html|archives.json> [more ...] > out.json
+ *
+ * Inputs:
+ * - "另存为 HTML" of space.bilibili.com/<mid>/video, …/channel/collectiondetail?sid=<id> or …/lists/<id>?type=season
+ *   (video cards: BV id, title, cover, duration)
+ * - JSON responses of `x/polymer/web-space/seasons_archives_list` (合集), `x/series/archives` (系列)
+ *   or `x/space/wbi/arc/search` (投稿列表)
+ *
+ * Output:
+ *   JSON array: [{ source, items: [collectionItem, ...videoItems] }]
+ *   Merge with `merge-items-to-catalog.mjs` (or `music-board import bilibili`), then attach videos to songs as needed.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { decodeHtml, ensureArray, stripTags, trim } from "./lib/catalog.mjs";
+import { normalizeBilibiliCover, parseBilibiliSpace, parseBilibiliVideo, toVideoItem } from "./lib/bilibili.mjs";
+
+/** Unix seconds → Beijing-time date (what B 站 shows as the upload date). */
+function toISODate(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) return "";
+  return new Date((seconds + 8 * 3600) * 1000).toISOString().slice(0, 10);
+}
+
+function pickFirstMatch(re, text) {
+  const m = text.match(re);
+  return m ? m[1] : "";
+}
+
+function collectionItem(space, { title, artist, cover, url }) {
+  const kind = space?.seasonId ? "season" : space?.seriesId ? "series" : "space";
+  const key = space?.seasonId || space?.seriesId || space?.mid || Math.random().toString(36).slice(2, 8);
+  const label = { season: "B 站 · 合集", series: "B 站 · 系列", space: "B 站 · 空间" }[kind];
+  return {
+    id: `bilibili-${kind}-${key}`,
+    type: kind === "space" ? "collection" : "playlist",
+    title: title || (kind === "space" ? "我的视频（B 站）" : "(未命名合集)"),
+    artist: artist || "",
+    releaseDate: "",
+    cover: cover || "",
+    tags: ["bilibili", kind === "space" ? "videos" : "playlist"].concat(title ? [title] : []),
+    links: url ? [{ platform: "bilibili", label, url }] : [],
+    embeds: [],
+    refs: { bilibili: { ...(space?.mid ? { mid: space.mid } : {}), ...(space?.seasonId ? { seasonId: space.seasonId } : {}), ...(space?.seriesId ? { seriesId: space.seriesId } : {}) } }
+  };
+}
+
+/** Video cards of a saved page: every `<a href="…/video/BV…">`, merged per BV id (cover link + title link). */
+function parseHtml(html) {
+  const byBvid = new Map();
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a>/g;
+  let m;
+  while ((m = re.exec(html))) {
+    const href = pickFirstMatch(/href="([^"]*\/video\/(?:BV|av)[^"]*)"/i, m[1]);
+    const video = href ? parseBilibiliVideo(href) : null;
+    if (!video) continue;
+    const card = byBvid.get(video.bvid) || { bvid: video.bvid, title: "", cover: "", duration: "" };
+    const text = stripTags(m[2]);
+    const attrTitle = stripTags(decodeHtml(pickFirstMatch(/title="([^"]*)"/, m[1])));
+    if (!card.title) card.title = attrTitle || (/^\d{1,2}:\d{2}(:\d{2})?$/.test(text) ? "" : text);
+    if (!card.cover) card.cover = normalizeBilibiliCover(decodeHtml(pickFirstMatch(/<img[^>]*src="([^"]+)"/, m[2])));
+    if (!card.duration) card.duration = pickFirstMatch(/(?:^|>)\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*</, m[2]);
+    byBvid.set(video.bvid, card);
+  }
+
+  const pageUrl =
+    pickFirstMatch(/<!-- saved from url=\(\d+\)(\S+) -->/, html) ||
+    pickFirstMatch(/<link[^>]*rel="canonical"[^>]*href="([^"]+)"/i, html) ||
+    pickFirstMatch(/<meta[^>]*property="og:url"[^>]*content="([^"]+)"/i, html);
+  const docTitle = stripTags(pickFirstMatch(/<title>([\s\S]*?)<\/title>/i, html));
+  const artist = pickFirstMatch(/^(?:合集·[^-]+-)?(.+?)的个人空间/, docTitle);
+  const title = docTitle.startsWith("合集·") ? trim(docTitle.slice(3).split("-")[0]) : "";
+
+  return {
+    space: parseBilibiliSpace(pageUrl),
+    meta: { title, artist, url: pageUrl },
+    videos: [...byBvid.values()].filter((v) => v.title)
+  };
+}
+
+/** seasons_archives_list / series archives / arc search responses. */
+function parseJson(json) {
+  const data = json?.data || json;
+  const meta = data?.meta || {};
+  const archives = ensureArray(data?.archives).length ? data.archives : ensureArray(data?.list?.vlist);
+  const mid = trim(meta.mid || archives[0]?.mid || data?.list?.vlist?.[0]?.mid);
+  const seasonId = trim(meta.season_id);
+  const seriesId = trim(meta.series_id);
+  const space = mid ? { mid, seasonId, seriesId } : null;
+  const url = seasonId
+    ? `https://space.bilibili.com/${mid}/lists/${seasonId}?type=season`
+    : seriesId
+      ? `https://space.bilibili.com/${mid}/lists/${seriesId}?type=series`
+      : mid
+        ? `https://space.bilibili.com/${mid}/video`
+        : "";
+  return {
+    space,
+    meta: { title: trim(meta.name), artist: trim(archives[0]?.author), cover: normalizeBilibiliCover(meta.cover), url },
+    videos: archives
+      .map((a) => ({
+        bvid: trim(a?.bvid) || (a?.aid ? parseBilibiliVideo(`av${a.aid}`)?.bvid : ""),
+        title: trim(a?.title),
+        cover: normalizeBilibiliCover(a?.pic),
+        duration: Number.isFinite(a?.duration) ? a.duration : trim(a?.length),
+        releaseDate: toISODate(a?.pubdate || a?.created)
+      }))
+      .filter((v) => v.bvid && v.title)
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.error("Usage: node scripts/music-board/import-bilibili-space-html.mjs <page1.html|archives.json> [more ...]");
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const out = [];
+  for (const file of args) {
+    const text = await fs.readFile(file, "utf8");
+    const parsed = /^\s*[{[]/.test(text) ? parseJson(JSON.parse(text)) : parseHtml(text);
+    if (parsed.videos.length === 0) {
+      console.error(`WARN: no videos found in ${file}`);
+      continue;
+    }
+
+    const collection = collectionItem(parsed.space, {
+      ...parsed.meta,
+      cover: parsed.meta.cover || parsed.videos[0]?.cover
+    });
+    const videos = parsed.videos.map((v, i) => {
+      // Upload lists are newest-first, so only 合集 / 系列 order is kept as trackNo.
+      const trackNo = collection.type === "playlist" ? i + 1 : undefined;
+      const item = toVideoItem({ ...v, artist: parsed.meta.artist, collectionId: collection.id, trackNo });
+      if (collection.title) item.tags.push(collection.title);
+      return item;
+    });
+    collection.trackCount = videos.length;
+    out.push({ source: path.resolve(file), items: [collection, ...videos] });
+  }
+
+  process.stdout.write(JSON.stringify(out, null, 2) + "\n");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -17,25 +17,8 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-
-function decodeHtml(text) {
-  return (text ?? "")
-    .toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'")
-    .replaceAll("&nbsp;", " ");
-}
-
-function stripTags(text) {
-  return decodeHtml((text ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
-
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
+import { Catalog, decodeHtml, ensureArray, mergeLinks, normalizeKey, platformKey, stripTags } from "./lib/catalog.mjs";
+import { storeToLink } from "./lib/distrokid.mjs";
 
 function normalizeCover(url) {
   const raw = (url ?? "").toString().trim();
@@ -73,104 +56,6 @@ function toISODateFromEnglish(text) {
   return `${year}-${pad(mm)}-${pad(day)}`;
 }
 
-function normalizeKey(text) {
-  return (text ?? "")
-    .toString()
-    .normalize("NFKC")
-    .trim()
-    .toLowerCase()
-    .replace(/[\s·•—–\-_/\\:：,，.。!?！？'"“”‘’()（）\\[\\]{}<>]+/g, "");
-}
-
-function platformKey(platform) {
-  return (platform ?? "").toString().trim().toLowerCase().replace(/\s+/g, "");
-}
-
-function slugify(text) {
-  return (text ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .normalize("NFKC")
-    .replace(/[’']/g, "")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 48);
-}
-
-function mapIconToPlatform(iconName) {
-  const icon = (iconName ?? "").toString().trim().toLowerCase();
-  const pick = (platform, label) => ({ platform, label, url: "" });
-
-  if (icon === "spotify") return pick("spotify", "Spotify");
-  if (icon === "applemusic" || icon === "itunes") return pick("apple", "Apple Music");
-  if (icon === "youtubemusic") return pick("youtube", "YouTube Music");
-  if (icon === "tiktok") return pick("tiktok", "TikTok");
-  if (icon === "netease") return pick("netease", "网易云");
-  if (icon === "tencent") return pick("qq", "QQ 音乐");
-
-  if (icon === "amazon") return pick("amazon", "Amazon Music");
-  if (icon === "deezer") return pick("deezer", "Deezer");
-  if (icon === "tidal") return pick("tidal", "TIDAL");
-  if (icon === "rdio") return pick("pandora", "Pandora");
-  if (icon === "qobuz") return pick("qobuz", "Qobuz");
-  if (icon === "saavn") return pick("jiosaavn", "JioSaavn");
-  if (icon === "anghami") return pick("anghami", "Anghami");
-  if (icon === "boomplay") return pick("boomplay", "Boomplay");
-  if (icon === "joox") return pick("joox", "JOOX");
-  if (icon === "facebook") return pick("instagram", "Instagram / Facebook");
-
-  const slug = slugify(icon);
-  return pick(slug || "link", iconName);
-}
-
-function mergeLinks(existing, incoming) {
-  const byPlatform = new Map();
-  for (const l of ensureArray(existing)) {
-    const canonical = (() => {
-      const k = platformKey(l?.platform);
-      if (k === "facebook") return "instagram";
-      return (l?.platform ?? "").toString().trim();
-    })();
-    const p = platformKey(canonical);
-    if (!p) continue;
-    byPlatform.set(p, { ...l, platform: canonical });
-  }
-
-  const looksDefaultLabel = (label, platform) => {
-    const l = (label ?? "").toString().trim().toLowerCase();
-    const p = (platform ?? "").toString().trim().toLowerCase();
-    if (!l) return true;
-    return l === p || l === "link";
-  };
-
-  for (const l of ensureArray(incoming)) {
-    const canonical = (() => {
-      const k = platformKey(l?.platform);
-      if (k === "facebook") return "instagram";
-      return (l?.platform ?? "").toString().trim();
-    })();
-    const p = platformKey(canonical);
-    if (!p) continue;
-    const prev = byPlatform.get(p);
-    if (!prev) {
-      byPlatform.set(p, { ...l, platform: canonical });
-      continue;
-    }
-    const next = { ...prev };
-    if (l?.label && looksDefaultLabel(next.label, next.platform)) next.label = l.label;
-    if ((!next.url || next.url === "") && l?.url) next.url = l.url;
-    byPlatform.set(p, next);
-  }
-  return Array.from(byPlatform.values());
-}
-
-function addTag(tags, tag) {
-  const set = new Set(ensureArray(tags).filter(Boolean));
-  set.add(tag);
-  return Array.from(set);
-}
-
 function parseAlbumuuid(html) {
   return (
     (html.match(/albumuuid\s*=\s*["']([0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{16})["']/i) || [])[1] ||
@@ -205,7 +90,7 @@ function parseStores(html) {
   while ((m = linkedIconRe.exec(slice))) {
     const url = decodeHtml(m[1]);
     const icon = m[2];
-    const it = mapIconToPlatform(icon);
+    const it = storeToLink(icon);
     it.url = url;
     links.push(it);
   }
@@ -213,7 +98,7 @@ function parseStores(html) {
   const iconRe = /<img\b[^>]*src="\/images\/icons\/([^"\/]+)\.png"[^>]*>/gi;
   while ((m = iconRe.exec(slice))) {
     const icon = m[1];
-    links.push(mapIconToPlatform(icon));
+    links.push(storeToLink(icon));
   }
 
   return mergeLinks([], links);
@@ -263,57 +148,19 @@ function toIncomingAlbum({ albumuuid, meta, albumLinks, tracks }) {
   };
 }
 
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}) };
-  next.type = "album";
-  next.tags = addTag(addTag(next.tags, "distrokid"), "album");
-  next.links = mergeLinks(ensureArray(next.links), ensureArray(incoming.links));
-
-  if (!next.title || next.title === "(未命名专辑)") next.title = incoming.title;
-  if (!next.artist) next.artist = incoming.artist;
-  if (!next.cover) next.cover = incoming.cover;
-  if (!next.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!Number.isFinite(next.trackCount) && Number.isFinite(incoming.trackCount)) next.trackCount = incoming.trackCount;
-  if (!next.upc && incoming.upc) next.upc = incoming.upc;
-  if (!next.refs) next.refs = {};
-  next.refs = { ...next.refs, distrokid: { ...(next.refs?.distrokid || {}), ...(incoming.refs?.distrokid || {}) } };
-  return next;
-}
-
-function findAlbumMatch(items, incoming) {
-  const upc = (incoming?.upc || "").toString().trim();
-  if (upc) {
-    const byUpc = items.find((it) => (it?.type === "album" || it?.type === "collection") && (it?.upc || "") === upc);
-    if (byUpc) return byUpc;
-  }
-
-  const releaseDate = (incoming?.releaseDate || "").toString().trim();
-  const titleKey = normalizeKey(incoming?.title || "");
-  if (releaseDate && titleKey) {
-    const byTitleDate = items.find(
-      (it) =>
-        (it?.type === "album" || it?.type === "collection") &&
-        (it?.releaseDate || "") === releaseDate &&
-        normalizeKey(it?.title || "") === titleKey
-    );
-    if (byTitleDate) return byTitleDate;
-  }
+function findAlbumMatch(catalog, incoming) {
+  const byUpcOrTitle = catalog.findAlbum(incoming);
+  if (byUpcOrTitle) return byUpcOrTitle;
 
   const albumuuid = incoming?.refs?.distrokid?.albumuuid || "";
   if (albumuuid) {
-    const byUuid = items.find((it) => (it?.refs?.distrokid?.albumuuid || "") === albumuuid);
+    const byUuid = catalog.find((it) => (it?.refs?.distrokid?.albumuuid || "") === albumuuid);
     if (byUuid) return byUuid;
   }
 
   return null;
 }
 
-function findTrackByIsrc(items, isrc) {
-  const key = (isrc || "").toString().trim().toUpperCase();
-  if (!key) return null;
-  return items.find((it) => it?.type === "song" && (it?.isrc || "").toString().trim().toUpperCase() === key) || null;
-}
-
 function stripAlbumPrefix(trackTitle, albumTitle) {
   const t = (trackTitle ?? "").toString().trim();
   const a = (albumTitle ?? "").toString().trim();
@@ -325,15 +172,6 @@ function stripAlbumPrefix(trackTitle, albumTitle) {
   return t;
 }
 
-function findTrackByTitleInAlbum(items, albumId, trackTitle, albumTitle) {
-  const key = normalizeKey(stripAlbumPrefix(trackTitle, albumTitle));
-  if (!key) return null;
-  const candidates = items.filter((it) => it?.type === "song" && (it?.collectionId || "") === (albumId || ""));
-  const direct = candidates.find((it) => normalizeKey(it?.title || "") === key);
-  if (direct) return direct;
-  const contains = candidates.find((it) => normalizeKey(it?.title || "").includes(key) || key.includes(normalizeKey(it?.title || "")));
-  return contains || null;
-}
 
 function toNewTrackItem({ albumId, albumMeta, track, albumLinks }) {
   const isrc = (track?.isrc || "").toString().trim().toUpperCase();
@@ -354,17 +192,6 @@ function toNewTrackItem({ albumId, albumMeta, track, albumLinks }) {
   };
 }
 
-function mergeTrack(existing, incoming) {
-  const next = { ...(existing || {}) };
-  next.type = "song";
-  next.tags = addTag(next.tags, "distrokid");
-  next.links = mergeLinks(ensureArray(next.links), ensureArray(incoming.links));
-  if (!next.isrc && incoming.isrc) next.isrc = incoming.isrc;
-  if (!next.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!next.cover) next.cover = incoming.cover;
-  return next;
-}
-
 async function main() {
   const args = process.argv.slice(2);
   if (args.length < 2) {
@@ -375,12 +202,7 @@ async function main() {
   const catalogPath = args[args.length - 1];
   const htmlPaths = args.slice(0, -1);
 
-  const rawCatalog = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(rawCatalog);
-  if (!catalog || typeof catalog !== "object") throw new Error("catalog.json is not an object");
-
-  const items = ensureArray(catalog.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   let albumsFound = 0;
   let albumsCreated = 0;
@@ -400,27 +222,18 @@ async function main() {
     const tracks = parseTracks(html);
 
     const incoming = toIncomingAlbum({ albumuuid, meta: { ...meta }, albumLinks, tracks });
-    const currentItems = Array.from(byId.values());
-    const matchedAlbum = findAlbumMatch(currentItems, incoming);
-    let albumId = "";
-    let albumWasCreated = false;
-
-    if (matchedAlbum) {
-      albumId = matchedAlbum.id || "";
-      byId.set(albumId, mergeAlbum(matchedAlbum, incoming));
-      albumsMerged += 1;
-    } else {
-      albumId = incoming.id;
-      byId.set(incoming.id, incoming);
-      albumsCreated += 1;
-      albumWasCreated = true;
-    }
+    const matchedAlbum = findAlbumMatch(catalog, incoming);
+    // An existing album only gets the source tags, not the title tag of a freshly created one.
+    const { item: mergedAlbum, created: albumWasCreated } = catalog.upsertAlbum(
+      matchedAlbum ? { ...incoming, tags: ["distrokid", "album"] } : incoming,
+      { match: matchedAlbum }
+    );
+    mergedAlbum.type = "album";
+    const albumId = mergedAlbum.id || "";
+    if (albumWasCreated) albumsCreated += 1;
+    else albumsMerged += 1;
 
-    const mergedAlbum = byId.get(albumId) || incoming;
-    const currentAfterAlbum = Array.from(byId.values());
-    const existingTracksForAlbum = currentAfterAlbum.filter(
-      (it) => it?.type === "song" && (it?.collectionId || "") === albumId
-    ).length;
+    const existingTracksForAlbum = catalog.tracksOf(albumId).length;
     const canCreateTracks = albumWasCreated || (albumId.startsWith("distrokid-album-") && existingTracksForAlbum === 0);
 
     const albumMetaForTracks = {
@@ -432,24 +245,14 @@ async function main() {
     };
 
     for (const t of tracks) {
-      const isrc = (t?.isrc || "").toString().trim().toUpperCase();
-      const current = Array.from(byId.values());
-
-      const byIsrc = isrc ? findTrackByIsrc(current, isrc) : null;
-      if (byIsrc) {
-        const incomingTrack = toNewTrackItem({ albumId: byIsrc.collectionId || albumId, albumMeta: albumMetaForTracks, track: t, albumLinks });
-        incomingTrack.id = byIsrc.id;
-        byId.set(byIsrc.id, mergeTrack(byIsrc, incomingTrack));
-        tracksUpdated += 1;
-        tracksMatched += 1;
-        continue;
-      }
-
-      const byTitle = findTrackByTitleInAlbum(current, albumId, t.title, albumMetaForTracks.title);
-      if (byTitle) {
-        const incomingTrack = toNewTrackItem({ albumId, albumMeta: albumMetaForTracks, track: t, albumLinks });
-        incomingTrack.id = byTitle.id;
-        byId.set(byTitle.id, mergeTrack(byTitle, incomingTrack));
+      const matched = catalog.findTrack(
+        { isrc: t?.isrc, title: stripAlbumPrefix(t.title, albumMetaForTracks.title) },
+        { collectionId: albumId }
+      );
+      if (matched) {
+        const incomingTrack = toNewTrackItem({ albumId: matched.collectionId || albumId, albumMeta: albumMetaForTracks, track: t, albumLinks });
+        catalog.upsertSong({ ...incomingTrack, id: matched.id, tags: ["distrokid"] }, { match: matched });
+        matched.type = "song";
         tracksUpdated += 1;
         tracksMatched += 1;
         continue;
@@ -457,16 +260,15 @@ async function main() {
 
       if (canCreateTracks) {
         const incomingTrack = toNewTrackItem({ albumId, albumMeta: albumMetaForTracks, track: t, albumLinks });
-        if (!byId.has(incomingTrack.id)) {
-          byId.set(incomingTrack.id, incomingTrack);
+        if (!catalog.has(incomingTrack.id)) {
+          catalog.add(incomingTrack);
           tracksCreated += 1;
         }
       }
     }
   }
 
-  catalog.items = Array.from(byId.values());
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(
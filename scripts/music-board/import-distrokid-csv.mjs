@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Import DistroKid CSV / TSV exports (release list or bank details / earnings) and MERGE them into a catalog.json.
+ *
+ * Usage:
+ *   node scripts/music-board/import-distrokid-csv.mjs <export1.csv|.tsv> [more ...] <catalog.json> [--streams]
+ *
+ * Notes:
+ * - Albums merge by UPC, then normalized title + release date; otherwise `distrokid-upc-<UPC>` is created
+ *   (only when the export names the album — bank details only carry it on "Album" rows).
+ * - Tracks merge by ISRC, then title within the album; new tracks are `isrc-<ISRC>` (same as the HTML importer).
+ * - Every store a release / track appears in becomes a platform link (no URL, like the dashboard icons).
+ * - --streams: also store per-store quantities from bank details on each track as
+ *   `streams: { total, byPlatform: { spotify: 1234, ... }, through: "YYYY-MM" }` (replaced on every import;
+ *   earnings amounts are never written to the catalog). Bank-details exports are cumulative, so overlapping files
+ *   are fine: a row (ISRC + store + sale month + country) found in several files is counted once.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog } from "./lib/catalog.mjs";
+import { mergeReleases, parseDistrokidExport, sumStreams, toReleaseItems } from "./lib/distrokid.mjs";
+
+function usage(exitCode = 1) {
+  console.error("Usage: node scripts/music-board/import-distrokid-csv.mjs <export1.csv|.tsv> [more ...] <catalog.json> [--streams]");
+  process.exit(exitCode);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+  const withStreams = args.includes("--streams");
+  const positional = args.filter((a) => !a.startsWith("--"));
+  if (positional.length < 2) usage();
+
+  const catalogPath = positional[positional.length - 1];
+  const inputPaths = positional.slice(0, -1);
+
+  const parsedReleases = [];
+  const parsedStreams = [];
+  const skipped = [];
+  for (const inputPath of inputPaths) {
+    const parsed = parseDistrokidExport(await fs.readFile(inputPath, "utf8"));
+    if (parsed.releases.length === 0 && parsed.streams.size === 0) {
+      skipped.push(path.resolve(inputPath));
+      continue;
+    }
+    parsedReleases.push(...parsed.releases);
+    parsedStreams.push(parsed.streams);
+  }
+  const streams = sumStreams(parsedStreams);
+
+  const catalog = await Catalog.load(catalogPath);
+
+  let albumsCreated = 0;
+  let albumsMatched = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  let tracksWithStreams = 0;
+  const unmatched = [];
+
+  const releases = mergeReleases(parsedReleases);
+  for (const release of releases) {
+    const { album, tracks } = toReleaseItems(release);
+    if (!release.album.title && !catalog.findAlbum(album)) {
+      // Bank details without an "Album" row: no title to create the album with, so only enrich known tracks.
+      for (const t of tracks) {
+        const matched = catalog.findByIsrc(t.isrc);
+        if (matched?.type === "song") {
+          catalog.upsertSong({ ...t, tags: ["distrokid"] }, { match: matched });
+          tracksMatched += 1;
+        } else {
+          unmatched.push(`${t.title} (${t.isrc})`);
+        }
+      }
+      continue;
+    }
+
+    const r = catalog.importRelease(album, tracks, { source: "distrokid" });
+    if (r.albumCreated) albumsCreated += 1;
+    else albumsMatched += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    unmatched.push(...r.unmatched.map((t) => `${r.album.title} / ${t}`));
+  }
+
+  if (withStreams) {
+    for (const [isrc, s] of streams) {
+      const song = catalog.findByIsrc(isrc);
+      if (song?.type !== "song") continue;
+      const byPlatform = Object.fromEntries(Object.entries(s.byPlatform).sort((a, b) => b[1] - a[1]));
+      song.streams = { total: s.total, byPlatform, ...(s.through ? { through: s.through } : {}) };
+      tracksWithStreams += 1;
+    }
+  }
+
+  await catalog.save();
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        releases: releases.length,
+        albumsCreated,
+        albumsMatched,
+        tracksMatched,
+        tracksCreated,
+        tracksWithStreams: withStreams ? tracksWithStreams : undefined,
+        unmatched,
+        skipped,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
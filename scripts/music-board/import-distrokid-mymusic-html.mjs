@@ -15,31 +15,8 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-
-function decodeHtml(text) {
-  return (text ?? "")
-    .toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'")
-    .replaceAll("&nbsp;", " ");
-}
-
-function stripTags(text) {
-  return decodeHtml((text ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
-
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function addTag(tags, tag) {
-  const set = new Set(ensureArray(tags).filter(Boolean));
-  set.add(tag);
-  return Array.from(set);
-}
+import { Catalog, decodeHtml, ensureArray, mergeLinks, stripTags } from "./lib/catalog.mjs";
+import { storeToLink } from "./lib/distrokid.mjs";
 
 function normalizeCover(url) {
   const raw = (url ?? "").toString().trim();
@@ -49,109 +26,6 @@ function normalizeCover(url) {
   return raw;
 }
 
-function slugify(text) {
-  return (text ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .normalize("NFKC")
-    .replace(/[’']/g, "")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 48);
-}
-
-function platformLabel(platform) {
-  const map = {
-    netease: "网易云",
-    qq: "QQ 音乐",
-    spotify: "Spotify",
-    apple: "Apple Music",
-    youtube: "YouTube Music",
-    tiktok: "TikTok",
-    amazon: "Amazon Music",
-    deezer: "Deezer",
-    tidal: "TIDAL",
-    pandora: "Pandora",
-    qobuz: "Qobuz",
-    kkbox: "KKBOX",
-    jiosaavn: "JioSaavn",
-    anghami: "Anghami",
-    boomplay: "Boomplay",
-    joox: "JOOX",
-    instagram: "Instagram / Facebook"
-  };
-  return map[platform] || platform || "Link";
-}
-
-function platformKey(platform) {
-  return (platform ?? "").toString().trim().toLowerCase().replace(/\s+/g, "");
-}
-
-function mapIconToPlatform(iconName) {
-  const icon = (iconName ?? "").toString().trim().toLowerCase();
-  const pick = (platform, label) => ({ platform, label: label || platformLabel(platform), url: "" });
-
-  if (icon === "spotify") return pick("spotify", "Spotify");
-  if (icon === "applemusic" || icon === "itunes") return pick("apple", "Apple Music");
-  if (icon === "youtubemusic") return pick("youtube", "YouTube Music");
-  if (icon === "tiktok") return pick("tiktok", "TikTok");
-  if (icon === "netease") return pick("netease", "网易云");
-  if (icon === "tencent") return pick("qq", "QQ 音乐");
-
-  if (icon === "amazon") return pick("amazon", "Amazon Music");
-  if (icon === "deezer") return pick("deezer", "Deezer");
-  if (icon === "tidal") return pick("tidal", "TIDAL");
-  if (icon === "rdio") return pick("pandora", "Pandora");
-  if (icon === "qobuz") return pick("qobuz", "Qobuz");
-  if (icon === "saavn") return pick("jiosaavn", "JioSaavn");
-  if (icon === "anghami") return pick("anghami", "Anghami");
-  if (icon === "boomplay") return pick("boomplay", "Boomplay");
-  if (icon === "joox") return pick("joox", "JOOX");
-  if (icon === "facebook") return pick("instagram", "Instagram / Facebook");
-
-  const slug = slugify(icon);
-  return pick(slug || "link", iconName);
-}
-
-function looksDefaultLabel(label, platform) {
-  const l = (label ?? "").toString().trim().toLowerCase();
-  const p = (platform ?? "").toString().trim().toLowerCase();
-  if (!l) return true;
-  return l === p || l === "link";
-}
-
-function mergeLinks(existing, incoming) {
-  const canonicalPlatform = (platform) => {
-    const k = platformKey(platform);
-    if (k === "facebook") return "instagram";
-    return (platform ?? "").toString().trim();
-  };
-
-  const byPlatform = new Map();
-  for (const l of ensureArray(existing)) {
-    const canonical = canonicalPlatform(l?.platform);
-    const p = platformKey(canonical);
-    if (!p) continue;
-    byPlatform.set(p, { ...l, platform: canonical });
-  }
-  for (const l of ensureArray(incoming)) {
-    const canonical = canonicalPlatform(l?.platform);
-    const p = platformKey(canonical);
-    if (!p) continue;
-    const prev = byPlatform.get(p);
-    if (!prev) {
-      byPlatform.set(p, { ...l, platform: canonical });
-      continue;
-    }
-    const next = { ...prev };
-    if (l?.label && looksDefaultLabel(next.label, next.platform)) next.label = l.label;
-    if ((!next.url || next.url === "") && l?.url) next.url = l.url;
-    byPlatform.set(p, next);
-  }
-  return Array.from(byPlatform.values());
-}
-
 function parseMymusicHtml(html) {
   const releases = [];
 
@@ -181,7 +55,7 @@ function parseMymusicHtml(html) {
 
     const icons = Array.from(block.matchAll(/src="\/images\/icons\/([a-z0-9]+)\.png"/gi)).map((x) => x[1]);
     const links = [];
-    for (const icon of icons) links.push(mapIconToPlatform(icon));
+    for (const icon of icons) links.push(storeToLink(icon));
 
     releases.push({
       albumuuid,
@@ -229,22 +103,6 @@ function toAlbumItem(r) {
   };
 }
 
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}) };
-  next.type = "album";
-  next.tags = addTag(addTag(next.tags, "distrokid"), "album");
-  next.links = mergeLinks(ensureArray(next.links), ensureArray(incoming.links));
-
-  if (!next.title || next.title === "(未命名专辑)") next.title = incoming.title;
-  if (!next.artist) next.artist = incoming.artist;
-  if (!next.cover) next.cover = incoming.cover;
-  if (!Number.isFinite(next.trackCount) && Number.isFinite(incoming.trackCount)) next.trackCount = incoming.trackCount;
-  if (!next.refs) next.refs = {};
-  next.refs = { ...next.refs, distrokid: { ...(next.refs?.distrokid || {}), ...(incoming.refs?.distrokid || {}) } };
-
-  return next;
-}
-
 async function main() {
   const [htmlPath, catalogPath] = process.argv.slice(2);
   if (!htmlPath || !catalogPath) {
@@ -259,30 +117,22 @@ async function main() {
     process.exit(1);
   }
 
-  const rawCatalog = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(rawCatalog);
-  if (!catalog || typeof catalog !== "object") throw new Error("catalog.json is not an object");
-
-  const items = ensureArray(catalog.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   let added = 0;
   let updated = 0;
 
   for (const r of releases) {
     const incoming = toAlbumItem(r);
-    const prev = byId.get(incoming.id);
-    if (prev) {
-      byId.set(incoming.id, mergeAlbum(prev, incoming));
-      updated += 1;
-    } else {
-      byId.set(incoming.id, incoming);
-      added += 1;
-    }
+    const prev = catalog.get(incoming.id);
+    // An existing album only gets the source tags, not the title tag of a freshly created one.
+    const { item } = catalog.upsertAlbum(prev ? { ...incoming, tags: ["distrokid", "album"] } : incoming, { match: prev });
+    item.type = "album";
+    if (prev) updated += 1;
+    else added += 1;
   }
 
-  catalog.items = Array.from(byId.values());
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(JSON.stringify({ releasesFound: releases.length, added, updated, catalog: relCatalog }, null, 2));
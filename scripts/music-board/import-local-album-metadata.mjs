@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Import local "album working folder" metadata into catalog.json:
- * - lyrics from *_歌词.txt / *.lrc / *_metadata.json
+ * - lyrics from *_歌词.txt / *.lrc / *_metadata.json (timed LRC is also kept as `lyricsTimed: [{ ms, text }]`)
  * - mood/style from tracklist.json (if present)
  * - inspiration/duration/version/createdAt from *_metadata.json
  *
@@ -16,6 +16,8 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { spawn } from "node:child_process";
+import { Catalog, ensureArray, isLyricsNoise, normalizeText, normalizeTitle, stripLyricTitleSuffix } from "./lib/catalog.mjs";
+import { parseLrc, stripLrcToPlainText } from "./lib/lrc.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -33,48 +35,6 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function normalizeText(s) {
-  return (s ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replaceAll("♭", " ")
-    .replaceAll("♯", " ")
-    .replaceAll("（", "(")
-    .replaceAll("）", ")")
-    .replaceAll("【", "[")
-    .replaceAll("】", "]")
-    .replaceAll("：", ":")
-    .replaceAll("，", ",")
-    .replaceAll("。", ".");
-}
-
-function normalizeTitle(s) {
-  const raw = normalizeText(s).normalize("NFKC");
-  const noTrackNo = raw.replace(/^\s*\d+\s*[-._\s]+\s*/g, "");
-  const noLyricsSuffix = noTrackNo
-    .replace(/(?:[_\-\s]*歌词)\s*$/g, "")
-    .replace(/(?:[_\-\s]*lyric(?:s)?)\s*$/gi, "")
-    .replace(/(?:[_\-\s]*lrc)\s*$/gi, "");
-  const noBrackets = noLyricsSuffix.replace(/[\[\]【】()（）{}<>《》]/g, " ");
-  const noPunct = noBrackets.replace(/[·•!！?？,:：;；"'“”‘’`~@#$%^&*+=|\\/]/g, " ");
-  const noChords = noPunct.replace(/\b(?:maj|min|dim|aug)\d{0,2}\b/gi, " ");
-  return noChords.replace(/\s+/g, " ").trim();
-}
-
-function isLyricsNoise(text) {
-  const t = (text ?? "").toString();
-  if (!t.trim()) return true;
-  const hints = ["AI 作曲", "灵感创作", "模型选择", "优化提示词", "素材列表", "生成歌曲", "0/500"];
-  const hit = hints.filter((h) => t.includes(h)).length;
-  if (hit >= 3) return true;
-  return false;
-}
-
 function maybeSet(obj, key, value, overwrite) {
   if (value == null) return false;
   const v = typeof value === "string" ? value.trim() : value;
@@ -84,6 +44,15 @@ function maybeSet(obj, key, value, overwrite) {
   return true;
 }
 
+// Timed text (e.g. `.lrc`): plain text goes to `lyrics`, the timing to `lyricsTimed`.
+function setLyrics(it, text, overwrite) {
+  const timed = parseLrc(text);
+  if (timed.length === 0) return maybeSet(it, "lyrics", text, overwrite);
+  let touched = maybeSet(it, "lyrics", stripLrcToPlainText(text), overwrite);
+  touched = maybeSet(it, "lyricsTimed", timed, overwrite) || touched;
+  return touched;
+}
+
 async function readText(filePath) {
   return await fs.readFile(filePath, "utf8");
 }
@@ -185,18 +154,6 @@ async function walk(rootDir) {
   return out;
 }
 
-function stripLyricTitleSuffix(title) {
-  let t = (title ?? "").toString().trim();
-  if (!t) return "";
-  t = t.replace(/\s*\(\d+\)\s*$/g, "").trim();
-  t = t.replace(/-vocal(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/-iphone(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]formatted(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]pure(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]asr(?:[._-].*)?$/i, "").trim();
-  return t.trim();
-}
-
 function titleFromLyricFilename(filePath) {
   const base = path.basename(filePath, path.extname(filePath));
   const noSuffix = base.replace(/(?:[_\-\s]*歌词)\s*$/g, "").trim();
@@ -634,8 +591,8 @@ async function main() {
     }
   }
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
+  const catalog = await Catalog.load(catalogPath);
+  const items = catalog.items;
   const collectionsById = new Map(
     items
       .filter((it) => ["album", "collection", "playlist"].includes((it?.type || "").toString()))
@@ -760,10 +717,10 @@ async function main() {
           if (dkCount > 1) {
             skippedAmbiguous += 1;
           } else {
-            touched = maybeSet(it, "lyrics", lyric.text, overwriteLyrics) || touched;
+            touched = setLyrics(it, lyric.text, overwriteLyrics) || touched;
           }
         } else {
-          touched = maybeSet(it, "lyrics", lyric.text, overwriteLyrics) || touched;
+          touched = setLyrics(it, lyric.text, overwriteLyrics) || touched;
         }
       }
 
@@ -799,7 +756,7 @@ async function main() {
           const lyricsFromMeta = (meta?.lyrics ?? "").toString();
           if (lyricsFromMeta && !isLyricsNoise(lyricsFromMeta)) {
             const overwriteLyrics = overwrite || lyricsPlaceholders.has((it?.lyrics ?? "").toString().trim());
-            touched = maybeSet(it, "lyrics", lyricsFromMeta, overwriteLyrics) || touched;
+            touched = setLyrics(it, lyricsFromMeta, overwriteLyrics) || touched;
           }
         }
       }
@@ -820,9 +777,7 @@ async function main() {
     }
   }
 
-  if (apply) {
-    await fs.writeFile(catalogPath, JSON.stringify({ ...catalog, items }, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(
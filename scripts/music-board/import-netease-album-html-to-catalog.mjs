@@ -10,71 +10,14 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, stripTags } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function pickFirstMatch(re, text) {
   const m = text.match(re);
   return m ? m[1] : "";
 }
 
-function decodeHtml(text) {
-  return (text ?? "")
-    .toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'");
-}
-
-function stripTags(text) {
-  return decodeHtml((text ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
-
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function addTags(existing, tags) {
-  const set = new Set(ensureArray(existing).filter(Boolean));
-  for (const t of ensureArray(tags)) if (t) set.add(t);
-  return Array.from(set);
-}
-
-function mergeLinks(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const l of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (l?.platform || "").toString();
-    const url = (l?.url || "").toString();
-    if (!platform && !url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({ platform, label: l?.label || "", url });
-  }
-  return out;
-}
-
-function mergeEmbeds(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const e of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (e?.platform || "").toString();
-    const url = (e?.url || "").toString();
-    if (!url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform,
-      label: e?.label || "",
-      url,
-      height: Number.isFinite(e?.height) ? e.height : undefined
-    });
-  }
-  return out;
-}
-
 function parseDateFromBasename(base) {
   const m = (base || "").match(/^(\d{4})(\d{2})(\d{2})/);
   if (!m) return "";
@@ -167,14 +110,7 @@ function parseAlbum(html, sourcePath = "") {
       collectionId: albumItem.id,
       tags: ["netease", "song"].concat(title ? [title] : []),
       links: [{ platform: "netease", label: "网易云 · 单曲", url: songUrl }],
-      embeds: [
-        {
-          platform: "netease",
-          label: "网易云外链播放器（如不可用可删）",
-          url: `https://music.163.com/outchain/player?type=2&id=${r.songId}&auto=0&height=66`,
-          height: 86
-        }
-      ]
+      embeds: [toEmbed("netease", "song", { id: r.songId }, "网易云外链播放器（如不可用可删）")]
     });
   }
 
@@ -183,33 +119,6 @@ function parseAlbum(html, sourcePath = "") {
   return { albumItem, songs };
 }
 
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "album";
-  next.tags = addTags(addTags(next.tags, ["netease", "album"]), ensureArray(incoming.tags));
-  next.links = mergeLinks(existing?.links, incoming?.links);
-  if (!existing?.title || existing.title === "(未命名专辑)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!Number.isFinite(existing?.trackCount) && Number.isFinite(incoming?.trackCount)) next.trackCount = incoming.trackCount;
-  return next;
-}
-
-function mergeSong(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "song";
-  next.collectionId = incoming.collectionId || existing?.collectionId || "";
-  next.tags = addTags(addTags(next.tags, ["netease", "song"]), ensureArray(incoming.tags));
-  next.links = mergeLinks(existing?.links, incoming?.links);
-  next.embeds = mergeEmbeds(existing?.embeds, incoming?.embeds);
-  if (!existing?.title || existing.title === "(未命名)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  return next;
-}
-
 async function main() {
   const args = process.argv.slice(2);
   if (args.length < 2) {
@@ -222,12 +131,7 @@ async function main() {
   const catalogPath = args[args.length - 1];
   const htmlPaths = args.slice(0, -1);
 
-  const rawCatalog = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(rawCatalog);
-  if (!catalog || typeof catalog !== "object") throw new Error("catalog.json is not an object");
-
-  const items = ensureArray(catalog.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   let albumsImported = 0;
   let songsImported = 0;
@@ -244,21 +148,22 @@ async function main() {
     }
 
     const { albumItem, songs } = parsed;
-    const prevAlbum = byId.get(albumItem.id);
-    byId.set(albumItem.id, prevAlbum ? mergeAlbum(prevAlbum, albumItem) : albumItem);
+    const { item: album, created: albumCreated } = catalog.upsertAlbum(albumItem, { match: catalog.get(albumItem.id) });
+    album.type = "album";
     albumsImported += 1;
-    if (prevAlbum) albumsUpdated += 1;
+    if (!albumCreated) albumsUpdated += 1;
 
     for (const s of songs) {
-      const prevSong = byId.get(s.id);
-      byId.set(s.id, prevSong ? mergeSong(prevSong, s) : s);
+      const { item: song, created } = catalog.upsertSong(s, { match: catalog.get(s.id) });
+      song.type = "song";
+      // The album page is authoritative for which album a song belongs to.
+      if (s.collectionId) song.collectionId = s.collectionId;
       songsImported += 1;
-      if (prevSong) songsUpdated += 1;
+      if (!created) songsUpdated += 1;
     }
   }
 
-  catalog.items = Array.from(byId.values());
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(
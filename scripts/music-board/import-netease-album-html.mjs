@@ -10,25 +10,14 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { stripTags } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function pickFirstMatch(re, text) {
   const m = text.match(re);
   return m ? m[1] : "";
 }
 
-function decodeHtml(text) {
-  return text
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'");
-}
-
-function stripTags(text) {
-  return decodeHtml(text.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
-
 function parseAlbum(html) {
   const albumId =
     pickFirstMatch(/data-rid="(\d+)"\s+data-type="19"/, html) ||
@@ -82,14 +71,7 @@ function parseAlbum(html) {
       collectionId: albumItem.id,
       tags: ["netease", "song"].concat(title ? [title] : []),
       links: [{ platform: "netease", label: "网易云 · 单曲", url: songUrl }],
-      embeds: [
-        {
-          platform: "netease",
-          label: "网易云外链播放器（如不可用可删）",
-          url: `https://music.163.com/outchain/player?type=2&id=${r.songId}&auto=0&height=66`,
-          height: 86
-        }
-      ]
+      embeds: [toEmbed("netease", "song", { id: r.songId }, "网易云外链播放器（如不可用可删）")]
     });
   }
 
@@ -19,21 +19,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-
-function decodeHtml(text) {
-  return (text ?? "")
-    .toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'")
-    .replaceAll("&nbsp;", " ");
-}
-
-function stripTags(text) {
-  return decodeHtml((text ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
-}
+import { Catalog, decodeHtml, stripTags } from "./lib/catalog.mjs";
 
 function normalizeCover(url) {
   const raw = (url ?? "").toString().trim();
@@ -109,33 +95,6 @@ function parseAlbumListHtml(html) {
   return Array.from(dedup.values()).sort((a, b) => (b.releaseDate || "").localeCompare(a.releaseDate || ""));
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function addTag(tags, tag) {
-  const set = new Set(ensureArray(tags).filter(Boolean));
-  set.add(tag);
-  return Array.from(set);
-}
-
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "album";
-  next.tags = addTag(addTag(next.tags, "netease"), "album");
-  next.links = ensureArray(next.links);
-
-  const hasNeteaseAlbumLink = next.links.some((l) => (l?.platform || "") === "netease" && (l?.url || "").includes("/#/album?id="));
-  if (!hasNeteaseAlbumLink && incoming?.links?.[0]?.url) next.links.push(incoming.links[0]);
-
-  if (!existing?.title || existing.title === "(未命名专辑)") next.title = incoming.title;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!Number.isFinite(existing?.trackCount) && Number.isFinite(incoming?.trackCount)) next.trackCount = incoming.trackCount;
-
-  return next;
-}
-
 async function main() {
   const [htmlPath, catalogPath] = process.argv.slice(2);
   if (!htmlPath || !catalogPath) {
@@ -152,32 +111,21 @@ async function main() {
     process.exit(1);
   }
 
-  const rawCatalog = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(rawCatalog);
-  if (!catalog || typeof catalog !== "object") throw new Error("catalog.json is not an object");
-
-  const items = ensureArray(catalog.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   let added = 0;
   let updated = 0;
 
   for (const r of rows) {
     const incoming = toAlbumItem(r);
-    const prev = byId.get(incoming.id);
-    if (prev) {
-      byId.set(incoming.id, mergeAlbum(prev, incoming));
-      updated += 1;
-    } else {
-      byId.set(incoming.id, incoming);
-      added += 1;
-    }
+    const prev = catalog.get(incoming.id);
+    const { item } = catalog.upsertAlbum(prev ? { ...incoming, tags: ["netease", "album"] } : incoming, { match: prev });
+    item.type = "album";
+    if (prev) updated += 1;
+    else added += 1;
   }
 
-  const merged = Array.from(byId.values());
-  catalog.items = merged;
-
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
   console.log(JSON.stringify({ albumsFound: rows.length, added, updated, catalog: relCatalog }, null, 2));
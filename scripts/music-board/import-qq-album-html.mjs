@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Import saved QQ Music album pages (y.qq.com/n/ryqq/albumDetail/<albumMid>) and MERGE them into a catalog.json.
+ *
+ * Usage:
+ *   node scripts/music-board/import-qq-album-html.mjs <album1.html> [album2.html ...] <catalog.json>
+ *
+ * Notes:
+ * - Reads the page state (`window.__INITIAL_DATA__`): album mid, cover, release date, track songmids / ids / durations.
+ *   Pages saved without the state still yield the album mid and the rendered song links.
+ * - Albums merge into an existing entry by UPC, then normalized title + release date (so a DistroKid / NetEase
+ *   album gains a `qq` link instead of being duplicated); otherwise `qq-album-<albumMid>` is created.
+ * - Tracks merge by ISRC, then title within the album. Songs with a numeric id get the QQ outchain player as an embed.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog } from "./lib/catalog.mjs";
+import { parseAlbumHtml, toReleaseItems } from "./lib/qq.mjs";
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || args.includes("--help") || args.includes("-h")) {
+    console.error("Usage: node scripts/music-board/import-qq-album-html.mjs <album1.html> [album2.html ...] <catalog.json>");
+    process.exit(args.length < 2 ? 1 : 0);
+  }
+
+  const catalogPath = args[args.length - 1];
+  const htmlPaths = args.slice(0, -1);
+
+  const catalog = await Catalog.load(catalogPath);
+
+  let albumsCreated = 0;
+  let albumsMatched = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  const unmatched = [];
+  const skipped = [];
+
+  for (const htmlPath of htmlPaths) {
+    const parsed = parseAlbumHtml(await fs.readFile(htmlPath, "utf8"));
+    if (!parsed) {
+      skipped.push(path.resolve(htmlPath));
+      continue;
+    }
+    const { album, tracks } = toReleaseItems(parsed);
+    const r = catalog.importRelease(album, tracks, { source: "qq" });
+    if (r.albumCreated) albumsCreated += 1;
+    else albumsMatched += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    for (const title of r.unmatched) unmatched.push({ album: r.album.id, title });
+  }
+
+  await catalog.save();
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        albumsCreated,
+        albumsMatched,
+        tracksMatched,
+        tracksCreated,
+        unmatched: unmatched.length ? unmatched : undefined,
+        skipped: skipped.length ? skipped : undefined,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Import saved SoundCloud set pages (`soundcloud.com/<user>/sets/<slug>`) and MERGE them into a catalog.json.
+ *
+ * Usage:
+ *   node scripts/music-board/import-soundcloud-set.mjs <set1.html> [set2.html ...] <catalog.json>
+ *
+ * Notes:
+ * - Reads the `window.__sc_hydration` playlist (track ids, durations, ISRC / UPC from publisher metadata) and
+ *   fills stub tracks from the server-rendered track list.
+ * - Sets typed album / EP / single become albums, other sets playlists. They merge into an existing entry by
+ *   UPC, the set URL, then normalized title + release date; otherwise `soundcloud-set-<id>` is created.
+ *   Tracks merge by ISRC, then title.
+ * - Sets and songs get `soundcloud` links and the official `w.soundcloud.com/player` iframe as an embed.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog } from "./lib/catalog.mjs";
+import { parseSetHtml, toReleaseItems } from "./lib/soundcloud.mjs";
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || args.includes("--help") || args.includes("-h")) {
+    console.error("Usage: node scripts/music-board/import-soundcloud-set.mjs <set1.html> [set2.html ...] <catalog.json>");
+    process.exit(args.length < 2 ? 1 : 0);
+  }
+
+  const catalogPath = args[args.length - 1];
+  const inputPaths = args.slice(0, -1);
+
+  const catalog = await Catalog.load(catalogPath);
+
+  let albumsCreated = 0;
+  let albumsMatched = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  const unmatched = [];
+  const skipped = [];
+
+  for (const inputPath of inputPaths) {
+    const parsed = parseSetHtml(await fs.readFile(inputPath, "utf8"));
+    if (!parsed || parsed.songs.length === 0) {
+      skipped.push(path.resolve(inputPath));
+      continue;
+    }
+    const { album, tracks } = toReleaseItems(parsed);
+    const r = catalog.importRelease(album, tracks, { source: "soundcloud" });
+    if (r.albumCreated) albumsCreated += 1;
+    else albumsMatched += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    for (const title of r.unmatched) unmatched.push({ album: r.album.id, title });
+  }
+
+  await catalog.save();
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        albumsCreated,
+        albumsMatched,
+        tracksMatched,
+        tracksCreated,
+        unmatched: unmatched.length ? unmatched : undefined,
+        skipped: skipped.length ? skipped : undefined,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
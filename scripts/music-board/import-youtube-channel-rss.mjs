@@ -14,6 +14,9 @@
  *   node scripts/music-board/import-youtube-channel-rss.mjs UCzJDxfLe42TOFdYGSrG-cyw --limit 15 > out.json
  */
 
+import { decodeHtml, trim } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
+
 function parseArgs(argv) {
   const args = { input: "", limit: 15 };
   const rest = argv.slice(2);
@@ -54,16 +57,6 @@ function uploadsPlaylistIdFromChannelId(channelId) {
   return `UU${raw.slice(2)}`;
 }
 
-function decodeXml(s) {
-  return (s ?? "").toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'")
-    .trim();
-}
-
 function pickFirst(re, text) {
   const m = (text ?? "").toString().match(re);
   return m ? m[1] : "";
@@ -71,18 +64,18 @@ function pickFirst(re, text) {
 
 function parseRss(xml) {
   const authorBlock = pickFirst(/<author>([\s\S]*?)<\/author>/i, xml);
-  const channelName = decodeXml(pickFirst(/<name>([\s\S]*?)<\/name>/i, authorBlock));
+  const channelName = trim(decodeHtml(pickFirst(/<name>([\s\S]*?)<\/name>/i, authorBlock)));
   const entries = [];
   const entryRe = /<entry>([\s\S]*?)<\/entry>/gi;
   let m;
   while ((m = entryRe.exec(xml))) {
     const entry = m[1] || "";
-    const videoId = decodeXml(pickFirst(/<yt:videoId>([^<]+)<\/yt:videoId>/i, entry));
+    const videoId = trim(decodeHtml(pickFirst(/<yt:videoId>([^<]+)<\/yt:videoId>/i, entry)));
     if (!videoId) continue;
-    const title = decodeXml(pickFirst(/<title>([\s\S]*?)<\/title>/i, entry));
-    const published = decodeXml(pickFirst(/<published>([^<]+)<\/published>/i, entry));
-    const url = decodeXml(pickFirst(/<link[^>]+href="([^"]+)"/i, entry));
-    const thumbnail = decodeXml(pickFirst(/<media:thumbnail[^>]+url="([^"]+)"/i, entry));
+    const title = trim(decodeHtml(pickFirst(/<title>([\s\S]*?)<\/title>/i, entry)));
+    const published = trim(decodeHtml(pickFirst(/<published>([^<]+)<\/published>/i, entry)));
+    const url = trim(decodeHtml(pickFirst(/<link[^>]+href="([^"]+)"/i, entry)));
+    const thumbnail = trim(decodeHtml(pickFirst(/<media:thumbnail[^>]+url="([^"]+)"/i, entry)));
     entries.push({ videoId, title, published, url, thumbnail });
   }
   return { channelName, entries };
@@ -134,14 +127,7 @@ async function main() {
       { platform: "youtube", label: "YouTube · Channel", url: `https://www.youtube.com/channel/${channelId}` },
       { platform: "youtube", label: "YouTube · Uploads", url: `https://www.youtube.com/playlist?list=${uploadsListId}` }
     ],
-    embeds: [
-      {
-        platform: "youtube",
-        label: "YouTube uploads playlist embed",
-        url: `https://www.youtube.com/embed/videoseries?list=${uploadsListId}`,
-        height: 360
-      }
-    ]
+    embeds: [toEmbed("youtube", "playlist", { id: uploadsListId }, "YouTube uploads playlist embed")]
   };
 
   const items = [collectionItem];
@@ -156,14 +142,7 @@ async function main() {
       collectionId,
       tags: ["youtube", "song"],
       links: [{ platform: "youtube", label: "YouTube · Video", url: e.url || `https://www.youtube.com/watch?v=${e.videoId}` }],
-      embeds: [
-        {
-          platform: "youtube",
-          label: "YouTube embed",
-          url: `https://www.youtube.com/embed/${e.videoId}`,
-          height: 220
-        }
-      ]
+      embeds: [toEmbed("youtube", "video", { id: e.videoId }, "YouTube embed")]
     });
   }
 
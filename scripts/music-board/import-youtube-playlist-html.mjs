@@ -16,6 +16,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function getText(node) {
   if (!node) return "";
@@ -170,14 +171,7 @@ function parsePlaylistFromInitialData(initialData) {
       trackNo,
       tags: ["youtube", "song"].concat(title ? [title] : []),
       links: [{ platform: "youtube", label: "YouTube · Video", url: watchUrl }],
-      embeds: [
-        {
-          platform: "youtube",
-          label: "YouTube embed",
-          url: `https://www.youtube.com/embed/${videoId}`,
-          height: 220
-        }
-      ]
+      embeds: [toEmbed("youtube", "video", { id: videoId }, "YouTube embed")]
     });
   }
 
@@ -196,14 +190,7 @@ function parsePlaylistFromInitialData(initialData) {
     ],
     embeds: [
       ...(playlistId
-        ? [
-            {
-              platform: "youtube",
-              label: "YouTube playlist embed",
-              url: `https://www.youtube.com/embed/videoseries?list=${playlistId}`,
-              height: 360
-            }
-          ]
+        ? [toEmbed("youtube", "playlist", { id: playlistId }, "YouTube playlist embed")]
         : [])
     ]
   };
@@ -13,6 +13,9 @@
  *   JSON array: [{ source, items: [albumItem, ...songItems] }]
  */
 
+import { decodeHtml, trim, uniqBy } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
+
 function isLikelyId(text) {
   const raw = (text ?? "").toString().trim();
   return /^[a-zA-Z0-9_-]{6,}$/.test(raw);
@@ -31,31 +34,9 @@ function extractPlaylistId(input) {
   }
 }
 
-function decodeXml(s) {
-  return (s ?? "").toString()
-    .replaceAll("&amp;", "&")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll("&quot;", '"')
-    .replaceAll("&#39;", "'")
-    .trim();
-}
-
-function uniqBy(arr, keyFn) {
-  const out = [];
-  const seen = new Set();
-  for (const x of arr) {
-    const k = keyFn(x);
-    if (!k || seen.has(k)) continue;
-    seen.add(k);
-    out.push(x);
-  }
-  return out;
-}
-
 function parseMarkdown(markdown) {
   const titleLine = (markdown.match(/^Title:\s*(.+)$/m) || [])[1] || "";
-  const title = decodeXml(titleLine);
+  const title = trim(decodeHtml(titleLine));
 
   // Playlist cover (optional)
   const cover = (markdown.match(/https:\/\/i\d+\.ytimg\.com\/s_p\/([a-zA-Z0-9_-]+)\/[^)\s]+/m) || [])[0] || "";
@@ -66,7 +47,7 @@ function parseMarkdown(markdown) {
   const re = /^###\s+\[([^\]]+)\]\((https?:\/\/(?:www\.)?youtube\.com\/watch\?[^)\s]+)\b/igm;
   let m;
   while ((m = re.exec(markdown))) {
-    const trackTitle = decodeXml(m[1] || "");
+    const trackTitle = trim(decodeHtml(m[1] || ""));
     const watchUrl = m[2] || "";
     let videoId = "";
     let playlistId = "";
@@ -126,14 +107,7 @@ async function main() {
     trackCount: tracks.length || undefined,
     tags: ["youtube", "album"].concat(title ? [title] : []),
     links: [{ platform: "youtube", label: "YouTube · Playlist", url: sourceUrl }],
-    embeds: [
-      {
-        platform: "youtube",
-        label: "YouTube playlist embed",
-        url: `https://www.youtube.com/embed/videoseries?list=${playlistId}`,
-        height: 360
-      }
-    ]
+    embeds: [toEmbed("youtube", "playlist", { id: playlistId }, "YouTube playlist embed")]
   };
 
   const songs = tracks.map((t, idx) => {
@@ -152,14 +126,7 @@ async function main() {
       trackNo,
       tags: ["youtube", "song"].concat(title ? [title] : []),
       links: [{ platform: "youtube", label: "YouTube · Video", url: videoUrl }],
-      embeds: [
-        {
-          platform: "youtube",
-          label: "YouTube embed",
-          url: `https://www.youtube.com/embed/${t.videoId}`,
-          height: 220
-        }
-      ]
+      embeds: [toEmbed("youtube", "video", { id: t.videoId }, "YouTube embed")]
     };
   });
 
@@ -0,0 +1,211 @@
+/**
+ * Apple Music helpers for `import-apple-music-album.mjs`: URL builders, item builders and parsers for a saved
+ * music.apple.com album page or an Apple Music API response.
+ *
+ * - `serialized-server-data` / API JSON: album resources (`type: "albums"`, `attributes.upc`) with their
+ *   `relationships.tracks` (`attributes.isrc`), found anywhere in the document
+ * - JSON-LD (`<script type="application/ld+json">`, `@type: MusicAlbum`): title, date, cover, track names / URLs / durations
+ *
+ * Parsers return `{ album: { albumId, storefront, slug, title, artist, releaseDate, cover, upc }, songs: [{ songId, title, trackNo, duration, isrc }] }`.
+ */
+
+import { ensureArray, formatDuration, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+const DEFAULT_STOREFRONT = "us";
+
+/** `{ storefront, slug, albumId, songId }` from a music.apple.com album / song URL. */
+export function parseAppleUrl(input) {
+  const raw = trim(input);
+  const album = raw.match(/apple\.com\/([a-z]{2})\/album\/(?:([^/?#]+)\/)?(\d+)/i);
+  const song = raw.match(/apple\.com\/([a-z]{2})\/song\/(?:[^/?#]+\/)?(\d+)/i);
+  const i = raw.match(/[?&]i=(\d+)/);
+  return {
+    storefront: (album?.[1] || song?.[1] || "").toLowerCase(),
+    slug: album?.[2] || "",
+    albumId: album?.[3] || "",
+    songId: i?.[1] || song?.[2] || ""
+  };
+}
+
+function albumPath({ storefront, slug, albumId }) {
+  return `${storefront || DEFAULT_STOREFRONT}/album/${slug ? `${slug}/` : ""}${albumId}`;
+}
+
+export function appleAlbumUrl(album) {
+  return `https://music.apple.com/${albumPath(album)}`;
+}
+
+export function appleSongUrl(album, songId) {
+  return `https://music.apple.com/${albumPath(album)}?i=${songId}`;
+}
+
+export function appleSongEmbedUrl(album, songId) {
+  return embedUrl("apple", "song", { path: albumPath(album), id: songId });
+}
+
+/** ISO 8601 duration (`PT3M19S`) → seconds. */
+function isoDurationSeconds(value) {
+  const m = trim(value).match(/^P(?:T)?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (!m) return 0;
+  return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+}
+
+/** Apple artwork template (`.../{w}x{h}bb.jpg`) → a 1000px image. */
+function artworkUrl(artwork) {
+  return trim(artwork?.url || artwork).replace("{w}", "1000").replace("{h}", "1000").replace("{f}", "jpg");
+}
+
+export function toAlbumItem({ albumId, storefront, slug, title, artist, releaseDate, cover, upc, trackCount }) {
+  return {
+    id: `apple-album-${albumId}`,
+    type: "album",
+    title: title || "(未命名专辑)",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || "",
+    trackCount: trackCount || undefined,
+    upc: upc || undefined,
+    tags: ["apple", "album"].concat(title ? [title] : []),
+    links: [{ platform: "apple", label: "Apple Music · 专辑", url: appleAlbumUrl({ storefront, slug, albumId }) }],
+    embeds: [],
+    refs: { apple: { albumId, storefront: storefront || DEFAULT_STOREFRONT } }
+  };
+}
+
+export function toSongItem({ songId, title, trackNo, duration, isrc }, album, source) {
+  return {
+    id: `apple-song-${songId}`,
+    type: "song",
+    title: title || "(未命名)",
+    artist: album?.artist || "",
+    releaseDate: album?.releaseDate || "",
+    cover: album?.cover || "",
+    collectionId: album?.id || "",
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    isrc: isrc || undefined,
+    duration: duration || undefined,
+    tags: ["apple", "song"].concat(album?.title ? [album.title] : []),
+    links: [{ platform: "apple", label: "Apple Music · 单曲", url: appleSongUrl(source, songId) }],
+    embeds: [{ platform: "apple", label: "Apple Music 试听", url: appleSongEmbedUrl(source, songId), height: 175 }],
+    refs: { apple: { songId } }
+  };
+}
+
+/** First album resource (`type: "albums"` with attributes) anywhere in a JSON document. */
+function findAlbumResource(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 12) return null;
+  if (!Array.isArray(node) && node.type === "albums" && node.attributes && node.id) return node;
+  for (const value of Array.isArray(node) ? node : Object.values(node)) {
+    const found = findAlbumResource(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Apple Music API / `serialized-server-data` JSON. */
+export function parseAlbumJson(json) {
+  const res = findAlbumResource(json);
+  if (!res) return null;
+  const a = res.attributes;
+  const fromUrl = parseAppleUrl(a.url);
+  return {
+    album: {
+      albumId: trim(res.id),
+      storefront: fromUrl.storefront,
+      slug: fromUrl.slug,
+      title: trim(a.name),
+      artist: trim(a.artistName),
+      releaseDate: trim(a.releaseDate),
+      cover: artworkUrl(a.artwork),
+      upc: trim(a.upc)
+    },
+    songs: ensureArray(res.relationships?.tracks?.data)
+      .filter((t) => trim(t?.id) && (!t.type || t.type === "songs"))
+      .map((t, i) => ({
+        songId: trim(t.id),
+        title: trim(t.attributes?.name),
+        trackNo: Number(t.attributes?.trackNumber) || i + 1,
+        duration: formatDuration(t.attributes?.durationInMillis, { ms: true }),
+        isrc: trim(t.attributes?.isrc).toUpperCase()
+      }))
+  };
+}
+
+function fromJsonLd(ld, pageUrl) {
+  const fromUrl = parseAppleUrl(ld?.url || pageUrl);
+  if (!fromUrl.albumId) return null;
+  const list = (value) => [].concat(value ?? []).filter(Boolean);
+  const tracks = list(ld?.tracks || ld?.track?.itemListElement || ld?.track);
+  return {
+    album: {
+      ...fromUrl,
+      title: trim(ld?.name),
+      artist: list(ld?.byArtist)
+        .map((a) => trim(a?.name))
+        .filter(Boolean)
+        .join(" / "),
+      releaseDate: trim(ld?.datePublished).slice(0, 10),
+      cover: trim(ld?.image),
+      upc: ""
+    },
+    songs: tracks
+      .map((row, i) => {
+        const t = row?.item || row;
+        return {
+          songId: parseAppleUrl(t?.url).songId,
+          title: trim(t?.name),
+          trackNo: Number(row?.position) || i + 1,
+          duration: formatDuration(isoDurationSeconds(t?.duration)),
+          isrc: trim(t?.isrcCode).toUpperCase()
+        };
+      })
+      .filter((s) => s.songId)
+  };
+}
+
+function scriptJson(html, re) {
+  const out = [];
+  let m;
+  while ((m = re.exec(html))) {
+    try {
+      out.push(JSON.parse(m[1].trim().replace(/^<!--|-->$/g, "")));
+    } catch {
+      // not JSON (or truncated by the save) — skip
+    }
+  }
+  return out;
+}
+
+/**
+ * Saved music.apple.com album page. The server data carries UPC / ISRC when present; the JSON-LD fills in
+ * whatever is missing (and is the only source in older saves).
+ */
+export function parseAlbumHtml(html) {
+  const pageUrl =
+    (html.match(/<link[^>]*rel="canonical"[^>]*href="([^"]+)"/i) || [])[1] ||
+    (html.match(/<meta[^>]*property="og:url"[^>]*content="([^"]+)"/i) || [])[1] ||
+    "";
+  const server = scriptJson(html, /<script[^>]*id="serialized-server-data"[^>]*>([\s\S]*?)<\/script>/g)
+    .map(parseAlbumJson)
+    .find((p) => p?.songs.length);
+  const ld = scriptJson(html, /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g)
+    .map((j) => [].concat(j?.["@graph"] || j).find((x) => x?.["@type"] === "MusicAlbum"))
+    .filter(Boolean)
+    .map((j) => fromJsonLd(j, pageUrl))
+    .find((p) => p?.songs.length);
+  if (!server) return ld || null;
+  if (!ld) return server;
+
+  const ldById = new Map(ld.songs.map((s) => [s.songId, s]));
+  return {
+    album: { ...ld.album, ...Object.fromEntries(Object.entries(server.album).filter(([, v]) => v)) },
+    songs: server.songs.map((s) => ({ ...ldById.get(s.songId), ...Object.fromEntries(Object.entries(s).filter(([, v]) => v)) }))
+  };
+}
+
+/** Build catalog items from a parsed album. */
+export function toReleaseItems({ album, songs }) {
+  const albumItem = toAlbumItem({ ...album, trackCount: songs.length });
+  return { album: albumItem, tracks: songs.map((s) => toSongItem(s, albumItem, album)) };
+}
@@ -0,0 +1,725 @@
+/**
+ * Pure-JS tag reader for `import-audio-tags.mjs` and `register-audio-files.mjs` (no ffprobe / native deps):
+ * ID3v2 (+ ID3v1 and the MPEG Xing / VBRI header for duration) in .mp3, FLAC STREAMINFO / VORBIS_COMMENT /
+ * PICTURE, MP4 `moov` (`mvhd` duration, `ilst` items incl. the iTunes `----:ISRC` atom) in .m4a, and RIFF
+ * `fmt ` / `data` / `LIST INFO` / `id3 ` chunks in .wav.
+ *
+ * Files are read through a handle (headers and tag blocks only), so album-sized WAVs are not loaded whole.
+ *
+ * `readAudioTags(file)` returns `{ format, title, artist, album, albumArtist, trackNo, trackTotal, discNo, isrc,
+ * date, durationMs, lyrics, lyricsTimed, cover }` — empty strings / 0 / null when a field is absent;
+ * `lyricsTimed` is `[{ ms, text }]` (from ID3 SYLT), `cover` is `{ mime, data: Buffer }`.
+ *
+ * Also shared by both scripts: `walkAudioFiles(dir)` and `matchSongByTags(catalog, tags, title)`.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeKey, trim } from "./catalog.mjs";
+
+export const AUDIO_EXTENSIONS = new Set([".mp3", ".flac", ".m4a", ".mp4", ".aac", ".alac", ".wav"]);
+
+// Tags larger than this are skipped rather than buffered (covers are usually < 5 MB).
+const MAX_TAG_BYTES = 64 * 1024 * 1024;
+
+function emptyTags(format) {
+  return {
+    format,
+    title: "",
+    artist: "",
+    album: "",
+    albumArtist: "",
+    trackNo: 0,
+    trackTotal: 0,
+    discNo: 0,
+    isrc: "",
+    date: "",
+    durationMs: 0,
+    lyrics: "",
+    lyricsTimed: [],
+    cover: null
+  };
+}
+
+/** Fill empty fields of `tags` from `more` (the first source read wins). */
+function fillTags(tags, more) {
+  for (const [key, value] of Object.entries(more || {})) {
+    if (value == null || value === "" || value === 0) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    const cur = tags[key];
+    if (cur == null || cur === "" || cur === 0 || (Array.isArray(cur) && cur.length === 0)) tags[key] = value;
+  }
+  return tags;
+}
+
+/** "3/12" → { no: 3, total: 12 }. */
+function parseNumberPair(value) {
+  const m = trim(value).match(/^(\d+)(?:\s*\/\s*(\d+))?/);
+  return { no: m ? Number(m[1]) : 0, total: m && m[2] ? Number(m[2]) : 0 };
+}
+
+function normalizeIsrc(value) {
+  const v = trim(value).toUpperCase().replace(/[-\s]/g, "");
+  return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(v) ? v : "";
+}
+
+function imageMime(data, declared = "") {
+  if (data[0] === 0xff && data[1] === 0xd8) return "image/jpeg";
+  if (data[0] === 0x89 && data.toString("latin1", 1, 4) === "PNG") return "image/png";
+  if (data.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+  const d = trim(declared).toLowerCase();
+  if (d === "jpg" || d === "jpeg") return "image/jpeg";
+  if (d === "png") return "image/png";
+  return d.includes("/") ? d : "";
+}
+
+/** `{ mime, data }` with a recognisable image, preferring the front cover (picture type 3). */
+function pickCover(current, mime, data, pictureType) {
+  if (!data || data.length === 0) return current;
+  const resolved = imageMime(data, mime);
+  if (!resolved) return current;
+  if (current && !(pictureType === 3 && current.pictureType !== 3)) return current;
+  return { mime: resolved, data: Buffer.from(data), pictureType };
+}
+
+// ---------- file access ----------
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await fh.read(buf, 0, buf.length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// ---------- ID3v2 ----------
+
+function syncsafe(buf, offset) {
+  return ((buf[offset] & 0x7f) << 21) | ((buf[offset + 1] & 0x7f) << 14) | ((buf[offset + 2] & 0x7f) << 7) | (buf[offset + 3] & 0x7f);
+}
+
+function unsynchronise(buf) {
+  const out = [];
+  for (let i = 0; i < buf.length; i += 1) {
+    out.push(buf[i]);
+    if (buf[i] === 0xff && buf[i + 1] === 0x00) i += 1;
+  }
+  return Buffer.from(out);
+}
+
+function swap16(buf) {
+  return Buffer.from(buf.subarray(0, buf.length & ~1)).swap16();
+}
+
+function decodeText(buf, encoding) {
+  let text;
+  if (encoding === 0) text = buf.toString("latin1");
+  else if (encoding === 3) text = buf.toString("utf8");
+  else if (encoding === 2) text = swap16(buf).toString("utf16le");
+  else if (buf[0] === 0xfe && buf[1] === 0xff) text = swap16(buf.subarray(2)).toString("utf16le");
+  else if (buf[0] === 0xff && buf[1] === 0xfe) text = buf.subarray(2).toString("utf16le");
+  else text = buf.toString("utf16le");
+  return text.replace(/\uFEFF/g, "");
+}
+
+/** Split at the first encoding-appropriate NUL: [head, rest]. */
+function splitTerminated(buf, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = 0; i + 1 < buf.length; i += 2) {
+      if (buf[i] === 0 && buf[i + 1] === 0) return [buf.subarray(0, i), buf.subarray(i + 2)];
+    }
+    return [buf, Buffer.alloc(0)];
+  }
+  const i = buf.indexOf(0);
+  return i < 0 ? [buf, Buffer.alloc(0)] : [buf.subarray(0, i), buf.subarray(i + 1)];
+}
+
+/** Text frame: multiple values (ID3v2.4 NUL separators) are joined with " / ". */
+function textFrame(body) {
+  return decodeText(body.subarray(1), body[0])
+    .split("\0")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .join(" / ");
+}
+
+const ID3V22_FRAMES = {
+  TT2: "TIT2",
+  TP1: "TPE1",
+  TP2: "TPE2",
+  TAL: "TALB",
+  TRK: "TRCK",
+  TPA: "TPOS",
+  TYE: "TYER",
+  TRC: "TSRC",
+  TLE: "TLEN",
+  TXX: "TXXX",
+  ULT: "USLT",
+  SLT: "SYLT",
+  PIC: "APIC"
+};
+
+/** ID3v2.2–2.4 tag (`buf` starts at "ID3") → partial tags. */
+export function parseId3v2(buf) {
+  if (buf.length < 10 || buf.toString("latin1", 0, 3) !== "ID3") return null;
+  const version = buf[3];
+  if (version < 2 || version > 4) return null;
+  const flags = buf[5];
+  let body = buf.subarray(10, 10 + syncsafe(buf, 6));
+  if (flags & 0x80 && version < 4) body = unsynchronise(body);
+
+  let pos = 0;
+  if (flags & 0x40 && version >= 3) pos = version === 4 ? syncsafe(body, 0) : body.readUInt32BE(0) + 4;
+
+  const out = {};
+  let cover = null;
+  const headerSize = version === 2 ? 6 : 10;
+  while (pos + headerSize <= body.length) {
+    if (body[pos] === 0) break;
+    let id;
+    let size;
+    let frameFlags = 0;
+    if (version === 2) {
+      id = ID3V22_FRAMES[body.toString("latin1", pos, pos + 3)] || body.toString("latin1", pos, pos + 3);
+      size = body.readUIntBE(pos + 3, 3);
+    } else {
+      id = body.toString("latin1", pos, pos + 4);
+      size = version === 4 ? syncsafe(body, pos + 4) : body.readUInt32BE(pos + 4);
+      frameFlags = body.readUInt16BE(pos + 8);
+    }
+    pos += headerSize;
+    if (size <= 0 || pos + size > body.length) break;
+    let frame = body.subarray(pos, pos + size);
+    pos += size;
+
+    if (version === 4) {
+      if (frameFlags & 0x000c) continue; // compressed / encrypted
+      if (frameFlags & 0x0040) frame = frame.subarray(1);
+      if (frameFlags & 0x0001) frame = frame.subarray(4);
+      if (frameFlags & 0x0002 || flags & 0x80) frame = unsynchronise(frame);
+    } else if (version === 3) {
+      if (frameFlags & 0x00c0) continue;
+      if (frameFlags & 0x0020) frame = frame.subarray(1);
+    }
+    if (frame.length === 0) continue;
+
+    switch (id) {
+      case "TIT2":
+        out.title ||= textFrame(frame);
+        break;
+      case "TPE1":
+        out.artist ||= textFrame(frame);
+        break;
+      case "TPE2":
+        out.albumArtist ||= textFrame(frame);
+        break;
+      case "TALB":
+        out.album ||= textFrame(frame);
+        break;
+      case "TRCK": {
+        const { no, total } = parseNumberPair(textFrame(frame));
+        out.trackNo ||= no;
+        out.trackTotal ||= total;
+        break;
+      }
+      case "TPOS":
+        out.discNo ||= parseNumberPair(textFrame(frame)).no;
+        break;
+      case "TDRC":
+      case "TYER":
+        out.date ||= textFrame(frame);
+        break;
+      case "TSRC":
+        out.isrc ||= normalizeIsrc(textFrame(frame));
+        break;
+      case "TLEN":
+        out.durationMs ||= Number(textFrame(frame)) || 0;
+        break;
+      case "TXXX": {
+        const [desc, value] = splitTerminated(frame.subarray(1), frame[0]);
+        if (decodeText(desc, frame[0]).trim().toUpperCase() === "ISRC") out.isrc ||= normalizeIsrc(decodeText(value, frame[0]).replace(/\0/g, ""));
+        break;
+      }
+      case "USLT": {
+        const [, text] = splitTerminated(frame.subarray(4), frame[0]);
+        const lyrics = decodeText(text, frame[0]).replace(/\0+$/, "").trim();
+        if (lyrics.length > (out.lyrics || "").length) out.lyrics = lyrics;
+        break;
+      }
+      case "SYLT": {
+        const timed = parseSylt(frame);
+        if (timed.length > (out.lyricsTimed || []).length) out.lyricsTimed = timed;
+        break;
+      }
+      case "APIC": {
+        const enc = frame[0];
+        let rest = frame.subarray(1);
+        let mime;
+        if (version === 2) {
+          mime = rest.toString("latin1", 0, 3);
+          rest = rest.subarray(3);
+        } else {
+          const [m, r] = splitTerminated(rest, 0);
+          mime = m.toString("latin1");
+          rest = r;
+        }
+        const pictureType = rest[0];
+        const [, data] = splitTerminated(rest.subarray(1), enc);
+        cover = pickCover(cover, mime, data, pictureType);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  if (cover) out.cover = cover;
+  return out;
+}
+
+/** SYLT with millisecond timestamps → `[{ ms, text }]` (MPEG-frame timestamps are skipped). */
+function parseSylt(frame) {
+  const enc = frame[0];
+  if (frame[4] !== 2) return [];
+  let [, rest] = splitTerminated(frame.subarray(6), enc);
+  const out = [];
+  while (rest.length > 4) {
+    const [text, after] = splitTerminated(rest, enc);
+    if (after.length < 4) break;
+    out.push({ ms: after.readUInt32BE(0), text: decodeText(text, enc).replace(/^[\r\n]+/, "").trim() });
+    rest = after.subarray(4);
+  }
+  return out.sort((a, b) => a.ms - b.ms);
+}
+
+/** ID3v1 (last 128 bytes) as a fallback for files without ID3v2. */
+function parseId3v1(buf) {
+  if (buf.length !== 128 || buf.toString("latin1", 0, 3) !== "TAG") return null;
+  const field = (start, end) => buf.toString("latin1", start, end).replace(/\0[\s\S]*$/, "").trim();
+  return {
+    title: field(3, 33),
+    artist: field(33, 63),
+    album: field(63, 93),
+    date: field(93, 97),
+    trackNo: buf[125] === 0 && buf[126] !== 0 ? buf[126] : 0
+  };
+}
+
+// ---------- MPEG audio ----------
+
+const MPEG_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Layer III frame header (MPEG 1 / 2 / 2.5) at `i`, or null. `length` is the whole frame in bytes and `sideInfo` the
+ * side-info size; free-format frames (no bitrate) are not supported.
+ */
+export function mpegFrameHeader(buf, i) {
+  if (i + 4 > buf.length || buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (buf[i + 1] >> 3) & 3; // 0: 2.5, 2: 2, 3: 1
+  const layerBits = (buf[i + 1] >> 1) & 3; // 1: Layer III
+  const bitrateIndex = buf[i + 2] >> 4;
+  const rateIndex = (buf[i + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+  const mpeg1 = versionBits === 3;
+  const sampleRate = MPEG_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+  const kbps = MPEG_BITRATES[mpeg1 ? "v1" : "v2"][bitrateIndex];
+  const mode = buf[i + 3] >> 6; // 0: stereo, 1: joint stereo, 2: dual channel, 3: mono
+  const channels = mode === 3 ? 1 : 2;
+  return {
+    mpeg1,
+    sampleRate,
+    kbps,
+    mode,
+    modeExtension: (buf[i + 3] >> 4) & 3,
+    channels,
+    crc: (buf[i + 1] & 1) === 0,
+    sideInfo: mpeg1 ? (channels === 1 ? 17 : 32) : channels === 1 ? 9 : 17,
+    samplesPerFrame: mpeg1 ? 1152 : 576,
+    length: Math.floor(((mpeg1 ? 144000 : 72000) * kbps) / sampleRate) + ((buf[i + 2] >> 1) & 1)
+  };
+}
+
+/** Duration of a Layer III stream from its first frame: Xing / Info / VBRI frame count, else CBR estimate. */
+function mpegDurationMs(buf, audioBytes) {
+  for (let i = 0; i + 4 <= buf.length; i += 1) {
+    const frame = mpegFrameHeader(buf, i);
+    if (!frame) continue;
+    const { sampleRate, samplesPerFrame } = frame;
+
+    const xing = i + 4 + frame.sideInfo;
+    const tag = buf.toString("latin1", xing, xing + 4);
+    if ((tag === "Xing" || tag === "Info") && buf.length >= xing + 12 && buf.readUInt32BE(xing + 4) & 1) {
+      return Math.round((buf.readUInt32BE(xing + 8) * samplesPerFrame * 1000) / sampleRate);
+    }
+    if (buf.toString("latin1", i + 36, i + 40) === "VBRI" && buf.length >= i + 54) {
+      return Math.round((buf.readUInt32BE(i + 50) * samplesPerFrame * 1000) / sampleRate);
+    }
+    return Math.round(((audioBytes - i) * 8) / frame.kbps);
+  }
+  return 0;
+}
+
+async function readMp3(fh, size) {
+  const tags = emptyTags("mp3");
+  let audioStart = 0;
+  const head = await readAt(fh, 0, 10);
+  if (head.toString("latin1", 0, 3) === "ID3") {
+    const tagSize = 10 + syncsafe(head, 6) + (head[5] & 0x10 ? 10 : 0);
+    if (tagSize <= MAX_TAG_BYTES) fillTags(tags, parseId3v2(await readAt(fh, 0, tagSize)));
+    audioStart = tagSize;
+  }
+  const tail = size >= 128 ? await readAt(fh, size - 128, 128) : Buffer.alloc(0);
+  const v1 = parseId3v1(tail);
+  if (v1) fillTags(tags, v1);
+  if (!tags.durationMs) {
+    const audioBytes = size - audioStart - (v1 ? 128 : 0);
+    tags.durationMs = mpegDurationMs(await readAt(fh, audioStart, 16 * 1024), audioBytes);
+  }
+  return tags;
+}
+
+// ---------- FLAC ----------
+
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUM: "album",
+  ALBUMARTIST: "albumArtist",
+  "ALBUM ARTIST": "albumArtist",
+  DATE: "date",
+  ISRC: "isrc",
+  LYRICS: "lyrics",
+  UNSYNCEDLYRICS: "lyrics"
+};
+
+function parseVorbisComment(buf) {
+  const out = {};
+  let pos = 4 + buf.readUInt32LE(0);
+  const count = buf.readUInt32LE(pos);
+  pos += 4;
+  for (let i = 0; i < count && pos + 4 <= buf.length; i += 1) {
+    const len = buf.readUInt32LE(pos);
+    const entry = buf.toString("utf8", pos + 4, pos + 4 + len);
+    pos += 4 + len;
+    const eq = entry.indexOf("=");
+    if (eq <= 0) continue;
+    const key = entry.slice(0, eq).toUpperCase();
+    const value = entry.slice(eq + 1).trim();
+    if (!value) continue;
+    if (key === "TRACKNUMBER") {
+      const { no, total } = parseNumberPair(value);
+      out.trackNo ||= no;
+      out.trackTotal ||= total;
+    } else if (key === "TRACKTOTAL" || key === "TOTALTRACKS") {
+      out.trackTotal ||= Number(value) || 0;
+    } else if (key === "DISCNUMBER") {
+      out.discNo ||= parseNumberPair(value).no;
+    } else if (VORBIS_FIELDS[key]) {
+      const field = VORBIS_FIELDS[key];
+      const v = field === "isrc" ? normalizeIsrc(value) : value;
+      if (field === "artist" && out.artist) out.artist += ` / ${v}`;
+      else out[field] ||= v;
+    }
+  }
+  return out;
+}
+
+/** METADATA_BLOCK_PICTURE (big-endian lengths). */
+function parseFlacPicture(buf) {
+  let pos = 0;
+  const pictureType = buf.readUInt32BE(pos);
+  const mimeLen = buf.readUInt32BE(pos + 4);
+  const mime = buf.toString("latin1", pos + 8, pos + 8 + mimeLen);
+  pos += 8 + mimeLen;
+  pos += 4 + buf.readUInt32BE(pos) + 16;
+  const dataLen = buf.readUInt32BE(pos);
+  return { mime, pictureType, data: buf.subarray(pos + 4, pos + 4 + dataLen) };
+}
+
+async function readFlac(fh) {
+  const tags = emptyTags("flac");
+  let pos = 0;
+  let head = await readAt(fh, 0, 10);
+  if (head.toString("latin1", 0, 3) === "ID3") {
+    pos = 10 + syncsafe(head, 6);
+    head = await readAt(fh, pos, 4);
+  }
+  if (head.toString("latin1", 0, 4) !== "fLaC") return tags;
+  pos += 4;
+
+  let cover = null;
+  for (;;) {
+    const header = await readAt(fh, pos, 4);
+    if (header.length < 4) break;
+    const last = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    pos += 4;
+    if (type === 0 || type === 4 || (type === 6 && length <= MAX_TAG_BYTES)) {
+      const block = await readAt(fh, pos, length);
+      if (type === 0 && block.length >= 18) {
+        const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+        const totalSamples = (block[13] & 0x0f) * 2 ** 32 + block.readUInt32BE(14);
+        if (sampleRate) tags.durationMs = Math.round((totalSamples * 1000) / sampleRate);
+      } else if (type === 4) {
+        fillTags(tags, parseVorbisComment(block));
+      } else if (type === 6) {
+        const pic = parseFlacPicture(block);
+        cover = pickCover(cover, pic.mime, pic.data, pic.pictureType);
+      }
+    }
+    pos += length;
+    if (last) break;
+  }
+  tags.cover = cover;
+  return tags;
+}
+
+// ---------- MP4 / M4A ----------
+
+/** Child atoms of `buf[start, end)`: [{ type, start (payload), end }]. */
+function mp4Atoms(buf, start = 0, end = buf.length) {
+  const out = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) break;
+    out.push({ type, start: pos + header, end: pos + size });
+    pos += size;
+  }
+  return out;
+}
+
+function mp4Child(buf, atom, type) {
+  return atom ? mp4Atoms(buf, atom.start, atom.end).find((a) => a.type === type) || null : null;
+}
+
+/** `data` atom payload of an ilst item: { type (well-known type), value: Buffer }. */
+function mp4Data(buf, item) {
+  const data = mp4Child(buf, item, "data");
+  if (!data || data.end - data.start < 8) return null;
+  return { type: buf.readUInt32BE(data.start) & 0xffffff, value: buf.subarray(data.start + 8, data.end) };
+}
+
+const MP4_TEXT_FIELDS = {
+  "©nam": "title",
+  "©ART": "artist",
+  aART: "albumArtist",
+  "©alb": "album",
+  "©day": "date",
+  "©lyr": "lyrics"
+};
+
+function parseIlst(buf, ilst) {
+  const out = {};
+  let cover = null;
+  for (const item of mp4Atoms(buf, ilst.start, ilst.end)) {
+    if (item.type === "----") {
+      const name = mp4Child(buf, item, "name");
+      const key = name ? buf.toString("utf8", name.start + 4, name.end).toUpperCase() : "";
+      const data = mp4Data(buf, item);
+      if (key === "ISRC" && data) out.isrc ||= normalizeIsrc(data.value.toString("utf8"));
+      continue;
+    }
+    const data = mp4Data(buf, item);
+    if (!data) continue;
+    if (MP4_TEXT_FIELDS[item.type]) {
+      out[MP4_TEXT_FIELDS[item.type]] ||= data.value.toString("utf8").trim();
+    } else if ((item.type === "trkn" || item.type === "disk") && data.value.length >= 6) {
+      const no = data.value.readUInt16BE(2);
+      if (item.type === "disk") {
+        out.discNo ||= no;
+      } else {
+        out.trackNo ||= no;
+        out.trackTotal ||= data.value.readUInt16BE(4);
+      }
+    } else if (item.type === "covr") {
+      cover = pickCover(cover, data.type === 14 ? "image/png" : data.type === 13 ? "image/jpeg" : "", data.value, 3);
+    }
+  }
+  if (cover) out.cover = cover;
+  return out;
+}
+
+async function readMp4(fh, size) {
+  const tags = emptyTags("m4a");
+  let pos = 0;
+  let moov = null;
+  while (pos + 8 <= size) {
+    const header = await readAt(fh, pos, 16);
+    if (header.length < 8) break;
+    let atomSize = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+    if (atomSize === 1 && header.length >= 16) atomSize = Number(header.readBigUInt64BE(8));
+    else if (atomSize === 0) atomSize = size - pos;
+    if (atomSize < 8) break;
+    if (type === "moov") {
+      if (atomSize <= MAX_TAG_BYTES) moov = await readAt(fh, pos, atomSize);
+      break;
+    }
+    pos += atomSize;
+  }
+  if (!moov) return tags;
+
+  const root = mp4Atoms(moov)[0];
+  const mvhd = mp4Child(moov, root, "mvhd");
+  if (mvhd) {
+    const v1 = moov[mvhd.start] === 1;
+    const timescale = moov.readUInt32BE(mvhd.start + (v1 ? 20 : 12));
+    const duration = v1 ? Number(moov.readBigUInt64BE(mvhd.start + 24)) : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale) tags.durationMs = Math.round((duration * 1000) / timescale);
+  }
+  const meta = mp4Child(moov, mp4Child(moov, root, "udta"), "meta");
+  // `meta` is a full box: 4 bytes of version / flags before its children.
+  const ilst = meta ? mp4Atoms(moov, meta.start + 4, meta.end).find((a) => a.type === "ilst") : null;
+  if (ilst) fillTags(tags, parseIlst(moov, ilst));
+  return tags;
+}
+
+// ---------- WAV ----------
+
+const RIFF_INFO_FIELDS = { INAM: "title", IART: "artist", IPRD: "album", ICRD: "date", ISRC: "isrc" };
+
+function parseRiffInfo(buf) {
+  const out = {};
+  let pos = 4;
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString("latin1", pos, pos + 4);
+    const len = buf.readUInt32LE(pos + 4);
+    const value = buf.toString("utf8", pos + 8, pos + 8 + len).replace(/\0[\s\S]*$/, "").trim();
+    pos += 8 + len + (len & 1);
+    if (!value) continue;
+    if (id === "ITRK" || id === "IPRT") out.trackNo ||= parseNumberPair(value).no;
+    else if (RIFF_INFO_FIELDS[id]) out[RIFF_INFO_FIELDS[id]] ||= id === "ISRC" ? normalizeIsrc(value) : value;
+  }
+  return out;
+}
+
+async function readWav(fh, size) {
+  const tags = emptyTags("wav");
+  const head = await readAt(fh, 0, 12);
+  if (head.toString("latin1", 0, 4) !== "RIFF" || head.toString("latin1", 8, 12) !== "WAVE") return tags;
+  let pos = 12;
+  let byteRate = 0;
+  let dataBytes = 0;
+  let info = null;
+  while (pos + 8 <= size) {
+    const header = await readAt(fh, pos, 8);
+    if (header.length < 8) break;
+    const id = header.toString("latin1", 0, 4);
+    const len = header.readUInt32LE(4);
+    pos += 8;
+    if (id === "fmt ") {
+      // A truncated `fmt ` only loses the duration, not the LIST / id3 tags after it.
+      const fmt = await readAt(fh, pos, Math.min(len, 16));
+      if (fmt.length >= 12) byteRate = fmt.readUInt32LE(8);
+    } else if (id === "data") {
+      dataBytes = Math.min(len, size - pos);
+    } else if (id === "LIST" && len <= MAX_TAG_BYTES) {
+      const list = await readAt(fh, pos, len);
+      if (list.toString("latin1", 0, 4) === "INFO") info = parseRiffInfo(list);
+    } else if ((id === "id3 " || id === "ID3 ") && len <= MAX_TAG_BYTES) {
+      // ID3 is the richer source (ISRC, lyrics, cover); LIST INFO only fills what it lacks.
+      fillTags(tags, parseId3v2(await readAt(fh, pos, len)));
+    }
+    pos += len + (len & 1);
+  }
+  if (info) fillTags(tags, info);
+  if (byteRate) tags.durationMs = Math.round((dataBytes * 1000) / byteRate);
+  return tags;
+}
+
+// ---------- entry point ----------
+
+async function sniffFormat(fh, ext) {
+  const head = await readAt(fh, 0, 12);
+  const magic = head.toString("latin1", 0, 4);
+  if (magic === "fLaC") return "flac";
+  if (magic === "RIFF") return "wav";
+  if (head.toString("latin1", 4, 8) === "ftyp") return "m4a";
+  if (ext === ".flac") return "flac";
+  return "mp3";
+}
+
+/** Read the tags of one audio file (see the module comment for the returned shape). */
+export async function readAudioTags(filePath) {
+  const fh = await fs.open(filePath, "r");
+  try {
+    const { size } = await fh.stat();
+    const format = await sniffFormat(fh, path.extname(filePath).toLowerCase());
+    const tags =
+      format === "flac" ? await readFlac(fh) : format === "wav" ? await readWav(fh, size) : format === "m4a" ? await readMp4(fh, size) : await readMp3(fh, size);
+    if (tags.cover) delete tags.cover.pictureType;
+    return tags;
+  } finally {
+    await fh.close();
+  }
+}
+
+// ---------- folders and catalog matching ----------
+
+/** Audio files (AUDIO_EXTENSIONS) under `rootDir`, recursively, sorted; dot files / folders are skipped. */
+export async function walkAudioFiles(rootDir) {
+  const out = [];
+  const queue = [rootDir];
+  while (queue.length) {
+    const dir = queue.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const ent of entries) {
+      if (ent.name.startsWith(".")) continue;
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) queue.push(full);
+      else if (ent.isFile() && AUDIO_EXTENSIONS.has(path.extname(ent.name).toLowerCase())) out.push(full);
+    }
+  }
+  return out.sort();
+}
+
+/** "01 - 歌名.flac" / "01. 歌名 (master).wav" → "歌名 (master)". */
+export function titleFromFilename(filePath) {
+  return path
+    .basename(filePath, path.extname(filePath))
+    .replace(/^\d{1,3}\s*[-._、)]\s*/, "")
+    .trim();
+}
+
+/**
+ * Catalog song for a file's tags, offline and conservative: by ISRC, else by title among the tracks of the album
+ * named in the tag, else by title when exactly one song has it. Returns `{ song, by }` (`by`: "isrc" /
+ * "album+title" / "title", or "ambiguous" / "" when nothing matched).
+ */
+export function matchSongByTags(catalog, tags, title) {
+  const byIsrc = tags.isrc ? catalog.findByIsrc(tags.isrc) : null;
+  if (trim(byIsrc?.type) === "song") return { song: byIsrc, by: "isrc" };
+
+  const albumKey = normalizeKey(tags.album);
+  if (albumKey) {
+    const found = new Set(
+      catalog.collections
+        .filter((c) => normalizeKey(c?.title) === albumKey)
+        .map((c) => catalog.findTrack({ title }, { collectionId: c.id }))
+        .filter(Boolean)
+    );
+    if (found.size === 1) return { song: [...found][0], by: "album+title" };
+    if (found.size > 1) return { song: null, by: "ambiguous" };
+  }
+
+  const key = normalizeKey(title);
+  const byTitle = key ? catalog.songs.filter((s) => normalizeKey(s?.title) === key) : [];
+  if (byTitle.length === 1) return { song: byTitle[0], by: "title" };
+  return { song: null, by: byTitle.length > 1 ? "ambiguous" : "" };
+}
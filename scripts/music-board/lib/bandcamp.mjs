@@ -0,0 +1,121 @@
+/**
+ * Bandcamp helpers for `import-bandcamp-album.mjs`: parse the `data-tralbum` JSON of a saved album (or track)
+ * page and build catalog items with the official `bandcamp.com/EmbeddedPlayer` iframe URLs.
+ *
+ * Returns `{ album: { albumId, url, title, artist, releaseDate, cover, upc }, songs: [{ trackId, url, title, trackNo, duration, isrc }] }`
+ * (`albumId` is empty for a track page that belongs to no album).
+ */
+
+import { decodeHtml, ensureArray, formatDuration, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+export function bandcampAlbumEmbedUrl(albumId) {
+  return embedUrl("bandcamp", "album", { albumId });
+}
+
+export function bandcampTrackEmbedUrl(trackId, albumId) {
+  return albumId ? embedUrl("bandcamp", "albumTrack", { albumId, trackId }) : embedUrl("bandcamp", "track", { trackId });
+}
+
+/** "24 Jan 2025 00:00:00 GMT" → "2025-01-24". */
+function isoDate(value) {
+  const t = Date.parse(trim(value));
+  return Number.isFinite(t) ? new Date(t).toISOString().slice(0, 10) : "";
+}
+
+function attrJson(html, name) {
+  const m = html.match(new RegExp(`${name}="([^"]*)"`)) || html.match(new RegExp(`${name}='([^']*)'`));
+  if (!m) return null;
+  try {
+    return JSON.parse(decodeHtml(m[1]));
+  } catch {
+    return null;
+  }
+}
+
+function metaContent(html, property) {
+  const m = html.match(new RegExp(`<meta[^>]*(?:name|property)="${property}"[^>]*content="([^"]*)"`, "i"));
+  return m ? decodeHtml(m[1]) : "";
+}
+
+/** Saved bandcamp.com album / track page → parsed release, or null when there is no `data-tralbum`. */
+export function parseAlbumHtml(html) {
+  const tralbum = attrJson(html, "data-tralbum");
+  if (!tralbum || !tralbum.id) return null;
+  const current = tralbum.current || {};
+  const url = trim(tralbum.url) || metaContent(html, "og:url");
+  const origin = (url.match(/^https?:\/\/[^/]+/) || [""])[0];
+  const isTrack = tralbum.item_type === "track";
+  const albumId = isTrack ? trim(tralbum.album_id || current.album_id) || "" : String(tralbum.id);
+
+  const songs = ensureArray(tralbum.trackinfo)
+    .map((t, i) => {
+      const trackId = trim(t?.track_id || t?.id);
+      return {
+        trackId,
+        url: t?.title_link ? `${origin}${t.title_link}` : isTrack ? url : "",
+        title: trim(t?.title),
+        trackNo: Number(t?.track_num) || i + 1,
+        duration: formatDuration(t?.duration),
+        isrc: trim(t?.isrc).toUpperCase()
+      };
+    })
+    .filter((s) => s.trackId);
+
+  return {
+    album: {
+      albumId,
+      // A track page links its album (`album_url`); a stand-alone track is its own release.
+      url: isTrack && tralbum.album_url ? `${origin}${tralbum.album_url}` : isTrack && albumId ? "" : url,
+      title: trim(isTrack ? tralbum.album_title || current.title : current.title),
+      artist: trim(tralbum.artist),
+      releaseDate: isoDate(current.release_date || tralbum.album_release_date),
+      cover: tralbum.art_id ? `https://f4.bcbits.com/img/a${tralbum.art_id}_10.jpg` : metaContent(html, "og:image"),
+      upc: trim(current.upc)
+    },
+    songs
+  };
+}
+
+export function toAlbumItem({ albumId, singleTrackId, url, title, artist, releaseDate, cover, upc, trackCount }) {
+  const embedUrl = albumId ? bandcampAlbumEmbedUrl(albumId) : bandcampTrackEmbedUrl(singleTrackId);
+  return {
+    id: `bandcamp-album-${albumId || `track-${singleTrackId}`}`,
+    type: "album",
+    title: title || "(未命名专辑)",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || "",
+    trackCount: trackCount || undefined,
+    upc: upc || undefined,
+    tags: ["bandcamp", "album"].concat(title ? [title] : []),
+    links: url ? [{ platform: "bandcamp", label: "Bandcamp · 专辑", url }] : [],
+    embeds: [{ platform: "bandcamp", label: "Bandcamp 播放器", url: embedUrl, height: 120 }],
+    refs: { bandcamp: albumId ? { albumId } : { trackId: singleTrackId } }
+  };
+}
+
+export function toSongItem({ trackId, url, title, trackNo, duration, isrc }, album, albumId) {
+  return {
+    id: `bandcamp-song-${trackId}`,
+    type: "song",
+    title: title || "(未命名)",
+    artist: album?.artist || "",
+    releaseDate: album?.releaseDate || "",
+    cover: album?.cover || "",
+    collectionId: album?.id || "",
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    isrc: isrc || undefined,
+    duration: duration || undefined,
+    tags: ["bandcamp", "song"].concat(album?.title ? [album.title] : []),
+    links: url ? [{ platform: "bandcamp", label: "Bandcamp · 单曲", url }] : [],
+    embeds: [{ platform: "bandcamp", label: "Bandcamp 播放器", url: bandcampTrackEmbedUrl(trackId, albumId), height: 120 }],
+    refs: { bandcamp: { trackId } }
+  };
+}
+
+/** Build catalog items from a parsed page. A track page without an album becomes a single (album of one). */
+export function toReleaseItems({ album, songs }) {
+  const albumItem = toAlbumItem({ ...album, singleTrackId: songs[0]?.trackId, trackCount: songs.length });
+  return { album: albumItem, tracks: songs.map((s) => toSongItem(s, albumItem, album.albumId)) };
+}
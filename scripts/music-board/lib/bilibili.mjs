@@ -0,0 +1,96 @@
+/**
+ * Bilibili (B 站) helpers shared by `urls-to-items.mjs` and `import-bilibili-space-html.mjs`: BV / av id parsing
+ * and conversion, canonical URLs, the `player.bilibili.com` embed and the video item shape.
+ *
+ * Videos are keyed by BV id (`bilibili-video-<BVid>`); av ids are converted so both URL forms land on one item.
+ */
+
+import { formatDuration, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+// av ↔ BV (the 2020 scheme, extended in 2024 for aids ≥ 2^30).
+const BV_TABLE = "FcwAPNKTMug3GV5Lj7EJnHpWsx4tb8haYeviqBz6rkCy12mUSDQX9RdoZf";
+const BV_XOR = 23442827791579n;
+const BV_MASK = 2251799813685247n;
+const BV_MAX_AID = 1n << 51n;
+const BV_BASE = 58n;
+
+function swapBv(chars) {
+  [chars[3], chars[9]] = [chars[9], chars[3]];
+  [chars[4], chars[7]] = [chars[7], chars[4]];
+  return chars;
+}
+
+export function avToBv(aid) {
+  const chars = ["B", "V", "1", "0", "0", "0", "0", "0", "0", "0", "0", "0"];
+  let tmp = (BV_MAX_AID | BigInt(aid)) ^ BV_XOR;
+  for (let i = chars.length - 1; tmp > 0n; i -= 1) {
+    chars[i] = BV_TABLE[Number(tmp % BV_BASE)];
+    tmp /= BV_BASE;
+  }
+  return swapBv(chars).join("");
+}
+
+export function bvToAv(bvid) {
+  const chars = swapBv([...bvid]).slice(3);
+  const tmp = chars.reduce((acc, c) => acc * BV_BASE + BigInt(BV_TABLE.indexOf(c)), 0n);
+  return String((tmp & BV_MASK) ^ BV_XOR);
+}
+
+/**
+ * `{ bvid, page }` from a video URL / bare id (`BV1xx411c7mD`, `av170001`, `…/video/BV…?p=2`), or null.
+ * `page` is the 1-based part (`?p=`) and defaults to 1.
+ */
+export function parseBilibiliVideo(input) {
+  const raw = trim(input);
+  const bv = raw.match(/\b(BV1[0-9A-Za-z]{9})\b/);
+  const av = bv ? null : raw.match(/(?:^|\/|\b)av(\d+)\b/i) || raw.match(/[?&]aid=(\d+)/);
+  if (!bv && !av) return null;
+  const p = Number((raw.match(/[?&]p=(\d+)/) || [])[1]);
+  return { bvid: bv ? bv[1] : avToBv(av[1]), page: Number.isInteger(p) && p > 0 ? p : 1 };
+}
+
+/** `{ mid, seasonId, seriesId }` from a space / 合集 / 系列 URL, or null. */
+export function parseBilibiliSpace(input) {
+  const raw = trim(input);
+  const mid = (raw.match(/space\.bilibili\.com\/(\d+)/) || [])[1];
+  if (!mid) return null;
+  const seasonId =
+    (raw.match(/collectiondetail\?[^#]*\bsid=(\d+)/) || [])[1] || (raw.match(/\/lists\/(\d+)\?[^#]*type=season/) || [])[1] || "";
+  const seriesId = (raw.match(/seriesdetail\?[^#]*\bsid=(\d+)/) || [])[1] || (raw.match(/\/lists\/(\d+)\?[^#]*type=series/) || [])[1] || "";
+  return { mid, seasonId, seriesId };
+}
+
+export function bilibiliVideoUrl(bvid, page = 1) {
+  return `https://www.bilibili.com/video/${bvid}/${page > 1 ? `?p=${page}` : ""}`;
+}
+
+/** Stored embed URL; `app.js` adds autoplay / danmaku parameters when it loads the player. */
+export function bilibiliPlayerUrl(bvid, page = 1) {
+  return embedUrl("bilibili", "video", { id: bvid, page });
+}
+
+/** Cover URLs in API / page data are often protocol-relative or http. */
+export function normalizeBilibiliCover(url) {
+  const raw = trim(url).split("@")[0];
+  if (!raw) return "";
+  return raw.replace(/^\/\//, "https://").replace(/^http:\/\//i, "https://");
+}
+
+export function toVideoItem({ bvid, page = 1, title, artist, releaseDate, cover, duration, collectionId, trackNo }) {
+  return {
+    id: `bilibili-video-${bvid}${page > 1 ? `-p${page}` : ""}`,
+    type: "song",
+    title: title || "",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || "",
+    collectionId: collectionId || undefined,
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    duration: typeof duration === "number" ? formatDuration(duration) || undefined : trim(duration) || undefined,
+    tags: ["bilibili"],
+    links: [{ platform: "bilibili", label: "B 站 · 视频", url: bilibiliVideoUrl(bvid, page) }],
+    embeds: [{ platform: "bilibili", label: "B 站播放器", url: bilibiliPlayerUrl(bvid, page), height: 360 }],
+    refs: { bilibili: { bvid, aid: bvToAv(bvid), ...(page > 1 ? { page } : {}) } }
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * catalog.json schema helpers shared by the music-board scripts.
+ *
+ * Two on-disk shapes are supported (same as `detectSchema()` in app.js):
+ * - legacy: `{ profile, items: [album..., song...] }`
+ * - v2:     `{ profile, collections: [album...], tracks: [song...] }`
+ *
+ * Scripts work on a flat item list (`getItems`) and hand it back with `setItems`,
+ * which writes it in whatever schema the catalog already uses.
+ */
+
+export const COLLECTION_TYPES = ["album", "collection", "playlist"];
+
+export function detectSchema(catalog) {
+  if (Array.isArray(catalog?.collections) || Array.isArray(catalog?.tracks)) return "v2";
+  if (Array.isArray(catalog?.items)) return "items";
+  return "empty";
+}
+
+function ensureArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function isTrack(item) {
+  return (item?.type || "") === "song";
+}
+
+/**
+ * Flat list of all entries (collections first for v2). The objects are the catalog's own,
+ * so in-place edits are kept; adding/removing entries needs `setItems()`.
+ */
+export function getItems(catalog) {
+  if (detectSchema(catalog) !== "v2") return ensureArray(catalog?.items);
+  const tracks = ensureArray(catalog.tracks);
+  // v2 tracks may omit `type` (app.js treats everything in tracks[] as a song); scripts filter on it.
+  for (const t of tracks) {
+    if (t && typeof t === "object" && !t.type) t.type = "song";
+  }
+  return [...ensureArray(catalog.collections), ...tracks];
+}
+
+/**
+ * Write a flat item list back into `catalog`, keeping its current schema (`empty` becomes legacy `items`).
+ * Pass `schema` to force a target shape. Mutates and returns `catalog`.
+ */
+export function setItems(catalog, items, schema = detectSchema(catalog)) {
+  const list = ensureArray(items);
+  if (schema === "v2") {
+    delete catalog.items;
+    catalog.collections = list.filter((it) => !isTrack(it));
+    catalog.tracks = list.filter(isTrack);
+    return catalog;
+  }
+  delete catalog.collections;
+  delete catalog.tracks;
+  catalog.items = list;
+  return catalog;
+}
+
+/** Copy of `catalog` in the v2 schema (other root keys are kept in place). */
+export function toV2(catalog) {
+  return convert(catalog, "v2");
+}
+
+/** Copy of `catalog` in the legacy `items[]` schema (other root keys are kept in place). */
+export function toItems(catalog) {
+  return convert(catalog, "items");
+}
+
+function convert(catalog, schema) {
+  const items = getItems(catalog);
+  const out = {};
+  let placed = false;
+  for (const [key, value] of Object.entries(catalog || {})) {
+    if (!["items", "collections", "tracks"].includes(key)) {
+      out[key] = value;
+      continue;
+    }
+    if (placed) continue;
+    placed = true;
+    setItems(out, items, schema);
+  }
+  if (!placed) setItems(out, items, schema);
+  return out;
+}
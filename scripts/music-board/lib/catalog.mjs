@@ -0,0 +1,554 @@
+/**
+ * Shared catalog library for the music-board scripts: text helpers, link/embed merge rules and a
+ * `Catalog` class that every importer / sync script loads, queries, upserts into and saves through,
+ * so merge semantics are the same whichever source the data comes from.
+ *
+ * Merge rules:
+ * - links: one entry per platform (registry aliases fold into their key, e.g. `facebook` → `instagram`); existing URLs win, an incoming
+ *   URL only fills an empty one, an incoming label replaces a default-looking one ("", "link", the platform key)
+ * - embeds: de-duplicated by platform + URL (`upsertPlatformEmbed` replaces "the" embed of a platform)
+ * - other fields: filled when empty (or when `overwrite` is set); tags are unioned; refs are merged per source
+ *
+ * Saving prints a field-level diff against the loaded file, snapshots the previous version under
+ * `.music-board/history/` and writes atomically (see history.mjs; `undo-catalog.mjs` restores snapshots).
+ */
+
+import fs from "node:fs/promises";
+import { COLLECTION_TYPES, detectSchema, getItems, setItems } from "./catalog-schema.mjs";
+import { diffCatalogs, formatDiff, isEmptyDiff, recordSnapshot, writeAtomic } from "./history.mjs";
+import { canonicalPlatform, platformLabel } from "./platforms.mjs";
+
+export { COLLECTION_TYPES, canonicalPlatform, platformLabel };
+
+// Written first, in this order; any other keys follow in their existing order.
+const ITEM_KEY_ORDER = [
+  "id", "type", "title", "artist", "releaseDate", "cover",
+  "collectionId", "trackNo", "trackCount", "isrc", "upc",
+  "duration", "version", "createdAt", "mood", "styleTags", "inspiration",
+  "tags", "links", "embeds", "refs", "streams",
+  "lyrics", "lyricsTimed", "lyricsTranslation", "lyricsRomaji"
+];
+const PLACEHOLDER_TITLES = ["(未命名)", "(未命名专辑)", "(未命名合集)"];
+
+export function ensureArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+export function trim(value) {
+  return (value ?? "").toString().trim();
+}
+
+export function platformKey(platform) {
+  return trim(platform).toLowerCase().replace(/\s+/g, "");
+}
+
+/** Loose title key for matching: NFKC, lowercase, no whitespace / punctuation / brackets. */
+export function normalizeKey(text) {
+  return trim((text ?? "").toString().normalize("NFKC"))
+    .toLowerCase()
+    .replace(/[\s·•—–\-_/\\:：,，.。!?！？'"“”‘’`~()（）\[\]【】{}<>《》「」『』|]+/g, "");
+}
+
+// Title keys for matching lyric files / sheets to songs: drops track numbers, "歌词"/"lrc" suffixes,
+// brackets, punctuation and chord names.
+export function normalizeText(s) {
+  return (s ?? "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replaceAll("♭", " ")
+    .replaceAll("♯", " ")
+    .replaceAll("（", "(")
+    .replaceAll("）", ")")
+    .replaceAll("【", "[")
+    .replaceAll("】", "]")
+    .replaceAll("：", ":")
+    .replaceAll("，", ",")
+    .replaceAll("。", ".");
+}
+
+export function normalizeTitle(s) {
+  const raw = normalizeText(s).normalize("NFKC");
+  const noTrackNo = raw.replace(/^\s*\d+\s*[-._\s]+\s*/g, "");
+  const noLyricsSuffix = noTrackNo
+    .replace(/(?:[_\-\s]*歌词)\s*$/g, "")
+    .replace(/(?:[_\-\s]*lyric(?:s)?)\s*$/gi, "")
+    .replace(/(?:[_\-\s]*lrc)\s*$/gi, "");
+  const noBrackets = noLyricsSuffix.replace(/[\[\]【】()（）{}<>《》]/g, " ");
+  const noPunct = noBrackets.replace(/[·•!！?？,:：;；"'“”‘’`~@#$%^&*+=|\\/]/g, " ");
+  const noChords = noPunct.replace(/\b(?:maj|min|dim|aug)\d{0,2}\b/gi, " ");
+  return noChords.replace(/\s+/g, " ").trim();
+}
+
+export function stripLyricTitleSuffix(title) {
+  let t = (title ?? "").toString().trim();
+  if (!t) return "";
+  t = t.replace(/\s*\(\d+\)\s*$/g, "").trim();
+  t = t.replace(/-vocal(?:[._-].*)?$/i, "").trim();
+  t = t.replace(/-iphone(?:[._-].*)?$/i, "").trim();
+  t = t.replace(/[._-]formatted(?:[._-].*)?$/i, "").trim();
+  t = t.replace(/[._-]pure(?:[._-].*)?$/i, "").trim();
+  t = t.replace(/[._-]asr(?:[._-].*)?$/i, "").trim();
+  return t.trim();
+}
+
+export function isLyricsNoise(text) {
+  const t = (text ?? "").toString();
+  if (!t.trim()) return true;
+  const hints = ["AI 作曲", "灵感创作", "模型选择", "优化提示词", "素材列表", "生成歌曲", "0/500"];
+  const hit = hints.filter((h) => t.includes(h)).length;
+  if (hit >= 3) return true;
+  return false;
+}
+
+// `&amp;` goes last, so an escaped entity ("&amp;lt;") decodes once, to "&lt;".
+export function decodeHtml(text) {
+  return (text ?? "")
+    .toString()
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&apos;", "'")
+    .replaceAll("&nbsp;", " ")
+    .replaceAll("&amp;", "&");
+}
+
+export function stripTags(text) {
+  return decodeHtml((text ?? "").toString().replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim());
+}
+
+export function slugify(text) {
+  return trim(text)
+    .toLowerCase()
+    .normalize("NFKC")
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+}
+
+export function uniqBy(arr, keyFn) {
+  const out = [];
+  const seen = new Set();
+  for (const x of ensureArray(arr)) {
+    const k = keyFn(x);
+    if (!k || seen.has(k)) continue;
+    seen.add(k);
+    out.push(x);
+  }
+  return out;
+}
+
+/** URL identity for matching: host without `www.`, no trailing slash, no share-tracking params (`si`, `utm_*`). */
+export function linkUrlKey(url) {
+  try {
+    const u = new URL(trim(url));
+    for (const key of [...u.searchParams.keys()]) if (key === "si" || key.startsWith("utm_")) u.searchParams.delete(key);
+    return `${u.host.toLowerCase().replace(/^www\./, "")}${u.pathname.replace(/\/+$/, "")}${u.search}${u.hash}`;
+  } catch {
+    return "";
+  }
+}
+
+/** Seconds (or milliseconds with `{ ms: true }`) → "mm:ss", the format `duration` is stored in. */
+export function formatDuration(value, { ms = false } = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return "";
+  const total = Math.round(ms ? n / 1000 : n);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Site-root file behind a relative URL (`audio/01%20Song.mp3` → `audio/01 Song.mp3`), or "" for absolute URLs
+ * (`https:`, `//host`, `/path`) and for paths that would leave the site folder.
+ */
+export function localAssetPath(url) {
+  const raw = trim(url).replace(/[?#].*$/, "");
+  if (!raw || /^(?:[a-z][a-z\d+.-]*:|\/)/i.test(raw)) return "";
+  let decoded = raw;
+  try {
+    decoded = decodeURIComponent(raw);
+  } catch {
+    // a literal "%" in a hand-written path
+  }
+  const parts = decoded.split("/").filter((p) => p && p !== ".");
+  return parts.includes("..") ? "" : parts.join("/");
+}
+
+/**
+ * Files under the site root that `item` needs deployed: `{ field, url, file }` for relative self-hosted audio
+ * embeds, the `waveform` sidecar and a local `cover` (e.g. art saved by import-audio-tags.mjs --covers).
+ */
+export function localAssets(item) {
+  const out = [];
+  for (const e of ensureArray(item?.embeds)) {
+    const file = e?.kind === "audio" ? localAssetPath(e.url) : "";
+    if (file) out.push({ field: "embeds", url: trim(e.url), file });
+  }
+  for (const field of ["cover", "waveform"]) {
+    const file = localAssetPath(item?.[field]);
+    if (file) out.push({ field, url: trim(item[field]), file });
+  }
+  return out;
+}
+
+export function addTag(tags, ...add) {
+  const set = new Set(ensureArray(tags).filter(Boolean));
+  for (const tag of add) if (tag) set.add(tag);
+  return Array.from(set);
+}
+
+export function looksDefaultLabel(label, platform) {
+  const l = trim(label).toLowerCase();
+  if (!l) return true;
+  return l === platformKey(platform) || l === trim(platform).toLowerCase() || l === "link";
+}
+
+export function mergeLinks(existing, incoming) {
+  const byKey = new Map();
+  const add = (l, fromIncoming) => {
+    const platform = canonicalPlatform(l?.platform);
+    // An alias folded into its key (`rdio` → `pandora`) takes the key's label unless it had a real one.
+    if (platform !== trim(l?.platform) && looksDefaultLabel(l?.label, l?.platform)) l = { ...l, label: "" };
+    const url = trim(l?.url);
+    const key = platformKey(platform) || (url ? `url:${url}` : "");
+    if (!key) return;
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, { ...l, platform, label: trim(l?.label) || (platform ? platformLabel(platform) : "Link"), url });
+      return;
+    }
+    if (!fromIncoming) return;
+    if (!prev.url && url) prev.url = url;
+    if (trim(l?.label) && !looksDefaultLabel(l.label, platform) && looksDefaultLabel(prev.label, prev.platform)) prev.label = trim(l.label);
+  };
+  for (const l of ensureArray(existing)) add(l, false);
+  for (const l of ensureArray(incoming)) add(l, true);
+  return Array.from(byKey.values());
+}
+
+export function mergeEmbeds(existing, incoming) {
+  const out = [];
+  const seen = new Set();
+  for (const e of ensureArray(existing).concat(ensureArray(incoming))) {
+    const platform = trim(e?.platform);
+    const url = trim(e?.url);
+    if (!url) continue;
+    const key = `${platformKey(platform)}::${url}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({
+      ...e,
+      platform,
+      label: trim(e?.label) || (platform ? platformLabel(platform) : "Embed"),
+      url,
+      height: Number.isFinite(e?.height) ? e.height : undefined
+    });
+  }
+  return out;
+}
+
+/** Replace (or add) the single link of `link.platform` on `item`. Mutates `item`. */
+export function upsertPlatformLink(item, link) {
+  const key = platformKey(link?.platform);
+  if (!key) return;
+  if (!Array.isArray(item.links)) item.links = [];
+  const idx = item.links.findIndex((l) => platformKey(l?.platform) === key);
+  if (idx >= 0) item.links[idx] = { ...item.links[idx], ...link };
+  else item.links.push(link);
+}
+
+/** Replace (or add) the single embed of `embed.platform` on `item`. Mutates `item`. */
+export function upsertPlatformEmbed(item, embed) {
+  const key = platformKey(embed?.platform);
+  if (!key) return;
+  if (!Array.isArray(item.embeds)) item.embeds = [];
+  const idx = item.embeds.findIndex((e) => platformKey(e?.platform) === key);
+  if (idx >= 0) item.embeds[idx] = { ...item.embeds[idx], ...embed };
+  else item.embeds.push(embed);
+}
+
+function isEmptyValue(key, value) {
+  if (value == null || value === "") return true;
+  if (typeof value === "number") return !Number.isFinite(value);
+  if (key === "title") return PLACEHOLDER_TITLES.includes(value);
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Merge `incoming` into `existing` in place (see module notes for the rules) and return `existing`.
+ * `overwrite: true` lets non-empty incoming scalars replace existing ones.
+ */
+export function mergeItem(existing, incoming, { overwrite = false } = {}) {
+  for (const [key, value] of Object.entries(incoming || {})) {
+    if (key === "id" || value === undefined) continue;
+    if (key === "links") existing.links = mergeLinks(existing.links, value);
+    else if (key === "embeds") existing.embeds = mergeEmbeds(existing.embeds, value);
+    else if (key === "tags") existing.tags = addTag(existing.tags, ...ensureArray(value));
+    else if (key === "refs" && value && typeof value === "object") {
+      const refs = { ...(existing.refs || {}) };
+      for (const [source, ref] of Object.entries(value)) {
+        refs[source] = ref && typeof ref === "object" ? { ...(refs[source] || {}), ...ref } : ref;
+      }
+      existing.refs = refs;
+    } else if (isEmptyValue(key, existing[key]) || (overwrite && !isEmptyValue(key, value))) {
+      existing[key] = value;
+    }
+  }
+  return existing;
+}
+
+function orderKeys(item) {
+  if (!item || typeof item !== "object") return item;
+  const out = {};
+  for (const key of ITEM_KEY_ORDER) if (key in item) out[key] = item[key];
+  for (const [key, value] of Object.entries(item)) if (!(key in out)) out[key] = value;
+  return out;
+}
+
+export class Catalog {
+  /** @param {object} data parsed catalog.json (either schema) */
+  constructor(data = {}, { path = "" } = {}) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("catalog.json is not an object");
+    this.data = data;
+    this.path = path;
+    this.original = structuredClone(data);
+    this.items = getItems(data).slice();
+    this.reindex();
+  }
+
+  static async load(filePath) {
+    const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return new Catalog(data, { path: filePath });
+  }
+
+  get schema() {
+    return detectSchema(this.data);
+  }
+
+  get profile() {
+    return this.data.profile || {};
+  }
+
+  get collections() {
+    return this.items.filter((it) => COLLECTION_TYPES.includes(trim(it?.type)));
+  }
+
+  get songs() {
+    return this.items.filter((it) => trim(it?.type) === "song");
+  }
+
+  reindex() {
+    this.byId = new Map();
+    this.byIsrc = new Map();
+    this.byUpc = new Map();
+    for (const it of this.items) this.index(it);
+  }
+
+  index(item) {
+    const id = trim(item?.id);
+    if (id && !this.byId.has(id)) this.byId.set(id, item);
+    const isrc = trim(item?.isrc).toUpperCase();
+    if (isrc && !this.byIsrc.has(isrc)) this.byIsrc.set(isrc, item);
+    const upc = trim(item?.upc);
+    if (upc && !this.byUpc.has(upc)) this.byUpc.set(upc, item);
+  }
+
+  get(id) {
+    return this.byId.get(trim(id)) || null;
+  }
+
+  has(id) {
+    return this.byId.has(trim(id));
+  }
+
+  findByIsrc(isrc) {
+    return this.byIsrc.get(trim(isrc).toUpperCase()) || null;
+  }
+
+  findByUpc(upc) {
+    return this.byUpc.get(trim(upc)) || null;
+  }
+
+  find(predicate) {
+    return this.items.find(predicate) || null;
+  }
+
+  filter(predicate) {
+    return this.items.filter(predicate);
+  }
+
+  tracksOf(collectionId) {
+    const cid = trim(collectionId);
+    return this.items.filter((it) => trim(it?.type) === "song" && trim(it?.collectionId) === cid);
+  }
+
+  /**
+   * Existing collection for an incoming release: same UPC, else the only collection sharing one of its
+   * store links (e.g. the Spotify album URL DistroKid exposes), else same normalized title + release date.
+   */
+  findAlbum({ upc, title, releaseDate, links } = {}) {
+    const isCollection = (it) => COLLECTION_TYPES.includes(trim(it?.type));
+    const byUpc = trim(upc) ? this.findByUpc(upc) : null;
+    if (isCollection(byUpc)) return byUpc;
+    const urls = new Set(ensureArray(links).map((l) => linkUrlKey(l?.url)).filter(Boolean));
+    if (urls.size) {
+      const byLink = this.filter((it) => isCollection(it) && ensureArray(it?.links).some((l) => urls.has(linkUrlKey(l?.url))));
+      if (byLink.length === 1) return byLink[0];
+    }
+    const date = trim(releaseDate);
+    const key = normalizeKey(title);
+    if (!date || !key) return null;
+    return this.find((it) => isCollection(it) && trim(it?.releaseDate) === date && normalizeKey(it?.title) === key);
+  }
+
+  /**
+   * Existing song: same ISRC, else a title match among the tracks of `collectionId`: exact, then (unless
+   * `containment` is false) the only track whose title contains the other, skipping ids in `exclude`
+   * ("只求" alone next to "只求你" is a different song, so an ambiguous or already-taken candidate is no match).
+   */
+  findTrack({ isrc, title } = {}, { collectionId = "", exclude = null, containment = true } = {}) {
+    const byIsrc = trim(isrc) ? this.findByIsrc(isrc) : null;
+    if (trim(byIsrc?.type) === "song") return byIsrc;
+    const key = normalizeKey(title);
+    if (!key || !trim(collectionId)) return null;
+    const candidates = this.tracksOf(collectionId);
+    const exact = candidates.find((it) => normalizeKey(it?.title) === key);
+    if (exact || !containment) return exact || null;
+    const partial = candidates.filter((it) => {
+      const k = normalizeKey(it?.title);
+      return k && (k.includes(key) || key.includes(k));
+    });
+    return partial.length === 1 && !exclude?.has(partial[0].id) ? partial[0] : null;
+  }
+
+  /**
+   * Merge one store release (album + tracks built by a platform importer). The album matches by UPC,
+   * store link, title + date, then its own id; each track by ISRC, exact title within the album or its own id, and
+   * only then by title containment among the songs no other track of the release matched. Matched
+   * entries gain the store's links / embeds / refs, the `source` tag and any empty fields (a track link that
+   * only repeats the album URL, as DistroKid store icons do, is replaced by the track's own); new tracks are
+   * only created under a new album (or one without tracks), otherwise they are reported as unmatched.
+   */
+  importRelease(album, tracks, { source }) {
+    const matchedAlbum = this.findAlbum(album) || this.get(album.id);
+    const { item: albumItem, created: albumCreated } = this.upsertAlbum(
+      matchedAlbum ? { ...album, tags: [source] } : album,
+      { match: matchedAlbum }
+    );
+    const canCreateTracks = albumCreated || this.tracksOf(albumItem.id).length === 0;
+    const albumUrls = new Set(ensureArray(albumItem.links).concat(ensureArray(album.links)).map((l) => linkUrlKey(l?.url)).filter(Boolean));
+
+    let tracksMatched = 0;
+    let tracksCreated = 0;
+    const unmatched = [];
+    const list = ensureArray(tracks);
+    const direct = list.map((t) => this.findTrack(t, { collectionId: albumItem.id, containment: false }) || this.get(t.id));
+    const taken = new Set(direct.filter(Boolean).map((it) => it.id));
+    for (const [i, t] of list.entries()) {
+      const matched = direct[i] || this.findTrack(t, { collectionId: albumItem.id, exclude: taken });
+      if (matched) {
+        taken.add(matched.id);
+        for (const l of ensureArray(matched.links)) {
+          const own = ensureArray(t.links).find((x) => platformKey(x?.platform) === platformKey(l?.platform));
+          if (own?.url && albumUrls.has(linkUrlKey(l?.url))) l.url = own.url;
+        }
+        this.upsertSong({ ...t, collectionId: undefined, tags: [source] }, { match: matched });
+        tracksMatched += 1;
+      } else if (canCreateTracks) {
+        taken.add(this.upsertSong({ ...t, collectionId: albumItem.id }, { match: null }).item.id);
+        tracksCreated += 1;
+      } else {
+        unmatched.push(t.title || t.id);
+      }
+    }
+    return { album: albumItem, albumCreated, tracksMatched, tracksCreated, unmatched };
+  }
+
+  /** Append a new entry (throws when the id is taken). */
+  add(item) {
+    const id = trim(item?.id);
+    if (!id) throw new Error("Catalog.add: item without id");
+    if (this.byId.has(id)) throw new Error(`Catalog.add: duplicate id ${id}`);
+    this.items.push(item);
+    this.index(item);
+    return item;
+  }
+
+  remove(id) {
+    const item = this.get(id);
+    if (!item) return false;
+    this.items = this.items.filter((it) => it !== item);
+    this.reindex();
+    return true;
+  }
+
+  /**
+   * Merge `incoming` into `match` (default: the entry with the same id, then same ISRC / UPC),
+   * or add it as a new entry. Returns `{ item, created, changed }`.
+   */
+  upsert(incoming, { match, overwrite = false } = {}) {
+    const existing = match === undefined
+      ? (this.get(incoming?.id) || this.findByIsrc(incoming?.isrc) || this.findByUpc(incoming?.upc))
+      : match;
+    if (!existing) return { item: this.add(incoming), created: true, changed: true };
+    const before = JSON.stringify(existing);
+    mergeItem(existing, incoming, { overwrite });
+    this.index(existing);
+    return { item: existing, created: false, changed: JSON.stringify(existing) !== before };
+  }
+
+  upsertAlbum(incoming, options) {
+    return this.upsert({ type: "album", ...incoming }, options);
+  }
+
+  upsertSong(incoming, options) {
+    return this.upsert({ type: "song", ...incoming }, options);
+  }
+
+  /** Merge links / embeds into an existing entry. Returns true when something changed. */
+  mergeLinks(item, links = [], embeds = []) {
+    const before = JSON.stringify([item.links, item.embeds]);
+    if (ensureArray(links).length) item.links = mergeLinks(item.links, links);
+    if (ensureArray(embeds).length) item.embeds = mergeEmbeds(item.embeds, embeds);
+    return JSON.stringify([item.links, item.embeds]) !== before;
+  }
+
+  /** Plain catalog object in its original schema, with item keys in a stable order. */
+  toJSON() {
+    return setItems(this.data, this.items.map(orderKeys));
+  }
+
+  /** Field-level diff between the catalog as loaded (or last saved) and its current state. */
+  diff() {
+    return diffCatalogs(this.original, this.toJSON());
+  }
+
+  /**
+   * Print the diff (stderr) and, unless `dryRun` (or MUSIC_BOARD_DRY_RUN from `music-board` without --apply),
+   * snapshot the file on disk and write atomically. An empty diff writes nothing (not even key-order changes).
+   * Returns true when the file was written.
+   */
+  async save({ path: filePath = this.path, dryRun = false } = {}) {
+    if (!filePath) throw new Error("Catalog.save: no path");
+    const verbose = !!process.env.MUSIC_BOARD_VERBOSE;
+    const diff = this.diff();
+    process.stderr.write(formatDiff(diff, { full: verbose }));
+    if (process.env.MUSIC_BOARD_DRY_RUN) {
+      process.stderr.write(`DRY RUN: add --apply to write ${filePath}\n`);
+      return false;
+    }
+    if (dryRun || isEmptyDiff(diff)) return false;
+
+    const snapshot = await recordSnapshot(filePath, diff);
+    await writeAtomic(filePath, JSON.stringify(this.toJSON(), null, 2) + "\n");
+    this.original = structuredClone(this.toJSON());
+    if (verbose) {
+      const backup = snapshot ? ` (previous version: .music-board/history/${snapshot.file})` : "";
+      process.stderr.write(`wrote ${filePath} (${this.items.length} entries)${backup}\n`);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * DistroKid export helpers shared by `import-distrokid-csv.mjs`, the HTML importers and `stores-to-platforms.mjs`: store name →
+ * platform link, a small CSV / TSV reader and the parser for release and bank-details (earnings) exports.
+ *
+ * Columns are found by header name (case / spacing insensitive), so both layouts work:
+ * - releases: Artist, Album / Release, Release Date, UPC, Track #, Title, ISRC, Stores (";" / "," / "|" separated)
+ * - bank details: Sale Month, Store, Artist, Title, ISRC, UPC, Quantity, Song/Album, Country of Sale, Earnings (USD)
+ *
+ * `parseDistrokidExport(text)` returns `{ releases: [{ album: { upc, title, artist, releaseDate, stores },
+ * songs: [{ isrc, title, trackNo, stores }] }], streams: Map<rowKey, { isrc, platform, month, quantity }> }`, one
+ * stream entry per ISRC + store + sale month + country; `sumStreams()` turns those into per-track totals.
+ */
+
+import { slugify, trim } from "./catalog.mjs";
+import { resolvePlatform, storeLabel } from "./platforms.mjs";
+
+/**
+ * Store / platform name (as DistroKid or a pasted list spells it) → `{ platform, label, url: "" }`.
+ * Names are resolved through the platform registry; unknown stores keep their name and a slug as platform.
+ */
+export function storeToLink(name) {
+  const platform = resolvePlatform(name);
+  if (platform) return { platform, label: storeLabel(platform), url: "" };
+  return { platform: slugify(name) || "link", label: trim(name), url: "" };
+}
+
+/** CSV / TSV text → array of rows (arrays of cells). The delimiter is guessed from the header line. */
+export function parseDelimited(text) {
+  const src = (text ?? "").toString().replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? "\t" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(cell);
+      if (row.some((c) => c.trim())) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c.trim())) rows.push(row);
+  return rows;
+}
+
+const COLUMN_ALIASES = {
+  upc: ["upc", "upcean", "ean", "albumupc", "releaseupc"],
+  isrc: ["isrc", "trackisrc", "songisrc"],
+  title: ["title", "songtitle", "tracktitle", "trackname", "songname", "song"],
+  album: ["album", "albumtitle", "albumname", "release", "releasetitle", "releasename"],
+  artist: ["artist", "artistname", "artists"],
+  releaseDate: ["releasedate", "daterelease", "released"],
+  trackNo: ["track#", "tracknumber", "trackno", "tracknum", "track"],
+  stores: ["stores", "storelist", "livestores", "platforms"],
+  store: ["store", "storename", "service", "dsp"],
+  quantity: ["quantity", "units", "streams", "plays"],
+  month: ["salemonth", "reportingmonth", "month", "period"],
+  country: ["countryofsale", "country", "territory"],
+  kind: ["song/album", "songalbum", "releasetype", "type"]
+};
+
+function headerKey(name) {
+  return trim(name).toLowerCase().replace(/\(.*?\)/g, "").replace(/[\s_\-.]+/g, "");
+}
+
+function columnIndex(header) {
+  const keys = header.map(headerKey);
+  const out = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const i = aliases.map((a) => keys.indexOf(a)).find((x) => x >= 0);
+    if (i != null) out[field] = i;
+  }
+  return out;
+}
+
+/** "2025-01-24", "01/24/2025", "Jan 24, 2025" → "2025-01-24". */
+function isoDate(value) {
+  const raw = trim(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(raw)) return raw.slice(0, 10);
+  const us = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+  const t = Date.parse(`${raw} UTC`);
+  return raw && Number.isFinite(t) ? new Date(t).toISOString().slice(0, 10) : "";
+}
+
+function splitStores(value) {
+  return trim(value)
+    .split(/\s*[;,|]\s*/)
+    .map(trim)
+    .filter(Boolean);
+}
+
+/** Parse one export (see the module comment). Rows without a UPC are grouped by album title + artist. */
+export function parseDistrokidExport(text) {
+  const [header = [], ...rows] = parseDelimited(text);
+  const col = columnIndex(header);
+  const cell = (row, field) => (col[field] == null ? "" : trim(row[col[field]]));
+  const isEarnings = col.store != null && col.quantity != null;
+
+  const releases = new Map();
+  const streams = new Map();
+  for (const row of rows) {
+    const upc = cell(row, "upc").replace(/\D/g, "");
+    const isrc = cell(row, "isrc").toUpperCase().replace(/[-\s]/g, "");
+    const artist = cell(row, "artist");
+    const albumRow = /^album$/i.test(cell(row, "kind"));
+    const albumTitle = cell(row, "album") || (albumRow ? cell(row, "title") : "");
+    const key = upc || (albumTitle ? `${albumTitle}\u0000${artist}` : "");
+    const stores = isEarnings ? [cell(row, "store")].filter(Boolean) : splitStores(cell(row, "stores"));
+
+    if (key) {
+      const release = releases.get(key) || { album: { upc, title: "", artist: "", releaseDate: "", stores: new Set() }, songs: new Map() };
+      release.album.title ||= albumTitle;
+      release.album.artist ||= artist;
+      release.album.releaseDate ||= isoDate(cell(row, "releaseDate"));
+      for (const s of stores) release.album.stores.add(s);
+      if (isrc && !albumRow) {
+        const song = release.songs.get(isrc) || { isrc, title: "", trackNo: 0, stores: new Set() };
+        song.title ||= cell(row, "title");
+        song.trackNo ||= Number(cell(row, "trackNo")) || 0;
+        for (const s of stores) song.stores.add(s);
+        release.songs.set(isrc, song);
+      }
+      releases.set(key, release);
+    }
+
+    if (isEarnings && isrc && !albumRow) {
+      const platform = storeToLink(cell(row, "store")).platform;
+      const month = cell(row, "month").slice(0, 7);
+      const rowKey = [isrc, platform, month, cell(row, "country").toUpperCase()].join("\u0000");
+      const entry = streams.get(rowKey) || { isrc, platform, month, quantity: 0 };
+      entry.quantity += Number(cell(row, "quantity").replace(/,/g, "")) || 0;
+      streams.set(rowKey, entry);
+    }
+  }
+
+  return {
+    releases: [...releases.values()].map(({ album, songs }) => ({
+      album: { ...album, stores: [...album.stores] },
+      songs: [...songs.values()].map((s) => ({ ...s, stores: [...s.stores] }))
+    })),
+    streams
+  };
+}
+
+/**
+ * Per-track totals `Map<isrc, { byPlatform, total, through }>` from the `streams` of several exports. Bank-details
+ * exports are cumulative (each download repeats every earlier month), so a row key seen in more than one file
+ * counts once, with its largest quantity (a newer export may include late reports for the same month).
+ */
+export function sumStreams(list) {
+  const rows = new Map();
+  for (const streams of list) {
+    for (const [rowKey, entry] of streams) {
+      if (entry.quantity > (rows.get(rowKey)?.quantity ?? -1)) rows.set(rowKey, entry);
+    }
+  }
+  const out = new Map();
+  for (const { isrc, platform, month, quantity } of rows.values()) {
+    const entry = out.get(isrc) || { byPlatform: {}, total: 0, through: "" };
+    entry.byPlatform[platform] = (entry.byPlatform[platform] || 0) + quantity;
+    entry.total += quantity;
+    if (month > entry.through) entry.through = month;
+    out.set(isrc, entry);
+  }
+  return out;
+}
+
+/** Merge releases parsed from several files (same UPC / title key → one release). */
+export function mergeReleases(list) {
+  const byKey = new Map();
+  for (const r of list) {
+    const key = r.album.upc || `${r.album.title}\u0000${r.album.artist}`;
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, { album: { ...r.album }, songs: r.songs.map((s) => ({ ...s })) });
+      continue;
+    }
+    for (const field of ["title", "artist", "releaseDate"]) prev.album[field] ||= r.album[field];
+    prev.album.stores = [...new Set(prev.album.stores.concat(r.album.stores))];
+    for (const s of r.songs) {
+      const same = prev.songs.find((p) => p.isrc === s.isrc);
+      if (!same) {
+        prev.songs.push({ ...s });
+        continue;
+      }
+      same.title ||= s.title;
+      same.trackNo ||= s.trackNo;
+      same.stores = [...new Set(same.stores.concat(s.stores))];
+    }
+  }
+  return [...byKey.values()];
+}
+
+function storeLinks(stores) {
+  const seen = new Set();
+  return stores.map(storeToLink).filter((l) => !seen.has(l.platform) && seen.add(l.platform));
+}
+
+/** Catalog items for a parsed release (ids follow the HTML importer: songs are `isrc-<ISRC>`). */
+export function toReleaseItems({ album, songs }) {
+  const title = album.title;
+  const albumItem = {
+    id: album.upc ? `distrokid-upc-${album.upc}` : `distrokid-album-${slugify(`${album.artist} ${title}`) || "untitled"}`,
+    type: "album",
+    title: title || "(未命名专辑)",
+    artist: album.artist || "",
+    releaseDate: album.releaseDate || "",
+    cover: "",
+    trackCount: songs.length || undefined,
+    upc: album.upc || undefined,
+    tags: ["distrokid", "album"].concat(title ? [title] : []),
+    links: storeLinks(album.stores),
+    embeds: [],
+    refs: { distrokid: album.upc ? { upc: album.upc } : {} }
+  };
+  const tracks = songs
+    .slice()
+    .sort((a, b) => (a.trackNo || Infinity) - (b.trackNo || Infinity))
+    .map((s) => ({
+      id: `isrc-${s.isrc}`,
+      type: "song",
+      title: s.title || "(未命名)",
+      artist: album.artist || "",
+      releaseDate: album.releaseDate || "",
+      cover: "",
+      trackNo: s.trackNo || undefined,
+      isrc: s.isrc,
+      tags: ["distrokid", "song"].concat(title ? [title] : []),
+      links: storeLinks(s.stores.length ? s.stores : album.stores),
+      embeds: [],
+      refs: { distrokid: album.upc ? { upc: album.upc } : {} }
+    }));
+  return { album: albumItem, tracks };
+}
@@ -0,0 +1,220 @@
+/**
+ * Catalog write safety: field-level diffs, timestamped snapshots under `.music-board/history/` (next to the
+ * catalog file) and atomic writes. Used by `Catalog.save()` and `undo-catalog.mjs`.
+ *
+ * History layout:
+ *   .music-board/history/log.jsonl                       one line per snapshot (oldest first)
+ *   .music-board/history/<stamp>__<catalog>.json        the catalog as it was before that write
+ *   .music-board/history/<stamp>__<catalog>.diff.json   what the write changed
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getItems } from "./catalog-schema.mjs";
+
+export const HISTORY_LIMIT = 50;
+const DIFF_PREVIEW_MAX = 40;
+const VALUE_PREVIEW_MAX = 60;
+
+function trim(value) {
+  return (value ?? "").toString().trim();
+}
+
+function linkKey(l) {
+  return `${trim(l?.platform).toLowerCase()}::${trim(l?.url)}`;
+}
+
+function label(item) {
+  const title = trim(item?.title);
+  return title ? `${item.id} “${title}”` : String(item?.id);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffLinkList(before, after) {
+  const beforeKeys = new Map((Array.isArray(before) ? before : []).map((l) => [linkKey(l), l]));
+  const afterKeys = new Map((Array.isArray(after) ? after : []).map((l) => [linkKey(l), l]));
+  const added = [...afterKeys].filter(([k]) => !beforeKeys.has(k)).map(([, l]) => ({ platform: trim(l?.platform), url: trim(l?.url) }));
+  const removed = [...beforeKeys].filter(([k]) => !afterKeys.has(k)).map(([, l]) => ({ platform: trim(l?.platform), url: trim(l?.url) }));
+  return { added, removed };
+}
+
+function diffEntry(before, after) {
+  const fields = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === "id" || sameValue(before?.[key], after?.[key])) continue;
+    if (key === "links" || key === "embeds") {
+      const { added, removed } = diffLinkList(before?.[key], after?.[key]);
+      fields.push({ field: key, added, removed, ...(added.length || removed.length ? {} : { reordered: true }) });
+    } else {
+      fields.push({ field: key, before: before?.[key], after: after?.[key] });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Compare two catalog objects (either schema) entry by entry.
+ * Returns `{ added: [{id,type,title}], removed: [...], changed: [{id,type,title,fields}], profile: fields }`.
+ */
+export function diffCatalogs(beforeData, afterData) {
+  const beforeItems = getItems(beforeData || {});
+  const afterItems = getItems(afterData || {});
+  const beforeById = new Map(beforeItems.map((it) => [it?.id, it]));
+  const afterById = new Map(afterItems.map((it) => [it?.id, it]));
+  const brief = (it) => ({ id: it?.id, type: it?.type || "", title: it?.title || "" });
+
+  const added = afterItems.filter((it) => !beforeById.has(it?.id)).map(brief);
+  const removed = beforeItems.filter((it) => !afterById.has(it?.id)).map(brief);
+  const changed = [];
+  for (const it of afterItems) {
+    const prev = beforeById.get(it?.id);
+    if (!prev) continue;
+    const fields = diffEntry(prev, it);
+    if (fields.length) changed.push({ ...brief(it), fields });
+  }
+  const profile = diffEntry(beforeData?.profile || {}, afterData?.profile || {});
+  return { added, removed, changed, profile };
+}
+
+export function isEmptyDiff(diff) {
+  return !diff.added.length && !diff.removed.length && !diff.changed.length && !diff.profile.length;
+}
+
+export function diffCounts(diff) {
+  return { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length, profileFields: diff.profile.length };
+}
+
+function preview(value) {
+  if (value === undefined) return "∅";
+  if (typeof value === "string") {
+    if (value.length > VALUE_PREVIEW_MAX || value.includes("\n")) return `“${value.slice(0, 24).replace(/\n/g, "⏎")}…” (${value.length} chars)`;
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) return `[${value.length}]`;
+  const json = JSON.stringify(value);
+  return json.length > VALUE_PREVIEW_MAX ? `${json.slice(0, VALUE_PREVIEW_MAX)}…` : json;
+}
+
+function fieldLines(fields) {
+  const out = [];
+  for (const f of fields) {
+    if (f.added || f.removed) {
+      for (const l of f.added) out.push(`    + ${f.field}: ${l.platform} ${l.url}`);
+      for (const l of f.removed) out.push(`    - ${f.field}: ${l.platform} ${l.url}`);
+      if (f.reordered) out.push(`    ~ ${f.field}: updated`);
+    } else {
+      out.push(`    ~ ${f.field}: ${preview(f.before)} → ${preview(f.after)}`);
+    }
+  }
+  return out;
+}
+
+/** Human-readable diff (capped at DIFF_PREVIEW_MAX entries unless `full`). */
+export function formatDiff(diff, { full = false } = {}) {
+  const c = diffCounts(diff);
+  const lines = [`diff: ${c.added} added, ${c.changed} changed, ${c.removed} removed${c.profileFields ? `, profile: ${c.profileFields} field(s)` : ""}`];
+  const entries = [
+    ...diff.added.map((it) => [`  + ${label(it)}`]),
+    ...diff.removed.map((it) => [`  - ${label(it)}`]),
+    ...diff.changed.map((it) => [`  ~ ${label(it)}`, ...fieldLines(it.fields)]),
+    ...(diff.profile.length ? [["  ~ profile", ...fieldLines(diff.profile)]] : [])
+  ];
+  const shown = full ? entries : entries.slice(0, DIFF_PREVIEW_MAX);
+  for (const e of shown) lines.push(...e);
+  if (shown.length < entries.length) lines.push(`  … ${entries.length - shown.length} more (use --verbose for the full diff)`);
+  return lines.join("\n") + "\n";
+}
+
+export function historyDir(catalogPath) {
+  return path.join(path.dirname(path.resolve(catalogPath)), ".music-board", "history");
+}
+
+function stampNow() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+async function readLog(dir) {
+  let text = "";
+  try {
+    text = await fs.readFile(path.join(dir, "log.jsonl"), "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+async function writeLog(dir, entries) {
+  await writeAtomic(path.join(dir, "log.jsonl"), entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : ""));
+}
+
+/** Snapshots of `catalogPath`, oldest first. */
+export async function listSnapshots(catalogPath) {
+  const dir = historyDir(catalogPath);
+  const name = path.basename(catalogPath);
+  return (await readLog(dir)).filter((e) => e.catalog === name).map((e) => ({ ...e, path: path.join(dir, e.file) }));
+}
+
+/** Write via a temp file in the same directory + rename, so readers never see a half-written file. */
+export async function writeAtomic(filePath, text) {
+  const tmp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    await fs.writeFile(tmp, text, "utf8");
+    await fs.rename(tmp, filePath);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Copy the current on-disk catalog into the history (if it exists) and log what the upcoming write changes.
+ * Keeps the newest HISTORY_LIMIT snapshots per directory. Returns the log entry, or null when there was no file.
+ */
+export async function recordSnapshot(catalogPath, diff, { command } = {}) {
+  let current;
+  try {
+    current = await fs.readFile(catalogPath, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+  const dir = historyDir(catalogPath);
+  await fs.mkdir(dir, { recursive: true });
+  const name = path.basename(catalogPath);
+  const stamp = stampNow();
+  const file = `${stamp}__${name}`;
+  await fs.writeFile(path.join(dir, file), current, "utf8");
+  if (diff) await fs.writeFile(path.join(dir, file.replace(/\.json$/i, "") + ".diff.json"), JSON.stringify(diff, null, 2) + "\n", "utf8");
+
+  const entry = {
+    stamp,
+    createdAt: new Date().toISOString(),
+    catalog: name,
+    file,
+    command: command || [path.basename(process.argv[1] || "node"), ...process.argv.slice(2)].join(" "),
+    ...(diff ? { counts: diffCounts(diff) } : {})
+  };
+  const log = [...(await readLog(dir)), entry];
+  const drop = log.slice(0, Math.max(0, log.length - HISTORY_LIMIT));
+  for (const e of drop) {
+    await fs.rm(path.join(dir, e.file), { force: true });
+    await fs.rm(path.join(dir, e.file.replace(/\.json$/i, "") + ".diff.json"), { force: true });
+  }
+  await writeLog(dir, log.slice(drop.length));
+  return entry;
+}
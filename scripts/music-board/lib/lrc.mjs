@@ -0,0 +1,66 @@
+/**
+ * LRC helpers shared by the lyrics scripts.
+ *
+ * `lyrics` stays plain text (what the page shows for non-timed sources);
+ * `lyricsTimed` keeps the LRC timing as `[{ ms, text }]`, sorted by `ms`.
+ */
+
+const TIME_TAG = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const META_TAG = /^\s*\[(?:ar|ti|al|au|by|re|ve|offset|length):/i;
+
+/** Parse LRC text into `[{ ms, text }]`. Returns [] when the text has no time tags. */
+export function parseLrc(lrc) {
+  const text = (lrc ?? "").toString();
+  if (!text.trim()) return [];
+
+  const offsetMatch = text.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/im);
+  const offset = offsetMatch ? Number(offsetMatch[1]) : 0;
+
+  const out = [];
+  for (const rawLine of text.split(/\r?\n/g)) {
+    const line = rawLine.replace(/^\uFEFF/, "");
+    if (META_TAG.test(line)) continue;
+    const head = line.match(/^\s*(?:\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]\s*)+/);
+    if (!head) continue;
+    const lyric = line.slice(head[0].length).trim();
+    for (const m of head[0].matchAll(TIME_TAG)) {
+      const frac = m[3] ? Number(m[3].padEnd(3, "0")) : 0;
+      const ms = Number(m[1]) * 60000 + Number(m[2]) * 1000 + frac - offset;
+      out.push({ ms: Math.max(0, ms), text: lyric });
+    }
+  }
+  return out.sort((a, b) => a.ms - b.ms);
+}
+
+/** Drop LRC metadata + time tags, keep the text (blank runs collapsed). */
+export function stripLrcToPlainText(lrc) {
+  const text = (lrc ?? "").toString();
+  if (!text.trim()) return "";
+  const lines = text.split(/\r?\n/g);
+  const out = [];
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/^\uFEFF/, "");
+    if (META_TAG.test(line)) continue;
+    const stripped = line.replace(/^\s*(?:\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\])+\s*/g, "");
+    out.push(stripped.replace(/\s+$/g, ""));
+  }
+  return out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Copy a second LRC (translation / romanization) onto `lines` as `field`, matching each line to the
+ * nearest time tag within `toleranceMs`. Mutates and returns `lines`.
+ */
+export function attachTimedField(lines, lrc, field, toleranceMs = 300) {
+  const extra = parseLrc(lrc).filter((l) => l.text);
+  if (extra.length === 0) return lines;
+  for (const line of lines) {
+    let best = null;
+    for (const e of extra) {
+      const d = Math.abs(e.ms - line.ms);
+      if (d <= toleranceMs && (!best || d < best.d)) best = { d, text: e.text };
+    }
+    if (best && line.text) line[field] = best.text;
+  }
+  return lines;
+}
@@ -0,0 +1,519 @@
+/**
+ * A small MPEG 1 / 2 / 2.5 Layer III decoder in pure JS (no ffmpeg / native deps), for `waveform.mjs`: it decodes
+ * to PCM, so MP3 waveforms are real sample peaks. Written for clarity, not speed: floating point throughout and a
+ * direct IMDCT / synthesis matrix.
+ *
+ * `mp3Granules(buf)` walks a whole file (ID3v2 tag and Xing / Info / VBRI frame skipped) and yields
+ * `{ sampleRate, pcm }` per granule: one Float32Array of 576 samples (−1…1) per channel. The arrays are reused,
+ * so read them before the next step.
+ *
+ * Per granule (ISO/IEC 11172-3 2.4.3.4, and 13818-3 for the lower sample rates): side info and the bit reservoir,
+ * scalefactors, Huffman decoding, requantization, M/S and intensity stereo, short-block reordering, alias
+ * reduction, IMDCT with overlap-add, and the polyphase synthesis filterbank.
+ */
+
+import { mpegFrameHeader } from "./audio-tags.mjs";
+import { COUNT1_A_CODES, HUFFMAN_CODES, LSF_SFB_COUNTS, PRETAB, SFB_BANDS, SLEN, SYNTH_WINDOW } from "./mp3-tables.mjs";
+
+// main_data_begin reaches back at most 511 bytes; a frame carries at most ~1.4 KB of main data.
+const RESERVOIR_BACK = 511;
+const RESERVOIR_BYTES = 4096;
+
+class BitReader {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+  }
+
+  /** Past the end of `bytes` this reads zeros. */
+  bit() {
+    const b = (this.bytes[this.pos >> 3] >> (7 - (this.pos & 7))) & 1;
+    this.pos += 1;
+    return b;
+  }
+
+  bits(n) {
+    let v = 0;
+    for (let k = 0; k < n; k += 1) v = (v << 1) | this.bit();
+    return v;
+  }
+}
+
+// ---------- tables ----------
+
+/** Decoding tree of bit-string codes: pairs of slots, > 0 → the next pair, < 0 → the leaf `-1 - value`. */
+function huffmanTree(codes) {
+  const tree = [0, 0];
+  codes
+    .trim()
+    .split(/\s+/)
+    .forEach((code, value) => {
+      let node = 0;
+      for (let k = 0; k < code.length; k += 1) {
+        const slot = node + (code[k] === "1" ? 1 : 0);
+        if (k === code.length - 1) tree[slot] = -1 - value;
+        else node = tree[slot] ||= tree.push(0, 0) - 2;
+      }
+    });
+  return Int32Array.from(tree);
+}
+
+function readCode(br, tree) {
+  for (let node = 0; ; ) {
+    const next = tree[node + br.bit()];
+    if (next < 0) return -1 - next;
+    node = next;
+  }
+}
+
+const LINBITS = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 6, 8, 10, 13, 4, 5, 6, 7, 8, 9, 11, 13];
+const CODE_TABLES = new Map(
+  Object.entries(HUFFMAN_CODES).map(([n, codes]) => {
+    const tree = huffmanTree(codes);
+    return [Number(n), { tree, size: Math.sqrt(codes.trim().split(/\s+/).length) }];
+  })
+);
+/** Big-value tables by `table_select`; null for 0 (all zeros) and the unused 4 / 14. */
+const BIG_VALUE_TABLES = LINBITS.map((linbits, t) => {
+  const codes = CODE_TABLES.get(t < 16 ? t : t < 24 ? 16 : 24);
+  return codes ? { ...codes, linbits } : null;
+});
+const COUNT1_A = huffmanTree(COUNT1_A_CODES);
+
+// |x|^(4/3) for every value a big-value pair can carry (15 + 13 linbits).
+const POW43 = Float64Array.from({ length: 8207 }, (_, i) => i ** (4 / 3));
+
+const ALIAS_COEFFICIENTS = [-0.6, -0.535, -0.33, -0.185, -0.095, -0.041, -0.0142, -0.0037];
+const ALIAS_CS = ALIAS_COEFFICIENTS.map((c) => 1 / Math.sqrt(1 + c * c));
+const ALIAS_CA = ALIAS_COEFFICIENTS.map((c) => c / Math.sqrt(1 + c * c));
+
+const IMDCT_LONG = Float64Array.from({ length: 36 * 18 }, (_, n) =>
+  Math.cos((Math.PI / 72) * (2 * Math.floor(n / 18) + 19) * (2 * (n % 18) + 1))
+);
+const IMDCT_SHORT = Float64Array.from({ length: 12 * 6 }, (_, n) =>
+  Math.cos((Math.PI / 24) * (2 * Math.floor(n / 6) + 7) * (2 * (n % 6) + 1))
+);
+
+/** IMDCT window of block type 0 (normal), 1 (start), 2 (short: 12 points, per window) and 3 (stop). */
+function blockWindow(type, i) {
+  const sine = (n, j) => Math.sin((Math.PI / n) * (j + 0.5));
+  if (type === 1) return i < 18 ? sine(36, i) : i < 24 ? 1 : i < 30 ? sine(12, i - 18) : 0;
+  if (type === 2) return i < 12 ? sine(12, i) : 0;
+  if (type === 3) return i < 6 ? 0 : i < 12 ? sine(12, i - 6) : i < 18 ? 1 : sine(36, i);
+  return sine(36, i);
+}
+const WINDOWS = [0, 1, 2, 3].map((type) => Float64Array.from({ length: 36 }, (_, i) => blockWindow(type, i)));
+
+const SYNTH_COS = Float64Array.from({ length: 64 * 32 }, (_, n) =>
+  Math.cos(((16 + Math.floor(n / 32)) * (2 * (n % 32) + 1) * Math.PI) / 64)
+);
+
+// MPEG 1 intensity stereo: position p (0–6) puts sin / cos of p·π/12 on the left / right channel.
+const IS_LEFT = [0, 1, 2, 3, 4, 5, 6].map((p) => Math.sin((p * Math.PI) / 12) / (Math.sin((p * Math.PI) / 12) + Math.cos((p * Math.PI) / 12)));
+const IS_RIGHT = IS_LEFT.map((l) => 1 - l);
+
+// ---------- side info / scalefactors / Huffman ----------
+
+function readSideInfo(buf, pos, frame) {
+  const br = new BitReader(buf, pos * 8);
+  const { mpeg1, channels } = frame;
+  const mainDataBegin = br.bits(mpeg1 ? 9 : 8);
+  br.bits(mpeg1 ? (channels === 1 ? 5 : 3) : channels); // private bits
+  const scfsi = [];
+  for (let ch = 0; mpeg1 && ch < channels; ch += 1) scfsi.push([br.bit(), br.bit(), br.bit(), br.bit()]);
+
+  const granules = [];
+  for (let gr = 0; gr < (mpeg1 ? 2 : 1); gr += 1) {
+    const perChannel = [];
+    for (let ch = 0; ch < channels; ch += 1) {
+      const g = { blockType: 0, mixedBlock: 0, subblockGain: [0, 0, 0] };
+      g.part23Length = br.bits(12);
+      g.bigValues = br.bits(9);
+      g.globalGain = br.bits(8);
+      g.scalefacCompress = br.bits(mpeg1 ? 4 : 9);
+      g.windowSwitching = br.bit();
+      if (g.windowSwitching) {
+        g.blockType = br.bits(2);
+        g.mixedBlock = br.bit();
+        g.tableSelect = [br.bits(5), br.bits(5), 0];
+        g.subblockGain = [br.bits(3), br.bits(3), br.bits(3)];
+        g.region0Count = g.blockType === 2 && !g.mixedBlock ? 8 : 7;
+        g.region1Count = 20 - g.region0Count;
+      } else {
+        g.tableSelect = [br.bits(5), br.bits(5), br.bits(5)];
+        g.region0Count = br.bits(4);
+        g.region1Count = br.bits(3);
+      }
+      g.preflag = mpeg1 ? br.bit() : 0;
+      g.scalefacScale = br.bit();
+      g.count1Table = br.bit();
+      g.short = g.windowSwitching && g.blockType === 2;
+      perChannel.push(g);
+    }
+    granules.push(perChannel);
+  }
+  return { mainDataBegin, scfsi, granules };
+}
+
+/**
+ * Fills the channel's scalefactors (`scalefacL` per long band, `scalefacS` per short band × window) and, for the
+ * intensity-stereo right channel, `limitL` / `limitS`: the position that means "not intensity coded".
+ */
+function readScalefactors(br, frame, side, gr, ch, g, st) {
+  const { scalefacL: L, scalefacS: S, limitL, limitS } = st;
+  L.fill(0, 21);
+  S.fill(0, 36);
+  if (frame.mpeg1) {
+    const [slen1, slen2] = SLEN[g.scalefacCompress];
+    limitL.fill(7);
+    limitS.fill(7);
+    if (g.short) {
+      if (g.mixedBlock) for (let sfb = 0; sfb < 8; sfb += 1) L[sfb] = br.bits(slen1);
+      for (let sfb = g.mixedBlock ? 3 : 0; sfb < 12; sfb += 1) {
+        for (let w = 0; w < 3; w += 1) S[sfb * 3 + w] = br.bits(sfb < 6 ? slen1 : slen2);
+      }
+      return;
+    }
+    const groups = [0, 6, 11, 16, 21];
+    for (let k = 0; k < 4; k += 1) {
+      // scfsi: granule 1 reuses granule 0's scalefactors for this group of bands.
+      if (gr === 1 && side.scfsi[ch][k]) continue;
+      for (let sfb = groups[k]; sfb < groups[k + 1]; sfb += 1) L[sfb] = br.bits(k < 2 ? slen1 : slen2);
+    }
+    return;
+  }
+
+  // MPEG 2 / 2.5: scalefac_compress picks the slen of four groups and how many bands each covers (13818-3 2.4.3.2).
+  let sfc = g.scalefacCompress;
+  let slen;
+  let table;
+  if (ch === 1 && frame.mode === 1 && frame.modeExtension & 1) {
+    st.intensityScale = sfc & 1;
+    sfc >>= 1;
+    if (sfc < 180) [slen, table] = [[Math.floor(sfc / 36), Math.floor((sfc % 36) / 6), sfc % 6, 0], 3];
+    else if (sfc < 244) [slen, table] = [[((sfc - 180) >> 4) & 3, ((sfc - 180) >> 2) & 3, (sfc - 180) & 3, 0], 4];
+    else [slen, table] = [[Math.floor((sfc - 244) / 3), (sfc - 244) % 3, 0, 0], 5];
+  } else if (sfc < 400) {
+    [slen, table] = [[Math.floor((sfc >> 4) / 5), (sfc >> 4) % 5, (sfc & 15) >> 2, sfc & 3], 0];
+  } else if (sfc < 500) {
+    [slen, table] = [[Math.floor(((sfc - 400) >> 2) / 5), ((sfc - 400) >> 2) % 5, (sfc - 400) & 3, 0], 1];
+  } else {
+    [slen, table] = [[Math.floor((sfc - 500) / 3), (sfc - 500) % 3, 0, 0], 2];
+  }
+  g.preflag = table === 2 ? 1 : 0;
+
+  const values = [];
+  const limits = [];
+  LSF_SFB_COUNTS[table][g.short ? (g.mixedBlock ? 2 : 1) : 0].forEach((count, k) => {
+    for (let n = 0; n < count; n += 1) {
+      values.push(slen[k] ? br.bits(slen[k]) : 0);
+      limits.push((1 << slen[k]) - 1);
+    }
+  });
+  let k = 0;
+  const longBands = g.short ? (g.mixedBlock ? 6 : 0) : 21;
+  for (let sfb = 0; sfb < longBands; sfb += 1, k += 1) [L[sfb], limitL[sfb]] = [values[k], limits[k]];
+  for (let i = g.short && g.mixedBlock ? 9 : 0; g.short && i < 36; i += 1, k += 1) [S[i], limitS[i]] = [values[k], limits[k]];
+}
+
+function bigValue(br, v, linbits) {
+  if (linbits && v === 15) v += br.bits(linbits);
+  return v && br.bit() ? -v : v;
+}
+
+/** Huffman-decodes one channel's quantized lines up to bit `end`; returns how many lines may be nonzero. */
+function readLines(br, end, g, bands, lines) {
+  const region1 = g.short ? bands.short[3] * 3 : bands.long[g.region0Count + 1];
+  const region2 = g.windowSwitching ? 576 : bands.long[Math.min(22, g.region0Count + g.region1Count + 2)];
+  const bigEnd = Math.min(576, g.bigValues * 2);
+  let n = 0;
+  for (; n < bigEnd; n += 2) {
+    const table = BIG_VALUE_TABLES[g.tableSelect[n < region1 ? 0 : n < region2 ? 1 : 2]];
+    if (!table) {
+      lines[n] = lines[n + 1] = 0;
+      continue;
+    }
+    const v = readCode(br, table.tree);
+    lines[n] = bigValue(br, Math.floor(v / table.size), table.linbits);
+    lines[n + 1] = bigValue(br, v % table.size, table.linbits);
+  }
+  // count1: quadruples of −1 / 0 / 1 until the channel's bits run out.
+  while (n + 4 <= 576 && br.pos < end) {
+    const v = g.count1Table ? br.bits(4) ^ 15 : readCode(br, COUNT1_A);
+    for (const bit of [8, 4, 2, 1]) lines[n++] = v & bit ? (br.bit() ? -1 : 1) : 0;
+  }
+  // A quadruple that ran past part2_3_length was stuffing, not data.
+  if (br.pos > end && n > bigEnd) n -= 4;
+  lines.fill(0, n);
+  return n;
+}
+
+// ---------- requantization / stereo ----------
+
+function requantize(g, bands, st, count) {
+  const { lines, xr, scalefacL: L, scalefacS: S } = st;
+  xr.fill(0);
+  const gain = 0.25 * (g.globalGain - 210);
+  const sfShift = g.scalefacScale ? 1 : 0.5;
+  const value = (n, scale) => (lines[n] < 0 ? -POW43[-lines[n]] : POW43[lines[n]]) * scale;
+
+  const longEnd = Math.min(count, g.short ? (g.mixedBlock ? bands.short[3] * 3 : 0) : 576);
+  for (let sfb = 0; bands.long[sfb] < longEnd; sfb += 1) {
+    const scale = 2 ** (gain - sfShift * (L[sfb] + g.preflag * PRETAB[sfb]));
+    for (let n = bands.long[sfb]; n < Math.min(bands.long[sfb + 1], longEnd); n += 1) if (lines[n]) xr[n] = value(n, scale);
+  }
+  if (!g.short) return;
+  for (let sfb = g.mixedBlock ? 3 : 0; sfb < 13 && bands.short[sfb] * 3 < count; sfb += 1) {
+    const width = bands.short[sfb + 1] - bands.short[sfb];
+    for (let w = 0; w < 3; w += 1) {
+      const scale = 2 ** (gain - 2 * g.subblockGain[w] - sfShift * S[sfb * 3 + w]);
+      const start = bands.short[sfb] * 3 + w * width;
+      for (let n = start; n < Math.min(start + width, count); n += 1) if (lines[n]) xr[n] = value(n, scale);
+    }
+  }
+}
+
+/**
+ * M/S and intensity stereo, in place on both channels' spectra. Intensity coding covers the bands above the last
+ * nonzero line of the right channel (per window for short blocks); the rest is M/S (or plain L/R) coded.
+ */
+function jointStereo(frame, g, bands, [left, right]) {
+  const ms = frame.modeExtension & 2;
+  const midSide = (start, end) => {
+    for (let n = start; ms && n < end; n += 1) {
+      const [m, s] = [left.xr[n], right.xr[n]];
+      left.xr[n] = (m + s) * Math.SQRT1_2;
+      right.xr[n] = (m - s) * Math.SQRT1_2;
+    }
+  };
+  if (!(frame.modeExtension & 1)) return midSide(0, 576);
+
+  const intensity = (start, end, pos, limit) => {
+    if (frame.mpeg1 ? pos >= 7 : pos === limit) return midSide(start, end);
+    let kl = 1;
+    let kr = 1;
+    if (frame.mpeg1) [kl, kr] = [IS_LEFT[pos], IS_RIGHT[pos]];
+    else if (pos) {
+      const io = right.intensityScale ? Math.SQRT1_2 : 2 ** -0.25;
+      if (pos & 1) kl = io ** ((pos + 1) / 2);
+      else kr = io ** (pos / 2);
+    }
+    for (let n = start; n < end; n += 1) {
+      const v = left.xr[n];
+      left.xr[n] = v * kl;
+      right.xr[n] = v * kr;
+    }
+  };
+  const nonzero = (start, end) => {
+    for (let n = start; n < end; n += 1) if (right.xr[n]) return true;
+    return false;
+  };
+
+  // Long bands (also the long part of a mixed block when its short part is empty); band 21 takes band 20's position.
+  const g1 = g[1];
+  const longBands = g1.short ? (g1.mixedBlock ? (frame.mpeg1 ? 8 : 6) : 0) : 22;
+  let shortEmpty = g1.short;
+  if (g1.short) {
+    for (let sfb = g1.mixedBlock ? 3 : 0; sfb < 13 && shortEmpty; sfb += 1) {
+      if (nonzero(bands.short[sfb] * 3, bands.short[sfb + 1] * 3)) shortEmpty = false;
+    }
+  }
+  let firstLong = longBands;
+  if (!g1.short || shortEmpty) while (firstLong > 0 && !nonzero(bands.long[firstLong - 1], bands.long[firstLong])) firstLong -= 1;  for (let sfb = 0; sfb < longBands; sfb += 1) {
+    const [start, end] = [bands.long[sfb], bands.long[sfb + 1]];
+    const pos = Math.min(sfb, 20);
+    if (sfb < firstLong) midSide(start, end);
+    else intensity(start, end, right.scalefacL[pos], right.limitL[pos]);
+  }
+  if (!g1.short) return;
+
+  // Short bands, window by window; band 12 takes band 11's position.
+  const firstShortBand = g1.mixedBlock ? 3 : 0;
+  for (let w = 0; w < 3; w += 1) {
+    const window = (sfb) => {
+      const width = bands.short[sfb + 1] - bands.short[sfb];
+      return [bands.short[sfb] * 3 + w * width, bands.short[sfb] * 3 + (w + 1) * width];
+    };
+    let first = 13;
+    while (first > firstShortBand && !nonzero(...window(first - 1))) first -= 1;
+    for (let sfb = firstShortBand; sfb < 13; sfb += 1) {
+      const pos = Math.min(sfb, 11) * 3 + w;
+      if (sfb < first) midSide(...window(sfb));
+      else intensity(...window(sfb), right.scalefacS[pos], right.limitS[pos]);
+    }
+  }
+}
+
+// ---------- hybrid / polyphase synthesis ----------
+
+const reordered = new Float64Array(576);
+const imdctOut = new Float64Array(36);
+
+/** Short bands are coded window after window; the IMDCT wants each line's three windows side by side. */
+function reorder(xr, bands, firstBand) {
+  const from = bands.short[firstBand] * 3;
+  for (let sfb = firstBand; sfb < 13; sfb += 1) {
+    const start = bands.short[sfb] * 3;
+    const width = bands.short[sfb + 1] - bands.short[sfb];
+    for (let w = 0; w < 3; w += 1) {
+      for (let j = 0; j < width; j += 1) reordered[start + 3 * j + w] = xr[start + w * width + j];
+    }
+  }
+  xr.set(reordered.subarray(from), from);
+}
+
+function imdct(xr, offset, type) {
+  const win = WINDOWS[type];
+  if (type === 2) {
+    imdctOut.fill(0);
+    for (let w = 0; w < 3; w += 1) {
+      for (let i = 0; i < 12; i += 1) {
+        let sum = 0;
+        for (let k = 0; k < 6; k += 1) sum += xr[offset + 3 * k + w] * IMDCT_SHORT[i * 6 + k];
+        imdctOut[6 + 6 * w + i] += sum * win[i];
+      }
+    }
+    return;
+  }
+  for (let i = 0; i < 36; i += 1) {
+    let sum = 0;
+    for (let k = 0; k < 18; k += 1) sum += xr[offset + k] * IMDCT_LONG[i * 18 + k];
+    imdctOut[i] = sum * win[i];
+  }
+}
+
+/** One channel's spectrum (576 lines) to 576 PCM samples in `out`. */
+function synthesize(g, bands, st, out) {
+  const { xr, overlap, subbands, synth } = st;
+  if (g.short) reorder(xr, bands, g.mixedBlock ? 3 : 0);
+
+  // Alias reduction across the boundaries of long-block subbands.
+  const aliasBands = g.short ? (g.mixedBlock ? 1 : 0) : 31;
+  for (let sb = 1; sb <= aliasBands; sb += 1) {
+    for (let i = 0; i < 8; i += 1) {
+      const [lo, hi] = [18 * sb - 1 - i, 18 * sb + i];
+      const [a, b] = [xr[lo], xr[hi]];
+      xr[lo] = a * ALIAS_CS[i] - b * ALIAS_CA[i];
+      xr[hi] = b * ALIAS_CS[i] + a * ALIAS_CA[i];
+    }
+  }
+
+  // IMDCT + overlap-add, then frequency inversion of the odd subbands' odd samples; stored as [slot][subband].
+  for (let sb = 0; sb < 32; sb += 1) {
+    imdct(xr, sb * 18, g.windowSwitching && !(g.mixedBlock && sb < 2) ? g.blockType : 0);
+    for (let t = 0; t < 18; t += 1) {
+      const sample = imdctOut[t] + overlap[sb * 18 + t];
+      overlap[sb * 18 + t] = imdctOut[t + 18];
+      subbands[t * 32 + sb] = sb & t & 1 ? -sample : sample;
+    }
+  }
+
+  // Polyphase synthesis: 32 subband samples → 32 PCM samples per slot, through the 1024-sample V ring buffer.
+  for (let t = 0; t < 18; t += 1) {
+    st.synthPos = (st.synthPos - 64) & 1023;
+    const pos = st.synthPos;
+    for (let i = 0; i < 64; i += 1) {
+      let sum = 0;
+      for (let k = 0; k < 32; k += 1) sum += SYNTH_COS[i * 32 + k] * subbands[t * 32 + k];
+      synth[(pos + i) & 1023] = sum;
+    }
+    for (let j = 0; j < 32; j += 1) {
+      let sum = 0;
+      for (let i = 0; i < 8; i += 1) {
+        sum += SYNTH_WINDOW[64 * i + j] * synth[(pos + 128 * i + j) & 1023];
+        sum += SYNTH_WINDOW[64 * i + 32 + j] * synth[(pos + 128 * i + 96 + j) & 1023];
+      }
+      out[t * 32 + j] = sum;
+    }
+  }
+}
+
+// ---------- frames ----------
+
+function channelState() {
+  return {
+    lines: new Int32Array(576),
+    xr: new Float64Array(576),
+    scalefacL: new Int32Array(22),
+    scalefacS: new Int32Array(39),
+    limitL: new Int32Array(22),
+    limitS: new Int32Array(39),
+    intensityScale: 0,
+    overlap: new Float64Array(576),
+    subbands: new Float64Array(576),
+    synth: new Float64Array(1024),
+    synthPos: 0
+  };
+}
+
+/** A frame header only counts when the next frame (or the end / a trailing tag) follows it: sync bytes occur in data. */
+function followedByFrame(buf, next) {
+  return next + 4 > buf.length || Boolean(mpegFrameHeader(buf, next)) || /^(TAG|APETAGEX|LYRICS)/.test(buf.toString("latin1", next, next + 8));
+}
+
+/** Decoded granules of a whole MP3 file (Buffer); see the module comment. */
+export function* mp3Granules(buf) {
+  let i = 0;
+  if (buf.length >= 10 && buf.toString("latin1", 0, 3) === "ID3") {
+    i = 10 + (((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f)) + (buf[5] & 0x10 ? 10 : 0);
+  }
+
+  const channels = [channelState(), channelState()];
+  const pcm = [new Float32Array(576), new Float32Array(576)];
+  const reservoir = new Uint8Array(RESERVOIR_BYTES);
+  let reservoirLength = 0;
+  let first = null;
+  while (i + 4 <= buf.length) {
+    const frame = mpegFrameHeader(buf, i);
+    const bands = frame && SFB_BANDS[frame.sampleRate];
+    const sameStream = frame && (!first || (frame.sampleRate === first.sampleRate && frame.mpeg1 === first.mpeg1));
+    if (!bands || !sameStream || i + frame.length > buf.length || !followedByFrame(buf, i + frame.length)) {
+      i += 1;
+      continue;
+    }
+    const sideStart = i + 4 + (frame.crc ? 2 : 0);
+    if (!first) {
+      first = frame;
+      // The Xing / Info / VBRI frame at the start carries the VBR table, not audio.
+      const tag = buf.toString("latin1", sideStart + frame.sideInfo, sideStart + frame.sideInfo + 4);
+      if (tag === "Xing" || tag === "Info" || buf.toString("latin1", i + 36, i + 40) === "VBRI") {
+        i += frame.length;
+        continue;
+      }
+    }
+
+    // Main data: what this frame brings, after up to 511 bytes still in the reservoir from earlier frames.
+    const side = readSideInfo(buf, sideStart, frame);
+    if (reservoirLength > RESERVOIR_BACK) {
+      reservoir.copyWithin(0, reservoirLength - RESERVOIR_BACK, reservoirLength);
+      reservoirLength = RESERVOIR_BACK;
+    }
+    const mainStart = reservoirLength - side.mainDataBegin;
+    const data = buf.subarray(sideStart + frame.sideInfo, i + frame.length);
+    reservoir.set(data.subarray(0, RESERVOIR_BYTES - reservoirLength), reservoirLength);
+    reservoirLength = Math.min(RESERVOIR_BYTES, reservoirLength + data.length);
+    i += frame.length;
+
+    const out = frame.channels === 1 ? [pcm[0]] : pcm;
+    const br = new BitReader(reservoir, Math.max(0, mainStart) * 8);
+    for (const g of side.granules) {
+      // The first frames after a cut can point back into data that is not there: those granules stay silent.
+      if (mainStart < 0) {
+        for (const samples of out) samples.fill(0);
+        yield { sampleRate: frame.sampleRate, pcm: out };
+        continue;
+      }
+      const counts = g.map((gch, ch) => {
+        const end = br.pos + gch.part23Length;
+        readScalefactors(br, frame, side, side.granules.indexOf(g), ch, gch, channels[ch]);
+        const count = readLines(br, end, gch, bands, channels[ch].lines);
+        br.pos = end;
+        return count;
+      });
+      g.forEach((gch, ch) => requantize(gch, bands, channels[ch], counts[ch]));
+      if (frame.mode === 1 && frame.channels === 2) jointStereo(frame, g, bands, channels);
+      g.forEach((gch, ch) => synthesize(gch, bands, channels[ch], out[ch]));
+      yield { sampleRate: frame.sampleRate, pcm: out };
+    }
+  }
+}
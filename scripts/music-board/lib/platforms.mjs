@@ -0,0 +1,110 @@
+/**
+ * Platform registry: the scripts' view of `platforms.json` (repo root, also fetched by `app.js`).
+ *
+ * Each platform has a key, aliases, zh / en labels, an SVG icon, URL recognisers (regex sources with named
+ * groups), embed URL templates and, for the modal, player parameters. Adding a store is a change to
+ * `platforms.json` only; this module just reads it.
+ *
+ * Embed templates: `{name}` is URI-encoded, `{+name}` is inserted as is; a missing value yields "".
+ */
+
+import fs from "node:fs";
+
+const REGISTRY = JSON.parse(fs.readFileSync(new URL("../../../platforms.json", import.meta.url), "utf8"));
+
+export const PLATFORMS = REGISTRY.platforms;
+
+/** Alias form: NFKC, lowercase, letters and digits only ("Apple Music" → "applemusic", "QQ 音乐" → "qq音乐"). */
+export function aliasKey(name) {
+  return (name ?? "")
+    .toString()
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+const BY_ALIAS = new Map();
+for (const [key, p] of Object.entries(PLATFORMS)) {
+  for (const alias of [key, ...(p.aliases || [])]) {
+    const k = aliasKey(alias);
+    if (k && !BY_ALIAS.has(k)) BY_ALIAS.set(k, key);
+  }
+}
+// Longest first, so "applemusic" wins over a shorter alias that happens to be its prefix.
+const ALIASES_BY_LENGTH = [...BY_ALIAS.keys()].sort((a, b) => b.length - a.length);
+
+const URL_MATCHERS = Object.entries(PLATFORMS).flatMap(([platform, p]) =>
+  (p.urls || []).map((u) => ({ platform, kind: u.kind, re: new RegExp(u.pattern, "i") }))
+);
+
+/** Registry key for an exact key / alias, or "". */
+export function platformFromAlias(name) {
+  return BY_ALIAS.get(aliasKey(name)) || "";
+}
+
+/**
+ * Registry key for a free-form store name ("Amazon Music Unlimited", "Tencent Music (QQ, Kugou)"), or "":
+ * exact alias, then the longest alias the name starts with, then the longest alias it contains.
+ */
+export function resolvePlatform(name) {
+  const k = aliasKey(name);
+  if (!k) return "";
+  if (BY_ALIAS.has(k)) return BY_ALIAS.get(k);
+  const prefix = ALIASES_BY_LENGTH.find((a) => a.length >= 4 && k.startsWith(a));
+  if (prefix) return BY_ALIAS.get(prefix);
+  const inner = ALIASES_BY_LENGTH.find((a) => a.length >= 5 && k.includes(a));
+  return inner ? BY_ALIAS.get(inner) : "";
+}
+
+/** Known aliases fold into their key (`facebook` → `instagram`, `rdio` → `pandora`); anything else is kept as is. */
+export function canonicalPlatform(platform) {
+  return platformFromAlias(platform) || (platform ?? "").toString().trim();
+}
+
+export function platformLabel(platform, lang = "zh") {
+  const p = PLATFORMS[platformFromAlias(platform)];
+  return p?.label?.[lang] || p?.label?.zh || (platform ?? "").toString().trim() || "Link";
+}
+
+/** Label for a distributor / store link (DistroKid's "YouTube Music" store is the `youtube` platform). */
+export function storeLabel(platform) {
+  const p = PLATFORMS[platformFromAlias(platform)];
+  return p?.storeLabel || platformLabel(platform);
+}
+
+/** Hosts an embed URL of this platform may live on, or null when the registry does not say. */
+export function embedHosts(platform) {
+  return PLATFORMS[platformFromAlias(platform)]?.embedHosts || null;
+}
+
+/** `{ platform, kind, url, ...namedGroups }` for the first recogniser that matches, or null. */
+export function matchPlatformUrl(url) {
+  const raw = (url ?? "").toString().trim();
+  if (!raw) return null;
+  for (const m of URL_MATCHERS) {
+    const hit = raw.match(m.re);
+    if (hit) return { platform: m.platform, kind: m.kind, url: raw, ...(hit.groups || {}) };
+  }
+  return null;
+}
+
+/** Fill the `kind` embed template of `platform` (see the module comment), or "". */
+export function embedUrl(platform, kind, params = {}) {
+  const template = PLATFORMS[platformFromAlias(platform)]?.embeds?.[kind]?.url;
+  if (!template) return "";
+  let missing = false;
+  const url = template.replace(/\{(\+?)(\w+)\}/g, (_, raw, name) => {
+    const value = (params[name] ?? "").toString();
+    if (!value) missing = true;
+    return raw ? value : encodeURIComponent(value);
+  });
+  return missing ? "" : url;
+}
+
+/** Catalog embed `{ platform, label, url, height }` for a template, or null when it cannot be filled. */
+export function toEmbed(platform, kind, params, label) {
+  const url = embedUrl(platform, kind, params);
+  if (!url) return null;
+  const key = platformFromAlias(platform);
+  return { platform: key, label: label || platformLabel(key), url, height: PLATFORMS[key].embeds[kind].height };
+}
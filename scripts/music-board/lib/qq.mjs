@@ -0,0 +1,201 @@
+/**
+ * QQ Music (y.qq.com) helpers shared by `import-qq-album-html.mjs` (saved album page) and
+ * `sync-qq-albums-api.mjs` (public musicu.fcg API): URL builders, item builders and both parsers.
+ *
+ * Ids: albums/songs are keyed by their `mid` (`qq-album-<albumMid>`, `qq-song-<songMid>`); the numeric
+ * song id, when known, is what the outchain player needs, so the embed is only added when it is present.
+ */
+
+import { decodeHtml, ensureArray, formatDuration, stripTags, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+export const QQ_ALBUM_ID_PREFIX = "qq-album-";
+
+export function qqAlbumUrl(albumMid) {
+  return `https://y.qq.com/n/ryqq/albumDetail/${albumMid}`;
+}
+
+export function qqSongUrl(songMid) {
+  return `https://y.qq.com/n/ryqq/songDetail/${songMid}`;
+}
+
+export function qqCoverUrl(albumMid) {
+  return albumMid ? `https://y.qq.com/music/photo_new/T002R800x800M000${albumMid}.jpg` : "";
+}
+
+export function qqPlayerUrl(songId) {
+  return embedUrl("qq", "songId", { id: songId });
+}
+
+/** Album mid from a y.qq.com album URL (ryqq or legacy `album/<mid>.html`), or the mid itself. */
+export function parseAlbumMid(input) {
+  const raw = trim(input);
+  if (/^[0-9A-Za-z]{10,20}$/.test(raw)) return raw;
+  const m = raw.match(/albumDetail\/([0-9A-Za-z]+)/) || raw.match(/\/album\/([0-9A-Za-z]+)\.html/) || raw.match(/[?&]albummid=([0-9A-Za-z]+)/i);
+  return m ? m[1] : "";
+}
+
+function joinSingers(list) {
+  return ensureArray(list)
+    .map((s) => trim(s?.name || s?.title))
+    .filter(Boolean)
+    .join(" / ");
+}
+
+export function toAlbumItem({ albumMid, albumId, title, artist, releaseDate, cover, trackCount, upc }) {
+  return {
+    id: `${QQ_ALBUM_ID_PREFIX}${albumMid}`,
+    type: "album",
+    title: title || "(未命名专辑)",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || qqCoverUrl(albumMid),
+    trackCount: Number.isFinite(trackCount) && trackCount > 0 ? trackCount : undefined,
+    upc: upc || undefined,
+    tags: ["qq", "album"].concat(title ? [title] : []),
+    links: [{ platform: "qq", label: "QQ 音乐 · 专辑", url: qqAlbumUrl(albumMid) }],
+    embeds: [],
+    refs: { qq: { albumMid, ...(albumId ? { albumId: String(albumId) } : {}) } }
+  };
+}
+
+export function toSongItem({ songMid, songId, title, artist, trackNo, duration, isrc }, album) {
+  return {
+    id: `qq-song-${songMid}`,
+    type: "song",
+    title: title || "(未命名)",
+    artist: artist || album?.artist || "",
+    releaseDate: album?.releaseDate || "",
+    cover: album?.cover || "",
+    collectionId: album?.id || "",
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    isrc: isrc || undefined,
+    duration: duration || undefined,
+    tags: ["qq", "song"].concat(album?.title ? [album.title] : []),
+    links: [{ platform: "qq", label: "QQ 音乐 · 单曲", url: qqSongUrl(songMid) }],
+    embeds: songId ? [{ platform: "qq", label: "QQ 音乐外链播放器", url: qqPlayerUrl(songId), height: 86 }] : [],
+    refs: { qq: { songMid, ...(songId ? { songId: String(songId) } : {}) } }
+  };
+}
+
+/** A song object from either the page state or the API (`songInfo` wrapper or bare). */
+function songFromData(raw, index) {
+  const s = raw?.songInfo || raw || {};
+  const songMid = trim(s.mid || s.songmid);
+  if (!songMid) return null;
+  const songId = s.id || s.songid;
+  return {
+    songMid,
+    songId: Number.isFinite(Number(songId)) && Number(songId) > 0 ? String(songId) : "",
+    title: trim(s.title || s.name || s.songname),
+    artist: joinSingers(s.singer),
+    trackNo: Number(s.index_album) || index + 1,
+    duration: formatDuration(s.interval),
+    isrc: trim(s.isrc).toUpperCase()
+  };
+}
+
+function extractInitialData(html) {
+  const m = html.match(/window\.__INITIAL_DATA__\s*=\s*(\{[\s\S]*?\})\s*<\/script>/);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[1].replace(/:\s*undefined\b/g, ":null"));
+  } catch {
+    return null;
+  }
+}
+
+function pickFirstMatch(re, text) {
+  const m = text.match(re);
+  return m ? m[1] : "";
+}
+
+/**
+ * Parse a saved y.qq.com album page. Prefers the `window.__INITIAL_DATA__` state (album mid, cover,
+ * release date, songs with mid / id / duration); falls back to the rendered song list links.
+ * Returns `{ album, songs }` (raw fields) or null.
+ */
+export function parseAlbumHtml(html) {
+  const state = extractInitialData(html);
+  const detail = state?.detail || state?.albumInfo || {};
+  const canonical = pickFirstMatch(/<link[^>]*rel="canonical"[^>]*href="([^"]+)"/i, html) || pickFirstMatch(/<meta[^>]*property="og:url"[^>]*content="([^"]+)"/i, html);
+  const albumMid = trim(detail.albumMid || detail.mid) || parseAlbumMid(canonical) || pickFirstMatch(/albumDetail\/([0-9A-Za-z]{10,20})/, html);
+  if (!albumMid) return null;
+
+  let songs = ensureArray(state?.songList || state?.songlist).map(songFromData).filter(Boolean);
+  if (songs.length === 0) {
+    const seen = new Set();
+    const re = /<a[^>]*href="[^"]*songDetail\/([0-9A-Za-z]+)"[^>]*>([\s\S]*?)<\/a>/g;
+    let m;
+    while ((m = re.exec(html))) {
+      if (seen.has(m[1])) continue;
+      seen.add(m[1]);
+      songs.push({ songMid: m[1], songId: "", title: stripTags(m[2]), artist: "", trackNo: songs.length + 1, duration: "", isrc: "" });
+    }
+  }
+
+  const title =
+    trim(detail.albumName || detail.name || detail.title) ||
+    stripTags(pickFirstMatch(/<h1[^>]*class="data__name_txt"[^>]*title="([^"]+)"/, html)) ||
+    stripTags(pickFirstMatch(/<meta[^>]*property="og:title"[^>]*content="([^"]+)"/i, html));
+  const artist = joinSingers(detail.singer || detail.singers) || stripTags(pickFirstMatch(/<a[^>]*class="data__singer_txt"[^>]*>([\s\S]*?)<\/a>/, html));
+  const releaseDate = trim(detail.publishDate || detail.pub_time || detail.aDate) || pickFirstMatch(/发行时间[：:]\s*(\d{4}-\d{2}-\d{2})/, stripTags(html));
+  const cover = decodeHtml(pickFirstMatch(/<meta[^>]*property="og:image"[^>]*content="([^"]+)"/i, html)).replace(/^\/\//, "https://");
+
+  return {
+    album: { albumMid, albumId: detail.id || detail.albumID || "", title, artist, releaseDate, cover: cover || qqCoverUrl(albumMid), trackCount: songs.length },
+    songs
+  };
+}
+
+async function fetchMusicu(payload) {
+  const url = `https://u.y.qq.com/cgi-bin/musicu.fcg?data=${encodeURIComponent(JSON.stringify(payload))}`;
+  const res = await fetch(url, {
+    headers: {
+      "User-Agent": "music-board/1.0 (sync-qq-albums-api)",
+      "Referer": "https://y.qq.com/"
+    }
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+  return await res.json();
+}
+
+/** Album info + song list from a musicu.fcg response (see `fetchAlbum`). Same shape as `parseAlbumHtml`. */
+export function parseAlbumApi(json, albumMid = "") {
+  const info = json?.albumInfo?.data || {};
+  const basic = info.basicInfo || {};
+  if (json?.albumInfo?.code !== 0 || !trim(basic.albumMid || albumMid)) throw new Error(`QQ album ${albumMid}: code ${json?.albumInfo?.code}`);
+  const songs = ensureArray(json?.albumSonglist?.data?.songList).map(songFromData).filter(Boolean);
+  return {
+    album: {
+      albumMid: trim(basic.albumMid) || albumMid,
+      albumId: basic.albumID || "",
+      title: trim(basic.albumName),
+      artist: joinSingers(info.singer?.singerList),
+      releaseDate: trim(basic.publishDate),
+      cover: qqCoverUrl(trim(basic.albumMid) || albumMid),
+      trackCount: songs.length || Number(json?.albumSonglist?.data?.totalNum) || undefined
+    },
+    songs
+  };
+}
+
+/** Album info + song list from the public musicu.fcg API. Same shape as `parseAlbumHtml`. */
+export async function fetchAlbum(albumMid) {
+  const json = await fetchMusicu({
+    comm: { ct: 24, cv: 0 },
+    albumInfo: { module: "music.musichallAlbum.AlbumInfoServer", method: "GetAlbumDetail", param: { albumMid } },
+    albumSonglist: {
+      module: "music.musichallAlbum.AlbumSongList",
+      method: "GetAlbumSongList",
+      param: { albumMid, albumID: 0, begin: 0, num: 100, order: 2 }
+    }
+  });
+  return parseAlbumApi(json, albumMid);
+}
+
+/** Build catalog items from a parsed / fetched album. */
+export function toReleaseItems({ album, songs }) {
+  const albumItem = toAlbumItem(album);
+  return { album: albumItem, tracks: songs.map((s) => toSongItem(s, albumItem)) };
+}
@@ -0,0 +1,144 @@
+/**
+ * SoundCloud helpers for `import-soundcloud-set.mjs`: parse a saved set (album / EP / playlist) page and build
+ * catalog items with the official `w.soundcloud.com/player` iframe URLs.
+ *
+ * The `window.__sc_hydration` playlist only carries full data (title, permalink, ISRC) for the first few
+ * tracks; the rest are `{ id }` stubs. Those get their title / URL from the server-rendered `<noscript>`
+ * track list, which is in the same order.
+ *
+ * Returns `{ album: { setId, url, type, title, artist, releaseDate, cover, upc }, songs: [{ trackId, url, title, trackNo, duration, isrc }] }`.
+ */
+
+import { decodeHtml, ensureArray, formatDuration, stripTags, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+const SET_TYPES_AS_ALBUM = new Set(["album", "ep", "single", "compilation"]);
+
+/** Classic (non-visual) widget for an api.soundcloud.com resource or a soundcloud.com permalink. */
+export function soundcloudPlayerUrl(resourceUrl) {
+  return embedUrl("soundcloud", "track", { url: resourceUrl });
+}
+
+function apiUrl(kind, id) {
+  return `https://api.soundcloud.com/${kind}/${id}`;
+}
+
+function largeArtwork(url) {
+  return trim(url).replace(/-large(\.\w+)$/, "-t500x500$1");
+}
+
+function extractHydration(html) {
+  const m = html.match(/window\.__sc_hydration\s*=\s*(\[[\s\S]*?\]);\s*<\/script>/);
+  if (!m) return [];
+  try {
+    return JSON.parse(m[1]);
+  } catch {
+    return [];
+  }
+}
+
+/** `PT00H03M12S` → seconds. */
+function isoDurationSeconds(value) {
+  const m = trim(value).match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  return m ? Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0) : 0;
+}
+
+/** Server-rendered track list (`<noscript>` schema.org markup): `[{ url, title, seconds }]` in set order. */
+function noscriptTracks(html) {
+  const out = [];
+  const re = /<article[^>]*itemprop="track"[\s\S]*?<\/article>/g;
+  let m;
+  while ((m = re.exec(html))) {
+    const row = m[0];
+    const link = row.match(/<a[^>]*itemprop="url"[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/);
+    if (!link) continue;
+    const href = decodeHtml(link[1]);
+    out.push({
+      url: href.startsWith("/") ? `https://soundcloud.com${href}` : href,
+      title: stripTags(link[2]),
+      seconds: isoDurationSeconds((row.match(/itemprop="duration"[^>]*content="([^"]+)"/) || [])[1])
+    });
+  }
+  return out;
+}
+
+/** Saved soundcloud.com set page → parsed release, or null when the page has no playlist hydration. */
+export function parseSetHtml(html) {
+  const playlist = extractHydration(html).find((h) => h?.hydratable === "playlist")?.data;
+  if (!playlist?.id) return null;
+  const listed = noscriptTracks(html);
+  const tracks = ensureArray(playlist.tracks);
+
+  const songs = tracks
+    .map((t, i) => {
+      const fallback = listed[i] || {};
+      const meta = t?.publisher_metadata || {};
+      return {
+        trackId: trim(t?.id),
+        url: trim(t?.permalink_url) || fallback.url || "",
+        title: trim(t?.title) || fallback.title || "",
+        trackNo: i + 1,
+        duration: formatDuration(t?.full_duration || t?.duration, { ms: true }) || formatDuration(fallback.seconds),
+        isrc: trim(meta.isrc).toUpperCase(),
+        upc: trim(meta.upc_or_ean)
+      };
+    })
+    .filter((s) => s.trackId);
+
+  const setType = trim(playlist.set_type).toLowerCase();
+  return {
+    album: {
+      setId: trim(playlist.id),
+      url: trim(playlist.permalink_url),
+      type: playlist.is_album || SET_TYPES_AS_ALBUM.has(setType) ? "album" : "playlist",
+      title: trim(playlist.title),
+      artist: trim(playlist.user?.username),
+      releaseDate: trim(playlist.release_date || playlist.display_date || playlist.published_at || playlist.created_at).slice(0, 10),
+      cover: largeArtwork(playlist.artwork_url || tracks[0]?.artwork_url),
+      upc: songs.find((s) => s.upc)?.upc || ""
+    },
+    songs: songs.map(({ upc, ...s }) => s)
+  };
+}
+
+export function toAlbumItem({ setId, url, type, title, artist, releaseDate, cover, upc, trackCount }) {
+  return {
+    id: `soundcloud-set-${setId}`,
+    type: type || "album",
+    title: title || "(未命名专辑)",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || "",
+    trackCount: trackCount || undefined,
+    upc: upc || undefined,
+    tags: ["soundcloud", type || "album"].concat(title ? [title] : []),
+    links: url ? [{ platform: "soundcloud", label: type === "playlist" ? "SoundCloud · 歌单" : "SoundCloud · 专辑", url }] : [],
+    embeds: [{ platform: "soundcloud", label: "SoundCloud 播放器", url: soundcloudPlayerUrl(apiUrl("playlists", setId)), height: 166 }],
+    refs: { soundcloud: { setId } }
+  };
+}
+
+export function toSongItem({ trackId, url, title, trackNo, duration, isrc }, album) {
+  return {
+    id: `soundcloud-song-${trackId}`,
+    type: "song",
+    title: title || "(未命名)",
+    artist: album?.artist || "",
+    releaseDate: album?.releaseDate || "",
+    cover: album?.cover || "",
+    collectionId: album?.id || "",
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    isrc: isrc || undefined,
+    duration: duration || undefined,
+    tags: ["soundcloud", "song"].concat(album?.title ? [album.title] : []),
+    links: url ? [{ platform: "soundcloud", label: "SoundCloud · 单曲", url }] : [],
+    embeds: [{ platform: "soundcloud", label: "SoundCloud 播放器", url: soundcloudPlayerUrl(apiUrl("tracks", trackId)), height: 166 }],
+    refs: { soundcloud: { trackId } }
+  };
+}
+
+/** Build catalog items from a parsed set. */
+export function toReleaseItems({ album, songs }) {
+  const albumItem = toAlbumItem({ ...album, trackCount: songs.length });
+  return { album: albumItem, tracks: songs.map((s) => toSongItem(s, albumItem)) };
+}
@@ -0,0 +1,240 @@
+/**
+ * Spotify helpers for `import-spotify-album.mjs`: URL builders, item builders and parsers for the three
+ * shapes an album can be saved in:
+ *
+ * - a saved open.spotify.com/album/<id> page (base64 `initialState` script, or only the `music:*` meta tags + track links)
+ * - a saved open.spotify.com/embed/album/<id> page, or its `__NEXT_DATA__` JSON (`props.pageProps.state.data.entity`)
+ * - a Web API album object (`GET /v1/albums/<id>`, `external_ids.upc`; tracks carry `external_ids.isrc` when
+ *   they come from `GET /v1/tracks`), or `{ tracks: [...] }` from `GET /v1/tracks?ids=`
+ *
+ * All parsers return `{ album: { albumId, title, artist, releaseDate, cover, upc }, songs: [{ trackId, title, artist, trackNo, duration, isrc }] }`.
+ */
+
+import { decodeHtml, ensureArray, formatDuration, stripTags, trim } from "./catalog.mjs";
+import { embedUrl } from "./platforms.mjs";
+
+export function spotifyAlbumUrl(albumId) {
+  return `https://open.spotify.com/album/${albumId}`;
+}
+
+export function spotifyTrackUrl(trackId) {
+  return `https://open.spotify.com/track/${trackId}`;
+}
+
+export function spotifyTrackEmbedUrl(trackId) {
+  return embedUrl("spotify", "track", { id: trackId });
+}
+
+/** Id from a `spotify:<kind>:<id>` URI or an open.spotify.com URL (with or without `/intl-xx/`, `/embed/`). */
+export function parseSpotifyId(input, kind) {
+  const raw = trim(input);
+  const m = raw.match(new RegExp(`spotify:${kind}:([0-9A-Za-z]{22})`)) || raw.match(new RegExp(`/${kind}/([0-9A-Za-z]{22})`));
+  return m ? m[1] : "";
+}
+
+function joinArtists(list) {
+  return ensureArray(list)
+    .map((a) => trim(a?.name || a?.profile?.name))
+    .filter(Boolean)
+    .join(" / ");
+}
+
+function isoDate(value) {
+  const m = trim(value).match(/^\d{4}(-\d{2}(-\d{2})?)?/);
+  return m ? m[0] : "";
+}
+
+function largestImage(sources) {
+  const list = ensureArray(sources).filter((s) => trim(s?.url));
+  list.sort((a, b) => (Number(b?.width) || 0) - (Number(a?.width) || 0));
+  return trim(list[0]?.url);
+}
+
+export function toAlbumItem({ albumId, title, artist, releaseDate, cover, upc, trackCount }) {
+  return {
+    id: `spotify-album-${albumId}`,
+    type: "album",
+    title: title || "(未命名专辑)",
+    artist: artist || "",
+    releaseDate: releaseDate || "",
+    cover: cover || "",
+    trackCount: trackCount || undefined,
+    upc: upc || undefined,
+    tags: ["spotify", "album"].concat(title ? [title] : []),
+    links: [{ platform: "spotify", label: "Spotify · 专辑", url: spotifyAlbumUrl(albumId) }],
+    embeds: [],
+    refs: { spotify: { albumId } }
+  };
+}
+
+export function toSongItem({ trackId, title, artist, trackNo, duration, isrc }, album) {
+  return {
+    id: `spotify-song-${trackId}`,
+    type: "song",
+    title: title || "(未命名)",
+    artist: artist || album?.artist || "",
+    releaseDate: album?.releaseDate || "",
+    cover: album?.cover || "",
+    collectionId: album?.id || "",
+    trackNo: Number.isFinite(trackNo) && trackNo > 0 ? trackNo : undefined,
+    isrc: isrc || undefined,
+    duration: duration || undefined,
+    tags: ["spotify", "song"].concat(album?.title ? [album.title] : []),
+    links: [{ platform: "spotify", label: "Spotify · 单曲", url: spotifyTrackUrl(trackId) }],
+    embeds: [{ platform: "spotify", label: "Spotify 播放器", url: spotifyTrackEmbedUrl(trackId), height: 152 }],
+    refs: { spotify: { trackId } }
+  };
+}
+
+/** Web API album object, or `{ tracks: [...] }` of full track objects (which carry ISRCs). */
+function fromWebApi(json) {
+  const fullTracks = Array.isArray(json?.tracks) ? json.tracks.filter(Boolean) : null;
+  const album = fullTracks ? fullTracks[0]?.album : json;
+  const albumId = trim(album?.id) || parseSpotifyId(album?.uri, "album");
+  if (!albumId) return null;
+  const tracks = fullTracks || ensureArray(json?.tracks?.items);
+  return {
+    album: {
+      albumId,
+      title: trim(album?.name),
+      artist: joinArtists(album?.artists),
+      releaseDate: isoDate(album?.release_date),
+      cover: largestImage(album?.images),
+      upc: trim(album?.external_ids?.upc)
+    },
+    songs: tracks
+      .map((t, i) => ({
+        trackId: trim(t?.id) || parseSpotifyId(t?.uri, "track"),
+        title: trim(t?.name),
+        artist: joinArtists(t?.artists),
+        trackNo: Number(t?.track_number) || i + 1,
+        duration: formatDuration(t?.duration_ms, { ms: true }),
+        isrc: trim(t?.external_ids?.isrc).toUpperCase()
+      }))
+      .filter((s) => s.trackId)
+  };
+}
+
+/** The embed page entity (`type: "album"`, `trackList`). */
+function fromEmbedEntity(entity) {
+  const albumId = parseSpotifyId(entity?.uri, "album") || trim(entity?.id);
+  if (!albumId) return null;
+  return {
+    album: {
+      albumId,
+      title: trim(entity?.name || entity?.title),
+      artist: trim(entity?.subtitle) || joinArtists(entity?.artists),
+      releaseDate: isoDate(entity?.releaseDate?.isoString || entity?.releaseDate),
+      cover: largestImage(entity?.coverArt?.sources || entity?.visualIdentity?.image),
+      upc: ""
+    },
+    songs: ensureArray(entity?.trackList)
+      .map((t, i) => ({
+        trackId: parseSpotifyId(t?.uri, "track"),
+        title: trim(t?.title || t?.name),
+        artist: trim(t?.subtitle),
+        trackNo: i + 1,
+        duration: formatDuration(t?.duration, { ms: true }),
+        isrc: ""
+      }))
+      .filter((s) => s.trackId)
+  };
+}
+
+/** The web player's `initialState`: `entities.items["spotify:album:<id>"]` with `tracksV2.items[].track`. */
+function fromInitialState(state) {
+  const items = state?.entities?.items || {};
+  const key = Object.keys(items).find((k) => k.startsWith("spotify:album:"));
+  if (!key) return null;
+  const album = items[key];
+  return {
+    album: {
+      albumId: parseSpotifyId(key, "album"),
+      title: trim(album?.name),
+      artist: joinArtists(album?.artists?.items),
+      releaseDate: isoDate(album?.date?.isoString),
+      cover: largestImage(album?.coverArt?.sources),
+      upc: ""
+    },
+    songs: ensureArray((album?.tracksV2 || album?.tracks)?.items)
+      .map((row, i) => {
+        const t = row?.track || row;
+        return {
+          trackId: parseSpotifyId(t?.uri, "track"),
+          title: trim(t?.name),
+          artist: joinArtists(t?.artists?.items),
+          trackNo: Number(t?.trackNumber) || i + 1,
+          duration: formatDuration(t?.duration?.totalMilliseconds, { ms: true }),
+          isrc: ""
+        };
+      })
+      .filter((s) => s.trackId)
+  };
+}
+
+/** Any of the JSON shapes above (Web API, embed `__NEXT_DATA__` / entity, `initialState`). */
+export function parseAlbumJson(json) {
+  const entity = json?.props?.pageProps?.state?.data?.entity || (Array.isArray(json?.trackList) ? json : null);
+  if (entity) return fromEmbedEntity(entity);
+  if (json?.entities?.items) return fromInitialState(json);
+  return fromWebApi(json);
+}
+
+function pickFirstMatch(re, text) {
+  const m = text.match(re);
+  return m ? m[1] : "";
+}
+
+function metaContent(html, name) {
+  return decodeHtml(pickFirstMatch(new RegExp(`<meta[^>]*(?:name|property)="${name}"[^>]*content="([^"]*)"`, "i"), html));
+}
+
+/** Saved album page (web player or embed). Falls back to meta tags + `/track/<id>` links when no state is embedded. */
+export function parseAlbumHtml(html) {
+  const nextData = pickFirstMatch(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/, html);
+  const initialState = pickFirstMatch(/<script[^>]*id="initial-?[sS]tate"[^>]*>([\s\S]*?)<\/script>/, html);
+  for (const [text, base64] of [
+    [nextData, false],
+    [initialState, true]
+  ]) {
+    if (!trim(text)) continue;
+    try {
+      const parsed = parseAlbumJson(JSON.parse(base64 ? Buffer.from(trim(text), "base64").toString("utf8") : text));
+      if (parsed?.songs.length) return parsed;
+    } catch {
+      // fall through to the next source
+    }
+  }
+
+  const albumId = parseSpotifyId(metaContent(html, "og:url"), "album") || parseSpotifyId(pickFirstMatch(/<link[^>]*rel="canonical"[^>]*href="([^"]+)"/i, html), "album");
+  if (!albumId) return null;
+  const titles = new Map();
+  const linkRe = /<a[^>]*href="[^"]*\/track\/([0-9A-Za-z]{22})[^"]*"[^>]*>([\s\S]*?)<\/a>/g;
+  let m;
+  while ((m = linkRe.exec(html))) if (!titles.has(m[1]) && stripTags(m[2])) titles.set(m[1], stripTags(m[2]));
+  const songIds = [];
+  const songRe = /<meta[^>]*name="music:song"[^>]*content="([^"]+)"/gi;
+  while ((m = songRe.exec(html))) songIds.push(parseSpotifyId(m[1], "track"));
+  const ids = Array.from(new Set(songIds.filter(Boolean).concat([...titles.keys()])));
+
+  return {
+    album: {
+      albumId,
+      title: stripTags(metaContent(html, "og:title")),
+      artist: stripTags(metaContent(html, "music:musician_description")),
+      releaseDate: isoDate(metaContent(html, "music:release_date")),
+      cover: metaContent(html, "og:image"),
+      upc: ""
+    },
+    // Without the page state there is nothing to match an untitled track on, so those are left out.
+    songs: ids
+      .map((trackId, i) => ({ trackId, title: titles.get(trackId) || "", artist: "", trackNo: i + 1, duration: "", isrc: "" }))
+      .filter((s) => s.title)
+  };
+}
+
+/** Build catalog items from a parsed album. */
+export function toReleaseItems({ album, songs }) {
+  const albumItem = toAlbumItem({ ...album, trackCount: songs.length });
+  return { album: albumItem, tracks: songs.map((s) => toSongItem(s, albumItem)) };
+}
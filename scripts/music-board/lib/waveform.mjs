@@ -0,0 +1,133 @@
+/**
+ * Waveform peaks for `generate-waveforms.mjs`, in pure JS (no ffmpeg / native deps).
+ *
+ * `computePeaks(file, { points })` returns `{ duration, peaks }`: `duration` in seconds and `points` integers
+ * 0–255, one per equal slice of the track, scaled so the loudest slice is 255.
+ *
+ * .wav (PCM 8 / 16 / 24 / 32-bit, 32 / 64-bit float, also as WAVE_FORMAT_EXTENSIBLE): exact sample peaks; the data
+ * chunk is read in 1 MB pieces, so long masters are not loaded whole.
+ * .mp3 (MPEG 1 / 2 / 2.5 Layer III): decoded with `mp3-decoder.mjs`, one level per 576-sample granule.
+ * Other formats (.flac, .m4a …) are not supported.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { mp3Granules } from "./mp3-decoder.mjs";
+
+export const WAVEFORM_EXTENSIONS = new Set([".wav", ".mp3"]);
+
+const WAV_READ_BYTES = 1 << 20;
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await fh.read(buf, 0, buf.length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/** Spread `levels` (one per block of equal length) over `points` slices, keeping the max of each; 0–255. */
+function toPeaks(levels, points) {
+  const n = Math.max(1, Math.min(points, levels.length));
+  const out = new Float64Array(n);
+  for (let i = 0; i < levels.length; i += 1) {
+    const slot = Math.min(n - 1, Math.floor((i * n) / levels.length));
+    if (levels[i] > out[slot]) out[slot] = levels[i];
+  }
+  const max = out.reduce((m, v) => Math.max(m, v), 0);
+  return Array.from(out, (v) => (max > 0 ? Math.round((v / max) * 255) : 0));
+}
+
+// ---------- WAV ----------
+
+function wavSampleReader(formatTag, bits) {
+  if (formatTag === 1 && bits === 8) return (buf, o) => (buf[o] - 128) / 128;
+  if (formatTag === 1 && bits === 16) return (buf, o) => buf.readInt16LE(o) / 32768;
+  if (formatTag === 1 && bits === 24) return (buf, o) => buf.readIntLE(o, 3) / 8388608;
+  if (formatTag === 1 && bits === 32) return (buf, o) => buf.readInt32LE(o) / 2147483648;
+  if (formatTag === 3 && bits === 32) return (buf, o) => buf.readFloatLE(o);
+  if (formatTag === 3 && bits === 64) return (buf, o) => buf.readDoubleLE(o);
+  return null;
+}
+
+async function wavPeaks(fh, size, points) {
+  const head = await readAt(fh, 0, 12);
+  if (head.toString("latin1", 0, 4) !== "RIFF" || head.toString("latin1", 8, 12) !== "WAVE") throw new Error("not a RIFF/WAVE file");
+
+  let fmt = null;
+  let data = null;
+  for (let pos = 12; pos + 8 <= size && !(fmt && data); ) {
+    const header = await readAt(fh, pos, 8);
+    if (header.length < 8) break;
+    const id = header.toString("latin1", 0, 4);
+    const len = header.readUInt32LE(4);
+    if (id === "fmt ") {
+      const f = await readAt(fh, pos + 8, Math.min(len, 40));
+      const tag = f.readUInt16LE(0);
+      fmt = {
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format code at the start of its sub-format GUID.
+        formatTag: tag === 0xfffe && f.length >= 26 ? f.readUInt16LE(24) : tag,
+        channels: f.readUInt16LE(2),
+        sampleRate: f.readUInt32LE(4),
+        blockAlign: f.readUInt16LE(12),
+        bits: f.readUInt16LE(14)
+      };
+    } else if (id === "data") {
+      data = { offset: pos + 8, bytes: Math.min(len, size - pos - 8) };
+    }
+    pos += 8 + len + (len & 1);
+  }
+  if (!fmt || !data) throw new Error("WAV without fmt / data chunk");
+  const read = wavSampleReader(fmt.formatTag, fmt.bits);
+  if (!read || !fmt.channels || !fmt.sampleRate) throw new Error(`unsupported WAV format ${fmt.formatTag} / ${fmt.bits}-bit`);
+
+  const bytesPerSample = fmt.bits / 8;
+  const blockAlign = fmt.blockAlign || fmt.channels * bytesPerSample;
+  const frames = Math.floor(data.bytes / blockAlign);
+  // One level per block of frames; `points` blocks at most (a short file gets one per frame).
+  const blocks = Math.max(1, Math.min(points, frames));
+  const levels = new Float64Array(blocks);
+  const framesPerRead = Math.max(1, Math.floor(WAV_READ_BYTES / blockAlign));
+  for (let start = 0; start < frames; start += framesPerRead) {
+    const count = Math.min(framesPerRead, frames - start);
+    const buf = await readAt(fh, data.offset + start * blockAlign, count * blockAlign);
+    const available = Math.floor(buf.length / blockAlign);
+    for (let f = 0; f < available; f += 1) {
+      const block = Math.floor(((start + f) * blocks) / frames);
+      for (let c = 0; c < fmt.channels; c += 1) {
+        const v = Math.abs(read(buf, f * blockAlign + c * bytesPerSample));
+        if (v > levels[block]) levels[block] = v;
+      }
+    }
+  }
+  return { duration: frames / fmt.sampleRate, peaks: toPeaks(levels, points) };
+}
+
+// ---------- MP3 ----------
+
+async function mp3Peaks(filePath, points) {
+  const levels = [];
+  let sampleRate = 0;
+  for (const granule of mp3Granules(await fs.readFile(filePath))) {
+    sampleRate = granule.sampleRate;
+    let level = 0;
+    for (const pcm of granule.pcm) for (const v of pcm) if (Math.abs(v) > level) level = Math.abs(v);
+    levels.push(level);
+  }
+  if (!levels.length) throw new Error("no MPEG Layer III frames found");
+  return { duration: (levels.length * 576) / sampleRate, peaks: toPeaks(levels, points) };
+}
+
+// ---------- entry point ----------
+
+/** Peaks of one .wav / .mp3 file (see the module comment for the returned shape). */
+export async function computePeaks(filePath, { points = 800 } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".mp3") return mp3Peaks(filePath, points);
+  if (ext !== ".wav") throw new Error(`unsupported format ${ext || "(none)"}`);
+  const fh = await fs.open(filePath, "r");
+  try {
+    const { size } = await fh.stat();
+    return await wavPeaks(fh, size, points);
+  } finally {
+    await fh.close();
+  }
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
  * Merge exported items JSON into catalog.json (dedupe by id).
+ * Matching entries are merged with the shared rules in lib/catalog.mjs; incoming scalar fields win.
  *
  * Usage:
  *   node scripts/music-board/merge-items-to-catalog.mjs <items.json> <catalog.json> [--apply]
@@ -8,12 +9,15 @@
  * - Default is DRY RUN (no writes). Add --apply to write.
  * - Accepts these input formats:
  *   1) [{ source, items: [...] }, ...]
- *   2) { items: [...] }
+ *   2) { items: [...] } or { collections: [...], tracks: [...] }
  *   3) [...] (direct items array)
+ * - The catalog may use either the legacy items[] or the v2 collections[]/tracks[] schema; it is written back in the same one.
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { getItems } from "./lib/catalog-schema.mjs";
+import { Catalog } from "./lib/catalog.mjs";
 
 function usage() {
   console.error(
@@ -33,7 +37,7 @@ function normalizeItemsJson(json) {
     }
     return json;
   }
-  if (json && typeof json === "object" && Array.isArray(json.items)) return json.items;
+  if (json && typeof json === "object") return getItems(json);
   return [];
 }
 
@@ -61,27 +65,14 @@ async function main() {
     process.exit(1);
   }
 
-  const catalogRaw = await fs.readFile(catalogPath, "utf8");
-  const catalog = JSON.parse(catalogRaw);
-  if (!Array.isArray(catalog.items)) catalog.items = [];
-
-  const byId = new Map();
-  for (const item of catalog.items) {
-    if (isItemLike(item)) byId.set(item.id, item);
-  }
+  const catalog = await Catalog.load(catalogPath);
 
   let added = 0;
   let updated = 0;
   for (const inc of incomingAll) {
-    const existing = byId.get(inc.id);
-    if (existing) {
-      Object.assign(existing, inc);
-      updated++;
-      continue;
-    }
-    catalog.items.push(inc);
-    byId.set(inc.id, inc);
-    added++;
+    const { created } = catalog.upsert(inc, { match: catalog.get(inc.id), overwrite: true });
+    if (created) added++;
+    else updated++;
   }
 
   const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
@@ -90,11 +81,12 @@ async function main() {
 
   if (!apply) {
     process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
+    await catalog.save({ dryRun: true });
     process.stderr.write("DRY RUN: add --apply to write catalog.json\n");
     return;
   }
 
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
   process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
 }
 
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Convert catalog.json between the legacy flat `items[]` schema and the v2 `collections[]` + `tracks[]` schema.
+ *
+ * Usage:
+ *   node scripts/music-board/migrate-catalog-schema.mjs <catalog.json> --to v2 [--apply] [--out <file>]
+ *   node scripts/music-board/migrate-catalog-schema.mjs <catalog.json> --to items [--apply] [--out <file>]
+ *
+ * Notes:
+ * - Default is DRY RUN (prints a summary). Add --apply to write (in place, or to --out).
+ * - Entries are moved as-is (no field is dropped), so the migration is reversible.
+ *   Going back to items[] lists all collections first, then all tracks.
+ * - app.js reads both shapes; all scripts in scripts/music-board keep whichever schema the catalog uses.
+ * - The file being replaced is snapshotted under `.music-board/history/` first (see undo-catalog.mjs).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { detectSchema, getItems, toItems, toV2 } from "./lib/catalog-schema.mjs";
+import { recordSnapshot, writeAtomic } from "./lib/history.mjs";
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/migrate-catalog-schema.mjs <catalog.json> --to v2|items [--apply] [--out <file>]",
+      "",
+      "Options:",
+      "  --to <schema>   Target schema: v2 (collections[] + tracks[]) or items (legacy flat items[])",
+      "  --out <file>    Write to another file instead of overwriting <catalog.json>",
+      "  --apply         Write (default: dry run)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let catalogPath = "";
+  let to = "";
+  let outPath = "";
+  let apply = false;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--apply") apply = true;
+    else if (a === "--to" && args[i + 1]) {
+      to = args[i + 1];
+      i += 1;
+    } else if (a === "--out" && args[i + 1]) {
+      outPath = args[i + 1];
+      i += 1;
+    } else if (!a.startsWith("--") && !catalogPath) catalogPath = a;
+  }
+  if (!catalogPath || !["v2", "items"].includes(to)) usage(1);
+
+  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
+  const from = detectSchema(catalog);
+  const items = getItems(catalog);
+  const next = to === "v2" ? toV2(catalog) : toItems(catalog);
+  const targetPath = outPath || catalogPath;
+
+  const summary = {
+    apply,
+    from,
+    to,
+    entries: items.length,
+    collections: items.filter((it) => (it?.type || "") !== "song").length,
+    tracks: items.filter((it) => (it?.type || "") === "song").length,
+    unchanged: from === to,
+    out: path.relative(process.cwd(), path.resolve(targetPath)) || targetPath
+  };
+
+  if (apply && !(from === to && targetPath === catalogPath)) {
+    await recordSnapshot(targetPath);
+    await writeAtomic(targetPath, JSON.stringify(next, null, 2) + "\n");
+  }
+
+  console.log(JSON.stringify(summary, null, 2));
+  if (!apply) console.error("DRY RUN: add --apply to write");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
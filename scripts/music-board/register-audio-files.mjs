@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Register self-hosted audio files (e.g. the site's `audio/` folder) as playable sources of their catalog songs:
+ * each matched song gets one `{ platform: "self", kind: "audio", label, url, mime, bytes }` embed, which the page
+ * plays with its own <audio> player (bottom bar + modal) instead of a third-party iframe.
+ *
+ * Matching is the same as `import-audio-tags.mjs`: ISRC from the file tags, else album + title, else a unique title
+ * (tag title or file name).
+ *
+ * URLs are relative to catalog.json's folder (the site root), e.g. `audio/01%20Song.mp3`, and build-static-pages.mjs
+ * copies those files into the deployed site; with --base they are `<base><path under audioDir>` instead (files
+ * served from a CDN / bucket).
+ *
+ * Usage:
+ *   node scripts/music-board/register-audio-files.mjs <audioDir> <catalog.json> [--apply] [--base <urlPrefix>]
+ *
+ * Default is DRY RUN (no writes). Add --apply to write catalog.json.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Catalog, ensureArray, platformKey, upsertPlatformEmbed } from "./lib/catalog.mjs";
+import { matchSongByTags, readAudioTags, titleFromFilename, walkAudioFiles } from "./lib/audio-tags.mjs";
+import { platformLabel } from "./lib/platforms.mjs";
+
+const MIME_BY_EXT = {
+  ".mp3": "audio/mpeg",
+  ".flac": "audio/flac",
+  ".m4a": "audio/mp4",
+  ".mp4": "audio/mp4",
+  ".alac": "audio/mp4",
+  ".aac": "audio/aac",
+  ".wav": "audio/wav"
+};
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/register-audio-files.mjs <audioDir> <catalog.json> [--apply] [--base <urlPrefix>]",
+      "",
+      "Options:",
+      "  --apply              Write changes (default: dry run)",
+      "  --base <urlPrefix>   URL prefix for the files (default: path relative to catalog.json)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+/** Path segments URI-encoded, joined with "/" (spaces and CJK names stay valid URLs). */
+function toUrlPath(relPath) {
+  return relPath.split(path.sep).map(encodeURIComponent).join("/");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let apply = false;
+  let base = "";
+  const positional = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const a = args[i];
+    if (a === "--apply") apply = true;
+    else if (a === "--base") base = args[++i] || usage();
+    else if (a.startsWith("--")) usage();
+    else positional.push(a);
+  }
+  const [audioDir, catalogPath] = positional;
+  if (!audioDir || !catalogPath) usage();
+
+  const root = path.resolve(audioDir);
+  const files = await walkAudioFiles(root);
+  const catalog = await Catalog.load(catalogPath);
+  const catalogDir = path.dirname(path.resolve(catalogPath));
+  if (base && !base.endsWith("/")) base += "/";
+
+  const matched = { isrc: 0, "album+title": 0, title: 0 };
+  const unmatched = [];
+  const ambiguous = [];
+  const unreadable = [];
+  const seen = new Map();
+  const duplicates = [];
+  const outsideSite = [];
+  let songsUpdated = 0;
+
+  for (const file of files) {
+    const rel = path.relative(root, file);
+    let tags;
+    try {
+      tags = await readAudioTags(file);
+    } catch (err) {
+      unreadable.push(`${rel}: ${err.message}`);
+      continue;
+    }
+
+    const title = tags.title || titleFromFilename(file);
+    const { song, by } = matchSongByTags(catalog, tags, title);
+    if (!song) {
+      (by === "ambiguous" ? ambiguous : unmatched).push(rel);
+      continue;
+    }
+    matched[by] += 1;
+    // Two files for one song (e.g. a .wav master next to the .mp3): keep the first, list the rest.
+    if (seen.has(song.id)) {
+      duplicates.push(`${rel} (${song.id}, kept ${seen.get(song.id)})`);
+      continue;
+    }
+    seen.set(song.id, rel);
+
+    const { size } = await fs.stat(file);
+    const url = base ? `${base}${toUrlPath(rel)}` : toUrlPath(path.relative(catalogDir, file));
+    // A `../` URL points outside the site folder: the build cannot deploy it and the page cannot load it.
+    if (!base && url.startsWith("..")) {
+      outsideSite.push(rel);
+      continue;
+    }
+    const embed = {
+      platform: "self",
+      kind: "audio",
+      label: platformLabel("self"),
+      url,
+      mime: MIME_BY_EXT[path.extname(file).toLowerCase()] || "",
+      bytes: size
+    };
+    const before = JSON.stringify(ensureArray(song.embeds).find((e) => platformKey(e?.platform) === "self") || null);
+    upsertPlatformEmbed(song, embed);
+    const after = JSON.stringify(ensureArray(song.embeds).find((e) => platformKey(e?.platform) === "self"));
+    if (before !== after) songsUpdated += 1;
+  }
+
+  await catalog.save({ dryRun: !apply });
+
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+  console.log(
+    JSON.stringify(
+      {
+        apply,
+        files: files.length,
+        matched,
+        updated: { songs: songsUpdated },
+        duplicates,
+        outsideSite,
+        unmatched,
+        ambiguous,
+        unreadable,
+        catalog: relCatalog
+      },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
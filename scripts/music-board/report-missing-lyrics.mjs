@@ -11,6 +11,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, ensureArray, trim } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -25,18 +26,6 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function str(value) {
-  return (value ?? "").toString();
-}
-
-function trim(value) {
-  return str(value).trim();
-}
-
 function sortDateLike(a, b) {
   const aa = trim(a);
   const bb = trim(b);
@@ -60,17 +49,15 @@ async function main() {
     }
   }
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
+  const catalog = await Catalog.load(catalogPath);
 
   const collectionsById = new Map(
-    items
-      .filter((it) => ["album", "collection", "playlist"].includes(trim(it?.type)))
+    catalog.collections
       .map((it) => [trim(it?.id), it])
       .filter(([id]) => id)
   );
 
-  const songs = items.filter((it) => trim(it?.type) === "song");
+  const songs = catalog.songs;
   const missing = songs.filter((it) => trim(it?.lyrics) === "");
 
   const groups = new Map();
@@ -18,6 +18,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { Catalog, ensureArray, isLyricsNoise, normalizeTitle, stripLyricTitleSuffix, trim } from "./lib/catalog.mjs";
 
 function usage(exitCode = 1) {
   console.error(
@@ -41,64 +42,6 @@ function usage(exitCode = 1) {
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function trim(value) {
-  return (value ?? "").toString().trim();
-}
-
-function normalizeText(s) {
-  return (s ?? "")
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replaceAll("♭", " ")
-    .replaceAll("♯", " ")
-    .replaceAll("（", "(")
-    .replaceAll("）", ")")
-    .replaceAll("【", "[")
-    .replaceAll("】", "]")
-    .replaceAll("：", ":")
-    .replaceAll("，", ",")
-    .replaceAll("。", ".");
-}
-
-function normalizeTitle(s) {
-  const raw = normalizeText(s).normalize("NFKC");
-  const noTrackNo = raw.replace(/^\s*\d+\s*[-._\s]+\s*/g, "");
-  const noLyricsSuffix = noTrackNo
-    .replace(/(?:[_\-\s]*歌词)\s*$/g, "")
-    .replace(/(?:[_\-\s]*lyric(?:s)?)\s*$/gi, "")
-    .replace(/(?:[_\-\s]*lrc)\s*$/gi, "");
-  const noBrackets = noLyricsSuffix.replace(/[\[\]【】()（）{}<>《》]/g, " ");
-  const noPunct = noBrackets.replace(/[·•!！?？,:：;；"'“”‘’`~@#$%^&*+=|\\/]/g, " ");
-  const noChords = noPunct.replace(/\b(?:maj|min|dim|aug)\d{0,2}\b/gi, " ");
-  return noChords.replace(/\s+/g, " ").trim();
-}
-
-function stripLyricTitleSuffix(title) {
-  let t = (title ?? "").toString().trim();
-  if (!t) return "";
-  t = t.replace(/\s*\(\d+\)\s*$/g, "").trim();
-  t = t.replace(/-vocal(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/-iphone(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]formatted(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]pure(?:[._-].*)?$/i, "").trim();
-  t = t.replace(/[._-]asr(?:[._-].*)?$/i, "").trim();
-  return t.trim();
-}
-
-function isLyricsNoise(text) {
-  const t = (text ?? "").toString();
-  if (!t.trim()) return true;
-  const hints = ["AI 作曲", "灵感创作", "模型选择", "优化提示词", "素材列表", "生成歌曲", "0/500"];
-  const hit = hints.filter((h) => t.includes(h)).length;
-  if (hit >= 3) return true;
-  return false;
-}
-
 function parseCsvList(text) {
   const raw = (text ?? "").toString().trim();
   if (!raw) return [];
@@ -627,8 +570,8 @@ async function main() {
   const { shareId, shareUk } = parseShareIdsFromHtml(shareHtml);
   if (!shareId || !shareUk) throw new Error("Failed to parse shareid/share_uk from share page HTML");
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
+  const catalog = await Catalog.load(catalogPath);
+  const items = catalog.items;
   const albumTitlePrefixes = items
     .filter((it) => ["album", "collection", "playlist"].includes(trim(it?.type)))
     .map((it) => trim(it?.title))
@@ -1023,9 +966,7 @@ async function main() {
     overwrite
   };
 
-  if (apply && updated > 0) {
-    await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   if (dumpFilesPath) {
     const out = {
@@ -20,24 +20,8 @@
  * - Adds/updates songs as `netease-song-<id>` with embeds for in-page playback
  */
 
-import fs from "node:fs/promises";
-
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function platformLabel(platform) {
-  const map = {
-    netease: "网易云"
-  };
-  return map[platform] || platform || "Link";
-}
-
-function addTags(existing, tags) {
-  const set = new Set(ensureArray(existing).filter(Boolean));
-  for (const t of ensureArray(tags)) if (t) set.add(t);
-  return Array.from(set);
-}
+import { Catalog, ensureArray } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function toISODate(ms) {
   if (!Number.isFinite(ms) || ms <= 0) return "";
@@ -61,45 +45,6 @@ function pickArtistName(song) {
   return names.join(" / ");
 }
 
-function mergeLinks(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const l of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (l?.platform || "").toString();
-    const url = (l?.url || "").toString();
-    if (!platform && !url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform,
-      label: l?.label || (platform ? platformLabel(platform) : "Link"),
-      url
-    });
-  }
-  return out;
-}
-
-function mergeEmbeds(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const e of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (e?.platform || "").toString();
-    const url = (e?.url || "").toString();
-    if (!url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform,
-      label: e?.label || (platform ? platformLabel(platform) : "Embed"),
-      url,
-      height: Number.isFinite(e?.height) ? e.height : undefined
-    });
-  }
-  return out;
-}
-
 function parseNeteaseAlbumId(itemId) {
   const m = (itemId ?? "").toString().match(/^netease-album-(\d+)$/);
   return m ? m[1] : null;
@@ -117,10 +62,10 @@ function parseAlbumIdFromUrl(urlString) {
   }
 }
 
-function ensureAlbumStub(byId, albumId) {
+function ensureAlbumStub(catalog, albumId) {
   const id = `netease-album-${albumId}`;
-  if (byId.has(id)) return;
-  byId.set(id, {
+  if (catalog.has(id)) return;
+  catalog.add({
     id,
     type: "album",
     title: "",
@@ -200,48 +145,10 @@ function toSongItemFromApi(song, albumId, albumMeta) {
         url: `https://music.163.com/#/song?id=${songId}`
       }
     ],
-    embeds: [
-      {
-        platform: "netease",
-        label: "网易云外链播放器（如不可用可删）",
-        url: `https://music.163.com/outchain/player?type=2&id=${songId}&auto=0&height=66`,
-        height: 86
-      }
-    ]
+    embeds: [toEmbed("netease", "song", { id: songId }, "网易云外链播放器（如不可用可删）")]
   };
 }
 
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "album";
-  next.tags = addTags(next.tags, incoming.tags);
-  next.links = mergeLinks(existing?.links, incoming?.links);
-
-  if (!existing?.title || existing.title === "(未命名专辑)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!Number.isFinite(existing?.trackCount) && Number.isFinite(incoming?.trackCount)) next.trackCount = incoming.trackCount;
-
-  return next;
-}
-
-function mergeSong(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "song";
-  next.collectionId = incoming.collectionId || existing?.collectionId || "";
-  next.tags = addTags(next.tags, incoming.tags);
-  next.links = mergeLinks(existing?.links, incoming?.links);
-  next.embeds = mergeEmbeds(existing?.embeds, incoming?.embeds);
-
-  if (!existing?.title || existing.title === "(未命名)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-
-  return next;
-}
-
 async function main() {
   const args = process.argv.slice(2);
   const catalogPath = args[0];
@@ -281,15 +188,13 @@ async function main() {
     }
   }
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   const albumIds = Array.from(
     new Set(
       (selectedAlbumIds.length > 0
         ? selectedAlbumIds
-        : items.map((it) => parseNeteaseAlbumId(it?.id)).filter(Boolean)
+        : catalog.items.map((it) => parseNeteaseAlbumId(it?.id)).filter(Boolean)
       ).filter(Boolean)
     )
   );
@@ -304,31 +209,26 @@ async function main() {
   let songsUpdated = 0;
 
   for (const albumId of albumIds) {
-    ensureAlbumStub(byId, albumId);
+    ensureAlbumStub(catalog, albumId);
     const url = `https://music.163.com/api/v1/album/${albumId}`;
     const api = await fetchJson(url);
     const incomingAlbum = toAlbumItemFromApi(albumId, api);
-    const prevAlbum = byId.get(incomingAlbum.id);
-    byId.set(incomingAlbum.id, mergeAlbum(prevAlbum, incomingAlbum));
+    const { item: albumMeta } = catalog.upsertAlbum(incomingAlbum, { match: catalog.get(incomingAlbum.id) });
+    albumMeta.type = "album";
     albumsUpdated += 1;
 
-    const albumMeta = byId.get(incomingAlbum.id);
     const songs = ensureArray(api?.songs).filter((s) => Number.isFinite(s?.id));
     for (const s of songs) {
       const incomingSong = toSongItemFromApi(s, albumId, albumMeta);
-      const prevSong = byId.get(incomingSong.id);
-      if (prevSong) {
-        byId.set(incomingSong.id, mergeSong(prevSong, incomingSong));
-        songsUpdated += 1;
-      } else {
-        byId.set(incomingSong.id, incomingSong);
-        songsAdded += 1;
-      }
+      const { item: song, created } = catalog.upsertSong(incomingSong, { match: catalog.get(incomingSong.id) });
+      song.type = "song";
+      song.collectionId = incomingSong.collectionId;
+      if (created) songsAdded += 1;
+      else songsUpdated += 1;
     }
   }
 
-  catalog.items = Array.from(byId.values());
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
   console.log(JSON.stringify({ albumsSynced: albumsUpdated, songsAdded, songsUpdated }, null, 2));
 }
 
@@ -15,17 +15,8 @@
  *   --limit 10   (page size for artist albums pagination)
  */
 
-import fs from "node:fs/promises";
-
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
-function addTags(existing, tags) {
-  const set = new Set(ensureArray(existing).filter(Boolean));
-  for (const t of ensureArray(tags)) if (t) set.add(t);
-  return Array.from(set);
-}
+import { Catalog, ensureArray } from "./lib/catalog.mjs";
+import { toEmbed } from "./lib/platforms.mjs";
 
 function toISODate(ms) {
   if (!Number.isFinite(ms) || ms <= 0) return "";
@@ -49,45 +40,6 @@ function pickArtistName(song) {
   return names.join(" / ");
 }
 
-function mergeLinks(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const l of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (l?.platform || "").toString();
-    const url = (l?.url || "").toString();
-    if (!platform && !url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform,
-      label: l?.label || "",
-      url
-    });
-  }
-  return out;
-}
-
-function mergeEmbeds(existing, incoming) {
-  const out = [];
-  const seen = new Set();
-  for (const e of ensureArray(existing).concat(ensureArray(incoming))) {
-    const platform = (e?.platform || "").toString();
-    const url = (e?.url || "").toString();
-    if (!url) continue;
-    const key = `${platform}::${url}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({
-      platform,
-      label: e?.label || "",
-      url,
-      height: Number.isFinite(e?.height) ? e.height : undefined
-    });
-  }
-  return out;
-}
-
 async function fetchJson(url) {
   const res = await fetch(url, {
     headers: {
@@ -179,44 +131,10 @@ function toSongItemFromAlbumApi(song, albumId, albumMeta) {
         url: `https://music.163.com/#/song?id=${songId}`
       }
     ],
-    embeds: [
-      {
-        platform: "netease",
-        label: "网易云外链播放器（如不可用可删）",
-        url: `https://music.163.com/outchain/player?type=2&id=${songId}&auto=0&height=66`,
-        height: 86
-      }
-    ]
+    embeds: [toEmbed("netease", "song", { id: songId }, "网易云外链播放器（如不可用可删）")]
   };
 }
 
-function mergeAlbum(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "album";
-  next.tags = addTags(next.tags, incoming.tags);
-  next.links = mergeLinks(existing?.links, incoming?.links);
-  if (!existing?.title || existing.title === "(未命名专辑)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  if (!Number.isFinite(existing?.trackCount) && Number.isFinite(incoming?.trackCount)) next.trackCount = incoming.trackCount;
-  return next;
-}
-
-function mergeSong(existing, incoming) {
-  const next = { ...(existing || {}), ...(incoming || {}) };
-  next.type = "song";
-  next.collectionId = incoming.collectionId || existing?.collectionId || "";
-  next.tags = addTags(next.tags, incoming.tags);
-  next.links = mergeLinks(existing?.links, incoming?.links);
-  next.embeds = mergeEmbeds(existing?.embeds, incoming?.embeds);
-  if (!existing?.title || existing.title === "(未命名)") next.title = incoming.title;
-  if (!existing?.artist) next.artist = incoming.artist;
-  if (!existing?.cover) next.cover = incoming.cover;
-  if (!existing?.releaseDate) next.releaseDate = incoming.releaseDate;
-  return next;
-}
-
 async function fetchAllArtistAlbums(artistId, limit) {
   let offset = 0;
   const out = [];
@@ -260,12 +178,10 @@ async function main() {
     process.exit(1);
   }
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
-  const byId = new Map(items.map((it) => [it?.id, it]));
+  const catalog = await Catalog.load(catalogPath);
 
   const artistAlbums = await fetchAllArtistAlbums(artistId, limit);
-  const artistName = artistAlbums[0]?.artist?.name || catalog?.profile?.name || "";
+  const artistName = artistAlbums[0]?.artist?.name || catalog.profile.name || "";
 
   let albumsAdded = 0;
   let albumsUpdated = 0;
@@ -276,37 +192,27 @@ async function main() {
     if (!Number.isFinite(a?.id)) continue;
     const albumId = String(a.id);
     const incomingAlbumFromList = toAlbumItemFromArtistList(a, artistName);
-    const prevAlbum = byId.get(incomingAlbumFromList.id);
-    if (prevAlbum) {
-      byId.set(incomingAlbumFromList.id, mergeAlbum(prevAlbum, incomingAlbumFromList));
-      albumsUpdated += 1;
-    } else {
-      byId.set(incomingAlbumFromList.id, incomingAlbumFromList);
-      albumsAdded += 1;
-    }
+    const { created } = catalog.upsertAlbum(incomingAlbumFromList, { match: catalog.get(incomingAlbumFromList.id) });
+    if (created) albumsAdded += 1;
+    else albumsUpdated += 1;
 
     const albumApi = await fetchJson(`https://music.163.com/api/v1/album/${albumId}`);
     const incomingAlbumFromApi = toAlbumItemFromAlbumApi(albumId, albumApi);
-    const curAlbum = byId.get(incomingAlbumFromApi.id);
-    byId.set(incomingAlbumFromApi.id, mergeAlbum(curAlbum, incomingAlbumFromApi));
+    const { item: albumMeta } = catalog.upsertAlbum(incomingAlbumFromApi, { match: catalog.get(incomingAlbumFromApi.id) });
+    albumMeta.type = "album";
 
-    const albumMeta = byId.get(incomingAlbumFromApi.id);
     const songs = ensureArray(albumApi?.songs).filter((s) => Number.isFinite(s?.id));
     for (const s of songs) {
       const incomingSong = toSongItemFromAlbumApi(s, albumId, albumMeta);
-      const prevSong = byId.get(incomingSong.id);
-      if (prevSong) {
-        byId.set(incomingSong.id, mergeSong(prevSong, incomingSong));
-        songsUpdated += 1;
-      } else {
-        byId.set(incomingSong.id, incomingSong);
-        songsAdded += 1;
-      }
+      const { item: song, created: songCreated } = catalog.upsertSong(incomingSong, { match: catalog.get(incomingSong.id) });
+      song.type = "song";
+      song.collectionId = incomingSong.collectionId;
+      if (songCreated) songsAdded += 1;
+      else songsUpdated += 1;
     }
   }
 
-  catalog.items = Array.from(byId.values());
-  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await catalog.save();
   console.log(JSON.stringify({ artistId, artistAlbums: artistAlbums.length, albumsAdded, albumsUpdated, songsAdded, songsUpdated }, null, 2));
 }
 
@@ -3,7 +3,7 @@
  * Sync NetEase lyrics into catalog.json using the public lyrics API.
  *
  * API used (public):
- *   https://music.163.com/api/song/lyric?os=pc&id=<songId>&lv=-1&kv=-1&tv=-1
+ *   https://music.163.com/api/song/lyric?os=pc&id=<songId>&lv=-1&kv=-1&tv=-1&rv=-1
  *
  * Matching:
  * - `netease-song-<id>`
@@ -12,36 +12,41 @@
  * - NetEase outchain embed URL in `embeds[]`
  *
  * Usage:
- *   node scripts/music-board/sync-netease-lyrics-api.mjs <catalog.json> [--apply] [--overwrite] [--collection-id <id> ...] [--limit N] [--concurrency N]
+ *   node scripts/music-board/sync-netease-lyrics-api.mjs <catalog.json> [--apply] [--overwrite] [--collection-id <id> ...] [--limit N] [--concurrency N] [--translations]
  *
  * Notes:
  * - Default is DRY RUN (no writes). Add --apply to write catalog.json.
- * - Lyrics are stored as plain text (timestamps stripped).
+ * - Lyrics are stored as plain text in `lyrics` (timestamps stripped) and, when the LRC is timed,
+ *   as `lyricsTimed: [{ ms, text }]` for the synced lyrics view.
+ * - Songs that already have lyrics but no `lyricsTimed` are fetched too; only `lyricsTimed` is filled unless --overwrite,
+ *   and only when the stored lyrics are NetEase's text: timing for a different (curated) text would replace it on the
+ *   page, so those songs are counted as `keptCurated` instead.
+ * - Translation (`tlyric`) and romanization (`romalrc`) are stored as `lyricsTranslation` / `lyricsRomaji`
+ *   (plain text) and on the matching `lyricsTimed` lines as `translation` / `romaji`.
+ *   Use --translations to also re-fetch songs that have lyrics but neither of the two yet.
  */
 
-import fs from "node:fs/promises";
+import { Catalog, ensureArray } from "./lib/catalog.mjs";
+import { attachTimedField, parseLrc, stripLrcToPlainText } from "./lib/lrc.mjs";
 
 function usage(exitCode = 1) {
   console.error(
     [
       "Usage:",
-      "  node scripts/music-board/sync-netease-lyrics-api.mjs <catalog.json> [--apply] [--overwrite] [--collection-id <id> ...] [--limit N] [--concurrency N]",
+      "  node scripts/music-board/sync-netease-lyrics-api.mjs <catalog.json> [--apply] [--overwrite] [--collection-id <id> ...] [--limit N] [--concurrency N] [--translations]",
       "",
       "Options:",
       "  --apply            Write changes (default: dry run)",
       "  --overwrite        Overwrite existing lyrics (default: only fill missing)",
       "  --collection-id    Only process songs with collectionId=<id> (repeatable)",
       "  --limit N          Only process first N matched songs",
-      "  --concurrency N    Parallel fetches (default: 3, max: 8)"
+      "  --concurrency N    Parallel fetches (default: 3, max: 8)",
+      "  --translations     Also fetch songs missing lyricsTranslation/lyricsRomaji"
     ].join("\n")
   );
   process.exit(exitCode);
 }
 
-function ensureArray(value) {
-  return Array.isArray(value) ? value : [];
-}
-
 function parseSongIdFromUrl(urlString) {
   const raw = (urlString ?? "").toString().trim();
   if (!raw) return "";
@@ -83,21 +88,6 @@ function parseNeteaseSongId(item) {
   return "";
 }
 
-function stripLrcToPlainText(lrc) {
-  const text = (lrc ?? "").toString();
-  if (!text.trim()) return "";
-  const lines = text.split(/\r?\n/g);
-  const out = [];
-  for (const rawLine of lines) {
-    const line = rawLine.replace(/^\uFEFF/, "");
-    if (/^\s*\[(?:ar|ti|al|by|offset|length):/i.test(line)) continue;
-    const stripped = line.replace(/^\s*(?:\[\d{1,2}:\d{2}(?:\.\d{1,3})?\])+\s*/g, "");
-    out.push(stripped.replace(/\s+$/g, ""));
-  }
-  const normalized = out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
-  return normalized;
-}
-
 async function fetchJson(url) {
   const res = await fetch(url, {
     headers: {
@@ -109,8 +99,8 @@ async function fetchJson(url) {
   return await res.json();
 }
 
-async function fetchLyricsPlain(songId) {
-  const url = `https://music.163.com/api/song/lyric?os=pc&id=${songId}&lv=-1&kv=-1&tv=-1`;
+async function fetchLyrics(songId) {
+  const url = `https://music.163.com/api/song/lyric?os=pc&id=${songId}&lv=-1&kv=-1&tv=-1&rv=-1`;
   const json = await fetchJson(url);
   const code = Number(json?.code ?? NaN);
   if (code !== 200) return { ok: false, reason: `code=${json?.code}` };
@@ -118,9 +108,23 @@ async function fetchLyricsPlain(songId) {
   if (json?.nolyric) return { ok: false, reason: "nolyric" };
   if (json?.uncollected) return { ok: false, reason: "uncollected" };
 
-  const lrc = stripLrcToPlainText(json?.lrc?.lyric || "");
+  const raw = json?.lrc?.lyric || "";
+  const lrc = stripLrcToPlainText(raw);
   if (!lrc) return { ok: false, reason: "empty" };
-  return { ok: true, lyrics: lrc };
+  const translationRaw = json?.tlyric?.lyric || "";
+  const romajiRaw = json?.romalrc?.lyric || "";
+  const lyricsTimed = parseLrc(raw);
+  attachTimedField(lyricsTimed, translationRaw, "translation");
+  attachTimedField(lyricsTimed, romajiRaw, "romaji");
+  return {
+    ok: true,
+    lyrics: lrc,
+    lyricsTimed,
+    lyricsTranslation: stripLrcToPlainText(translationRaw),
+    lyricsRomaji: stripLrcToPlainText(romajiRaw),
+    translationRaw,
+    romajiRaw
+  };
 }
 
 function createLimiter(concurrency) {
@@ -158,6 +162,7 @@ async function main() {
 
   let apply = false;
   let overwrite = false;
+  let translations = false;
   let limit = Infinity;
   let concurrency = 3;
   const collectionIds = [];
@@ -166,6 +171,7 @@ async function main() {
     const a = args[i];
     if (a === "--apply") apply = true;
     else if (a === "--overwrite") overwrite = true;
+    else if (a === "--translations") translations = true;
     else if (a === "--collection-id" && args[i + 1]) {
       collectionIds.push(args[i + 1]);
       i += 1;
@@ -181,9 +187,8 @@ async function main() {
     }
   }
 
-  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
-  const items = ensureArray(catalog?.items);
-  const songs = items.filter((it) => (it?.type || "") === "song");
+  const catalog = await Catalog.load(catalogPath);
+  const songs = catalog.songs;
 
   const collectionIdSet = new Set(collectionIds.map((x) => (x ?? "").toString()).filter(Boolean));
 
@@ -196,7 +201,9 @@ async function main() {
     const songId = parseNeteaseSongId(it);
     if (!songId) continue;
     const hasLyrics = (it?.lyrics ?? "").toString().trim() !== "";
-    if (!overwrite && hasLyrics) continue;
+    const hasTimed = ensureArray(it?.lyricsTimed).length > 0;
+    const hasTranslations = !!(it?.lyricsTranslation || it?.lyricsRomaji);
+    if (!overwrite && hasLyrics && hasTimed && (!translations || hasTranslations)) continue;
     targets.push({ item: it, songId });
   }
 
@@ -205,6 +212,10 @@ async function main() {
 
   let fetched = 0;
   let updated = 0;
+  let timed = 0;
+  let keptCurated = 0;
+  let translated = 0;
+  let romanized = 0;
   let noLyrics = 0;
   let failed = 0;
 
@@ -215,7 +226,7 @@ async function main() {
       limiter(async () => {
         fetched += 1;
         try {
-          const res = await fetchLyricsPlain(songId);
+          const res = await fetchLyrics(songId);
           if (!res.ok) {
             if (["nolyric", "uncollected", "empty"].includes(res.reason)) noLyrics += 1;
             else failed += 1;
@@ -223,7 +234,25 @@ async function main() {
             return;
           }
           const before = (item?.lyrics ?? "").toString();
-          item.lyrics = res.lyrics;
+          if (overwrite || !before.trim()) item.lyrics = res.lyrics;
+          const sameText = item.lyrics.trim() === res.lyrics.trim();
+          if (res.lyricsTimed.length > 0 && !sameText && ensureArray(item?.lyricsTimed).length === 0) {
+            keptCurated += 1;
+          } else if (res.lyricsTimed.length > 0 && (overwrite || ensureArray(item?.lyricsTimed).length === 0)) {
+            item.lyricsTimed = res.lyricsTimed;
+            timed += 1;
+          } else if (ensureArray(item?.lyricsTimed).length > 0) {
+            attachTimedField(item.lyricsTimed, res.translationRaw, "translation");
+            attachTimedField(item.lyricsTimed, res.romajiRaw, "romaji");
+          }
+          if (res.lyricsTranslation && (overwrite || !item?.lyricsTranslation)) {
+            item.lyricsTranslation = res.lyricsTranslation;
+            translated += 1;
+          }
+          if (res.lyricsRomaji && (overwrite || !item?.lyricsRomaji)) {
+            item.lyricsRomaji = res.lyricsRomaji;
+            romanized += 1;
+          }
           if (before.trim() !== item.lyrics.trim()) updated += 1;
         } catch (err) {
           failed += 1;
@@ -233,21 +262,24 @@ async function main() {
     )
   );
 
-  if (apply) {
-    await fs.writeFile(catalogPath, JSON.stringify({ ...catalog, items }, null, 2) + "\n", "utf8");
-  }
+  await catalog.save({ dryRun: !apply });
 
   console.log(
     JSON.stringify(
       {
         apply,
         overwrite,
+        translations,
         limit: Number.isFinite(limit) ? limit : null,
         concurrency,
         collectionIds: collectionIdSet.size ? Array.from(collectionIdSet) : undefined,
         matched: targets.length,
         fetched,
         updated,
+        timed,
+        keptCurated,
+        translated,
+        romanized,
         noLyrics,
         failed,
         sampleFailures: failures
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Sync QQ Music album + track data into catalog.json using the public musicu.fcg API
+ * (`AlbumInfoServer.GetAlbumDetail` + `AlbumSongList.GetAlbumSongList`).
+ *
+ * Usage:
+ *   node scripts/music-board/sync-qq-albums-api.mjs docs/music-board/catalog.json
+ *   node scripts/music-board/sync-qq-albums-api.mjs docs/music-board/catalog.json --album 002MAeob3zLXwZ
+ *   node scripts/music-board/sync-qq-albums-api.mjs docs/music-board/catalog.json --album-url "https://y.qq.com/n/ryqq/albumDetail/002MAeob3zLXwZ"
+ *
+ * Behavior:
+ * - Without --album, refreshes every collection that already has `refs.qq.albumMid` (or id `qq-album-<mid>`)
+ * - Merges the same way as `import-qq-album-html.mjs`: album by UPC / title + date, tracks by ISRC / title
+ * - Adds `qq` links and, for songs with a numeric id, the QQ outchain player embed
+ */
+
+import { COLLECTION_TYPES, Catalog, trim } from "./lib/catalog.mjs";
+import { QQ_ALBUM_ID_PREFIX, fetchAlbum, parseAlbumMid, toReleaseItems } from "./lib/qq.mjs";
+
+function knownAlbumMids(catalog) {
+  const mids = [];
+  for (const it of catalog.items) {
+    if (!COLLECTION_TYPES.includes(trim(it?.type))) continue;
+    const mid = trim(it?.refs?.qq?.albumMid) || (trim(it?.id).startsWith(QQ_ALBUM_ID_PREFIX) ? trim(it.id).slice(QQ_ALBUM_ID_PREFIX.length) : "");
+    if (mid) mids.push(mid);
+  }
+  return mids;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const catalogPath = args[0];
+  if (args.includes("--help") || args.includes("-h")) {
+    console.error(
+      [
+        "Usage:",
+        "  node scripts/music-board/sync-qq-albums-api.mjs <catalog.json> [--album <albumMid> ...] [--album-url <url> ...]",
+        "",
+        "Examples:",
+        "  node scripts/music-board/sync-qq-albums-api.mjs docs/music-board/catalog.json --album 002MAeob3zLXwZ",
+        '  node scripts/music-board/sync-qq-albums-api.mjs docs/music-board/catalog.json --album-url "https://y.qq.com/n/ryqq/albumDetail/002MAeob3zLXwZ"'
+      ].join("\n")
+    );
+    process.exit(0);
+  }
+
+  if (!catalogPath) {
+    console.error("Missing <catalog.json>. Use --help for usage.");
+    process.exit(1);
+  }
+
+  const selected = [];
+  for (let i = 1; i < args.length; i++) {
+    const a = args[i];
+    if ((a === "--album" || a === "--album-url") && args[i + 1]) {
+      const mid = parseAlbumMid(args[i + 1]);
+      if (mid) selected.push(mid);
+      else console.error(`WARN: not a QQ album mid / url: ${args[i + 1]}`);
+      i += 1;
+    }
+  }
+
+  const catalog = await Catalog.load(catalogPath);
+  const albumMids = Array.from(new Set(selected.length > 0 ? selected : knownAlbumMids(catalog)));
+
+  if (albumMids.length === 0) {
+    console.error("No QQ album mids found. Provide collections with `refs.qq.albumMid`, or pass `--album/--album-url`.");
+    process.exit(1);
+  }
+
+  let albumsCreated = 0;
+  let tracksMatched = 0;
+  let tracksCreated = 0;
+  const unmatched = [];
+
+  for (const albumMid of albumMids) {
+    const { album, tracks } = toReleaseItems(await fetchAlbum(albumMid));
+    const r = catalog.importRelease(album, tracks, { source: "qq" });
+    if (r.albumCreated) albumsCreated += 1;
+    tracksMatched += r.tracksMatched;
+    tracksCreated += r.tracksCreated;
+    for (const title of r.unmatched) unmatched.push({ album: r.album.id, title });
+  }
+
+  await catalog.save();
+  console.log(
+    JSON.stringify(
+      { albumsSynced: albumMids.length, albumsCreated, tracksMatched, tracksCreated, unmatched: unmatched.length ? unmatched : undefined },
+      null,
+      2
+    )
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+// Run: node --test scripts/music-board/test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { Catalog } from "../lib/catalog.mjs";
+import { parseAlbumApi, parseAlbumHtml, toReleaseItems } from "../lib/qq.mjs";
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const ALBUM = {
+  albumMid: "003RainSeason01",
+  albumId: 51234567,
+  title: "雨季",
+  artist: "音右",
+  releaseDate: "2025-06-01",
+  trackCount: 4
+};
+const SONGS = [
+  { songMid: "001OnlyAsk0001", songId: "412345601", title: "只求", artist: "音右", trackNo: 1, duration: "03:23", isrc: "" },
+  { songMid: "001OnlyAskYou01", songId: "412345602", title: "只求你", artist: "音右", trackNo: 2, duration: "03:07", isrc: "QZA7X2512302" },
+  { songMid: "001RainStops001", songId: "412345603", title: "雨停了", artist: "音右", trackNo: 3, duration: "03:41", isrc: "" },
+  { songMid: "001EveningWind1", songId: "", title: "晚风", artist: "音右", trackNo: 4, duration: "01:05", isrc: "" }
+];
+
+test("parseAlbumHtml reads the __INITIAL_DATA__ state", async () => {
+  const { album, songs } = parseAlbumHtml(await fixture("qq-album.html"));
+  assert.deepEqual(album, { ...ALBUM, cover: "https://y.qq.com/music/photo_new/T002R300x300M000003RainSeason01_1.jpg?max_age=2592000" });
+  assert.deepEqual(songs, SONGS);
+});
+
+test("parseAlbumHtml falls back to the rendered markup without the state", async () => {
+  const { album, songs } = parseAlbumHtml(await fixture("qq-album-no-state.html"));
+  assert.equal(album.albumMid, "003RainSeason01");
+  assert.equal(album.title, "雨季");
+  assert.equal(album.artist, "音右");
+  assert.equal(album.releaseDate, "2025-06-01");
+  assert.deepEqual(
+    songs.map((s) => [s.songMid, s.title, s.trackNo]),
+    [["001OnlyAsk0001", "只求", 1], ["001OnlyAskYou01", "只求你", 2]]
+  );
+});
+
+test("parseAlbumHtml returns null for a page without an album mid", () => {
+  assert.equal(parseAlbumHtml("<html><body>404</body></html>"), null);
+});
+
+test("parseAlbumApi reads a musicu.fcg response", async () => {
+  const { album, songs } = parseAlbumApi(JSON.parse(await fixture("qq-musicu-album.json")), "003RainSeason01");
+  assert.deepEqual(album, { ...ALBUM, cover: "https://y.qq.com/music/photo_new/T002R800x800M000003RainSeason01.jpg" });
+  assert.deepEqual(songs, SONGS.map((s) => ({ ...s, isrc: "" })));
+});
+
+test("parseAlbumApi throws on an error code", async () => {
+  const json = JSON.parse(await fixture("qq-musicu-not-found.json"));
+  assert.throws(() => parseAlbumApi(json, "003Missing0001"), /code 104400/);
+});
+
+test("toReleaseItems adds the outchain player only for songs with a numeric id", async () => {
+  const { album, tracks } = toReleaseItems(parseAlbumHtml(await fixture("qq-album.html")));
+  assert.equal(album.id, "qq-album-003RainSeason01");
+  assert.deepEqual(album.refs, { qq: { albumMid: "003RainSeason01", albumId: "51234567" } });
+  assert.equal(tracks[0].id, "qq-song-001OnlyAsk0001");
+  assert.equal(tracks[0].collectionId, album.id);
+  assert.equal(tracks[0].embeds.length, 1);
+  assert.match(tracks[0].embeds[0].url, /412345601/);
+  assert.deepEqual(tracks[3].embeds, []);
+});
+
+function existingCatalog() {
+  return new Catalog({
+    items: [
+      { id: "distrokid-album-rain", type: "album", title: "雨季", artist: "音右", releaseDate: "2025-06-01", tags: ["distrokid"] },
+      { id: "distrokid-song-1", type: "song", title: "只求你", collectionId: "distrokid-album-rain", trackNo: 2, isrc: "QZA7X2512302" },
+      { id: "distrokid-song-2", type: "song", title: "雨停了", collectionId: "distrokid-album-rain", trackNo: 3 },
+      { id: "distrokid-song-3", type: "song", title: "晚风 (Live)", collectionId: "distrokid-album-rain", trackNo: 4 }
+    ]
+  });
+}
+
+test("importRelease merges a QQ album into the existing album by title + date", async () => {
+  const catalog = existingCatalog();
+  const { album, tracks } = toReleaseItems(parseAlbumHtml(await fixture("qq-album.html")));
+  const r = catalog.importRelease(album, tracks, { source: "qq" });
+
+  assert.equal(r.album.id, "distrokid-album-rain");
+  assert.equal(r.albumCreated, false);
+  assert.ok(r.album.tags.includes("qq"));
+  assert.ok(r.album.links.some((l) => l.platform === "qq"));
+  assert.equal(r.tracksMatched, 3);
+  assert.equal(r.tracksCreated, 0);
+  // "只求" is not "只求你": a new song, which an album that already has tracks does not create.
+  assert.deepEqual(r.unmatched, ["只求"]);
+  assert.equal(catalog.get("qq-song-001OnlyAsk0001"), null);
+
+  const song1 = catalog.get("distrokid-song-1");
+  assert.equal(song1.title, "只求你");
+  assert.deepEqual(song1.refs.qq, { songMid: "001OnlyAskYou01", songId: "412345602" });
+  assert.equal(catalog.get("distrokid-song-2").refs.qq.songMid, "001RainStops001");
+  // Title containment is accepted for the only candidate left.
+  assert.equal(catalog.get("distrokid-song-3").refs.qq.songMid, "001EveningWind1");
+});
+
+test("importRelease does not give one song to two tracks through title containment", () => {
+  const catalog = new Catalog({
+    items: [
+      { id: "a", type: "album", title: "雨", releaseDate: "2025-01-01" },
+      { id: "s-rain-stops", type: "song", title: "雨停了", collectionId: "a" }
+    ]
+  });
+  const r = catalog.importRelease(
+    { id: "qq-album-x", title: "雨", releaseDate: "2025-01-01" },
+    [
+      { id: "qq-song-1", type: "song", title: "雨" },
+      { id: "qq-song-2", type: "song", title: "雨停了" }
+    ],
+    { source: "qq" }
+  );
+  assert.equal(r.tracksMatched, 1);
+  assert.deepEqual(r.unmatched, ["雨"]);
+});
+
+test("importRelease creates the album and its tracks when nothing matches", async () => {
+  const catalog = new Catalog({ items: [] });
+  const { album, tracks } = toReleaseItems(parseAlbumApi(JSON.parse(await fixture("qq-musicu-album.json"))));
+  const r = catalog.importRelease(album, tracks, { source: "qq" });
+  assert.equal(r.albumCreated, true);
+  assert.equal(r.tracksCreated, 4);
+  assert.deepEqual(
+    catalog.tracksOf("qq-album-003RainSeason01").map((s) => s.title),
+    ["只求", "只求你", "雨停了", "晚风"]
+  );
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Restore catalog.json from the snapshots that every write leaves under `.music-board/history/`.
+ *
+ * Usage:
+ *   node scripts/music-board/undo-catalog.mjs <catalog.json> [--steps N] [--apply]
+ *   node scripts/music-board/undo-catalog.mjs <catalog.json> --list
+ *
+ * Notes:
+ * - `--steps N` (default 1) goes back N writes: the catalog becomes the snapshot taken before the Nth-latest write.
+ * - Default is DRY RUN: prints the diff (current → restored) and a summary. Add --apply to write.
+ * - The undo itself is snapshotted too, so running `undo` again reverts it.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { diffCatalogs, formatDiff, listSnapshots, recordSnapshot, writeAtomic } from "./lib/history.mjs";
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/undo-catalog.mjs <catalog.json> [--steps N] [--apply]",
+      "  node scripts/music-board/undo-catalog.mjs <catalog.json> --list",
+      "",
+      "Options:",
+      "  --steps N   Undo the last N writes (default: 1)",
+      "  --list      List snapshots (newest first)",
+      "  --apply     Write (default: dry run)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+
+  let catalogPath = "";
+  let steps = 1;
+  let list = false;
+  let apply = false;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--apply") apply = true;
+    else if (a === "--list") list = true;
+    else if (a === "--steps" && args[i + 1]) {
+      const n = Number(args[i + 1]);
+      if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid --steps: ${args[i + 1]}`);
+      steps = n;
+      i += 1;
+    } else if (!a.startsWith("--") && !catalogPath) catalogPath = a;
+  }
+  if (!catalogPath) usage(1);
+
+  const snapshots = await listSnapshots(catalogPath);
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+
+  if (list) {
+    const out = snapshots
+      .slice()
+      .reverse()
+      .map((s, i) => ({ steps: i + 1, createdAt: s.createdAt, command: s.command, counts: s.counts || null, file: s.file }));
+    console.log(JSON.stringify({ catalog: relCatalog, snapshots: out }, null, 2));
+    return;
+  }
+
+  if (snapshots.length < steps) {
+    throw new Error(`Only ${snapshots.length} snapshot(s) for ${relCatalog}; cannot undo ${steps} step(s)`);
+  }
+  const target = snapshots[snapshots.length - steps];
+  const [currentText, targetText] = await Promise.all([fs.readFile(catalogPath, "utf8"), fs.readFile(target.path, "utf8")]);
+  const diff = diffCatalogs(JSON.parse(currentText), JSON.parse(targetText));
+  process.stderr.write(formatDiff(diff, { full: !!process.env.MUSIC_BOARD_VERBOSE }));
+
+  const summary = {
+    apply,
+    steps,
+    restoreTo: target.createdAt,
+    undoing: snapshots.slice(snapshots.length - steps).map((s) => s.command),
+    catalog: relCatalog
+  };
+
+  if (apply && currentText !== targetText) {
+    await recordSnapshot(catalogPath, diff, { command: `undo --steps ${steps}` });
+    await writeAtomic(catalogPath, targetText);
+  }
+
+  console.log(JSON.stringify(summary, null, 2));
+  if (!apply) console.error("DRY RUN: add --apply to write");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -5,10 +5,16 @@
  * Usage:
  *   cat links.txt | node scripts/music-board/urls-to-items.mjs
  *
+ * Recognizes NetEase, YouTube and Bilibili (BV / av video, space, 合集 / 系列) URLs; any other platform in the
+ * registry (`platforms.json`) gets a link of that platform, plus its embed when the registry can build one.
+ *
  * Output:
  *   JSON array of items you can paste into docs/music-board/catalog.json -> items[]
  */
 
+import { parseBilibiliSpace, parseBilibiliVideo, toVideoItem } from "./lib/bilibili.mjs";
+import { matchPlatformUrl, platformLabel, toEmbed } from "./lib/platforms.mjs";
+
 function parseId(urlString, key) {
   try {
     const url = new URL(urlString.replace("#/", ""));
@@ -45,14 +51,7 @@ function inferNetease(url) {
       releaseDate: "",
       tags: ["netease"],
       links: [{ platform: "netease", label: "网易云 · 单曲", url }],
-      embeds: [
-        {
-          platform: "netease",
-          label: "网易云外链播放器（如不可用可删）",
-          url: `https://music.163.com/outchain/player?type=2&id=${songId}&auto=0&height=66`,
-          height: 86
-        }
-      ]
+      embeds: [toEmbed("netease", "song", { id: songId }, "网易云外链播放器（如不可用可删）")]
     };
   }
 
@@ -139,14 +138,7 @@ function inferYoutube(urlString) {
       releaseDate: "",
       tags: ["youtube"],
       links: [{ platform: "youtube", label, url: urlString }],
-      embeds: [
-        {
-          platform: "youtube",
-          label: "YouTube embed",
-          url: `https://www.youtube.com/embed/${videoId}`,
-          height: 220
-        }
-      ]
+      embeds: [toEmbed("youtube", "video", { id: videoId }, "YouTube embed")]
     };
   }
 
@@ -159,14 +151,7 @@ function inferYoutube(urlString) {
       releaseDate: "",
       tags: ["youtube", "playlist"],
       links: [{ platform: "youtube", label: `${label} · Playlist`, url: urlString }],
-      embeds: [
-        {
-          platform: "youtube",
-          label: "YouTube playlist embed",
-          url: `https://www.youtube.com/embed/videoseries?list=${listId}`,
-          height: 360
-        }
-      ]
+      embeds: [toEmbed("youtube", "playlist", { id: listId }, "YouTube playlist embed")]
     };
   }
 
@@ -186,14 +171,7 @@ function inferYoutube(urlString) {
           { platform: "youtube", label: `${label} · Channel`, url: urlString },
           { platform: "youtube", label: `${label} · Uploads`, url: uploadsUrl }
         ],
-        embeds: [
-          {
-            platform: "youtube",
-            label: "YouTube uploads playlist embed",
-            url: `https://www.youtube.com/embed/videoseries?list=${uploadsListId}`,
-            height: 360
-          }
-        ]
+        embeds: [toEmbed("youtube", "playlist", { id: uploadsListId }, "YouTube uploads playlist embed")]
       };
     }
   }
@@ -210,6 +188,80 @@ function inferYoutube(urlString) {
   };
 }
 
+function inferBilibili(urlString) {
+  const url = tryParseUrl(urlString);
+  const host = url ? url.hostname.replace(/^(www|m)\./i, "").toLowerCase() : "";
+  const isBilibili = host === "bilibili.com" || host.endsWith(".bilibili.com") || host === "b23.tv";
+  // Bare ids (`BV1…` / `av123`) are accepted too.
+  const video = isBilibili || !url ? parseBilibiliVideo(urlString) : null;
+  if (video) {
+    const item = toVideoItem(video);
+    if (url) item.links[0].url = urlString;
+    return item;
+  }
+  if (!isBilibili) return null;
+
+  const space = parseBilibiliSpace(urlString);
+  if (space?.seasonId || space?.seriesId) {
+    const kind = space.seasonId ? "season" : "series";
+    return {
+      id: `bilibili-${kind}-${space.seasonId || space.seriesId}`,
+      type: "playlist",
+      title: "",
+      artist: "",
+      releaseDate: "",
+      tags: ["bilibili", "playlist"],
+      links: [{ platform: "bilibili", label: kind === "season" ? "B 站 · 合集" : "B 站 · 系列", url: urlString }],
+      embeds: [],
+      refs: { bilibili: { mid: space.mid, [`${kind}Id`]: space.seasonId || space.seriesId } }
+    };
+  }
+  if (space) {
+    return {
+      id: `bilibili-space-${space.mid}`,
+      type: "collection",
+      title: "我的视频（B 站）",
+      artist: "",
+      releaseDate: "",
+      tags: ["bilibili", "videos"],
+      links: [{ platform: "bilibili", label: "B 站 · 空间", url: urlString }],
+      embeds: [],
+      refs: { bilibili: { mid: space.mid } }
+    };
+  }
+
+  return {
+    id: `bilibili-link-${Math.random().toString(36).slice(2, 8)}`,
+    type: "other",
+    title: "",
+    artist: "",
+    releaseDate: "",
+    tags: ["bilibili"],
+    links: [{ platform: "bilibili", label: "B 站链接", url: urlString }],
+    embeds: []
+  };
+}
+
+const ITEM_TYPE_BY_KIND = { song: "song", track: "song", video: "song", album: "album", playlist: "playlist", set: "playlist" };
+
+/** Any other registry platform: a link item, with the platform's embed when one can be built from the URL. */
+function inferRegistry(urlString) {
+  const m = matchPlatformUrl(urlString);
+  if (!m) return null;
+  const type = ITEM_TYPE_BY_KIND[m.kind] || "other";
+  const embed = type === "other" ? null : toEmbed(m.platform, m.kind, m);
+  return {
+    id: `${m.platform}-${type === "other" ? "link" : m.kind}-${m.id || Math.random().toString(36).slice(2, 8)}`,
+    type,
+    title: "",
+    artist: "",
+    releaseDate: "",
+    tags: [m.platform],
+    links: [{ platform: m.platform, label: platformLabel(m.platform), url: urlString }],
+    embeds: embed ? [embed] : []
+  };
+}
+
 async function readStdin() {
   return await new Promise((resolve) => {
     let data = "";
@@ -234,7 +286,7 @@ async function main() {
 
   const items = [];
   for (const u of urls) {
-    const item = inferNetease(u) || inferYoutube(u) || {
+    const item = inferNetease(u) || inferYoutube(u) || inferBilibili(u) || inferRegistry(u) || {
       id: `link-${Math.random().toString(36).slice(2, 8)}`,
       type: "other",
       title: "",
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Validate / lint catalog.json (both the legacy `items[]` schema and the v2 `collections[]` + `tracks[]` schema).
+ *
+ * Checks:
+ * - ids: missing or duplicated
+ * - songs: `collectionId` pointing to a collection that does not exist
+ * - songs: `trackNo` collisions inside the same collection
+ * - collections: `trackCount` disagreeing with the number of songs actually in the catalog (warning)
+ * - `releaseDate` not in YYYY-MM-DD (YYYY / YYYY-MM are accepted)
+ * - embeds: unparsable URL, or URL host not matching the embed `platform`; self-hosted `kind: "audio"` embeds may be
+ *   relative to the page (`audio/…`), and then the file must exist next to catalog.json (it is what gets deployed);
+ *   same for a song's `waveform` sidecar and a relative `cover`
+ * - duplicate ISRC (songs) / UPC (collections)
+ *
+ * Usage:
+ *   node scripts/music-board/validate-catalog.mjs <catalog.json> [--json]
+ *
+ * Exit code is 1 when there is at least one error (warnings alone exit 0), so it can gate commits.
+ */
+
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { detectSchema } from "./lib/catalog-schema.mjs";
+import { COLLECTION_TYPES, ensureArray, localAssets, platformKey, trim } from "./lib/catalog.mjs";
+import { embedHosts } from "./lib/platforms.mjs";
+
+function usage(exitCode = 1) {
+  console.error(
+    [
+      "Usage:",
+      "  node scripts/music-board/validate-catalog.mjs <catalog.json> [--json]",
+      "",
+      "Options:",
+      "  --json    Print the report as JSON (default: grouped text report)"
+    ].join("\n")
+  );
+  process.exit(exitCode);
+}
+
+const CHECKS = {
+  "unknown-schema": "Catalog has neither items[] nor collections[]/tracks[]",
+  "missing-id": "Entry without an id",
+  "duplicate-id": "Duplicate id",
+  "dangling-collection": "Song collectionId points to a missing collection",
+  "track-no-collision": "trackNo used by more than one song in the same collection",
+  "track-count-mismatch": "trackCount disagrees with the songs in the catalog",
+  "invalid-release-date": "Malformed releaseDate",
+  "invalid-embed-url": "Embed URL cannot be parsed",
+  "embed-host-mismatch": "Embed URL host does not match its platform",
+  "missing-local-file": "Relative URL with no file next to catalog.json (would 404 once deployed)",
+  "duplicate-isrc": "Duplicate ISRC",
+  "duplicate-upc": "Duplicate UPC"
+};
+
+function splitEntries(catalog, schema) {
+  if (schema === "v2") {
+    return {
+      collections: ensureArray(catalog.collections).map((it, i) => ({ it, where: `collections[${i}]` })),
+      songs: ensureArray(catalog.tracks).map((it, i) => ({ it, where: `tracks[${i}]` })),
+      all: ensureArray(catalog.collections)
+        .map((it, i) => ({ it, where: `collections[${i}]` }))
+        .concat(ensureArray(catalog.tracks).map((it, i) => ({ it, where: `tracks[${i}]` })))
+    };
+  }
+  const all = ensureArray(catalog?.items).map((it, i) => ({ it, where: `items[${i}]` }));
+  return {
+    collections: all.filter(({ it }) => COLLECTION_TYPES.includes(trim(it?.type))),
+    songs: all.filter(({ it }) => trim(it?.type) === "song"),
+    all
+  };
+}
+
+function isValidDate(text) {
+  const m = text.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!m) return false;
+  const month = m[2] ? Number(m[2]) : 1;
+  const day = m[3] ? Number(m[3]) : 1;
+  if (month < 1 || month > 12) return false;
+  const d = new Date(Date.UTC(Number(m[1]), month - 1, day));
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+function hostMatches(hostname, allowed) {
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  return allowed.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+function validateCatalog(catalog, { siteRoot = "" } = {}) {
+  const problems = [];
+  const report = (severity, code, entry, message) => {
+    problems.push({
+      severity,
+      code,
+      id: trim(entry?.it?.id),
+      title: trim(entry?.it?.title),
+      where: entry?.where || "",
+      message
+    });
+  };
+
+  const schema = detectSchema(catalog);
+  if (schema === "empty") {
+    report("error", "unknown-schema", null, "Expected items[] (legacy) or collections[]/tracks[] (v2)");
+    return { schema, problems };
+  }
+
+  const { collections, songs, all } = splitEntries(catalog, schema);
+
+  const seenIds = new Map();
+  for (const entry of all) {
+    const id = trim(entry.it?.id);
+    if (!id) {
+      report("error", "missing-id", entry, "id is empty");
+      continue;
+    }
+    if (seenIds.has(id)) {
+      report("error", "duplicate-id", entry, `also defined at ${seenIds.get(id)}`);
+      continue;
+    }
+    seenIds.set(id, entry.where);
+  }
+
+  const collectionIds = new Set(collections.map(({ it }) => trim(it?.id)).filter(Boolean));
+  const songsByCollection = new Map();
+  for (const entry of songs) {
+    const cid = trim(entry.it?.collectionId);
+    if (!cid) continue;
+    if (!collectionIds.has(cid)) {
+      report("error", "dangling-collection", entry, `collectionId "${cid}" not found`);
+      continue;
+    }
+    if (!songsByCollection.has(cid)) songsByCollection.set(cid, []);
+    songsByCollection.get(cid).push(entry);
+  }
+
+  for (const [cid, list] of songsByCollection) {
+    const byNo = new Map();
+    for (const entry of list) {
+      const no = Number.isFinite(entry.it?.trackNo) ? entry.it.trackNo : entry.it?.trackNumber;
+      if (!Number.isFinite(no)) continue;
+      if (!byNo.has(no)) byNo.set(no, []);
+      byNo.get(no).push(entry);
+    }
+    for (const [no, dupes] of byNo) {
+      if (dupes.length < 2) continue;
+      for (const entry of dupes.slice(1)) {
+        report("error", "track-no-collision", entry, `trackNo ${no} in "${cid}" also used by ${trim(dupes[0].it?.id)}`);
+      }
+    }
+  }
+
+  for (const entry of collections) {
+    const count = entry.it?.trackCount;
+    if (!Number.isFinite(count)) continue;
+    const actual = (songsByCollection.get(trim(entry.it?.id)) || []).length;
+    if (actual > 0 && actual !== count) {
+      report("warning", "track-count-mismatch", entry, `trackCount is ${count} but ${actual} song(s) point to it`);
+    }
+  }
+
+  for (const entry of all) {
+    const date = trim(entry.it?.releaseDate);
+    if (date && !isValidDate(date)) report("error", "invalid-release-date", entry, `"${date}" is not YYYY-MM-DD`);
+
+    for (const e of ensureArray(entry.it?.embeds)) {
+      const url = trim(e?.url);
+      if (!url) continue;
+      let u;
+      try {
+        u = e?.kind === "audio" ? new URL(url, "https://music-board.invalid/") : new URL(url);
+      } catch {
+        report("error", "invalid-embed-url", entry, `${platformKey(e?.platform) || "(no platform)"}: ${url}`);
+        continue;
+      }
+      // Hosts come from `embedHosts` in platforms.json; platforms without it are not host-checked.
+      const allowed = embedHosts(e?.platform);
+      if (allowed && !hostMatches(u.hostname, allowed)) {
+        report("error", "embed-host-mismatch", entry, `platform "${platformKey(e?.platform)}" but host is ${u.hostname}`);
+      }
+    }
+
+    for (const asset of siteRoot ? localAssets(entry.it) : []) {
+      if (!existsSync(path.join(siteRoot, ...asset.file.split("/")))) {
+        report("error", "missing-local-file", entry, `${asset.field}: ${asset.url} (no ${asset.file})`);
+      }
+    }
+  }
+
+  const checkDuplicates = (entries, field, code) => {
+    const seen = new Map();
+    for (const entry of entries) {
+      const value = trim(entry.it?.[field]).toUpperCase();
+      if (!value) continue;
+      if (seen.has(value)) {
+        report("error", code, entry, `${field.toUpperCase()} ${value} also used by ${trim(seen.get(value).it?.id)}`);
+        continue;
+      }
+      seen.set(value, entry);
+    }
+  };
+  checkDuplicates(songs, "isrc", "duplicate-isrc");
+  checkDuplicates(collections, "upc", "duplicate-upc");
+
+  return { schema, problems, counts: { collections: collections.length, songs: songs.length } };
+}
+
+function groupProblems(problems) {
+  const groups = new Map();
+  for (const p of problems) {
+    if (!groups.has(p.code)) groups.set(p.code, { code: p.code, severity: p.severity, description: CHECKS[p.code] || p.code, problems: [] });
+    groups.get(p.code).problems.push(p);
+  }
+  return Array.from(groups.values()).sort((a, b) => {
+    if (a.severity !== b.severity) return a.severity === "error" ? -1 : 1;
+    return a.code.localeCompare(b.code);
+  });
+}
+
+function formatText(result, relCatalog) {
+  const lines = [];
+  const errors = result.problems.filter((p) => p.severity === "error").length;
+  const warnings = result.problems.length - errors;
+  lines.push(`${relCatalog} (schema: ${result.schema})`);
+  for (const g of groupProblems(result.problems)) {
+    lines.push("");
+    lines.push(`${g.severity.toUpperCase()} ${g.code} — ${g.description} (${g.problems.length})`);
+    for (const p of g.problems) {
+      const who = [p.id || "(no id)", p.title ? `“${p.title}”` : "", p.where ? `@ ${p.where}` : ""].filter(Boolean).join(" ");
+      lines.push(`  - ${who}: ${p.message}`);
+    }
+  }
+  lines.push("");
+  lines.push(`${errors} error(s), ${warnings} warning(s)`);
+  return lines.join("\n");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) usage(0);
+  const asJson = args.includes("--json");
+  const catalogPath = args.find((a) => !a.startsWith("--"));
+  if (!catalogPath) usage(1);
+
+  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
+  const result = validateCatalog(catalog, { siteRoot: path.dirname(path.resolve(catalogPath)) });
+  const errors = result.problems.filter((p) => p.severity === "error").length;
+  const relCatalog = path.relative(process.cwd(), path.resolve(catalogPath)) || catalogPath;
+
+  if (asJson) {
+    console.log(
+      JSON.stringify(
+        {
+          catalog: relCatalog,
+          schema: result.schema,
+          counts: result.counts,
+          errors,
+          warnings: result.problems.length - errors,
+          groups: groupProblems(result.problems)
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    console.log(formatText(result, relCatalog));
+  }
+
+  if (errors > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+// Service worker: offline shell, stale-while-revalidate catalog, LRU-capped cover cache.
+// Registered by app.js (unless `profile.settings.offline` is false). Bump SW_VERSION when SHELL changes.
+const SW_VERSION = "v2";
+const SHELL_CACHE = `music-board-shell-${SW_VERSION}`;
+const CATALOG_CACHE = "music-board-catalog";
+// Renamed from "music-board-covers" (which pinned opaque responses); `activate` drops the old one.
+const COVER_CACHE = "music-board-covers-v2";
+const COVER_CACHE_MAX = 150;
+const SHELL = ["./", "index.html", "app.js", "platforms.json", "manifest.webmanifest", "favicon-light.svg", "favicon-dark.svg"];
+const KEEP_CACHES = [SHELL_CACHE, CATALOG_CACHE, COVER_CACHE];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL.map((p) => new Request(p, { cache: "reload" })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((n) => n.startsWith("music-board-") && !KEEP_CACHES.includes(n)).map((n) => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+function isCatalog(url) {
+  return url.origin === self.location.origin && url.pathname.endsWith("/catalog.json");
+}
+
+function isShellAsset(url) {
+  if (url.origin !== self.location.origin) return false;
+  const name = url.pathname.split("/").pop();
+  return SHELL.includes(name);
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  for (const client of clients) client.postMessage(message);
+}
+
+// Serve the cached catalog right away; refresh it in the background and tell the page when it changed.
+async function catalogResponse(event) {
+  const cache = await caches.open(CATALOG_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = (async () => {
+    const res = await fetch(event.request, { cache: "no-cache" });
+    if (!res.ok) return res;
+    const fresh = res.clone();
+    if (cached) {
+      const [oldText, newText] = await Promise.all([cached.clone().text(), res.clone().text()]);
+      await cache.put(event.request, fresh);
+      if (oldText !== newText) await notifyClients({ type: "catalog-updated" });
+    } else {
+      await cache.put(event.request, fresh);
+    }
+    return res;
+  })();
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function shellResponse(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(event.request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Pages (including pre-rendered /c/<id> and /t/<id>) come from the network; offline, app.js routes
+// from the path, so the cached index.html can stand in for any of them.
+async function navigationResponse(event) {
+  try {
+    const res = await fetch(event.request);
+    if (res.ok && new URL(event.request.url).pathname === new URL("./", self.location).pathname) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put("./", res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    const fallback = await cache.match(event.request, { ignoreSearch: true }) || await cache.match("index.html");
+    if (fallback) return fallback;
+    throw err;
+  }
+}
+
+// Hosts whose covers came back without CORS headers: fetched as plain (opaque) image requests from then on.
+const noCorsHosts = new Set();
+
+// Covers are fetched with CORS where the host allows it, so the status is visible and only real images (`ok`)
+// are cached. Opaque responses hide their status (a 404 / 5xx would be pinned) and cost megabytes of quota
+// padding each, so they are passed through uncached. Cache-first; a hit is re-inserted so the cache's
+// insertion order doubles as recency, and the oldest entries are dropped.
+async function coverResponse(event) {
+  const cache = await caches.open(COVER_CACHE);
+  const cached = await cache.match(event.request);
+  if (cached) {
+    event.waitUntil((async () => {
+      await cache.delete(event.request);
+      await cache.put(event.request, cached.clone());
+    })());
+    return cached;
+  }
+  const url = new URL(event.request.url);
+  let res = null;
+  if (url.origin === self.location.origin || !noCorsHosts.has(url.host)) {
+    try {
+      res = await fetch(event.request.url, { mode: "cors", credentials: "omit" });
+    } catch {
+      // A CORS failure and being offline look the same here; only the former says anything about the host.
+      if (self.navigator.onLine) noCorsHosts.add(url.host);
+    }
+  }
+  if (!res) return fetch(event.request);
+  if (res.ok) {
+    event.waitUntil((async () => {
+      await cache.put(event.request, res.clone());
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - COVER_CACHE_MAX)).map((k) => cache.delete(k)));
+    })());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.protocol !== "http:" && url.protocol !== "https:") return;
+
+  if (req.mode === "navigate") event.respondWith(navigationResponse(event));
+  else if (isCatalog(url)) event.respondWith(catalogResponse(event));
+  else if (isShellAsset(url)) event.respondWith(shellResponse(event));
+  else if (req.destination === "image") event.respondWith(coverResponse(event));
+});